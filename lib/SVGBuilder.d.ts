@@ -1,41 +1,144 @@
-export interface GradientStop {
-  offset: number;
-  color: string;
-  opacity: number;
-}
-
-export interface LinearGradient {
-  kind: "linear-gradient";
-  id?: string;
-  x1: number;
-  x2: number;
-  y1: number;
-  y2: number;
-  stops: GradientStop[];
-}
-
-export interface RadialGradient {
-  kind: "radial-gradient";
-  id?: string;
-  x1: number;
-  y1: number;
-  r1: number;
-  r2: number;
-  stops: GradientStop[];
-}
+import SVGNode from "./SVGNode";
+import { AnyTransform as Transform } from "./transform";
+import { TextOptions } from "./text";
+import { RasterImage } from "./image";
+import { Animation } from "./animation";
+export {
+  combinePaths,
+  BooleanOperand,
+  BooleanOperation,
+  BooleanOptions,
+} from "./boolean";
+import { BooleanOperand, BooleanOperation, BooleanOptions } from "./boolean";
+export {
+  offsetPath,
+  outlineStroke,
+  OffsetOptions,
+  OutlineStrokeOptions,
+} from "./offset";
+import { OffsetOptions } from "./offset";
+export { optimizeDocument, OptimizeOptions } from "./optimize";
+export { minifyPathData } from "./pathData";
+export { default as PointMath, Vec2, Point, PointLike } from "./math/PointMath";
+import { PointLike } from "./math/PointMath";
+export {
+  DOCUMENT_VERSION,
+  migrateDocument,
+  DocumentData,
+  NodeData,
+} from "./schema";
+import { DocumentData } from "./schema";
+export { getThemeClass, resolveVars, Theme, ThemeOptions } from "./theme";
+import { Theme, ThemeOptions } from "./theme";
+export { escapeAttribute, escapeText } from "./SVGNode";
+export {
+  checkColor,
+  checkFiniteNumber,
+  checkId,
+  isValidColor,
+  isValidId,
+  isValidPaint,
+} from "./validate";
+export {
+  createLinearGradient,
+  createRadialGradient,
+  createConicGradient,
+  createLinearGradientElement,
+  createRadialGradientElement,
+  compileLinearGradient,
+  compileRadialGradient,
+  createConicGradientWedges,
+  normalizeGradientStops,
+  GradientStop,
+  GradientUnits,
+  GradientSpread,
+  GradientOptions,
+  LinearGradient,
+  RadialGradient,
+  ConicGradient,
+  ConicGradientWedge,
+} from "./gradient";
+import {
+  ConicGradient,
+  LinearGradient,
+  RadialGradient,
+} from "./gradient";
+export {
+  createPatternFromElements,
+  createPatternElement,
+  compilePattern,
+  createHatchPattern,
+  createCrossHatchPattern,
+  createDotsPattern,
+  createCheckerboardPattern,
+  Pattern,
+  PatternOptions,
+  PatternUnits,
+  HatchOptions,
+  DotsOptions,
+  CheckerboardOptions,
+} from "./pattern";
+import { Pattern, PatternOptions } from "./pattern";
 
-export type StrokeOrFill = string | LinearGradient | RadialGradient;
+export { SVGNode };
+export {
+  SVGCommand,
+  SupportedGeometryData,
+  parsePathData,
+  serializePathData,
+  absolutizePath,
+  normalizePath,
+  executeSVGStateMachine,
+  getArcCenterParameters,
+  arcToCubicBeziers,
+} from "./pathData";
+export {
+  getGeometryBoundingBox,
+  getPathDataBoundingBox,
+  resolveFilterRegion,
+  resolveMaskRegion,
+} from "./bounds";
+export {
+  Transform,
+  TransformOrigin,
+  TransformStep,
+  MatrixTransform,
+  AnyTransform,
+  Matrix,
+  createTransform,
+  createMatrixTransform,
+  compileTransform,
+  transformOriginToString,
+  resolveTransformOrigin,
+  parseTransformAttribute,
+  transformToMatrix,
+  invertTransform,
+  invertMatrix,
+  matrixToString,
+  composeMatrices,
+  translateMatrix,
+  scaleMatrix,
+  rotateMatrix,
+  skewXMatrix,
+  skewYMatrix,
+  applyMatrixToPoint,
+} from "./transform";
+export { shapeToPathData } from "./importSVG";
+export { loadFont, measureText, TextOptions } from "./text";
+export { readImage, sniffImage, toDataURI, RasterImage } from "./image";
+export {
+  createAnimation,
+  createDrawOnAnimation,
+  Animation,
+  AnimationOptions,
+} from "./animation";
 
-export type TransformOrigin = "center" | [number, number];
-
-export interface Transform {
-  translateX: number;
-  translateY: number;
-  scaleX: number;
-  scaleY: number;
-  rotateDegrees: number;
-  transformOrigin: TransformOrigin;
-}
+export type StrokeOrFill =
+  | string
+  | LinearGradient
+  | RadialGradient
+  | ConicGradient
+  | Pattern;
 
 export interface DropShadow {
   id?: string;
@@ -50,54 +153,158 @@ export interface GaussianBlur {
   stdDeviation: number;
 }
 
-export function transformOriginToString(origin: TransformOrigin): string;
-
-export function createLinearGradient(
-  x1: number,
-  y1: number,
-  x2: number,
-  y2: number,
-  stops: GradientStop[],
-  id?: string
-): LinearGradient;
-
-export function createRadialGradient(
-  x1: number,
-  y1: number,
-  r1: number,
-  r2: number,
-  stops: GradientStop[],
-  id?: string
-): RadialGradient;
-
-export function createTransform(
-  translateX?: number,
-  translateY?: number,
-  scaleX?: number,
-  scaleY?: number,
-  rotateDegrees?: number,
-  transformOrigin?: string
-): Transform;
-
-export function compileLinearGradient(gradient: LinearGradient): string;
-
-export function compileRadialGradient(gradient: RadialGradient): string;
+export interface Filter {
+  kind: "filter";
+  id?: string;
+  dropShadow?: DropShadow;
+  gaussianBlur?: GaussianBlur;
+  region: ViewBox;
+}
+
+export function createPattern(
+  source: SVGBuilder | Artist | SVGNode[],
+  width: number,
+  height: number,
+  options?: PatternOptions
+): Pattern;
+
+export function createStrokeOrFillElement(
+  strokeOrFill: StrokeOrFill
+): SVGNode | null;
 
 export function compileStrokeOrFill(strokeOrFill: StrokeOrFill): string;
 
+export interface PathStyle {
+  strokeDasharray?: number[] | string;
+  strokeDashoffset?: number;
+  strokeLinecap?: "butt" | "round" | "square";
+  strokeLinejoin?: "miter" | "round" | "bevel";
+  strokeMiterlimit?: number;
+  fillRule?: "nonzero" | "evenodd";
+  fillOpacity?: number;
+  strokeOpacity?: number;
+  clipPath?: string;
+  mask?: string;
+}
+
+export function pathStyleToAttributes(
+  style?: PathStyle
+): Record<string, string | number | undefined>;
+
+export function createPathElement(
+  d: string,
+  stroke?: StrokeOrFill,
+  strokeWidth?: number,
+  fill?: StrokeOrFill,
+  opacity?: number,
+  transform?: Transform,
+  filter?: Filter,
+  style?: PathStyle
+): SVGNode;
+
 export function compilePathElement(
   d: string,
   stroke?: StrokeOrFill,
   strokeWidth?: number,
   fill?: StrokeOrFill,
   opacity?: number,
-  transform?: Transform
+  transform?: Transform,
+  filter?: Filter,
+  style?: PathStyle
 ): string;
 
+export interface Text {
+  content: string;
+  position?: { x: number; y: number };
+  d?: string;
+  options?: TextOptions;
+}
+
+export function createTextElement(
+  text: Text,
+  stroke?: StrokeOrFill,
+  strokeWidth?: number,
+  fill?: StrokeOrFill,
+  opacity?: number,
+  transform?: Transform,
+  style?: PathStyle,
+  pathId?: string
+): SVGNode;
+
+export interface ImageOptions {
+  id?: string;
+  preserveAspectRatio?: string;
+  opacity?: number;
+  transform?: Transform;
+  clipPath?: string;
+  mask?: string;
+}
+
+export function createImageElement(
+  image: RasterImage,
+  rect?: Partial<ViewBox>,
+  options?: ImageOptions
+): SVGNode;
+
+export function createDropShadowElement(dropShadow: DropShadow): SVGNode;
+
 export function compileDropShadow(dropShadow: DropShadow): string;
 
+export function createGaussianBlurElement(gaussianBlur: GaussianBlur): SVGNode;
+
 export function compileGaussianBlur(gaussianBlur: GaussianBlur): string;
 
+export function computeFilterRegion(
+  bounds: ViewBox,
+  dropShadow?: DropShadow,
+  gaussianBlur?: GaussianBlur
+): ViewBox;
+
+export function createFilter(
+  region: ViewBox,
+  dropShadow?: DropShadow,
+  gaussianBlur?: GaussianBlur
+): Filter;
+
+export function createFilterElement(filter: Filter): SVGNode;
+
+export function compileFilter(filter: Filter): string;
+
+export function getPathBoundingBox(d: string): ViewBox | null;
+
+export interface PNGOptions {
+  width?: number;
+  height?: number;
+  scale?: number;
+  theme?: string;
+}
+
+export interface CompileOptions {
+  noVars?: boolean;
+  theme?: string;
+  bakeVars?: boolean;
+  minify?: boolean;
+  precision?: number;
+}
+
+export interface BoundingBoxOptions {
+  visual?: boolean;
+  getElementById?: (id: string) => SVGNode | null;
+}
+
+export function combineBoundingBoxes(
+  ...boxes: Array<ViewBox | null> | [Array<ViewBox | null>]
+): ViewBox | null;
+
+export function intersectBoundingBoxes(a: ViewBox, b: ViewBox): ViewBox | null;
+
+export function inflateBoundingBox(box: ViewBox, amount: number): ViewBox;
+
+export function getElementBoundingBox(
+  element: SVGNode,
+  options?: BoundingBoxOptions
+): ViewBox | null;
+
 export function buildDStringForEllipseArc(
   x: number,
   y: number,
@@ -122,13 +329,10 @@ export function buildDStringForRectangle(
   height: number
 ): string;
 
-export function buildDStringForLine(
-  A: { x: number; y: number },
-  B: { x: number; y: number }
-): string;
+export function buildDStringForLine(A: PointLike, B: PointLike): string;
 
 export function buildDStringForLineSequence(
-  points: [number, number][],
+  points: PointLike[],
   close?: boolean
 ): string;
 
@@ -148,30 +352,200 @@ export class Artist {
     transform?: Transform,
     dropShadow?: DropShadow,
     gaussianBlur?: GaussianBlur,
-    parentSVGBuilder?: SVGBuilder
+    parentSVGBuilder?: SVGBuilder,
+    style?: PathStyle
   );
 
+  style: PathStyle;
+  definitions: string[];
+  texts: Text[];
+  animations: Animation[];
+
+  setStyle(style: PathStyle): Artist;
   rectangle(x: number, y: number, width: number, height: number): Artist;
   rectangle({ x: number, y: number, width: number, height: number }): Artist;
-  circle(center: { x: number; y: number }, radius: number): Artist;
-  ellipse(center: { x: number; y: number }, rx: number, ry: number): Artist;
-  line(A: { x: number; y: number }, B: { x: number; y: number }): Artist;
-  lineSequence(points: [number, number][], close?: boolean): Artist;
-  curve(path: [number, number][], tension?: number): Artist;
+  circle(center: PointLike, radius: number): Artist;
+  ellipse(center: PointLike, rx: number, ry: number): Artist;
+  line(A: PointLike, B: PointLike): Artist;
+  path(d: string): Artist;
+  lineSequence(points: PointLike[], close?: boolean): Artist;
+  curve(
+    path: PointLike[],
+    tension?: number,
+    options?: {
+      mode?: "catmull-rom" | "cardinal" | "canonical" | "centripetal" | "chordal";
+      closed?: boolean;
+    }
+  ): Artist;
+  text(
+    content: string,
+    position: PointLike,
+    options?: TextOptions
+  ): Artist;
+  textOnPath(
+    content: string,
+    path: string | PointLike[],
+    tension?: number,
+    options?: TextOptions & {
+      mode?: "catmull-rom" | "cardinal" | "canonical" | "centripetal" | "chordal";
+      closed?: boolean;
+    }
+  ): Artist;
+  combine(
+    operation: BooleanOperation,
+    others: Array<Artist | SVGNode | BooleanOperand>,
+    options?: BooleanOptions
+  ): Artist;
+  union(...others: Array<Artist | SVGNode | BooleanOperand>): Artist;
+  intersect(...others: Array<Artist | SVGNode | BooleanOperand>): Artist;
+  difference(...others: Array<Artist | SVGNode | BooleanOperand>): Artist;
+  xor(...others: Array<Artist | SVGNode | BooleanOperand>): Artist;
+  offset(distance: number, options?: OffsetOptions): Artist;
+  outlineStroke(options?: BooleanOptions): Artist;
+  bakeTransform(): Artist;
+  animate(...animations: Animation[]): Artist;
   compile(): string;
-  commit(): SVGBuilder;
-  twoPointRectangle(point1: [number, number], point2: [number, number]): Artist;
+  commit(target?: SVGBuilder | SVGGroup): SVGBuilder | SVGGroup;
+  twoPointRectangle(point1: PointLike, point2: PointLike): Artist;
+}
+
+export interface GroupOptions {
+  id?: string;
+  stroke?: StrokeOrFill;
+  strokeWidth?: number;
+  fill?: StrokeOrFill;
+  opacity?: number;
+  transform?: Transform;
+  dropShadow?: DropShadow;
+  gaussianBlur?: GaussianBlur;
+  clipPath?: string;
+  mask?: string;
+  style?: PathStyle;
+}
+
+export class SVGGroup {
+  constructor(
+    builder: SVGBuilder,
+    options?: GroupOptions,
+    nested?: boolean,
+    node?: SVGNode
+  );
+
+  builder: SVGBuilder;
+  node: SVGNode;
+  nested: boolean;
+  filter: Filter | undefined;
+
+  setStroke(stroke?: StrokeOrFill): this;
+  setStrokeWidth(strokeWidth?: number): this;
+  setFill(fill?: StrokeOrFill): this;
+  setOpacity(opacity?: number): this;
+  setTransform(transform?: Transform): this;
+  setStyle(style?: PathStyle): this;
+  setClipPath(clipPath?: string): this;
+  setMask(mask?: string): this;
+  setFilter(dropShadow?: DropShadow, gaussianBlur?: GaussianBlur): this;
+  updateFilterRegion(): this;
+  addPath(
+    d: string,
+    stroke?: StrokeOrFill,
+    strokeWidth?: number,
+    fill?: StrokeOrFill,
+    opacity?: number,
+    transform?: Transform,
+    dropShadow?: DropShadow,
+    gaussianBlur?: GaussianBlur,
+    style?: PathStyle
+  ): this;
+  addText(
+    text: Text,
+    stroke?: StrokeOrFill,
+    strokeWidth?: number,
+    fill?: StrokeOrFill,
+    opacity?: number,
+    transform?: Transform,
+    style?: PathStyle
+  ): this;
+  image(
+    source: string | Buffer,
+    rect?: Partial<ViewBox>,
+    options?: ImageOptions
+  ): this;
+  animate(...animations: Animation[]): this;
+  artist(
+    stroke?: StrokeOrFill,
+    strokeWidth?: number,
+    fill?: StrokeOrFill,
+    opacity?: number,
+    transform?: Transform,
+    dropShadow?: DropShadow,
+    gaussianBlur?: GaussianBlur,
+    style?: PathStyle
+  ): Artist;
+  group(options?: GroupOptions): SVGGroup;
+  layer(name: string, options?: GroupOptions): SVGGroup;
+  setName(name: string): this;
+  getContentBoundingBox(options?: BoundingBoxOptions): ViewBox | null;
+  remove(): this;
+}
+
+export interface StrokePaint {
+  stroke?: string;
+  strokeWidth: number | string;
+  strokeLinecap?: string;
+  strokeLinejoin?: string;
+  strokeMiterlimit?: number | string;
+  strokeDasharray?: string;
+  strokeDashoffset?: number | string;
 }
 
 export default class SVGBuilder {
   constructor(width: number, height: number, viewBox?: ViewBox);
 
+  elements: SVGNode[];
+  defs: SVGNode[];
+  groups: SVGGroup[];
+  width: number;
+  height: number;
+  viewBox: ViewBox;
+  vars: Record<string, string>;
+  themes: Record<string, Theme>;
+  themeScope: string | undefined;
+  namespaces: Record<string, string>;
+  cssAnimations: { selector: string; keyframes: string; value: string }[];
+
   static create(width: number, height: number, viewBox?: ViewBox): SVGBuilder;
+  static fromSVG(text: string): SVGBuilder;
+  static fromJSON(json: string | DocumentData): SVGBuilder;
 
   setVar(key: string, value: string): this;
   setVars(vars: Record<string, string>): this;
+  setTheme(name: string, vars: Record<string, string>, options?: ThemeOptions): this;
+  setThemeScope(className?: string): this;
+  getThemeScope(): string;
+  getThemeVars(theme?: string): Record<string, string>;
+  validateVars(theme?: string): this;
   getUniqueId(prefix: string, identifyingData?: any): string;
   withUniqueId(prefix: string, item: any): any;
+  resolveStrokeOrFill(
+    prefix: "stroke" | "fill",
+    strokeOrFill?: StrokeOrFill,
+    inherit?: boolean
+  ): string | undefined;
+  createPath(
+    d: string,
+    stroke?: StrokeOrFill,
+    strokeWidth?: number,
+    fill?: StrokeOrFill,
+    opacity?: number,
+    transform?: Transform,
+    dropShadow?: DropShadow,
+    gaussianBlur?: GaussianBlur,
+    style?: PathStyle,
+    inherit?: boolean,
+    inheritedPaint?: StrokePaint
+  ): SVGNode;
+  createConicFill(pathElement: SVGNode, gradient: ConicGradient): SVGNode;
   addPath(
     d: string,
     stroke?: StrokeOrFill,
@@ -180,10 +554,45 @@ export default class SVGBuilder {
     opacity?: number,
     transform?: Transform,
     dropShadow?: DropShadow,
-    gaussianBlur?: GaussianBlur
+    gaussianBlur?: GaussianBlur,
+    style?: PathStyle
   ): this;
+  createText(
+    text: Text,
+    stroke?: StrokeOrFill,
+    strokeWidth?: number,
+    fill?: StrokeOrFill,
+    opacity?: number,
+    transform?: Transform,
+    style?: PathStyle,
+    inherit?: boolean
+  ): SVGNode;
+  addText(
+    text: Text,
+    stroke?: StrokeOrFill,
+    strokeWidth?: number,
+    fill?: StrokeOrFill,
+    opacity?: number,
+    transform?: Transform,
+    style?: PathStyle
+  ): this;
+  image(
+    source: string | Buffer,
+    rect?: Partial<ViewBox>,
+    options?: ImageOptions
+  ): this;
+  animate(target: SVGNode | string, ...animations: Animation[]): this;
+  clipPath(artist: Artist): string;
+  mask(source: SVGBuilder | Artist): string;
+  group(options?: GroupOptions): SVGGroup;
+  layer(name: string, options?: GroupOptions): SVGGroup;
+  findLayer(parent: SVGNode | null, name: string): SVGGroup | undefined;
   setDropShadow(dropShadow: DropShadow): this;
   setGaussianBlur(gaussianBlur: GaussianBlur): this;
+  find(predicate: (node: SVGNode) => boolean): SVGNode | null;
+  findAll(predicate: (node: SVGNode) => boolean): SVGNode[];
+  getElementById(id: string): SVGNode | null;
+  removeElement(node: SVGNode): this;
   artist(
     stroke?: StrokeOrFill,
     strokeWidth?: number,
@@ -191,15 +600,21 @@ export default class SVGBuilder {
     opacity?: number,
     transform?: Transform,
     dropShadow?: DropShadow,
-    gaussianBlur?: GaussianBlur
+    gaussianBlur?: GaussianBlur,
+    style?: PathStyle
   ): Artist;
-  compile(noVars?: boolean): string;
+  createVarsElement(): SVGNode;
+  createAnimationStyleElement(): SVGNode;
+  createDocumentElement(): SVGNode;
+  buildDocument(options?: boolean | CompileOptions): SVGNode;
+  compile(options?: boolean | CompileOptions): string;
+  toJSON(): DocumentData;
   compileMask(maskId: string, noVars?: boolean): string;
-  getContentBoundingBox(): {
-    x: number;
-    y: number;
-    width: number;
-    height: number;
-  };
-  adjustViewboxToFitContent(paddingX: number = 0, paddingY: number = 0): this;
+  toPNG(options?: PNGOptions): Buffer;
+  getContentBoundingBox(options?: BoundingBoxOptions): ViewBox | null;
+  adjustViewboxToFitContent(
+    paddingX?: number,
+    paddingY?: number,
+    options?: BoundingBoxOptions
+  ): this;
 }
@@ -5,33 +5,225 @@
  *
  * Path:
  *     ellipse, rectangle, line-segment, line-segment-path (closable),
- *     quadratic Bezier, cubic Bezier, Catmull-Rom spline, Canonical Spline
+ *     quadratic Bezier, cubic Bezier, Catmull-Rom spline (uniform, centripetal, chordal), Canonical Spline,
+ *     closed loop splines
  *
  * !! Other shape tags are not supported since they are practically redundant with <Path> tag
  *
+ * Text:
+ *     <text> on a line or following a path,
+ *     or glyph outlines from TrueType, OpenType and WOFF fonts, which render the same everywhere
+ *
  * Stroke and Fill :
  *     color
- *     radial gradient
+ *     radial gradient, with a focal circle
  *     linear gradient
+ *     gradient units, spread method and transform
+ *     conic gradient fills, approximated with wedges
+ *     patterns tiled from builders, artists or presets (hatching, cross-hatching, dots, checkerboard)
+ *     fill rule, separate fill and stroke opacity
+ *
+ * Stroke width, dashes, caps, joins and miter limit
+ *
+ * Groups:
+ *    nested <g> layers with shared transform, opacity, filter, clip, mask, stroke and fill
+ *
+ * Boolean operations:
+ *    union, intersection, difference and xor of filled areas, as plain polygons
  *
- * Stroke width
+ * Offsets and outlined strokes:
+ *    filled areas grown or shrunk by a distance, strokes converted to filled outlines
+ *
+ * Clip paths and masks:
+ *    built from Artist geometry or whole builders, used by paths and groups
  *
  * Filters:
  *    drop shadow
  *    gaussian blur
  *
- * Embedded Images (base64)
- *     Not yet supported
+ * Embedded Images (base64):
+ *     PNG, JPEG, WebP and GIF files, sized from their headers
  *
  * Animations:
- *    Not yet supported
+ *    keyframed transform, opacity, colors, dash offset, "draw-on" strokes and path morphing,
+ *    written as SMIL elements or CSS @keyframes
+ *
+ * Themes:
+ *    CSS variables scoped to a class of the root element, named themes selected by class
+ *    or by the preferred color scheme, checks for undefined variables, and baked literal values
+ *
+ * Minified output:
+ *    rounded and shortened path data, no unused or duplicate definitions, no redundant attributes
+ *
+ * Safe output:
+ *    escaped attribute values and text, with colors, numbers and ids validated when compiled
+ *
+ * Points:
+ *    [x, y] tuples, {x, y} objects or Vec2 vectors wherever an Artist takes a point
  *
  * ViewBox
+ *
+ * Rasterization:
+ *    PNG output in pure JavaScript (SVGBuilder.toPNG)
+ *
+ * Import:
+ *    existing SVG documents, with basic shapes converted to paths (SVGBuilder.fromSVG)
+ *
+ * Save and load:
+ *    documents as versioned JSON data (toJSON, SVGBuilder.fromJSON), migrated from older versions
+ *
+ * Command line:
+ *    svg-designer renders design modules to SVG, PNG and JSON files, with CSS variable overrides and a watch mode
  */
 
 import { buildSplineDString } from "./spline.js";
 import PointMath from "./math/PointMath.js";
-import getBounds from "svg-path-bounding-box";
+import SVGNode from "./SVGNode.js";
+import { parsePathData, serializePathData } from "./pathData.js";
+import importSVG from "./importSVG.js";
+import { prefixIds } from "./references.js";
+import { combinePaths } from "./boolean.js";
+import {
+  DOCUMENT_FORMAT,
+  DOCUMENT_VERSION,
+  migrateDocument,
+  validateNodeData,
+} from "./schema.js";
+import {
+  checkThemeName,
+  checkVarNames,
+  checkVarValues,
+  createThemeStyleElement,
+  findUndefinedVars,
+  getDefaultThemeScope,
+  getThemeClass,
+  replaceVars,
+} from "./theme.js";
+import { createPatternElement, createPatternFromElements } from "./pattern.js";
+import { checkUniqueIds } from "./validate.js";
+import {
+  createConicGradientWedges,
+  createLinearGradientElement,
+  createRadialGradientElement,
+} from "./gradient.js";
+import { offsetPath, outlineStroke } from "./offset.js";
+import { optimizeDocument } from "./optimize.js";
+import { rasterize } from "./rasterize.js";
+import { flattenPathData, getPathLength } from "./flatten.js";
+import { parseDasharray, strokePolylines } from "./stroke.js";
+import { encodePNG } from "./png.js";
+import { readImage, toDataURI } from "./image.js";
+import {
+  compileCSSAnimationValue,
+  compileCSSKeyframes,
+  createAnimationElements,
+} from "./animation.js";
+import {
+  getFontFamily,
+  textOnPathToPathData,
+  textToPathData,
+} from "./text.js";
+import {
+  getPathDataBoundingBox,
+  getMatrixScale,
+  resolveFilterRegion,
+  resolveMaskRegion,
+} from "./bounds.js";
+import {
+  IDENTITY_MATRIX,
+  applyMatrixToBoundingBox,
+  applyMatrixToPoint,
+  getPointsBoundingBox,
+  multiplyMatrices,
+  parseTransformAttribute,
+  resolveTransformOrigin,
+  transformPathData,
+  transformToMatrix,
+} from "./transform.js";
+
+export { SVGNode };
+export {
+  getGeometryBoundingBox,
+  getPathDataBoundingBox,
+  resolveFilterRegion,
+  resolveMaskRegion,
+} from "./bounds.js";
+export {
+  parsePathData,
+  serializePathData,
+  absolutizePath,
+  normalizePath,
+  executeSVGStateMachine,
+  getArcCenterParameters,
+  arcToCubicBeziers,
+} from "./pathData.js";
+export {
+  createTransform,
+  createMatrixTransform,
+  compileTransform,
+  transformOriginToString,
+  resolveTransformOrigin,
+  parseTransformAttribute,
+  transformToMatrix,
+  invertTransform,
+  invertMatrix,
+  matrixToString,
+  composeMatrices,
+  translateMatrix,
+  scaleMatrix,
+  rotateMatrix,
+  skewXMatrix,
+  skewYMatrix,
+  applyMatrixToPoint,
+} from "./transform.js";
+export { shapeToPathData } from "./importSVG.js";
+export { loadFont, measureText } from "./text.js";
+export { readImage, sniffImage, toDataURI } from "./image.js";
+export { createAnimation, createDrawOnAnimation } from "./animation.js";
+export { combinePaths } from "./boolean.js";
+export {
+  createLinearGradient,
+  createRadialGradient,
+  createConicGradient,
+  createLinearGradientElement,
+  createRadialGradientElement,
+  compileLinearGradient,
+  compileRadialGradient,
+  createConicGradientWedges,
+  normalizeGradientStops,
+} from "./gradient.js";
+export {
+  createPatternFromElements,
+  createPatternElement,
+  compilePattern,
+  createHatchPattern,
+  createCrossHatchPattern,
+  createDotsPattern,
+  createCheckerboardPattern,
+} from "./pattern.js";
+export { offsetPath, outlineStroke } from "./offset.js";
+export { optimizeDocument } from "./optimize.js";
+export { minifyPathData } from "./pathData.js";
+export { default as PointMath, Vec2 } from "./math/PointMath.js";
+export { DOCUMENT_VERSION, migrateDocument } from "./schema.js";
+export { getThemeClass, resolveVars } from "./theme.js";
+export { escapeAttribute, escapeText } from "./SVGNode.js";
+export {
+  checkColor,
+  checkFiniteNumber,
+  checkId,
+  isValidColor,
+  isValidId,
+  isValidPaint,
+} from "./validate.js";
+
+/**
+ * @typedef {import("./math/PointMath.js").PointLike} PointLike
+ * @typedef {import("./theme.js").Theme} Theme
+ * @typedef {import("./theme.js").ThemeOptions} ThemeOptions
+ * @typedef {import("./transform.js").TransformOrigin} TransformOrigin
+ * @typedef {import("./transform.js").Transform|import("./transform.js").MatrixTransform} Transform
+ */
 
 export function combineBoundingBoxes(...boxes) {
   // Allow function to be called variadically or with an array
@@ -54,525 +246,970 @@ export function combineBoundingBoxes(...boxes) {
 }
 
 /**
- * @typedef {Object} SVGCommand
- *
- * @property {string} name
- * @property {number[]} args
+ * @param {ViewBox} a
+ * @param {ViewBox} b
+ * @returns {ViewBox|null} - the area inside both boxes, null when they do not overlap
  */
+export function intersectBoundingBoxes(a, b) {
+  const x = Math.max(a.x, b.x);
+  const y = Math.max(a.y, b.y);
+  const width = Math.min(a.x + a.width, b.x + b.width) - x;
+  const height = Math.min(a.y + a.height, b.y + b.height) - y;
+  return width >= 0 && height >= 0 ? { x, y, width, height } : null;
+}
 
 /**
- * @typedef {Object} LineData
- * @property {"line"} [kind="line"]
- * @property {Point} p1
- * @property {Point} p2
+ * Grows a bounding box by the same amount on every side
+ * @param {ViewBox} box
+ * @param {number} amount
+ * @returns {ViewBox}
  */
+export function inflateBoundingBox(box, amount) {
+  return {
+    x: box.x - amount,
+    y: box.y - amount,
+    width: box.width + 2 * amount,
+    height: box.height + 2 * amount,
+  };
+}
 
 /**
- * @typedef {Object} PathData
- * @property {"path"} [kind="path"]
- * @property {Point[]} path
- * @property {boolean} [closed=false]
+ * @typedef {import("./gradient.js").GradientStop} GradientStop
+ * @typedef {import("./gradient.js").LinearGradient} LinearGradient
+ * @typedef {import("./gradient.js").RadialGradient} RadialGradient
+ * @typedef {import("./gradient.js").ConicGradient} ConicGradient
  */
 
 /**
- * @typedef {Object} RectData
- * @property {"rect"} [kind="rect"]
- * @property {Point} position
- * @property {number} width
- * @property {number} height
+ * @typedef {import("./pattern.js").Pattern} Pattern
+ * @typedef {import("./pattern.js").PatternOptions} PatternOptions
  */
 
 /**
+ * Conic gradients can only fill paths
  *
- * Tbh, SVG ellipse arcs are one of the most
- * mind boggling data types
- *
- * I don't feel like learning the math
- *
- * I just copy the raw data
- * and ship it off to well know library 'svg-path-bounding-box'
- * and call it a day
- *
- * @typedef {Object} RawSVGAbsoluteEllipseArcData
- * @property {"ellipseArc"} [kind="ellipseArc"]
- * @property {Point} absoluteStart
- * @property {number} rX
- * @property {number} rY
- * @property {number} startAngle
- * @property {number} endAngle
- * @property {boolean} [largeArcFlag=false]
- * @property {boolean} [sweepFlag=false]
- * @property {Point} absoluteEnd
+ * @typedef {string|LinearGradient|RadialGradient|ConicGradient|Pattern} StrokeOrFill
+ */
+
+/**
+ * @typedef {Object} DropShadow
+ * @property {string} [id=undefined]
+ * @property {number} dx
+ * @property {number} dy
+ * @property {number} stdDeviation
+ * @property {string} color
+ */
+
+/**
+ * @typedef {Object} GaussianBlur
+ * @property {string} [id=undefined]
+ * @property {number} stdDeviation
  */
 
 /**
- * @typedef {Object} QuadraticBezierData
+ * A chain of effects applied to a single element
+ *
+ * The blur (if any) is applied to the source graphic first,
+ * and the drop shadow (if any) is cast by the blurred result
  *
- * @property {"quadraticBezier"} [kind="quadraticBezier"]
- * @property {Point} p1
- * @property {Point} p2
- * @property {Point} p3
+ * @typedef {Object} Filter
+ * @property {"filter"} kind
+ * @property {string} [id=undefined]
+ * @property {DropShadow} [dropShadow=undefined]
+ * @property {GaussianBlur} [gaussianBlur=undefined]
+ * @property {ViewBox} region - filter region in the user space of the element
  */
 
 /**
- * @typedef {Object} CubicBezierData
+ * Stroke and fill settings beyond paint and stroke width
  *
- * @property {"cubicBezier"} [kind="cubicBezier"]
- * @property {Point} p1
- * @property {Point} p2
- * @property {Point} p3
+ * @typedef {Object} PathStyle
+ * @property {Array<number>|string} [strokeDasharray=undefined] - lengths of alternating dashes and gaps
+ * @property {number} [strokeDashoffset=undefined] - distance into the dash pattern where the stroke starts
+ * @property {"butt"|"round"|"square"} [strokeLinecap=undefined]
+ * @property {"miter"|"round"|"bevel"} [strokeLinejoin=undefined]
+ * @property {number} [strokeMiterlimit=undefined] - longest miter allowed, as a multiple of the stroke width
+ * @property {"nonzero"|"evenodd"} [fillRule=undefined] - how overlapping subpaths fill, "evenodd" for shapes with holes
+ * @property {number} [fillOpacity=undefined]
+ * @property {number} [strokeOpacity=undefined]
+ * @property {string} [clipPath=undefined] - id of a <clipPath> definition, such as one made by `SVGBuilder.clipPath`
+ * @property {string} [mask=undefined] - id of a <mask> definition, such as one made by `SVGBuilder.mask`
  */
 
 /**
- * @typedef { LineData | PathData | RawSVGAbsoluteEllipseArcData | RectData | QuadraticBezierData | CubicBezierData } SupportedGeometryData
+ * Attribute of each path style setting
  */
+const pathStyleAttributes = {
+  strokeDasharray: "stroke-dasharray",
+  strokeDashoffset: "stroke-dashoffset",
+  strokeLinecap: "stroke-linecap",
+  strokeLinejoin: "stroke-linejoin",
+  strokeMiterlimit: "stroke-miterlimit",
+  fillRule: "fill-rule",
+  fillOpacity: "fill-opacity",
+  strokeOpacity: "stroke-opacity",
+  clipPath: "clip-path",
+  mask: "mask",
+};
 
-const supportedSVGPathDLetters = "MLHVZCQA";
+/**
+ * Path style settings that reference a definition by its id
+ */
+const pathStyleReferences = ["clipPath", "mask"];
 
 /**
- * @param {Array<SVGCommand>} svgCommandss
- * @returns {Array<SupportedGeometryData>}
+ * Converts a path style to presentation attributes
+ * @param {PathStyle} [style={}]
+ * @returns {Object<string,string|number|undefined>} - unset settings are undefined, and unset references are left out
  */
-function executeSVGStateMachine(svgCommands) {
-  /**
-   * @type {Array<SupportedGeometryData>}
-   *
-   */
-  const geometry = [];
-  let brushTip = null;
-  function setBrushTip(point) {
-    brushTip = point;
-  }
-  function fromBrushTip(delta) {
-    if (brushTip === null) {
-      throw new Error("Brush tip not set");
+export function pathStyleToAttributes(style = {}) {
+  const attributes = {};
+  for (const [key, name] of Object.entries(pathStyleAttributes)) {
+    const value = style[key];
+    if (pathStyleReferences.includes(key)) {
+      // Left out when unset, so that groups keep the references set with setClipPath and setMask
+      if (value) {
+        attributes[name] = `url(#${value})`;
+      }
+    } else {
+      attributes[name] = Array.isArray(value) ? value.join(" ") : value;
     }
-    return PointMath.sum(brushTip, delta);
   }
+  return attributes;
+}
 
-  function shiftPointIfNeeded(commandName, value) {
-    if (commandName.toUpperCase() === commandName) {
-      return value;
+/**
+ * Creates the definition element needed by a stroke or fill, if any
+ * @param {StrokeOrFill} strokeOrFill
+ * @returns {SVGNode|null} - null for plain colors
+ */
+export function createStrokeOrFillElement(strokeOrFill) {
+  if (typeof strokeOrFill === "object" && strokeOrFill !== null) {
+    if (strokeOrFill.kind === "linear-gradient") {
+      return createLinearGradientElement(strokeOrFill);
+    }
+    if (strokeOrFill.kind === "radial-gradient") {
+      return createRadialGradientElement(strokeOrFill);
+    }
+    if (strokeOrFill.kind === "pattern") {
+      return createPatternElement(strokeOrFill);
+    }
+    if (strokeOrFill.kind === "conic-gradient") {
+      throw new Error(
+        "Conic gradients can only fill paths, as they are drawn with wedges clipped to the path"
+      );
     }
-    return fromBrushTip(value);
   }
-  /**
-   *
-   * @param {SVGCommand} command
-   */
-  function processCommand(command) {
-    switch (command.name) {
-      case "M": // Move to (absolute)
-      case "m": {
-        // Move to (relative)
-        const [x, y] = command.args;
-        const point = shiftPointIfNeeded(command.name, [x, y]);
-        setBrushTip(point);
-        break;
-      }
-
-      case "L": // Line to (absolute)
-      case "l": {
-        // Line to (relative)
-        const [x, y] = command.args;
-        const point = shiftPointIfNeeded(command.name, [x, y]);
-        geometry.push({
-          kind: "line",
-          p1: brushTip, // Both p1 and p2 should be tuples
-          p2: point,
-        });
-        setBrushTip(point);
-        break;
-      }
-
-      case "H": // Horizontal line to (absolute)
-      case "h": {
-        // Horizontal line to (relative)
-        const [x] = command.args;
-        const point = shiftPointIfNeeded(command.name, [x, brushTip[1]]);
-        geometry.push({
-          kind: "line",
-          p1: brushTip,
-          p2: point,
-        });
-        setBrushTip(point);
-        break;
-      }
-
-      case "V": // Vertical line to (absolute)
-      case "v": {
-        // Vertical line to (relative)
-        const [y] = command.args;
-        const point = shiftPointIfNeeded(command.name, [brushTip[0], y]);
-        geometry.push({
-          kind: "line",
-          p1: brushTip,
-          p2: point,
-        });
-        setBrushTip(point);
-        break;
-      }
-
-      case "C": // Cubic Bezier curve (absolute)
-      case "c": {
-        // Cubic Bezier curve (relative)
-        const [cx1, cy1, cx2, cy2, x, y] = command.args;
-        const controlPoint1 = shiftPointIfNeeded(command.name, [cx1, cy1]);
-        const controlPoint2 = shiftPointIfNeeded(command.name, [cx2, cy2]);
-        const endPoint = shiftPointIfNeeded(command.name, [x, y]);
-
-        geometry.push({
-          kind: "cubicBezier",
-          p1: brushTip,
-          cp1: controlPoint1,
-          cp2: controlPoint2,
-          p2: endPoint,
-        });
-
-        setBrushTip(endPoint);
-        break;
-      }
-
-      case "Q": // Quadratic Bezier curve (absolute)
-      case "q": {
-        // Quadratic Bezier curve (relative)
-        const [cx, cy, x, y] = command.args;
-        const controlPoint = shiftPointIfNeeded(command.name, [cx, cy]);
-        const endPoint = shiftPointIfNeeded(command.name, [x, y]);
-
-        geometry.push({
-          kind: "quadraticBezier",
-          p1: brushTip,
-          cp: controlPoint,
-          p2: endPoint,
-        });
+  return null;
+}
 
-        setBrushTip(endPoint);
-        break;
-      }
+export function compileStrokeOrFill(strokeOrFill) {
+  const element = createStrokeOrFillElement(strokeOrFill);
+  return element ? element.compile() : "";
+}
 
-      case "A": // Arc (absolute)
-      case "a": {
-        const [rX, rY, angle, largeArcFlag, sweepFlag, x, y] = command.args;
-        // Need a copy, not a reference
-        // Could have also use JSON.parse(JSON.stringify()) if I wanted to
-        const absoluteStart = shiftPointIfNeeded(command.name, [0, 0]);
-        const absoluteEnd = shiftPointIfNeeded(command.name, [x, y]);
-        const arcData = {
-          kind: "ellipseArc",
-          absoluteStart,
-          rX,
-          rY,
-          angle,
-          largeArcFlag,
-          sweepFlag,
-          absoluteEnd,
-        };
-        geometry.push(arcData);
-        break;
-      }
+/**
+ * @param {StrokeOrFill} [strokeOrFill]
+ * @returns {string} - the value of a stroke or fill attribute
+ */
+function strokeOrFillToAttribute(strokeOrFill) {
+  if (!strokeOrFill) {
+    return "none";
+  }
+  return typeof strokeOrFill === "string"
+    ? strokeOrFill
+    : `url(#${strokeOrFill.id})`;
+}
 
-      case "Z": // Close path
-      case "z": {
-        if (geometry.length && geometry[0].p1) {
-          geometry.push({
-            kind: "line",
-            p1: brushTip,
-            p2: geometry[0].p1, // Close the path to the starting point
-          });
-        }
-        break;
-      }
+/**
+ * Creates a path element
+ * @param {string} d
+ * @param {StrokeOrFill} [stroke]
+ * @param {number} [strokeWidth=1.0]
+ * @param {StrokeOrFill} [fill]
+ * @param {number} [opacity=1.0]
+ * @param {Transform} [transform]
+ * @param {Filter} [filter]
+ * @param {PathStyle} [style={}]
+ * @returns {SVGNode}
+ */
+export function createPathElement(
+  d,
+  stroke,
+  strokeWidth = 1.0,
+  fill,
+  opacity = 1.0,
+  transform,
+  filter,
+  style = {}
+) {
+  return new SVGNode("path", {
+    d,
+    stroke: strokeOrFillToAttribute(stroke),
+    fill: strokeOrFillToAttribute(fill),
+    opacity,
+    "stroke-width": strokeWidth,
+    ...pathStyleToAttributes(style),
+    filter: filter ? `url(#${filter.id})` : undefined,
+  }).setTransform(transform);
+}
 
-      default:
-        throw new Error(`Unsupported SVG command: ${command.name}`);
-    }
-  }
-  for (const command of svgCommands) {
-    processCommand(command);
-  }
-  return geometry;
+/**
+ * Compiles a path element to an SVG string
+ * @param {string} d
+ * @param {StrokeOrFill} [stroke]
+ * @param {number} [strokeWidth=1.0]
+ * @param {StrokeOrFill} [fill]
+ * @param {number} [opacity=1.0]
+ * @param {Transform} [transform]
+ * @param {Filter} [filter]
+ * @param {PathStyle} [style]
+ * @returns {string}
+ */
+export function compilePathElement(
+  d,
+  stroke,
+  strokeWidth,
+  fill,
+  opacity,
+  transform,
+  filter,
+  style
+) {
+  const pathElement = createPathElement(
+    d,
+    stroke,
+    strokeWidth,
+    fill,
+    opacity,
+    transform,
+    filter,
+    style
+  );
+  return resolveTransformOrigins(pathElement).compile();
 }
 
 /**
- * @typedef {Object} GradientStop
+ * A run of text drawn with the fonts of the viewer
  *
- * @property {number} offset
- * @property {string} color
- * @property {number} opacity
+ * @typedef {Object} Text
+ * @property {string} content
+ * @property {{x: number, y: number}} [position=undefined] - where text on a line is anchored
+ * @property {string} [d=undefined] - path data followed by text on a path
+ * @property {import("./text.js").TextOptions} [options={}]
  */
 
 /**
- * @typedef {Object} LinearGradient
+ * Creates a text element
  *
- * @property {"linear-gradient"} kind
- * @property {string} [id=undefined]
- * @property {number} x1
- * @property {number} x2
- * @property {number} y1
- * @property {number} y2
- * @property {GradientStop[]} stops
+ * Text on a path references the path through its id,
+ * so the path has to be defined separately
+ *
+ * @param {Text} text
+ * @param {StrokeOrFill} [stroke]
+ * @param {number} [strokeWidth]
+ * @param {StrokeOrFill} [fill]
+ * @param {number} [opacity]
+ * @param {Transform} [transform]
+ * @param {PathStyle} [style={}]
+ * @param {string} [pathId] - id of the path followed by text on a path
+ * @returns {SVGNode}
  */
+export function createTextElement(
+  text,
+  stroke,
+  strokeWidth,
+  fill,
+  opacity,
+  transform,
+  style = {},
+  pathId
+) {
+  const { fontFamily, fontSize = 16, anchor, baseline, font, startOffset } =
+    text.options ?? {};
+  const element = new SVGNode("text", {
+    x: text.position?.x,
+    y: text.position?.y,
+    "font-family": fontFamily ?? (font ? getFontFamily(font) : undefined),
+    "font-size": fontSize,
+    "text-anchor": anchor,
+    "dominant-baseline": baseline,
+    stroke: strokeOrFillToAttribute(stroke),
+    fill: strokeOrFillToAttribute(fill),
+    opacity,
+    "stroke-width": strokeWidth,
+    ...pathStyleToAttributes(style),
+  }).setTransform(transform);
+  if (pathId === undefined) {
+    return element.setText(text.content);
+  }
+  return element.appendChild(
+    new SVGNode("textPath", {
+      href: `#${pathId}`,
+      startOffset,
+    }).setText(text.content)
+  );
+}
 
 /**
- * @typedef {Object} RadialGradient
- *
- * @property {"radial-gradient"} kind
+ * @typedef {Object} ImageOptions
  * @property {string} [id=undefined]
- * @property {number} x1
- * @property {number} y1
- * @property {number} r1
- * @property {number} r2
- * @property {GradientStop[]} stops
+ * @property {string} [preserveAspectRatio=undefined] - how the image fits its rectangle, "xMidYMid meet" when unset
+ * @property {number} [opacity=undefined]
+ * @property {Transform} [transform=undefined]
+ * @property {string} [clipPath=undefined] - id of a <clipPath> definition
+ * @property {string} [mask=undefined] - id of a <mask> definition
  */
 
 /**
- * @typedef {string|LinearGradient|RadialGradient} StrokeOrFill
+ * Creates an image element embedding the image as a data URI
+ *
+ * A missing width or height follows from the other and the aspect ratio of the image,
+ * and the pixel size is used when both are missing
+ *
+ * @param {import("./image.js").RasterImage} image
+ * @param {Partial<ViewBox>} [rect={}] - where the image is drawn
+ * @param {ImageOptions} [options={}]
+ * @returns {SVGNode}
  */
+export function createImageElement(image, rect = {}, options = {}) {
+  const aspectRatio = image.width / image.height;
+  const width =
+    rect.width ??
+    (rect.height !== undefined ? rect.height * aspectRatio : image.width);
+  const height =
+    rect.height ??
+    (rect.width !== undefined ? rect.width / aspectRatio : image.height);
+  return new SVGNode("image", {
+    id: options.id,
+    x: rect.x ?? 0,
+    y: rect.y ?? 0,
+    width,
+    height,
+    href: toDataURI(image),
+    preserveAspectRatio: options.preserveAspectRatio,
+    opacity: options.opacity,
+    "clip-path": options.clipPath ? `url(#${options.clipPath})` : undefined,
+    mask: options.mask ? `url(#${options.mask})` : undefined,
+  }).setTransform(options.transform);
+}
 
 /**
- * @typedef {"center" | [number, number]} TransformOrigin
+ * Creates a standalone drop shadow filter element
+ * @param {DropShadow} dropShadow
+ * @returns {SVGNode}
  */
+export function createDropShadowElement(dropShadow) {
+  return new SVGNode(
+    "filter",
+    { id: dropShadow.id, x: "-50%", y: "-50%", width: "200%", height: "200%" },
+    [
+      new SVGNode("feDropShadow", {
+        dx: dropShadow.dx,
+        dy: dropShadow.dy,
+        stdDeviation: dropShadow.stdDeviation,
+        "flood-color": dropShadow.color,
+      }),
+    ]
+  );
+}
 
 /**
- * @typedef {Object} Transform
- * @property {number} translateX
- * @property {number} translateY
- * @property {number} scaleX
- * @property {number} scaleY
- * @property {number} rotateDegrees
- * @property {TransformOrigin} transformOrigin
+ * Compiles a drop shadow filter to an SVG string
+ * @param {DropShadow} dropShadow
+ * @returns {string}
  */
+export function compileDropShadow(dropShadow) {
+  return createDropShadowElement(dropShadow).compile();
+}
 
 /**
- * @typedef {Object} DropShadow
- * @property {string} [id=undefined]
- * @property {number} dx
- * @property {number} dy
- * @property {number} stdDeviation
- * @property {string} color
+ * Creates a standalone Gaussian blur filter element
+ * @param {GaussianBlur} gaussianBlur
+ * @returns {SVGNode}
  */
+export function createGaussianBlurElement(gaussianBlur) {
+  return new SVGNode(
+    "filter",
+    {
+      id: gaussianBlur.id,
+      x: "-50%",
+      y: "-50%",
+      width: "200%",
+      height: "200%",
+    },
+    [new SVGNode("feGaussianBlur", { stdDeviation: gaussianBlur.stdDeviation })]
+  );
+}
 
 /**
- * @typedef {Object} GaussianBlur
- * @property {string} [id=undefined]
- * @property {number} stdDeviation
+ * Compiles a Gaussian blur filter to an SVG string
+ * @param {GaussianBlur} gaussianBlur
+ * @returns {string}
  */
-
-function transformOriginToString(origin) {
-  return typeof origin === "string" ? origin : `${origin[0]} ${origin[1]}`;
+export function compileGaussianBlur(gaussianBlur) {
+  return createGaussianBlurElement(gaussianBlur).compile();
 }
 
 /**
- * Creates a linear gradient object
- * @param {number} x1
- * @param {number} y1
- * @param {number} x2
- * @param {number} y2
- * @param {GradientStop[]} stops
- * @param {string} id
- * @returns {LinearGradient}
+ * Computes how far an effect chain can spread beyond the element it is applied to
+ *
+ * A gaussian kernel is effectively zero past 3 standard deviations
+ *
+ * @param {DropShadow} [dropShadow]
+ * @param {GaussianBlur} [gaussianBlur]
+ * @returns {{left: number, top: number, right: number, bottom: number}}
  */
-export function createLinearGradient(x1, y1, x2, y2, stops) {
-  return {
-    kind: "linear-gradient",
-    x1,
-    y1,
-    x2,
-    y2,
-    stops,
+function getFilterSpread(dropShadow, gaussianBlur) {
+  const blurSpread = gaussianBlur ? 3 * gaussianBlur.stdDeviation : 0;
+  let spread = {
+    left: blurSpread,
+    top: blurSpread,
+    right: blurSpread,
+    bottom: blurSpread,
   };
+  if (dropShadow) {
+    const shadowSpread = blurSpread + 3 * dropShadow.stdDeviation;
+    spread = {
+      left: Math.max(spread.left, shadowSpread - dropShadow.dx),
+      top: Math.max(spread.top, shadowSpread - dropShadow.dy),
+      right: Math.max(spread.right, shadowSpread + dropShadow.dx),
+      bottom: Math.max(spread.bottom, shadowSpread + dropShadow.dy),
+    };
+  }
+  return spread;
 }
 
 /**
- * Creates a radial gradient object
- * @param {number} x1
- * @param {number} y1
- * @param {number} r1
- * @param {number} r2
- * @param {GradientStop[]} stops
- * @param {string} id
- * @returns {RadialGradient}
+ * Computes a filter region large enough to hold the effects applied to content with the given bounds
+ *
+ * @param {ViewBox} bounds - bounds of the filtered content
+ * @param {DropShadow} [dropShadow]
+ * @param {GaussianBlur} [gaussianBlur]
+ * @returns {ViewBox}
  */
-export function createRadialGradient(x1, y1, r1, r2, stops) {
+export function computeFilterRegion(bounds, dropShadow, gaussianBlur) {
+  const spread = getFilterSpread(dropShadow, gaussianBlur);
   return {
-    kind: "radial-gradient",
-    x1,
-    y1,
-    r1,
-    r2,
-    stops,
+    x: bounds.x - spread.left,
+    y: bounds.y - spread.top,
+    width: bounds.width + spread.left + spread.right,
+    height: bounds.height + spread.top + spread.bottom,
   };
 }
 
 /**
- * Creates a transform object
- * @param {number} translateX
- * @param {number} translateY
- * @param {number} scaleX
- * @param {number} scaleY
- * @param {number} rotateDegrees
- * @param {string} transformOrigin
- * @returns {Transform}
+ * Creates a filter object that chains the requested effects
+ *
+ * @param {ViewBox} region
+ * @param {DropShadow} [dropShadow]
+ * @param {GaussianBlur} [gaussianBlur]
+ * @returns {Filter}
  */
-export function createTransform(
-  translateX = 0,
-  translateY = 0,
-  scaleX = 1,
-  scaleY = 1,
-  rotateDegrees = 0,
-  transformOrigin = "center"
-) {
+export function createFilter(region, dropShadow, gaussianBlur) {
   return {
-    translateX,
-    translateY,
-    scaleX,
-    scaleY,
-    rotateDegrees,
-    transformOrigin,
+    kind: "filter",
+    dropShadow,
+    gaussianBlur,
+    region,
   };
 }
 
 /**
- * Compiles a linear gradient object to an SVG string
- * @param {LinearGradient} gradient
- * @returns {string}
+ * Creates the element for a filter object
+ * @param {Filter} filter
+ * @returns {SVGNode}
  */
-export function compileLinearGradient(gradient) {
-  const stops = gradient.stops
-    .map(
-      (stop) =>
-        `<stop offset="${stop.offset}%" style="stop-color:${stop.color};stop-opacity:${stop.opacity}" />`
-    )
-    .join("");
-  return `<linearGradient id="${gradient.id}" x1="${gradient.x1}" y1="${gradient.y1}" x2="${gradient.x2}" y2="${gradient.y2}">${stops}</linearGradient>`;
+export function createFilterElement(filter) {
+  const primitives = [];
+  let input = "SourceGraphic";
+  if (filter.gaussianBlur) {
+    primitives.push(
+      new SVGNode("feGaussianBlur", {
+        in: input,
+        stdDeviation: filter.gaussianBlur.stdDeviation,
+        result: "blur",
+      })
+    );
+    input = "blur";
+  }
+  if (filter.dropShadow) {
+    primitives.push(
+      new SVGNode("feDropShadow", {
+        in: input,
+        dx: filter.dropShadow.dx,
+        dy: filter.dropShadow.dy,
+        stdDeviation: filter.dropShadow.stdDeviation,
+        "flood-color": filter.dropShadow.color,
+      })
+    );
+  }
+  const { region } = filter;
+  return new SVGNode(
+    "filter",
+    {
+      id: filter.id,
+      filterUnits: "userSpaceOnUse",
+      x: region.x,
+      y: region.y,
+      width: region.width,
+      height: region.height,
+    },
+    primitives
+  );
 }
 
 /**
- * Compiles a radial gradient object to an SVG string
- * @param {RadialGradient} gradient
+ * Compiles a filter object to an SVG string
+ * @param {Filter} filter
  * @returns {string}
  */
-export function compileRadialGradient(gradient) {
-  const stops = gradient.stops
-    .map(
-      (stop) =>
-        `<stop offset="${stop.offset}%" style="stop-color:${stop.color};stop-opacity:${stop.opacity}" />`
-    )
-    .join("");
-  return `<radialGradient id="${gradient.id}" cx="${gradient.x1}" cy="${gradient.y1}" r="${gradient.r1}">${stops}</radialGradient>`;
-}
-
-export function compileStrokeOrFill(strokeOrFill) {
-  if (typeof strokeOrFill === "object" && strokeOrFill !== null) {
-    if (strokeOrFill.kind === "linear-gradient") {
-      return compileLinearGradient(strokeOrFill);
-    }
-    if (strokeOrFill.kind === "radial-gradient") {
-      return compileRadialGradient(strokeOrFill);
-    }
-  }
-  return "";
+export function compileFilter(filter) {
+  return createFilterElement(filter).compile();
 }
 
 /**
- * Compiles a path element to an SVG string
+ * Computes the exact bounding box of path data
  * @param {string} d
- * @param {StrokeOrFill} [stroke]
- * @param {number} [strokeWidth=1.0]
- * @param {StrokeOrFill} [fill]
- * @param {number} [opacity=1.0]
- * @param {Transform} [transform]
- * @returns {string}
+ * @returns {ViewBox|null} - null when the path draws nothing
  */
-export function compilePathElement(
-  d,
-  stroke,
-  strokeWidth = 1.0,
-  fill,
-  opacity = 1.0,
-  transform
-) {
-  let transformString = "";
-  if (transform) {
-    transformString = `transform="translate(${transform.translateX}, ${
-      transform.translateY
-    }) scale(${transform.scaleX}, ${transform.scaleY}) rotate(${
-      transform.rotateDegrees
-    }, ${transformOriginToString(transform.transformOrigin)})" `;
-  }
-
-  let strokeString = stroke
-    ? typeof stroke === "string"
-      ? `stroke="${stroke}"`
-      : `stroke="url(#${stroke.id})"`
-    : 'stroke="none"';
-  let fillString = fill
-    ? typeof fill === "string"
-      ? `fill="${fill}"`
-      : `fill="url(#${fill.id})"`
-    : 'fill="none"';
-
-  return `<path d="${d}" ${strokeString} ${fillString} opacity="${opacity}" stroke-width="${strokeWidth}" ${transformString}/>`;
+export function getPathBoundingBox(d) {
+  return getPathDataBoundingBox(d);
 }
 
 /**
- * Compiles a drop shadow filter to an SVG string
- * @param {DropShadow} dropShadow
- * @returns {string}
+ * @typedef {Object} PNGOptions
+ * @property {number} [width] - in pixels before scaling, the document width by default
+ * @property {number} [height] - in pixels before scaling, the document height by default
+ * @property {number} [scale=1] - multiplies the width and height, such as 2 for high density screens
+ * @property {string} [theme=undefined] - colors of this theme instead of the default ones
  */
-export function compileDropShadow(dropShadow) {
-  return `<filter id="${dropShadow.id}" x="-50%" y="-50%" width="200%" height="200%">
-                <feDropShadow dx="${dropShadow.dx}" dy="${dropShadow.dy}" stdDeviation="${dropShadow.stdDeviation}" flood-color="${dropShadow.color}" />
-            </filter>`;
-}
 
 /**
- * Compiles a Gaussian blur filter to an SVG string
- * @param {GaussianBlur} gaussianBlur
- * @returns {string}
+ * @typedef {Object} CompileOptions
+ * @property {boolean} [noVars=false] - leave out the variables, for the page embedding the document to define them
+ * @property {string} [theme=undefined] - selects a theme with its class on the root element
+ * @property {boolean} [bakeVars=false] -
+ *
+ *     replace the variables with their values, with the selected theme applied,
+ *     for viewers without CSS variables; the document then has no themes
+ * @property {boolean} [minify=false] -
+ *
+ *     smallest output that renders the same: no line breaks, shortened path data,
+ *     no unused or duplicate definitions, no attributes repeating a default or inherited value
+ * @property {number} [precision=undefined] - decimals kept in numbers, 3 when minifying, all otherwise
  */
-export function compileGaussianBlur(gaussianBlur) {
-  return `<filter id="${gaussianBlur.id}" x="-50%" y="-50%" width="200%" height="200%">
-                <feGaussianBlur stdDeviation="${gaussianBlur.stdDeviation}" />
-            </filter>`;
-}
 
 /**
- * Builds a path data string for an ellipse arc
- * @param {number} x - center x
- * @param {number} y - center y
- * @param {number} rx - horizontal radius
- * @param {number} ry - vertical radius
- * @param {number} startAngle - start angle in radians
- * @param {number} endAngle - end angle in radians
- * @param {"cw" | "ccw"} direction - clockwise or counterclockwise
- * @returns {string}
+ * @typedef {Object} BoundingBoxOptions
+ * @property {boolean} [visual=false] -
+ *
+ *     Measure what is painted rather than the geometry:
+ *     half the stroke width around stroked paths, and the filter region of filtered elements
+ *
+ * @property {(id: string) => SVGNode|null} [getElementById] - resolves the filters, clip paths and masks referenced by elements
  */
-export function buildDStringForEllipseArc(
-  x,
-  y,
-  rx,
-  ry,
-  startAngle,
-  endAngle,
-  direction
-) {
-  const startX = x + rx * Math.cos(startAngle);
-  const startY = y + ry * Math.sin(startAngle);
-  const endX = x + rx * Math.cos(endAngle);
-  const endY = y + ry * Math.sin(endAngle);
-  const largeArcFlag = endAngle - startAngle <= Math.PI ? 0 : 1;
-  const sweepFlag = direction === "cw" ? 1 : 0;
 
-  return `M ${startX} ${startY} A ${rx} ${ry} 0 ${largeArcFlag} ${sweepFlag} ${endX} ${endY}`;
+/**
+ * @param {SVGNode} element
+ * @param {string} name
+ * @returns {string|undefined} - the id referenced by a `url(#id)` attribute
+ */
+function getReferencedId(element, name) {
+  const match = /^url\(#(.+)\)$/.exec(`${element.getAttribute(name) ?? ""}`);
+  return match ? match[1] : undefined;
 }
 
 /**
- * Builds a path data string for an ellipse
- * @param {number} x - center x
- * @param {number} y - center y
- * @param {number} rx - horizontal radius
+ * @param {SVGNode} element
+ * @param {string} name
+ * @returns {string|number|undefined} - the value of a presentation attribute, which the style overrides
+ */
+function getPresentationValue(element, name) {
+  return element.style[name] ?? element.getAttribute(name);
+}
+
+/**
+ * The stroke settings that decide the area a stroke covers
+ *
+ * @typedef {Object} StrokePaint
+ * @property {string|undefined} stroke
+ * @property {number|string} strokeWidth
+ * @property {string|undefined} strokeLinecap
+ * @property {string|undefined} strokeLinejoin
+ * @property {number|string|undefined} strokeMiterlimit
+ * @property {string|undefined} strokeDasharray
+ * @property {number|string|undefined} strokeDashoffset
+ */
+
+/**
+ * Attribute of each stroke paint setting
+ */
+const strokePaintAttributes = {
+  stroke: "stroke",
+  strokeWidth: "stroke-width",
+  strokeLinecap: "stroke-linecap",
+  strokeLinejoin: "stroke-linejoin",
+  strokeMiterlimit: "stroke-miterlimit",
+  strokeDasharray: "stroke-dasharray",
+  strokeDashoffset: "stroke-dashoffset",
+};
+
+/**
+ * @type {StrokePaint}
+ */
+const initialStrokePaint = { strokeWidth: 1 };
+
+/**
+ * @param {SVGNode} element
+ * @param {StrokePaint} inheritedPaint
+ * @returns {StrokePaint} - the stroke settings of the element, or those inherited where it has none
+ */
+function getStrokePaint(element, inheritedPaint) {
+  const paint = {};
+  for (const [key, name] of Object.entries(strokePaintAttributes)) {
+    paint[key] = getPresentationValue(element, name) ?? inheritedPaint[key];
+  }
+  return paint;
+}
+
+/**
+ * @param {SVGNode} element
+ * @returns {StrokePaint} - the stroke settings of the element, resolved through its enclosing elements
+ */
+function getResolvedStrokePaint(element) {
+  const ancestors = [];
+  for (let node = element; node; node = node.parent) {
+    ancestors.unshift(node);
+  }
+  return ancestors.reduce(
+    (inherited, node) => getStrokePaint(node, inherited),
+    initialStrokePaint
+  );
+}
+
+/**
+ * Bounds of the area covered by the stroke of a path
+ *
+ * @param {string} d
+ * @param {StrokePaint} paint
+ * @param {import("./transform.js").Matrix} matrix - from the path's user space to the measured space
+ * @returns {ViewBox|null}
+ */
+function getStrokeBoundingBox(d, paint, matrix) {
+  const scale = getMatrixScale(matrix);
+  if (!(scale > 0)) {
+    return null;
+  }
+  // Curves, round joins and caps are measured on polygons this close to them
+  const tolerance = 0.01;
+  const polygons = strokePolylines(flattenPathData(d, tolerance / scale), {
+    width: parseFloat(paint.strokeWidth),
+    linecap: paint.strokeLinecap,
+    linejoin: paint.strokeLinejoin,
+    miterlimit: parseFloat(paint.strokeMiterlimit) || undefined,
+    dasharray: parseDasharray(paint.strokeDasharray),
+    dashoffset: parseFloat(paint.strokeDashoffset) || 0,
+    tolerance: tolerance / scale,
+  });
+  const boxes = polygons
+    .map((polygon) =>
+      getPointsBoundingBox(
+        polygon.map((point) => applyMatrixToPoint(matrix, point))
+      )
+    )
+    .filter(Boolean);
+  return boxes.length
+    ? inflateBoundingBox(combineBoundingBoxes(boxes), tolerance)
+    : null;
+}
+
+/**
+ * Measures the content of an element, without its own transform or filter
+ *
+ * @param {SVGNode} element
+ * @param {BoundingBoxOptions} options
+ * @param {import("./transform.js").Matrix} matrix - from the element's user space to the measured space
+ * @param {StrokePaint} paint - the effective stroke of the element
+ * @returns {ViewBox|null}
+ */
+function measureElementContent(element, options, matrix, paint) {
+  if (element.tag === "path") {
+    const d = element.getAttribute("d");
+    const box = getPathDataBoundingBox(d, matrix);
+    if (box && options.visual && paint.stroke && paint.stroke !== "none") {
+      const strokeBox = getStrokeBoundingBox(d, paint, matrix);
+      return strokeBox ? combineBoundingBoxes([box, strokeBox]) : box;
+    }
+    return box;
+  }
+  if (element.tag === "image") {
+    const width = parseFloat(element.getAttribute("width"));
+    const height = parseFloat(element.getAttribute("height"));
+    if (!(width > 0 && height > 0)) {
+      return null;
+    }
+    return applyMatrixToBoundingBox(matrix, {
+      x: parseFloat(element.getAttribute("x")) || 0,
+      y: parseFloat(element.getAttribute("y")) || 0,
+      width,
+      height,
+    });
+  }
+  if (element.tag === "g") {
+    const childBoxes = element.children
+      .map((child) => measureElement(child, options, matrix, paint))
+      .filter(Boolean);
+    return childBoxes.length ? combineBoundingBoxes(childBoxes) : null;
+  }
+  return null;
+}
+
+/**
+ * Replaces "center" transform origins with the centers of the elements,
+ * as a transform attribute cannot refer to the bounds of its element
+ *
+ * @param {SVGNode} root
+ * @returns {SVGNode} - the same tree
+ */
+function resolveTransformOrigins(root) {
+  for (const node of root.walk()) {
+    if (node.transform?.transformOrigin === "center") {
+      node.transform = resolveTransformOrigin(
+        node.transform,
+        measureElementContent(node, {}, IDENTITY_MATRIX, initialStrokePaint) ??
+          undefined
+      );
+    }
+  }
+  return root;
+}
+
+/**
+ * The transform of an element, from its user space to the coordinate system of its parent
+ *
+ * @param {SVGNode} element
+ * @param {() => ViewBox|null} [getLocalBox] - bounds of the untransformed content, to resolve a "center" origin
+ * @returns {import("./transform.js").Matrix}
+ */
+function getElementMatrix(
+  element,
+  getLocalBox = () =>
+    measureElementContent(element, {}, IDENTITY_MATRIX, initialStrokePaint)
+) {
+  if (element.transform) {
+    const origin = element.transform.transformOrigin;
+    return transformToMatrix(
+      element.transform,
+      origin === "center" ? getLocalBox() ?? undefined : undefined
+    );
+  }
+  if (element.getAttribute("transform")) {
+    // Imported elements keep their transform attribute
+    return parseTransformAttribute(`${element.getAttribute("transform")}`);
+  }
+  return IDENTITY_MATRIX;
+}
+
+/**
+ * @param {SVGNode} element
+ * @param {BoundingBoxOptions} options
+ * @param {import("./transform.js").Matrix} matrix - from the coordinate system of the element's parent to the measured space
+ * @param {StrokePaint} inheritedPaint
+ * @returns {ViewBox|null}
+ */
+function measureElement(element, options, matrix, inheritedPaint) {
+  const paint = getStrokePaint(element, inheritedPaint);
+  let localBox;
+  const getLocalBox = () => {
+    if (localBox === undefined) {
+      localBox = measureElementContent(element, {}, IDENTITY_MATRIX, paint);
+    }
+    return localBox;
+  };
+  const elementMatrix = multiplyMatrices(
+    matrix,
+    getElementMatrix(element, getLocalBox)
+  );
+  const getReferencedElement = (name) => {
+    const id = getReferencedId(element, name);
+    return id && options.getElementById ? options.getElementById(id) : null;
+  };
+  const filterElement = options.visual ? getReferencedElement("filter") : null;
+  const filterRegion =
+    filterElement && getLocalBox()
+      ? resolveFilterRegion(filterElement, getLocalBox())
+      : null;
+  // Filter output is confined to the filter region
+  let box = filterRegion
+    ? applyMatrixToBoundingBox(elementMatrix, filterRegion)
+    : measureElementContent(element, options, elementMatrix, paint);
+
+  // Clip paths and masks hide what is outside of them
+  const clipElement = getReferencedElement("clip-path");
+  if (box && clipElement?.tag === "clipPath") {
+    const clipBox = measureClipPath(clipElement, elementMatrix, getLocalBox);
+    box = clipBox && intersectBoundingBoxes(box, clipBox);
+  }
+  const maskElement = getReferencedElement("mask");
+  if (box && maskElement?.tag === "mask" && getLocalBox()) {
+    const maskRegion = resolveMaskRegion(maskElement, getLocalBox());
+    if (maskRegion) {
+      box = intersectBoundingBoxes(
+        box,
+        applyMatrixToBoundingBox(elementMatrix, maskRegion)
+      );
+    }
+  }
+  return box;
+}
+
+/**
+ * Bounds of the area a <clipPath> lets through
+ *
+ * @param {SVGNode} clipElement
+ * @param {import("./transform.js").Matrix} matrix - from the user space of the clipped element to the measured space
+ * @param {() => ViewBox|null} getLocalBox - bounds of the clipped content, for clip paths in its bounding box units
+ * @returns {ViewBox|null} - null when the clip path lets nothing through
+ */
+function measureClipPath(clipElement, matrix, getLocalBox) {
+  let clipMatrix = matrix;
+  if (clipElement.getAttribute("clipPathUnits") === "objectBoundingBox") {
+    const box = getLocalBox();
+    if (!box) {
+      return null;
+    }
+    clipMatrix = multiplyMatrices(matrix, [
+      box.width,
+      0,
+      0,
+      box.height,
+      box.x,
+      box.y,
+    ]);
+  }
+  clipMatrix = multiplyMatrices(clipMatrix, getElementMatrix(clipElement));
+  // Only the geometry of the clip path counts, not its stroke
+  const boxes = clipElement.children
+    .map((child) => measureElement(child, {}, clipMatrix, initialStrokePaint))
+    .filter(Boolean);
+  return boxes.length ? combineBoundingBoxes(boxes) : null;
+}
+
+/**
+ * An animation prepared for a given element
+ *
+ * @typedef {Object} ResolvedAnimation
+ * @property {import("./animation.js").Animation} animation - with "draw-on" turned into a dash offset animation
+ * @property {[number,number]} origin - center of rotation in the user space of the element
+ * @property {import("./transform.js").Matrix|null} baseMatrix - static transform of the element, if any
+ */
+
+/**
+ * @param {SVGNode} element
+ * @param {import("./animation.js").Animation} animation
+ * @returns {ResolvedAnimation}
+ * @throws if a "draw-on" animation is not attached to a path, or the path has dashes
+ */
+function resolveAnimation(element, animation) {
+  let resolved = animation;
+  if (animation.property === "draw-on") {
+    if (element.tag !== "path") {
+      throw new Error(
+        `"draw-on" animations need a path, not a <${element.tag}> element`
+      );
+    }
+    // A single dash as long as the path, shifted out of view by the part not drawn yet
+    const length =
+      Math.ceil(getPathLength(`${element.getAttribute("d")}`) * 1000) / 1000;
+    // Dashes set on the path or inherited from its groups, other than those of an earlier draw-on
+    const { strokeDasharray } = getResolvedStrokePaint(element);
+    if (
+      strokeDasharray !== undefined &&
+      `${strokeDasharray}` !== "none" &&
+      `${strokeDasharray}` !== `${length}`
+    ) {
+      throw new Error(
+        `"draw-on" animations replace the dashes of the path, which has stroke-dasharray "${strokeDasharray}"`
+      );
+    }
+    element.setAttribute("stroke-dasharray", length);
+    resolved = {
+      ...animation,
+      property: "stroke-dashoffset",
+      keyframes: animation.keyframes.map((keyframe) => ({
+        offset: keyframe.offset,
+        value: +((1 - keyframe.value) * length).toFixed(3),
+      })),
+    };
+  }
+  let origin = animation.origin;
+  if (origin === "center") {
+    const box = measureElementContent(
+      element,
+      {},
+      IDENTITY_MATRIX,
+      initialStrokePaint
+    );
+    origin = box ? [box.x + box.width / 2, box.y + box.height / 2] : [0, 0];
+  }
+  const hasTransform = element.transform || element.getAttribute("transform");
+  return {
+    animation: resolved,
+    origin,
+    baseMatrix: hasTransform ? getElementMatrix(element) : null,
+  };
+}
+
+/**
+ * Computes the bounding box of an element in the coordinate system of its parent,
+ * including the element's own transform and those of any nested groups
+ *
+ * Transformed geometry is measured exactly, rather than transforming its untransformed bounds
+ *
+ * @param {SVGNode} element
+ * @param {BoundingBoxOptions} [options={}]
+ * @returns {ViewBox|null} - null for elements without measurable geometry
+ */
+export function getElementBoundingBox(element, options = {}) {
+  return measureElement(element, options, IDENTITY_MATRIX, initialStrokePaint);
+}
+
+/**
+ * Builds a path data string for an ellipse arc
+ * @param {number} x - center x
+ * @param {number} y - center y
+ * @param {number} rx - horizontal radius
+ * @param {number} ry - vertical radius
+ * @param {number} startAngle - start angle in radians
+ * @param {number} endAngle - end angle in radians
+ * @param {"cw" | "ccw"} direction - clockwise or counterclockwise
+ * @returns {string}
+ */
+export function buildDStringForEllipseArc(
+  x,
+  y,
+  rx,
+  ry,
+  startAngle,
+  endAngle,
+  direction
+) {
+  const startX = x + rx * Math.cos(startAngle);
+  const startY = y + ry * Math.sin(startAngle);
+  const endX = x + rx * Math.cos(endAngle);
+  const endY = y + ry * Math.sin(endAngle);
+  const largeArcFlag = endAngle - startAngle <= Math.PI ? 0 : 1;
+  const sweepFlag = direction === "cw" ? 1 : 0;
+
+  return `M ${startX} ${startY} A ${rx} ${ry} 0 ${largeArcFlag} ${sweepFlag} ${endX} ${endY}`;
+}
+
+/**
+ * Builds a path data string for an ellipse
+ * @param {number} x - center x
+ * @param {number} y - center y
+ * @param {number} rx - horizontal radius
  * @param {number} ry - vertical radius
  * @returns {string}
  */
@@ -594,11 +1231,24 @@ export function buildDStringForRectangle(x, y, width, height) {
   return `M ${x} ${y} h ${width} v ${height} h ${-width} Z`;
 }
 
+/**
+ * @param {PointLike} A
+ * @param {PointLike} B
+ * @returns {string}
+ */
 export function buildDStringForLine(A, B) {
-  return `M ${A.x} ${A.y} L ${B.x} ${B.y}`;
+  const [ax, ay] = PointMath.toPoint(A);
+  const [bx, by] = PointMath.toPoint(B);
+  return `M ${ax} ${ay} L ${bx} ${by}`;
 }
 
-export function buildDStringForLineSequence(points, close = false) {
+/**
+ * @param {Array<PointLike>} path
+ * @param {boolean} [close=false]
+ * @returns {string}
+ */
+export function buildDStringForLineSequence(path, close = false) {
+  const points = PointMath.toPoints(path);
   let d = `M ${points[0][0]} ${points[0][1]}`;
   for (let i = 1; i < points.length; i++) {
     d += ` L ${points[i][0]} ${points[i][1]}`;
@@ -626,7 +1276,8 @@ export class Artist {
     transform,
     dropShadow,
     gaussianBlur,
-    parentSVGBuilder
+    parentSVGBuilder,
+    style = {}
   ) {
     this.stroke = stroke;
     this.strokeWidth = strokeWidth;
@@ -635,10 +1286,23 @@ export class Artist {
     this.transform = transform;
     this.dropShadow = dropShadow;
     this.gaussianBlur = gaussianBlur;
+    this.style = { ...style };
     this.definitions = [];
+    this.texts = [];
+    this.animations = [];
     this.parentSVGBuilder = parentSVGBuilder;
   }
 
+  /**
+   * Sets dashes, caps, joins, fill rule and fill or stroke opacity of the path
+   *
+   * @param {PathStyle} style - merged with the settings made so far
+   */
+  setStyle(style) {
+    Object.assign(this.style, style);
+    return this;
+  }
+
   rectangle(xOrRect, y, width, height) {
     let rect;
     if (typeof xOrRect === "object") {
@@ -650,6 +1314,10 @@ export class Artist {
     return this;
   }
 
+  /**
+   * @param {PointLike} point1 - a corner
+   * @param {PointLike} point2 - the opposite corner
+   */
   twoPointRectangle(point1, point2) {
     let point1o = PointMath.toXYObject(point1);
     let point2o = PointMath.toXYObject(point2)
@@ -662,151 +1330,1141 @@ export class Artist {
     return this.rectangle(tlc[0],tlc[1], width, height);
   }
 
+  /**
+   * @param {PointLike} center
+   * @param {number} radius
+   */
   circle(center, radius) {
-    this.definitions.push(
-      buildDStringForEllipse(center.x, center.y, radius, radius)
-    );
+    const [x, y] = PointMath.toPoint(center);
+    this.definitions.push(buildDStringForEllipse(x, y, radius, radius));
     return this;
   }
 
+  /**
+   * @param {PointLike} center
+   * @param {number} rx
+   * @param {number} ry
+   */
   ellipse(center, rx, ry) {
-    this.definitions.push(buildDStringForEllipse(center.x, center.y, rx, ry));
+    const [x, y] = PointMath.toPoint(center);
+    this.definitions.push(buildDStringForEllipse(x, y, rx, ry));
     return this;
   }
 
+  /**
+   * @param {PointLike} A
+   * @param {PointLike} B
+   */
   line(A, B) {
     this.definitions.push(buildDStringForLine(A, B));
     return this;
   }
 
+  /**
+   * Draws hand-written or exported path data
+   *
+   * @param {string} d - any valid SVG path data
+   * @throws if the path data is malformed
+   */
+  path(d) {
+    this.definitions.push(serializePathData(parsePathData(d)));
+    return this;
+  }
+
+  /**
+   * @param {Array<PointLike>} path
+   * @param {boolean} [close=false]
+   */
   lineSequence(path, close = false) {
     this.definitions.push(buildDStringForLineSequence(path, close));
     return this;
   }
 
-  curve(path, tension = 1.0) {
-    this.definitions.push(buildSplineDString(path, tension));
+  /**
+   * Draws a smooth curve through the points of a path
+   *
+   * @param {Array<PointLike>} path
+   * @param {number} [tension=1.0] - 0 = loose fit, 1 = tight fit
+   * @param {import("./spline.js").SplineOptions} [options={}] - spline mode, and whether the curve is a closed loop
+   */
+  curve(path, tension = 1.0, options = {}) {
+    this.definitions.push(buildSplineDString(path, tension, options));
     return this;
   }
 
-  compile() {
-    return this.definitions.join(" ");
+  /**
+   * Writes a line of text
+   *
+   * With a `font`, the text is drawn as the outlines of its glyphs and becomes part of the path,
+   * otherwise it is a <text> element, which is not measured by bounding boxes
+   *
+   * @param {string} content
+   * @param {PointLike} position - where the text is anchored
+   * @param {import("./text.js").TextOptions} [options={}]
+   */
+  text(content, position, options = {}) {
+    position = PointMath.toXYObject(position);
+    if (options.font) {
+      this.definitions.push(
+        textToPathData(options.font, content, position, options)
+      );
+    } else {
+      this.texts.push({ content, position, options });
+    }
+    return this;
   }
 
-  commit() {
-    this.parentSVGBuilder.addPath(
-      this.compile(),
-      this.stroke,
-      this.strokeWidth,
-      this.fill,
-      this.opacity,
-      this.transform,
-      this.dropShadow,
-      this.gaussianBlur
-    );
-    return this.parentSVGBuilder;
+  /**
+   * Writes text along a path, such as the smooth curve drawn by `curve`
+   *
+   * @param {string} content
+   * @param {string|Array<PointLike>} path - path data, or the points of a curve
+   * @param {number} [tension=1.0] - tension of the curve through the points
+   * @param {import("./text.js").TextOptions & import("./spline.js").SplineOptions} [options={}]
+   *
+   *     Text settings, with `startOffset` to move the text along the path,
+   *     and the spline settings of the curve
+   */
+  textOnPath(content, path, tension = 1.0, options = {}) {
+    const d =
+      typeof path === "string"
+        ? serializePathData(parsePathData(path))
+        : buildSplineDString(path, tension, options);
+    if (options.font) {
+      this.definitions.push(
+        textOnPathToPathData(options.font, content, d, options)
+      );
+    } else {
+      this.texts.push({ content, d, options });
+    }
+    return this;
   }
-}
 
-/**
- * SVG class to construct and compile SVG elements
- *
- *
- * @class
- * @constructor
- *
- * @property {Array<string>} elements - array of SVG elements
- * @property {Array<string>} defs - array of defs
- * @property {Map<string,string>} idMap - map of values to ids for different types of elements
- * @property {number} uniqueIdCounter - counter for unique IDs
- * @property {number} width
- * @property {number} height
- *
- */
-export default class SVGBuilder {
   /**
+   * Replaces the drawn path with the result of a boolean operation with other paths
    *
-   * @param {number} width
-   * @param {number} height
-   * @param {ViewBox} [viewBox={x:0,y:0,width,height} ]
+   * Operands are artists, committed <path> elements, or path data.
+   * Each is filled with its own fill rule; their transforms are not applied.
+   * Curves are flattened, so the result is made of straight lines
+   *
+   * @param {import("./boolean.js").BooleanOperation} operation
+   * @param {Array<Artist|SVGNode|import("./boolean.js").BooleanOperand>} others
+   * @param {import("./boolean.js").BooleanOptions} [options={}]
    */
-  constructor(width, height, viewBox) {
-    viewBox = viewBox ?? { x: 0, y: 0, width, height };
-    this.elements = new Array();
-    this.defs = new Array();
-    this.idMap = new Map();
-    this.uniqueIdCounter = 0;
-
-    this.width = width;
-    this.height = height;
-    this.viewBox = viewBox;
-    this.vars = {};
+  combine(operation, others, options = {}) {
+    const operands = [this, ...others].map((operand) => {
+      if (operand instanceof Artist) {
+        return { d: operand.compile(), fillRule: operand.style.fillRule };
+      }
+      if (operand instanceof SVGNode) {
+        return {
+          d: `${operand.getAttribute("d") ?? ""}`,
+          fillRule: getPresentationValue(operand, "fill-rule"),
+        };
+      }
+      return operand;
+    });
+    const d = combinePaths(operation, operands, options);
+    this.definitions = d ? [d] : [];
+    return this;
   }
 
   /**
-   *
-   * @param {*} width
-   * @param {*} height
-   * @param {*} viewBox
-   * @returns
+   * Keeps the area covered by the drawn path or any of the other paths
+   * @param {...(Artist|SVGNode|import("./boolean.js").BooleanOperand)} others
    */
-  static create(width, height, viewBox) {
-    return new SVGBuilder(width, height, viewBox);
+  union(...others) {
+    return this.combine("union", others);
   }
 
-  setVar(key, value) {
-    this.vars[key] = value;
-    return this;
+  /**
+   * Keeps the area covered by both the drawn path and every other path
+   * @param {...(Artist|SVGNode|import("./boolean.js").BooleanOperand)} others
+   */
+  intersect(...others) {
+    return this.combine("intersect", others);
   }
 
-  setVars(vars) {
-    Object.keys(vars).forEach((key) => {
-      this.vars[key] = vars[key];
-    });
-    return this;
+  /**
+   * Cuts the other paths out of the drawn path
+   * @param {...(Artist|SVGNode|import("./boolean.js").BooleanOperand)} others
+   */
+  difference(...others) {
+    return this.combine("difference", others);
   }
 
   /**
-   * Generates a unique ID
-   * @param {Object} identifyingData
-   * @returns {string}
+   * Keeps the area covered by an odd number of the paths
+   * @param {...(Artist|SVGNode|import("./boolean.js").BooleanOperand)} others
    */
-  getUniqueId(prefix, identifyingData) {
-    if (identifyingData) {
-      const key = prefix + ":" + JSON.stringify(identifyingData);
-      if (!this.idMap.has(key)) {
-        const newId = `id${this.uniqueIdCounter++}`;
-        this.idMap.set(key, newId);
-        return newId;
-      }
-      return this.idMap.get(key);
-    }
-    return `id${this.uniqueIdCounter++}`;
+  xor(...others) {
+    return this.combine("xor", others);
   }
 
   /**
-   * @param {""} prefix
-   * @param {any} item
+   * Grows or shrinks the area filled by the drawn path
+   *
+   * @param {number} distance - positive to grow the shape, negative to shrink it
+   * @param {import("./offset.js").OffsetOptions} [options={}] - the fill rule defaults to the one of the artist
    */
-  withUniqueId(prefix, item) {
-    const id = this.getUniqueId(prefix, item);
-    if (typeof item === "object" && item !== null) {
-      return Object.assign(item, { id });
-    }
-    return item;
+  offset(distance, options = {}) {
+    const d = offsetPath(this.compile(), distance, {
+      fillRule: this.style.fillRule,
+      ...options,
+    });
+    this.definitions = d ? [d] : [];
+    return this;
   }
 
   /**
-   * Adds a path element to the SVG
+   * Replaces the stroke of the drawn path with a filled outline of the same shape,
+   * painted with the stroke paint
+   *
+   * Width, caps, joins, miter limit and dashes come from the stroke settings of the artist
+   *
+   * @param {import("./boolean.js").BooleanOptions} [options={}]
+   * @throws if the artist has no stroke to outline
+   */
+  outlineStroke(options = {}) {
+    if (!this.stroke || this.stroke === "none") {
+      throw new Error(
+        "Cannot outline the stroke of an artist without a stroke: set a stroke paint first"
+      );
+    }
+    const {
+      strokeLinecap,
+      strokeLinejoin,
+      strokeMiterlimit,
+      strokeDasharray,
+      strokeDashoffset,
+      strokeOpacity,
+      ...style
+    } = this.style;
+    const d = outlineStroke(
+      this.compile(),
+      this.strokeWidth ?? 1,
+      strokeLinecap,
+      strokeLinejoin,
+      {
+        ...options,
+        miterLimit: strokeMiterlimit,
+        dasharray: parseDasharray(strokeDasharray),
+        dashoffset: strokeDashoffset,
+      }
+    );
+    this.definitions = d ? [d] : [];
+    this.fill = this.stroke;
+    this.stroke = "none";
+    this.style = { ...style, fillRule: "nonzero", fillOpacity: strokeOpacity };
+    return this;
+  }
+
+  /**
+   * Applies the transform of the artist to the coordinates of the drawn path,
+   * which then needs no transform attribute
+   *
+   * Stroke widths are not scaled by the transform anymore
+   *
+   * @throws if the artist draws text, which keeps needing the transform
+   */
+  bakeTransform() {
+    if (!this.transform) {
+      return this;
+    }
+    if (this.texts.length) {
+      throw new Error("Cannot bake the transform of an artist that draws text");
+    }
+    if (this.definitions.length) {
+      const d = this.compile();
+      const matrix = transformToMatrix(
+        this.transform,
+        getPathDataBoundingBox(d) ?? undefined
+      );
+      this.definitions = [serializePathData(transformPathData(d, matrix))];
+    }
+    this.transform = undefined;
+    return this;
+  }
+
+  /**
+   * Animates the drawn path and text once they are committed
+   *
+   * @param {...import("./animation.js").Animation} animations
+   */
+  animate(...animations) {
+    this.animations.push(...animations);
+    return this;
+  }
+
+  compile() {
+    return this.definitions.join(" ");
+  }
+
+  /**
+   * Adds the drawn path to the parent builder or group
+   *
+   * @param {SVGBuilder|SVGGroup} [target=this.parentSVGBuilder] - where to add the path instead of the parent
+   * @returns {SVGBuilder|SVGGroup} - the target
+   */
+  commit(target = this.parentSVGBuilder) {
+    const content =
+      target instanceof SVGGroup ? target.node.children : target.elements;
+    const start = content.length;
+    if (this.definitions.length || !this.texts.length) {
+      target.addPath(
+        this.compile(),
+        this.stroke,
+        this.strokeWidth,
+        this.fill,
+        this.opacity,
+        this.transform,
+        this.dropShadow,
+        this.gaussianBlur,
+        this.style
+      );
+    }
+    for (const text of this.texts) {
+      target.addText(
+        text,
+        this.stroke,
+        this.strokeWidth,
+        this.fill,
+        this.opacity,
+        this.transform,
+        this.style
+      );
+    }
+    if (this.animations.length) {
+      const builder = target instanceof SVGGroup ? target.builder : target;
+      for (const element of content.slice(start)) {
+        builder.animate(element, ...this.animations);
+      }
+    }
+    return target;
+  }
+}
+
+/**
+ * @typedef {Object} GroupOptions
+ * @property {string} [id=undefined]
+ * @property {StrokeOrFill} [stroke=undefined] - inherited by content that does not set its own
+ * @property {number} [strokeWidth=undefined] - inherited by content that does not set its own
+ * @property {StrokeOrFill} [fill=undefined] - inherited by content that does not set its own
+ * @property {number} [opacity=undefined]
+ * @property {Transform} [transform=undefined]
+ * @property {DropShadow} [dropShadow=undefined]
+ * @property {GaussianBlur} [gaussianBlur=undefined]
+ * @property {string} [clipPath=undefined] - id of a <clipPath> definition
+ * @property {string} [mask=undefined] - id of a <mask> definition
+ * @property {PathStyle} [style=undefined] - inherited by content that does not set its own
+ */
+
+/**
+ * A <g> element whose transform, opacity, filter, clip and stroke/fill
+ * are shared by everything drawn into it
+ *
+ * Groups are created with `SVGBuilder.group` or `SVGBuilder.layer` and can nest
+ *
+ * @class
+ * @constructor
+ *
+ * @property {SVGBuilder} builder - the document the group belongs to
+ * @property {SVGNode} node - the <g> element
+ * @property {boolean} nested - whether the group is inside another group
+ * @property {Filter|undefined} filter
+ */
+export class SVGGroup {
+  /**
+   * @param {SVGBuilder} builder
+   * @param {GroupOptions} [options={}]
+   * @param {boolean} [nested=false]
+   * @param {SVGNode} [node] - an existing <g> element to adopt as it is, such as an imported one; options are ignored
+   */
+  constructor(builder, options = {}, nested = false, node = undefined) {
+    this.builder = builder;
+    this.node = node ?? new SVGNode("g", { id: options.id });
+    this.nested = nested;
+    this.filter = undefined;
+    if (node) {
+      return;
+    }
+    this.setStroke(options.stroke);
+    this.setStrokeWidth(options.strokeWidth);
+    this.setFill(options.fill);
+    this.setOpacity(options.opacity);
+    this.setTransform(options.transform);
+    this.setClipPath(options.clipPath);
+    this.setMask(options.mask);
+    this.setStyle(options.style);
+    if (options.dropShadow || options.gaussianBlur) {
+      this.setFilter(options.dropShadow, options.gaussianBlur);
+    }
+  }
+
+  /**
+   * @param {StrokeOrFill} [stroke] - unset strokes are inherited from an enclosing group
+   */
+  setStroke(stroke) {
+    this.node.setAttribute(
+      "stroke",
+      this.builder.resolveStrokeOrFill("stroke", stroke, this.nested)
+    );
+    return this;
+  }
+
+  /**
+   * @param {number} [strokeWidth]
+   */
+  setStrokeWidth(strokeWidth) {
+    this.node.setAttribute("stroke-width", strokeWidth);
+    return this;
+  }
+
+  /**
+   * @param {StrokeOrFill} [fill] - unset fills are inherited from an enclosing group
+   */
+  setFill(fill) {
+    this.node.setAttribute(
+      "fill",
+      this.builder.resolveStrokeOrFill("fill", fill, this.nested)
+    );
+    return this;
+  }
+
+  /**
+   * @param {number} [opacity]
+   */
+  setOpacity(opacity) {
+    this.node.setAttribute("opacity", opacity);
+    return this;
+  }
+
+  /**
+   * @param {Transform} [transform]
+   */
+  setTransform(transform) {
+    this.node.setTransform(transform);
+    return this;
+  }
+
+  /**
+   * @param {PathStyle} [style] - dashes, caps, joins, fill rule and opacities shared by the content
+   */
+  setStyle(style) {
+    this.node.setAttributes(pathStyleToAttributes(style));
+    return this;
+  }
+
+  /**
+   * @param {string} [clipPath] - id of a <clipPath> definition
+   */
+  setClipPath(clipPath) {
+    this.node.setAttribute(
+      "clip-path",
+      clipPath ? `url(#${clipPath})` : undefined
+    );
+    return this;
+  }
+
+  /**
+   * @param {string} [mask] - id of a <mask> definition
+   */
+  setMask(mask) {
+    this.node.setAttribute("mask", mask ? `url(#${mask})` : undefined);
+    return this;
+  }
+
+  /**
+   * Applies a filter to the group as a whole
+   *
+   * The filter region follows the content of the group, and is updated when the document is compiled
+   *
+   * @param {DropShadow} [dropShadow]
+   * @param {GaussianBlur} [gaussianBlur]
+   */
+  setFilter(dropShadow, gaussianBlur) {
+    if (this.filter) {
+      const previous = this.builder.getElementById(this.filter.id);
+      if (previous) {
+        this.builder.removeElement(previous);
+      }
+      this.filter = undefined;
+    }
+    if (dropShadow || gaussianBlur) {
+      this.filter = createFilter(
+        { x: 0, y: 0, width: 0, height: 0 },
+        dropShadow,
+        gaussianBlur
+      );
+      this.filter.id = this.builder.getUniqueId("filter");
+      this.builder.defs.push(createFilterElement(this.filter));
+      this.updateFilterRegion();
+    }
+    this.node.setAttribute(
+      "filter",
+      this.filter ? `url(#${this.filter.id})` : undefined
+    );
+    return this;
+  }
+
+  /**
+   * Resizes the filter region to the current content of the group
+   */
+  updateFilterRegion() {
+    if (!this.filter) {
+      return this;
+    }
+    // The filter applies to what the content paints, strokes included
+    const bounds = this.getContentBoundingBox({ visual: true }) ?? {
+      x: 0,
+      y: 0,
+      width: 0,
+      height: 0,
+    };
+    this.filter.region = computeFilterRegion(
+      bounds,
+      this.filter.dropShadow,
+      this.filter.gaussianBlur
+    );
+    const filterElement = this.builder.getElementById(this.filter.id);
+    if (filterElement) {
+      filterElement.setAttributes(this.filter.region);
+    }
+    return this;
+  }
+
+  /**
+   * Adds a path element to the group
+   *
+   * Unset stroke, stroke width and fill are inherited from the group
+   *
+   * @param {string} d
+   * @param {StrokeOrFill} stroke
+   * @param {number} strokeWidth
+   * @param {StrokeOrFill} fill
+   * @param {number} opacity
+   * @param {Transform} transform
+   * @param {DropShadow} dropShadow
+   * @param {GaussianBlur} gaussianBlur
+   * @param {PathStyle} [style={}] - unset settings are inherited from the group
+   */
+  addPath(
+    d,
+    stroke,
+    strokeWidth,
+    fill,
+    opacity,
+    transform,
+    dropShadow,
+    gaussianBlur,
+    style = {}
+  ) {
+    this.node.appendChild(
+      this.builder.createPath(
+        d,
+        stroke,
+        strokeWidth,
+        fill,
+        opacity,
+        transform,
+        dropShadow,
+        gaussianBlur,
+        style,
+        true,
+        getResolvedStrokePaint(this.node)
+      )
+    );
+    return this;
+  }
+
+  /**
+   * Adds a text element to the group
+   *
+   * Unset stroke, stroke width and fill are inherited from the group
+   *
+   * @param {Text} text
+   * @param {StrokeOrFill} [stroke]
+   * @param {number} [strokeWidth]
+   * @param {StrokeOrFill} [fill]
+   * @param {number} [opacity]
+   * @param {Transform} [transform]
+   * @param {PathStyle} [style={}]
+   */
+  addText(text, stroke, strokeWidth, fill, opacity, transform, style = {}) {
+    this.node.appendChild(
+      this.builder.createText(
+        text,
+        stroke,
+        strokeWidth,
+        fill,
+        opacity,
+        transform,
+        style,
+        true
+      )
+    );
+    return this;
+  }
+
+  /**
+   * Animates the group as a whole
+   *
+   * @param {...import("./animation.js").Animation} animations
+   */
+  animate(...animations) {
+    this.builder.animate(this.node, ...animations);
+    return this;
+  }
+
+  /**
+   * Adds an embedded PNG, JPEG, WebP or GIF image to the group
+   *
+   * @param {string|Buffer} source - path of an image file, or its content
+   * @param {Partial<ViewBox>} [rect={}] - where the image is drawn, sized from the image where unset
+   * @param {ImageOptions} [options={}]
+   * @throws if the image cannot be read or is not a supported type
+   */
+  image(source, rect = {}, options = {}) {
+    this.node.appendChild(createImageElement(readImage(source), rect, options));
+    return this;
+  }
+
+  artist(
+    stroke,
+    strokeWidth,
+    fill,
+    opacity,
+    transform,
+    dropShadow,
+    gaussianBlur,
+    style
+  ) {
+    return new Artist(
+      stroke,
+      strokeWidth,
+      fill,
+      opacity,
+      transform,
+      dropShadow,
+      gaussianBlur,
+      this,
+      style
+    );
+  }
+
+  /**
+   * Creates a group nested in this group
+   * @param {GroupOptions} [options={}]
+   * @returns {SVGGroup}
+   */
+  group(options = {}) {
+    const group = new SVGGroup(this.builder, options, true);
+    this.node.appendChild(group.node);
+    this.builder.groups.push(group);
+    return group;
+  }
+
+  /**
+   * Gets or creates a named group nested in this group
+   * @param {string} name
+   * @param {GroupOptions} [options={}] - only used when the layer is created
+   * @returns {SVGGroup}
+   */
+  layer(name, options = {}) {
+    return (
+      this.builder.findLayer(this.node, name) ??
+      this.group(options).setName(name)
+    );
+  }
+
+  /**
+   * @param {string} name
+   */
+  setName(name) {
+    this.node.setAttribute("data-name", name);
+    return this;
+  }
+
+  /**
+   * Bounds of the content in the coordinate system of the group, before the group's own transform
+   * @param {BoundingBoxOptions} [options={}]
+   * @returns {ViewBox|null}
+   */
+  getContentBoundingBox(options = {}) {
+    // Stroke set on the group or inherited from enclosing groups
+    const paint = getResolvedStrokePaint(this.node);
+    const boxes = this.node.children
+      .map((child) =>
+        measureElement(
+          child,
+          {
+            getElementById: (id) => this.builder.getElementById(id),
+            ...options,
+          },
+          IDENTITY_MATRIX,
+          paint
+        )
+      )
+      .filter(Boolean);
+    return boxes.length ? combineBoundingBoxes(boxes) : null;
+  }
+
+  /**
+   * Removes the group and its content from the document
+   */
+  remove() {
+    this.builder.removeElement(this.node);
+    return this;
+  }
+}
+
+/**
+ * Creates the elements drawn by an artist, without adding them to the document
+ *
+ * @param {SVGBuilder} builder - registers the definitions the elements need
+ * @param {Artist} artist
+ * @returns {Array<SVGNode>}
+ */
+function createArtistElements(builder, artist) {
+  const elements = [];
+  if (artist.definitions.length) {
+    elements.push(
+      builder.createPath(
+        artist.compile(),
+        artist.stroke,
+        artist.strokeWidth,
+        artist.fill,
+        artist.opacity,
+        artist.transform,
+        artist.dropShadow,
+        artist.gaussianBlur,
+        artist.style
+      )
+    );
+  }
+  for (const text of artist.texts) {
+    elements.push(
+      builder.createText(
+        text,
+        artist.stroke,
+        artist.strokeWidth,
+        artist.fill,
+        artist.opacity,
+        artist.transform,
+        artist.style
+      )
+    );
+  }
+  return elements;
+}
+
+/**
+ * Adds CSS variables used by content copied from elsewhere
+ *
+ * @param {SVGBuilder} builder
+ * @param {Object<string,string>} vars
+ * @param {string} source - what the variables come from, for errors
+ * @throws if a variable is already set to another value
+ */
+function mergeVars(builder, vars, source) {
+  for (const [key, value] of Object.entries(vars)) {
+    if (key in builder.vars && builder.vars[key] !== value) {
+      throw new Error(
+        `The ${source} sets ${key} to ${value}, but the document sets it to ${builder.vars[key]}`
+      );
+    }
+  }
+  builder.setVars(vars);
+}
+
+/**
+ * Creates a pattern object whose tiles show what a builder or an artist draws
+ *
+ * A builder is scaled so that its viewBox fills a tile, unless `options.viewBox` says otherwise,
+ * and its CSS variables are added to the documents using the pattern.
+ * An artist draws in the coordinates of the tile.
+ *
+ * @param {SVGBuilder|Artist|Array<SVGNode>} source
+ * @param {number} width - of a tile
+ * @param {number} height - of a tile
+ * @param {PatternOptions} [options={}]
+ * @returns {Pattern}
+ * @throws if the tile size or units are invalid
+ */
+export function createPattern(source, width, height, options = {}) {
+  if (Array.isArray(source)) {
+    return createPatternFromElements(source, width, height, options);
+  }
+  if (source instanceof SVGBuilder) {
+    const document = source.buildDocument(true);
+    return createPatternFromElements(
+      document.children.filter((child) => child.tag !== "style"),
+      width,
+      height,
+      {
+        viewBox: source.viewBox,
+        ...options,
+        vars: { ...source.vars, ...options.vars },
+      }
+    );
+  }
+  const scratch = new SVGBuilder(width, height);
+  const elements = createArtistElements(scratch, source);
+  return createPatternFromElements(
+    [
+      ...(scratch.defs.length ? [new SVGNode("defs", {}, scratch.defs)] : []),
+      ...elements,
+    ],
+    width,
+    height,
+    options
+  );
+}
+
+/**
+ * SVG class to construct and compile SVG elements
+ *
+ *
+ * @class
+ * @constructor
+ *
+ * @property {Array<SVGNode>} elements - array of SVG elements
+ * @property {Array<SVGNode>} defs - array of defs
+ * @property {Array<SVGGroup>} groups - every group created in the document
+ * @property {Map<string,string>} idMap - map of values to ids for different types of elements
+ * @property {Array<{selector: string, keyframes: string, value: string}>} cssAnimations - animations written as CSS
+ * @property {number} uniqueIdCounter - counter for unique IDs
+ * @property {number} width
+ * @property {number} height
+ * @property {Object<string,string>} vars - default values of the CSS variables
+ * @property {Object<string,Theme>} themes - named sets of values replacing the default ones
+ * @property {string|undefined} themeScope - class of the root element declaring the variables, derived from them by default
+ * @property {Object<string,string>} namespaces - `xmlns:*` declarations of the root element, such as `xmlns:xlink`
+ *
+ */
+export default class SVGBuilder {
+  /**
+   *
+   * @param {number} width
+   * @param {number} height
+   * @param {ViewBox} [viewBox={x:0,y:0,width,height} ]
+   */
+  constructor(width, height, viewBox) {
+    viewBox = viewBox ?? { x: 0, y: 0, width, height };
+    this.elements = new Array();
+    this.defs = new Array();
+    this.groups = new Array();
+    this.idMap = new Map();
+    this.uniqueIdCounter = 0;
+    this.cssAnimations = [];
+
+    this.width = width;
+    this.height = height;
+    this.viewBox = viewBox;
+    this.vars = {};
+    this.themes = {};
+    this.themeScope = undefined;
+    this.namespaces = {};
+  }
+
+  /**
+   *
+   * @param {*} width
+   * @param {*} height
+   * @param {*} viewBox
+   * @returns
+   */
+  static create(width, height, viewBox) {
+    return new SVGBuilder(width, height, viewBox);
+  }
+
+  /**
+   * Creates a builder from an existing SVG document, to keep drawing on it
+   *
+   * Basic shapes are converted to paths, definitions such as gradients and filters are kept,
+   * <g> elements become groups, and CSS variables declared on `:root` or on the class
+   * of the root element become vars
+   *
+   * @param {string} text - SVG markup
+   * @returns {SVGBuilder}
+   * @throws if the markup is not a well formed SVG document
+   */
+  static fromSVG(text) {
+    const document = importSVG(text);
+    const builder = new SVGBuilder(
+      document.width,
+      document.height,
+      document.viewBox
+    );
+    builder.setVars(document.vars);
+    // Rules left in an imported <style>, such as themes, keep matching the root element
+    builder.setThemeScope(document.themeScope);
+    // Prefixed attributes of the content, such as xlink:href, need their declarations
+    builder.namespaces = document.namespaces;
+    builder.defs.push(...document.defs);
+    builder.elements.push(...document.elements);
+    for (const root of [...document.defs, ...document.elements]) {
+      for (const node of root.walk()) {
+        if (node.tag === "g") {
+          builder.groups.push(
+            new SVGGroup(builder, {}, node.parent?.tag === "g", node)
+          );
+        }
+        // Generated ids must not collide with the imported ones
+        const match = /^id(\d+)$/.exec(node.id ?? "");
+        if (match) {
+          builder.uniqueIdCounter = Math.max(
+            builder.uniqueIdCounter,
+            Number(match[1]) + 1
+          );
+        }
+      }
+    }
+    return builder;
+  }
+
+  /**
+   * Loads a document saved with `toJSON`
+   *
+   * Documents saved with an older schema are migrated to the current one
+   *
+   * @param {string|import("./schema.js").DocumentData} json - JSON text or its parsed data
+   * @returns {SVGBuilder}
+   * @throws if the data is not a design document, or was saved by a newer version
+   */
+  static fromJSON(json) {
+    const data = migrateDocument(
+      typeof json === "string" ? JSON.parse(json) : json
+    );
+    data.defs.forEach((def, i) => validateNodeData(def, `defs[${i}]`));
+    data.elements.forEach((element, i) =>
+      validateNodeData(element, `elements[${i}]`)
+    );
+    const builder = new SVGBuilder(data.width, data.height, data.viewBox);
+    builder.setVars(data.vars ?? {});
+    builder.themes = data.themes ?? {};
+    builder.themeScope = data.themeScope;
+    builder.namespaces = data.namespaces ?? {};
+    builder.defs.push(...data.defs.map((def) => SVGNode.fromJSON(def)));
+    builder.elements.push(
+      ...data.elements.map((element) => SVGNode.fromJSON(element))
+    );
+    for (const { path, nested, filter } of data.groups ?? []) {
+      let node = builder.elements[path[0]];
+      for (const index of path.slice(1)) {
+        node = node?.children[index];
+      }
+      if (node?.tag !== "g") {
+        throw new Error(`Invalid group at elements path [${path.join(", ")}]`);
+      }
+      const group = new SVGGroup(builder, {}, nested, node);
+      group.filter = filter;
+      builder.groups.push(group);
+    }
+    builder.cssAnimations = data.cssAnimations ?? [];
+    builder.idMap = new Map(data.idMap ?? []);
+    builder.uniqueIdCounter = data.uniqueIdCounter ?? 0;
+    return builder;
+  }
+
+  /**
+   * @param {string} key - name of the variable, starting with "--"
+   * @param {string} value
+   * @throws if the name or the value is invalid
+   */
+  setVar(key, value) {
+    return this.setVars({ [key]: value });
+  }
+
+  /**
+   * @param {Object<string,string>} vars
+   * @throws if a name or a value is invalid
+   */
+  setVars(vars) {
+    checkVarNames(vars, "the document variables");
+    checkVarValues(vars, "the document variables");
+    Object.keys(vars).forEach((key) => {
+      this.vars[key] = vars[key];
+    });
+    return this;
+  }
+
+  /**
+   * Adds or replaces a named theme, such as "dark" or "brand"
+   *
+   * A theme applies when the root <svg> element or one of its ancestors has the class `theme-<name>`,
+   * when it is selected with the `theme` compile option, or for the viewer's preferred color scheme
+   *
+   * @param {string} name - letters, digits, "-" and "_"
+   * @param {Object<string,string>} vars - values replacing the default ones
+   * @param {ThemeOptions} [options={}]
+   * @throws if the name, a variable name or a value is invalid
+   */
+  setTheme(name, vars, options = {}) {
+    checkThemeName(name);
+    checkVarNames(vars, `theme "${name}"`);
+    checkVarValues(vars, `theme "${name}"`);
+    const { colorScheme } = options;
+    if (colorScheme !== undefined && colorScheme !== "light" && colorScheme !== "dark") {
+      throw new Error(
+        `Unknown color scheme "${colorScheme}" for theme "${name}": expected "light" or "dark"`
+      );
+    }
+    this.themes[name] = colorScheme
+      ? { vars: { ...vars }, colorScheme }
+      : { vars: { ...vars } };
+    return this;
+  }
+
+  /**
+   * Sets the class of the root element declaring the variables
+   *
+   * @param {string} [className] - a class derived from the variables and themes by default
+   */
+  setThemeScope(className) {
+    if (className !== undefined && !/^[A-Za-z_][\w-]*$/.test(className)) {
+      throw new Error(`Invalid theme scope class "${className}"`);
+    }
+    this.themeScope = className;
+    return this;
+  }
+
+  /**
+   * @returns {string} - class of the root element declaring the variables
+   */
+  getThemeScope() {
+    return this.themeScope ?? getDefaultThemeScope(this.vars, this.themes);
+  }
+
+  /**
+   * Values of the variables with a theme applied
+   *
+   * @param {string} [theme] - the default values without a theme
+   * @returns {Object<string,string>}
+   * @throws if the theme does not exist
+   */
+  getThemeVars(theme) {
+    if (theme === undefined) {
+      return { ...this.vars };
+    }
+    if (!(theme in this.themes)) {
+      throw new Error(
+        `Unknown theme "${theme}". Defined themes: ${
+          Object.keys(this.themes).join(", ") || "none"
+        }`
+      );
+    }
+    return { ...this.vars, ...this.themes[theme].vars };
+  }
+
+  /**
+   * Checks that every variable used by the document, in a fill, a stroke or any other value,
+   * is defined with the default values and with each theme
+   *
+   * @param {string} [theme] - only check this theme, every theme by default
+   * @throws listing the variables that are not defined, and where they are used
+   */
+  validateVars(theme) {
+    const themes =
+      theme === undefined ? [undefined, ...Object.keys(this.themes)] : [theme];
+    const problems = themes.flatMap((name) =>
+      findUndefinedVars(
+        [...this.defs, ...this.elements],
+        this.getThemeVars(name)
+      ).map(({ name: varName, node, property }) => {
+        const user = node
+          ? `<${node.tag}${node.id !== undefined ? ` id="${node.id}"` : ""}> ${property}`
+          : property;
+        return `${varName} used by ${user}${
+          name === undefined ? "" : ` with theme "${name}"`
+        }`;
+      })
+    );
+    if (problems.length) {
+      throw new Error(
+        `Undefined CSS variables:\n${[...new Set(problems)]
+          .map((problem) => `  ${problem}`)
+          .join("\n")}`
+      );
+    }
+    return this;
+  }
+
+  /**
+   * Generates a unique ID
+   * @param {Object} identifyingData
+   * @returns {string}
+   */
+  getUniqueId(prefix, identifyingData) {
+    if (identifyingData) {
+      const key = prefix + ":" + JSON.stringify(identifyingData);
+      if (!this.idMap.has(key)) {
+        const newId = `id${this.uniqueIdCounter++}`;
+        this.idMap.set(key, newId);
+        return newId;
+      }
+      return this.idMap.get(key);
+    }
+    return `id${this.uniqueIdCounter++}`;
+  }
+
+  /**
+   * @param {""} prefix
+   * @param {any} item
+   */
+  withUniqueId(prefix, item) {
+    if (typeof item !== "object" || item === null) {
+      this.getUniqueId(prefix, item);
+      return item;
+    }
+    // The id given by an earlier use is not part of the identity, so a reused object keeps it
+    const identifyingData = { ...item };
+    delete identifyingData.id;
+    return Object.assign(item, { id: this.getUniqueId(prefix, identifyingData) });
+  }
+
+  /**
+   * Registers the definition needed by a stroke or fill, if any
+   *
+   * @param {"stroke"|"fill"} prefix
+   * @param {StrokeOrFill} [strokeOrFill]
+   * @param {boolean} [inherit=false] - leave an unset value to be inherited from a parent group instead of "none"
+   * @returns {string|undefined} - the value of the stroke or fill attribute
+   */
+  resolveStrokeOrFill(prefix, strokeOrFill, inherit = false) {
+    if (!strokeOrFill) {
+      return inherit ? undefined : "none";
+    }
+    if (strokeOrFill.kind === "pattern" && strokeOrFill.vars) {
+      mergeVars(this, strokeOrFill.vars, "pattern");
+    }
+    const unique = this.withUniqueId(prefix, strokeOrFill);
+    const def = createStrokeOrFillElement(unique);
+    // A shared stroke or fill is defined once
+    if (def && !this.defs.some((existing) => existing.id === def.id)) {
+      this.defs.push(def);
+    }
+    return strokeOrFillToAttribute(unique);
+  }
+
+  /**
+   * Creates a path element and registers the definitions it needs,
+   * without adding it to the document
+   *
    * @param {string} d
    * @param {StrokeOrFill} stroke
+   * @param {number} strokeWidth
    * @param {StrokeOrFill} fill
    * @param {number} opacity
    * @param {Transform} transform
    * @param {DropShadow} dropShadow
    * @param {GaussianBlur} gaussianBlur
+   * @param {PathStyle} [style={}]
+   * @param {boolean} [inherit=false] - leave unset stroke, stroke width and fill to be inherited from a parent group
+   * @param {StrokePaint} [inheritedPaint] - stroke settings of the parent group, which size the filter region of an inheriting path
+   * @returns {SVGNode}
    */
-  addPath(
+  createPath(
     d,
     stroke,
     strokeWidth,
@@ -814,42 +2472,422 @@ export default class SVGBuilder {
     opacity,
     transform,
     dropShadow,
-    gaussianBlur
+    gaussianBlur,
+    style = {},
+    inherit = false,
+    inheritedPaint = initialStrokePaint
   ) {
-    const uFill = this.withUniqueId("fill", fill);
-    const uStroke = this.withUniqueId("stroke", stroke);
-    const uDropShadow = this.withUniqueId("dropShadow", dropShadow);
-    const uGaussianBlur = this.withUniqueId("gaussianBlur", gaussianBlur);
-    const pathElement = compilePathElement(
+    let pathElement = createPathElement(
+      d,
+      undefined,
+      strokeWidth,
+      undefined,
+      opacity,
+      transform,
+      undefined,
+      style
+    ).setAttributes({
+      stroke: this.resolveStrokeOrFill("stroke", stroke, inherit),
+      fill:
+        fill?.kind === "conic-gradient"
+          ? "none"
+          : this.resolveStrokeOrFill("fill", fill, inherit),
+    });
+    if (inherit && strokeWidth === undefined) {
+      pathElement.removeAttribute("stroke-width");
+    }
+    if (fill?.kind === "conic-gradient") {
+      pathElement = this.createConicFill(pathElement, fill);
+    }
+    if (dropShadow || gaussianBlur) {
+      const uFilter = this.withUniqueId(
+        "filter",
+        createFilter(
+          computeFilterRegion(
+            // The stroke is part of the filtered graphic
+            measureElementContent(
+              pathElement,
+              { visual: true },
+              IDENTITY_MATRIX,
+              getStrokePaint(
+                pathElement,
+                inherit ? inheritedPaint : initialStrokePaint
+              )
+            ) ?? { x: 0, y: 0, width: 0, height: 0 },
+            dropShadow,
+            gaussianBlur
+          ),
+          dropShadow,
+          gaussianBlur
+        )
+      );
+      pathElement.setAttribute("filter", `url(#${uFilter.id})`);
+      if (!this.defs.some((existing) => existing.id === uFilter.id)) {
+        this.defs.push(createFilterElement(uFilter));
+      }
+    }
+    return pathElement;
+  }
+
+  /**
+   * Fills a path with a conic gradient, drawn as wedges clipped to the path
+   *
+   * @param {SVGNode} pathElement - left unfilled, it still draws the stroke over the wedges
+   * @param {ConicGradient} gradient
+   * @returns {SVGNode} - a group of the wedges and the path,
+   *   with the transform, opacity, clip path and mask of the path
+   */
+  createConicFill(pathElement, gradient) {
+    const d = `${pathElement.getAttribute("d") ?? ""}`;
+    const bounds = getPathDataBoundingBox(d);
+    if (!bounds) {
+      return pathElement;
+    }
+    const group = new SVGNode("g").setTransform(pathElement.transform);
+    pathElement.setTransform(undefined);
+    for (const name of ["opacity", "clip-path", "mask"]) {
+      group.setAttribute(name, pathElement.getAttribute(name));
+      pathElement.removeAttribute(name);
+    }
+    const clip = new SVGNode("path", {
       d,
-      uStroke,
+      "clip-rule": pathElement.getAttribute("fill-rule"),
+    });
+    const clipId = this.getUniqueId("clipPath", clip.compile());
+    if (!this.getElementById(clipId)) {
+      this.defs.push(new SVGNode("clipPath", { id: clipId }, [clip]));
+    }
+    const wedges = createConicGradientWedges(gradient, bounds).map(
+      (wedge) =>
+        new SVGNode("path", {
+          d: wedge.d,
+          fill: this.resolveStrokeOrFill("fill", wedge.fill),
+        })
+    );
+    group.appendChild(
+      new SVGNode(
+        "g",
+        {
+          "clip-path": `url(#${clipId})`,
+          "fill-opacity": pathElement.getAttribute("fill-opacity"),
+        },
+        wedges
+      )
+    );
+    group.appendChild(pathElement);
+    return group;
+  }
+
+  /**
+   * Adds a path element to the SVG
+   * @param {string} d
+   * @param {StrokeOrFill} stroke
+   * @param {StrokeOrFill} fill
+   * @param {number} opacity
+   * @param {Transform} transform
+   * @param {DropShadow} dropShadow
+   * @param {GaussianBlur} gaussianBlur
+   * @param {PathStyle} [style={}]
+   */
+  addPath(
+    d,
+    stroke,
+    strokeWidth,
+    fill,
+    opacity,
+    transform,
+    dropShadow,
+    gaussianBlur,
+    style = {}
+  ) {
+    this.elements.push(
+      this.createPath(
+        d,
+        stroke,
+        strokeWidth,
+        fill,
+        opacity,
+        transform,
+        dropShadow,
+        gaussianBlur,
+        style
+      )
+    );
+    return this;
+  }
+
+  /**
+   * Creates a text element and registers the definitions it needs,
+   * without adding it to the document
+   *
+   * @param {Text} text
+   * @param {StrokeOrFill} [stroke]
+   * @param {number} [strokeWidth]
+   * @param {StrokeOrFill} [fill]
+   * @param {number} [opacity]
+   * @param {Transform} [transform]
+   * @param {PathStyle} [style={}]
+   * @param {boolean} [inherit=false] - leave unset stroke, stroke width and fill to be inherited from a parent group
+   * @returns {SVGNode}
+   */
+  createText(
+    text,
+    stroke,
+    strokeWidth,
+    fill,
+    opacity,
+    transform,
+    style = {},
+    inherit = false
+  ) {
+    let pathId;
+    if (text.d !== undefined) {
+      // Texts following the same path share its definition
+      pathId = this.getUniqueId("textPath", text.d);
+      if (!this.getElementById(pathId)) {
+        this.defs.push(new SVGNode("path", { id: pathId, d: text.d }));
+      }
+    }
+    return createTextElement(
+      text,
+      undefined,
       strokeWidth,
-      uFill,
+      undefined,
       opacity,
-      transform
+      transform,
+      style,
+      pathId
+    ).setAttributes({
+      stroke: this.resolveStrokeOrFill("stroke", stroke, inherit),
+      fill: this.resolveStrokeOrFill("fill", fill, inherit),
+    });
+  }
+
+  /**
+   * Adds a text element to the SVG
+   * @param {Text} text
+   * @param {StrokeOrFill} [stroke]
+   * @param {number} [strokeWidth]
+   * @param {StrokeOrFill} [fill]
+   * @param {number} [opacity]
+   * @param {Transform} [transform]
+   * @param {PathStyle} [style={}]
+   */
+  addText(text, stroke, strokeWidth, fill, opacity, transform, style = {}) {
+    this.elements.push(
+      this.createText(text, stroke, strokeWidth, fill, opacity, transform, style)
     );
-    this.elements.push(pathElement);
-    [
-      uFill && compileStrokeOrFill(uFill),
-      uStroke && compileStrokeOrFill(uStroke),
-      uDropShadow && compileDropShadow(uDropShadow),
-      uGaussianBlur && compileGaussianBlur(uGaussianBlur),
-    ]
-      .filter(Boolean)
-      .forEach((def) => {
-        this.defs.push(def);
-      });
+    return this;
+  }
+
+  /**
+   * Adds an embedded PNG, JPEG, WebP or GIF image to the SVG
+   *
+   * @param {string|Buffer} source - path of an image file, or its content
+   * @param {Partial<ViewBox>} [rect={}] - where the image is drawn, sized from the image where unset
+   * @param {ImageOptions} [options={}]
+   * @throws if the image cannot be read or is not a supported type
+   */
+  image(source, rect = {}, options = {}) {
+    this.elements.push(createImageElement(readImage(source), rect, options));
+    return this;
+  }
 
+  /**
+   * Attaches keyframed animations to an element
+   *
+   * SMIL animations become children of the element; CSS animations are written
+   * to a <style> of the document and give the element an id if it has none
+   *
+   * @param {SVGNode|string} target - an element of the document, or its id
+   * @param {...import("./animation.js").Animation} animations
+   * @throws if there is no element with the id, or an animation does not apply to the element
+   */
+  animate(target, ...animations) {
+    const element =
+      typeof target === "string" ? this.getElementById(target) : target;
+    if (!element) {
+      throw new Error(`No element with id "${target}" to animate`);
+    }
+    for (const { animation, origin, baseMatrix } of animations.map(
+      (animation) => resolveAnimation(element, animation)
+    )) {
+      if (animation.format === "css") {
+        if (element.id === undefined) {
+          element.id = this.getUniqueId("animated");
+        }
+        const name = this.getUniqueId("keyframes");
+        this.cssAnimations.push({
+          selector: `#${element.id}`,
+          keyframes: compileCSSKeyframes(animation, name, origin, baseMatrix),
+          value: compileCSSAnimationValue(animation, name),
+        });
+      } else {
+        createAnimationElements(animation, origin).forEach((child) =>
+          element.appendChild(child)
+        );
+      }
+    }
     return this;
   }
 
+  /**
+   * Defines a clip path from the geometry drawn by an artist
+   *
+   * Only the geometry counts: paints, opacity and filters of the artist are ignored,
+   * and its fill rule decides which parts of overlapping shapes are inside
+   *
+   * @param {Artist} artist
+   * @returns {string} - id of the <clipPath>, for the `clipPath` path style and group option
+   * @throws if the artist has drawn nothing
+   */
+  clipPath(artist) {
+    const content = [];
+    if (artist.definitions.length) {
+      content.push(
+        new SVGNode("path", {
+          d: artist.compile(),
+          "clip-rule": artist.style.fillRule,
+        }).setTransform(artist.transform)
+      );
+    }
+    for (const text of artist.texts) {
+      content.push(
+        this.createText(
+          text,
+          undefined,
+          undefined,
+          undefined,
+          undefined,
+          artist.transform
+        )
+      );
+    }
+    if (!content.length) {
+      throw new Error(
+        "Cannot make a clip path from an artist that has drawn nothing"
+      );
+    }
+    const id = this.getUniqueId(
+      "clipPath",
+      content.map((node) => node.compile()).join("\n")
+    );
+    if (!this.getElementById(id)) {
+      this.defs.push(new SVGNode("clipPath", { id }, content));
+    }
+    return id;
+  }
+
+  /**
+   * Defines a mask from what an artist draws, or from a whole document
+   *
+   * Where the mask is white the masked content shows, where it is black or transparent it is hidden.
+   * The definitions of a document are copied with new ids, and its CSS variables are added to this document
+   *
+   * @param {SVGBuilder|Artist} source
+   * @returns {string} - id of the <mask>, for the `mask` path style and group option
+   * @throws if a CSS variable of the document has a different value in this document
+   */
+  mask(source) {
+    if (!(source instanceof SVGBuilder)) {
+      const content = createArtistElements(this, source);
+      const id = this.getUniqueId(
+        "mask",
+        content.map((node) => node.compile()).join("\n")
+      );
+      if (!this.getElementById(id)) {
+        const region = combineBoundingBoxes(
+          content.map((node) =>
+            getElementBoundingBox(node, {
+              visual: true,
+              getElementById: (id) => this.getElementById(id),
+            })
+          )
+        );
+        this.defs.push(
+          new SVGNode(
+            "mask",
+            {
+              id,
+              maskUnits: "userSpaceOnUse",
+              ...(Number.isFinite(region?.x)
+                ? region
+                : { x: 0, y: 0, width: 0, height: 0 }),
+            },
+            content
+          )
+        );
+      }
+      return id;
+    }
+
+    mergeVars(this, source.vars, "mask");
+    const document = source.buildDocument(true);
+    const id = this.getUniqueId("mask", document.compile());
+    if (this.getElementById(id)) {
+      return id;
+    }
+    const defs = document.children
+      .filter((child) => child.tag === "defs")
+      .flatMap((child) => child.children.slice());
+    const content = document.children.filter((child) => child.tag !== "defs");
+    // Ids of the source document are prefixed with the mask id, so they cannot collide
+    prefixIds([...defs, ...content], id);
+    this.defs.push(
+      ...defs,
+      new SVGNode(
+        "mask",
+        { id, maskUnits: "userSpaceOnUse", ...source.viewBox },
+        content
+      )
+    );
+    return id;
+  }
+
+  /**
+   * Creates a <g> element at the top level of the document
+   * @param {GroupOptions} [options={}]
+   * @returns {SVGGroup}
+   */
+  group(options = {}) {
+    const group = new SVGGroup(this, options);
+    this.elements.push(group.node);
+    this.groups.push(group);
+    return group;
+  }
+
+  /**
+   * Gets or creates a named group at the top level of the document
+   * @param {string} name
+   * @param {GroupOptions} [options={}] - only used when the layer is created
+   * @returns {SVGGroup}
+   */
+  layer(name, options = {}) {
+    return this.findLayer(null, name) ?? this.group(options).setName(name);
+  }
+
+  /**
+   * @param {SVGNode|null} parent - the <g> element the layer is in, or null for the top level
+   * @param {string} name
+   * @returns {SVGGroup|undefined}
+   */
+  findLayer(parent, name) {
+    return this.groups.find(
+      (group) =>
+        group.node.getAttribute("data-name") === name &&
+        (parent
+          ? group.node.parent === parent
+          : this.elements.includes(group.node))
+    );
+  }
+
   /**
    * Sets a drop shadow filter for the SVG
    * @param {DropShadow} dropShadow
    */
   setDropShadow(dropShadow) {
     this.defs.push(
-      compileDropShadow(this.withUniqueId("dropShadow", dropShadow))
+      createDropShadowElement(this.withUniqueId("dropShadow", dropShadow))
     );
     return this;
   }
@@ -860,11 +2898,66 @@ export default class SVGBuilder {
    */
   setGaussianBlur(gaussianBlur) {
     this.defs.push(
-      compileGaussianBlur(this.withUniqueId("gaussianBlur", gaussianBlur))
+      createGaussianBlurElement(this.withUniqueId("gaussianBlur", gaussianBlur))
     );
     return this;
   }
 
+  /**
+   * Finds the first element (including nested elements) that matches a predicate
+   * @param {(node: SVGNode) => boolean} predicate
+   * @returns {SVGNode|null}
+   */
+  find(predicate) {
+    for (const element of this.elements) {
+      const match = element.find(predicate);
+      if (match) {
+        return match;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Finds all elements (including nested elements) that match a predicate
+   * @param {(node: SVGNode) => boolean} predicate
+   * @returns {Array<SVGNode>}
+   */
+  findAll(predicate) {
+    return this.elements.flatMap((element) => element.findAll(predicate));
+  }
+
+  /**
+   * Looks up an element or definition by its id
+   * @param {string} id
+   * @returns {SVGNode|null}
+   */
+  getElementById(id) {
+    for (const node of [...this.elements, ...this.defs]) {
+      const match = node.find((n) => n.id === id);
+      if (match) {
+        return match;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Removes an element or definition, wherever it is in the document
+   * @param {SVGNode} node
+   */
+  removeElement(node) {
+    for (const list of [this.elements, this.defs]) {
+      const index = list.indexOf(node);
+      if (index !== -1) {
+        list.splice(index, 1);
+        return this;
+      }
+    }
+    node.remove();
+    return this;
+  }
+
   artist(
     stroke,
     strokeWidth,
@@ -872,7 +2965,8 @@ export default class SVGBuilder {
     opacity,
     transform,
     dropShadow,
-    gaussianBlur
+    gaussianBlur,
+    style
   ) {
     return new Artist(
       stroke,
@@ -882,101 +2976,246 @@ export default class SVGBuilder {
       transform,
       dropShadow,
       gaussianBlur,
-      this
+      this,
+      style
     );
   }
 
+  /**
+   * Creates the <style> element holding the CSS variables and themes,
+   * scoped to the class of the root element
+   * @returns {SVGNode}
+   */
+  createVarsElement() {
+    return createThemeStyleElement(
+      this.getThemeScope(),
+      this.vars,
+      this.themes
+    );
+  }
+
+  /**
+   * Creates the <style> element of the animations written as CSS
+   * @returns {SVGNode}
+   */
+  createAnimationStyleElement() {
+    const selectors = [
+      ...new Set(this.cssAnimations.map((animation) => animation.selector)),
+    ];
+    // An element running several animations lists them in a single declaration
+    const rules = selectors.map(
+      (selector) => `  ${selector} {
+    animation: ${this.cssAnimations
+      .filter((animation) => animation.selector === selector)
+      .map((animation) => animation.value)
+      .join(", ")};
+  }`
+    );
+    return new SVGNode("style").setText(`
+${[...this.cssAnimations.map((animation) => animation.keyframes), ...rules].join(
+  "\n"
+)}
+`);
+  }
+
+  /**
+   * Creates the (empty) root <svg> element of the document
+   * @returns {SVGNode}
+   */
+  createDocumentElement() {
+    return new SVGNode("svg", {
+      xmlns: "http://www.w3.org/2000/svg",
+      ...this.namespaces,
+      width: this.width,
+      height: this.height,
+      viewBox: `${this.viewBox.x} ${this.viewBox.y} ${this.viewBox.width} ${this.viewBox.height}`,
+    });
+  }
+
+  /**
+   * Builds the complete document tree
+   * @param {boolean|CompileOptions} [options=false] - `true` leaves out the variables
+   * @returns {SVGNode}
+   * @throws if the theme does not exist, if a baked variable is not defined, or if two elements have the same id
+   */
+  buildDocument(options = false) {
+    const {
+      noVars = false,
+      theme,
+      bakeVars = false,
+      minify = false,
+      precision,
+    } = typeof options === "boolean" ? { noVars: options } : options;
+    const vars = this.getThemeVars(theme);
+    if (bakeVars) {
+      this.validateVars(theme);
+    }
+    this.groups.forEach((group) => group.updateFilterRegion());
+    const root = this.createDocumentElement().setAttribute(
+      "preserveAspectRatio",
+      "xMidYMid meet"
+    );
+    const declaresVars =
+      !noVars &&
+      !bakeVars &&
+      (Object.keys(this.vars).length > 0 ||
+        Object.keys(this.themes).length > 0);
+    const classes = [
+      declaresVars ? this.getThemeScope() : undefined,
+      theme !== undefined && !bakeVars ? getThemeClass(theme) : undefined,
+    ].filter(Boolean);
+    if (classes.length) {
+      root.setAttribute("class", classes.join(" "));
+    }
+    if (declaresVars) {
+      root.appendChild(this.createVarsElement());
+    }
+    if (this.cssAnimations.length) {
+      root.appendChild(this.createAnimationStyleElement());
+    }
+    root.appendChild(
+      new SVGNode(
+        "defs",
+        {},
+        this.defs.map((def) => def.clone())
+      )
+    );
+    this.elements.forEach((element) => root.appendChild(element.clone()));
+    resolveTransformOrigins(root);
+    if (bakeVars) {
+      replaceVars(root, vars);
+    }
+    checkUniqueIds(root);
+    return minify || precision !== undefined
+      ? optimizeDocument(root, { minify, precision })
+      : root;
+  }
+
   /**
    * Compiles the SVG elements into a complete SVG string
+   * @param {boolean|CompileOptions} [options=false] - `true` leaves out the variables
    * @returns {string}
+   * @throws naming the element, if a color, a number or an id is not valid
    */
-  compile(noVars = false) {
-    return `
-<svg
-    xmlns="http://www.w3.org/2000/svg"
-    width="${this.width}"
-    height="${this.height}"
-    viewBox="${this.viewBox.x} ${this.viewBox.y} ${this.viewBox.width} ${
-      this.viewBox.height
-    }"
-    preserveAspectRatio="xMidYMid meet"
-
-    >
-  ${
-    !noVars
-      ? `
-    <style>
-
-    :root {
-${Object.entries(this.vars)
-  .map(([key, value]) => {
-    return `        ${key}: ${value};`;
-  })
-  .join("\n")}
-    }
-
-    </style>
-  `
-      : ""
-  }
-    <defs>
-${this.defs.join("\n")}
-    </defs>
-${this.elements
-  .join("\n")
-  .split("\n")
-  .map((line) => "    " + line)
-  .join("\n")}
-</svg>`.trim();
+  compile(options = false) {
+    return this.buildDocument(options).compile("", options.minify === true);
   }
 
   /**
+   * Saves the document as plain data, to write as JSON and load with `SVGBuilder.fromJSON`
    *
-   * @param {*} maskId
-   * @param {*} noVars
-   * @returns
+   * The data is detached from the document: later drawing does not change it
+   *
+   * @returns {import("./schema.js").DocumentData}
+   */
+  toJSON() {
+    /** @param {SVGNode} node */
+    const getPath = (node) => {
+      const path = [];
+      while (node.parent) {
+        path.unshift(node.parent.children.indexOf(node));
+        node = node.parent;
+      }
+      const index = this.elements.indexOf(node);
+      return index === -1 ? undefined : [index, ...path];
+    };
+    const groups = this.groups.flatMap((group) => {
+      // Groups removed from the document are not saved
+      const path = getPath(group.node);
+      return path
+        ? [{ path, nested: group.nested, filter: group.filter }]
+        : [];
+    });
+    return JSON.parse(
+      JSON.stringify({
+        format: DOCUMENT_FORMAT,
+        version: DOCUMENT_VERSION,
+        width: this.width,
+        height: this.height,
+        viewBox: this.viewBox,
+        vars: this.vars,
+        themes: this.themes,
+        themeScope: this.themeScope,
+        namespaces: this.namespaces,
+        defs: this.defs,
+        elements: this.elements,
+        groups,
+        cssAnimations: this.cssAnimations,
+        idMap: [...this.idMap],
+        uniqueIdCounter: this.uniqueIdCounter,
+      })
+    );
+  }
+
+  /**
+   * Compiles the document as a standalone <mask> element covering the viewBox,
+   * to paste into the definitions of another document
+   *
+   * The definitions of the document are nested in the mask.
+   * To mask the content of another builder, `SVGBuilder.mask` also keeps ids from colliding
+   *
+   * @param {string} maskId
+   * @param {boolean} [noVars=false]
+   * @returns {string}
    */
   compileMask(maskId, noVars = false) {
-    return `
-<svg
-    xmlns="http://www.w3.org/2000/svg"
-    width="${this.width}"
-    height="${this.height}"
-    viewBox="${this.viewBox.x} ${this.viewBox.y} ${this.viewBox.width} ${
-      this.viewBox.height
-    }"
-    >
-  ${
-    !noVars
-      ? `
-    <style>
-
-    :root {
-${Object.entries(this.vars)
-  .map(([key, value]) => {
-    return `        ${key}: ${value};`;
-  })
-  .join("\n")}
-    }
-
-    </style>
-  `
-      : ""
-  }
-    <defs>
-${this.defs.join("\n")}
-  <mask id="${maskId}">
-${this.elements
-  .join("\n")
-  .split("\n")
-  .map((line) => "    " + line)
-  .join("\n")}
-  </mask>
-    </defs>
-</svg>`.trim();
-  }
-
-  getContentBoundingBox() {
+    const document = this.buildDocument(noVars);
+    return new SVGNode(
+      "mask",
+      { id: maskId, maskUnits: "userSpaceOnUse", ...this.viewBox },
+      [...document.children]
+    ).compile();
+  }
+
+  /**
+   * Renders the document to a PNG image, without a browser
+   *
+   * Paths, fill rules, strokes, solid colors, gradients, opacity, clip paths and masks are drawn;
+   * filters are not applied, and embedded images and <text> are not drawn
+   * (text converted to outlines with a `font` is drawn)
+   *
+   * @param {PNGOptions} [options={}]
+   * @returns {Buffer} - the PNG file
+   */
+  toPNG(options = {}) {
+    const scale = options.scale ?? 1;
+    let width = options.width;
+    let height = options.height;
+    // A single dimension keeps the aspect ratio of the document
+    if (width === undefined && height !== undefined) {
+      width = (height * this.width) / this.height;
+    } else if (height === undefined && width !== undefined) {
+      height = (width * this.height) / this.width;
+    }
+    width = Math.max(1, Math.round((width ?? this.width) * scale));
+    height = Math.max(1, Math.round((height ?? this.height) * scale));
+    if (!Number.isFinite(width) || !Number.isFinite(height)) {
+      throw new Error(`Invalid PNG size: ${width}x${height}`);
+    }
+    return encodePNG(
+      rasterize(this.buildDocument(true), {
+        width,
+        height,
+        vars: this.getThemeVars(options.theme),
+        getElementMatrix: (element) => getElementMatrix(element),
+        getBoundingBox: (element) =>
+          measureElementContent(
+            element,
+            {},
+            IDENTITY_MATRIX,
+            initialStrokePaint
+          ),
+      })
+    );
+  }
+
+  /**
+   * Computes the bounds of everything drawn in the document
+   *
+   * @param {BoundingBoxOptions} [options={}] - `visual` includes strokes and filter regions
+   * @returns {ViewBox|null} - null when nothing is drawn
+   */
+  getContentBoundingBox(options = {}) {
     // supported shapes and corresponding svg path d letter
     // circle                                         - M cx, cy m -r, 0 a r,r 0 1,0 (2r,0) a r,r 0 1,0 (-2r,0)
     // ellipse                                        - M cx, cy m -rx, 0 a rx,ry 0 1,0 (2rx,0) a rx,ry 0 1,0
@@ -988,45 +3227,29 @@ ${this.elements
     // quadratic bezier                               - M x1, y1 Q cx, cy, x2, y2
     // cubic bezier                                   - M x1, y1 C cx1, cy1, cx2, cy2, x2, y2
     // movement commands                              - M (move to), L (line to), H (horizontal line), V (vertical line), Z (close path)
-    let boundingBox = null;
-
-    function incorporateBoundingBox(box) {
-      if (boundingBox === null) {
-        boundingBox = box;
-      } else {
-        boundingBox = combineBoundingBoxes(boundingBox, box);
-      }
-    }
-
-    /**
-     *
-     * @param {string} elementText
-     */
-    function processElement(elementText) {
-      const dRegex = /d\s*=\s*("|')\s*(.*?)\s*("|')/gis;
-      const matches = Array.from(elementText.matchAll(dRegex));
-      if (matches.length !== 1) {
-        throw new Error("Invalid path data");
-      }
-      const d = matches[0][2].trim().replace(/\s+/g, " ");
-      const bounds = getBounds(d);
-      incorporateBoundingBox({
-        x: bounds.minX,
-        y: bounds.minY,
-        width: bounds.width,
-        height: bounds.height,
-      });
-    }
-
-    for (const elementText of this.elements) {
-      processElement(elementText);
+    // groups                                         - union of their content, through the group transforms
+    if (options.visual) {
+      this.groups.forEach((group) => group.updateFilterRegion());
     }
-
-    return boundingBox;
+    const elementOptions = {
+      getElementById: (id) => this.getElementById(id),
+      ...options,
+    };
+    const boxes = this.elements
+      .map((element) => getElementBoundingBox(element, elementOptions))
+      .filter(Boolean);
+    return boxes.length ? combineBoundingBoxes(boxes) : null;
   }
 
-  adjustViewboxToFitContent(paddingX=0, paddingY=0) {
-    const boundingBox = this.getContentBoundingBox();
+  /**
+   * Fits the viewBox around the content
+   *
+   * @param {number} [paddingX=0] - total horizontal padding
+   * @param {number} [paddingY=0] - total vertical padding
+   * @param {BoundingBoxOptions} [options={visual: true}] - by default strokes and filter effects are kept in view
+   */
+  adjustViewboxToFitContent(paddingX=0, paddingY=0, options = { visual: true }) {
+    const boundingBox = this.getContentBoundingBox(options);
     if (boundingBox) {
       boundingBox.x -= paddingX / 2
       boundingBox.width += paddingX
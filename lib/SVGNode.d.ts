@@ -0,0 +1,51 @@
+import { AnyTransform as Transform } from "./transform";
+import { NodeData } from "./schema";
+
+export type AttributeValue = string | number | boolean | null | undefined;
+
+export function escapeAttribute(value: string): string;
+
+export function escapeText(text: string): string;
+
+export default class SVGNode {
+  constructor(
+    tag: string,
+    attributes?: Record<string, AttributeValue>,
+    children?: SVGNode[]
+  );
+
+  tag: string;
+  attributes: Record<string, AttributeValue>;
+  style: Record<string, string | number>;
+  transform: Transform | undefined;
+  children: SVGNode[];
+  text: string | undefined;
+  parent: SVGNode | null;
+  id: string | undefined;
+
+  getAttribute(name: string): AttributeValue;
+  setAttribute(name: string, value: AttributeValue): this;
+  setAttributes(attributes: Record<string, AttributeValue>): this;
+  removeAttribute(name: string): this;
+  setStyle(property: string, value: string | number | undefined): this;
+  setTransform(transform: Transform | undefined): this;
+  setText(text: string | undefined): this;
+  appendChild(child: SVGNode): this;
+  removeChild(child: SVGNode): this;
+  remove(): this;
+  walk(): Generator<SVGNode>;
+  find(predicate: (node: SVGNode) => boolean): SVGNode | null;
+  findAll(predicate: (node: SVGNode) => boolean): SVGNode[];
+  clone(): SVGNode;
+  toJSON(): {
+    tag: string;
+    attributes: Record<string, AttributeValue>;
+    style: Record<string, string | number>;
+    transform: Transform | undefined;
+    text: string | undefined;
+    children: SVGNode[];
+  };
+  static fromJSON(data: NodeData): SVGNode;
+  getCompiledAttributes(): [string, string][];
+  compile(indent?: string, compact?: boolean): string;
+}
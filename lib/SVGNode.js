@@ -0,0 +1,320 @@
+/**
+ * A structured representation of SVG elements
+ *
+ * Elements stay as data (tag, attributes, style, transform and children)
+ * until they are serialized, so they can be inspected, edited or removed
+ * after they have been added to a document
+ */
+
+import { compileTransform } from "./transform.js";
+import { validateNode } from "./validate.js";
+
+/**
+ * @typedef {import("./transform.js").Transform} Transform
+ */
+
+/**
+ * @typedef {string|number|boolean|null|undefined} AttributeValue
+ */
+
+/**
+ * Escapes a value written between the quotes of an attribute
+ *
+ * @param {string} value
+ * @returns {string}
+ */
+export function escapeAttribute(value) {
+  return `${value}`
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+/**
+ * Escapes text written as the content of an element, <style> elements included
+ *
+ * @param {string} text
+ * @returns {string}
+ */
+export function escapeText(text) {
+  return `${text}`
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;");
+}
+
+/**
+ * @class
+ * @constructor
+ *
+ * @property {string} tag - tag name of the element
+ * @property {Object<string,AttributeValue>} attributes - attribute values, `null` and `undefined` are not written
+ * @property {Object<string,string|number>} style - declarations for the `style` attribute
+ * @property {Transform|undefined} transform - written as the `transform` attribute
+ * @property {Array<SVGNode>} children
+ * @property {string|undefined} text - text content, escaped and written before any children
+ * @property {SVGNode|null} parent
+ */
+export default class SVGNode {
+  /**
+   * @param {string} tag
+   * @param {Object<string,AttributeValue>} [attributes={}]
+   * @param {Array<SVGNode>} [children=[]]
+   */
+  constructor(tag, attributes = {}, children = []) {
+    this.tag = tag;
+    this.attributes = { ...attributes };
+    this.style = {};
+    this.transform = undefined;
+    this.children = [];
+    this.text = undefined;
+    this.parent = null;
+    children.forEach((child) => this.appendChild(child));
+  }
+
+  get id() {
+    return this.attributes.id;
+  }
+
+  set id(value) {
+    this.attributes.id = value;
+  }
+
+  /**
+   * @param {string} name
+   * @returns {AttributeValue}
+   */
+  getAttribute(name) {
+    return this.attributes[name];
+  }
+
+  /**
+   * @param {string} name
+   * @param {AttributeValue} value
+   */
+  setAttribute(name, value) {
+    this.attributes[name] = value;
+    return this;
+  }
+
+  /**
+   * @param {Object<string,AttributeValue>} attributes
+   */
+  setAttributes(attributes) {
+    Object.assign(this.attributes, attributes);
+    return this;
+  }
+
+  /**
+   * @param {string} name
+   */
+  removeAttribute(name) {
+    delete this.attributes[name];
+    return this;
+  }
+
+  /**
+   * @param {string} property
+   * @param {string|number|undefined} value - `undefined` removes the declaration
+   */
+  setStyle(property, value) {
+    if (value === undefined) {
+      delete this.style[property];
+    } else {
+      this.style[property] = value;
+    }
+    return this;
+  }
+
+  /**
+   * @param {Transform|undefined} transform
+   */
+  setTransform(transform) {
+    this.transform = transform;
+    return this;
+  }
+
+  /**
+   * @param {string} text
+   */
+  setText(text) {
+    this.text = text;
+    return this;
+  }
+
+  /**
+   * @param {SVGNode} child
+   */
+  appendChild(child) {
+    if (child.parent) {
+      child.parent.removeChild(child);
+    }
+    child.parent = this;
+    this.children.push(child);
+    return this;
+  }
+
+  /**
+   * @param {SVGNode} child
+   */
+  removeChild(child) {
+    const index = this.children.indexOf(child);
+    if (index !== -1) {
+      this.children.splice(index, 1);
+      child.parent = null;
+    }
+    return this;
+  }
+
+  /**
+   * Detaches the node from its parent
+   */
+  remove() {
+    if (this.parent) {
+      this.parent.removeChild(this);
+    }
+    return this;
+  }
+
+  /**
+   * Visits the node and all of its descendants, depth first
+   * @returns {Generator<SVGNode>}
+   */
+  *walk() {
+    yield this;
+    for (const child of this.children) {
+      yield* child.walk();
+    }
+  }
+
+  /**
+   * @param {(node: SVGNode) => boolean} predicate
+   * @returns {SVGNode|null}
+   */
+  find(predicate) {
+    for (const node of this.walk()) {
+      if (predicate(node)) {
+        return node;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * @param {(node: SVGNode) => boolean} predicate
+   * @returns {Array<SVGNode>}
+   */
+  findAll(predicate) {
+    return Array.from(this.walk()).filter(predicate);
+  }
+
+  /**
+   * Deep copy of the node, detached from any parent
+   * @returns {SVGNode}
+   */
+  clone() {
+    const copy = new SVGNode(
+      this.tag,
+      this.attributes,
+      this.children.map((child) => child.clone())
+    );
+    copy.style = { ...this.style };
+    copy.transform = this.transform && { ...this.transform };
+    copy.text = this.text;
+    return copy;
+  }
+
+  /**
+   * Plain data of the node and its descendants, without the parent link,
+   * so that nodes can be serialized with JSON.stringify
+   * @returns {Object}
+   */
+  toJSON() {
+    return {
+      tag: this.tag,
+      attributes: this.attributes,
+      style: this.style,
+      transform: this.transform,
+      text: this.text,
+      children: this.children,
+    };
+  }
+
+  /**
+   * Creates a node and its descendants from the data of `toJSON`
+   * @param {import("./schema.js").NodeData} data
+   * @returns {SVGNode}
+   */
+  static fromJSON(data) {
+    const node = new SVGNode(
+      data.tag,
+      data.attributes,
+      (data.children ?? []).map((child) => SVGNode.fromJSON(child))
+    );
+    node.style = { ...data.style };
+    node.transform = data.transform && structuredClone(data.transform);
+    node.text = data.text;
+    return node;
+  }
+
+  /**
+   * @returns {Array<[string,string]>} - attribute name/value pairs as they will be written
+   */
+  getCompiledAttributes() {
+    const entries = Object.entries(this.attributes)
+      .filter(([, value]) => value !== undefined && value !== null)
+      .map(([name, value]) => [name, `${value}`]);
+    const styleEntries = Object.entries(this.style);
+    if (styleEntries.length) {
+      entries.push([
+        "style",
+        styleEntries.map(([property, value]) => `${property}:${value}`).join(";"),
+      ]);
+    }
+    if (this.transform) {
+      entries.push(["transform", compileTransform(this.transform)]);
+    }
+    return entries;
+  }
+
+  /**
+   * Serializes the node and its descendants
+   *
+   * Attribute values and text are escaped, and values are validated first
+   *
+   * @param {string} [indent=""] - indentation of the opening tag
+   * @param {boolean} [compact=false] - without line breaks and indentation
+   * @returns {string}
+   * @throws naming the element, if a name or a value is not valid
+   */
+  compile(indent = "", compact = false) {
+    validateNode(this);
+    const attributeString = this.getCompiledAttributes()
+      .map(([name, value]) => ` ${name}="${escapeAttribute(value)}"`)
+      .join("");
+    const text = this.text === undefined ? undefined : escapeText(this.text);
+    if (compact) {
+      return !this.children.length && text === undefined
+        ? `<${this.tag}${attributeString}/>`
+        : `<${this.tag}${attributeString}>${text ?? ""}${this.children
+            .map((child) => child.compile("", true))
+            .join("")}</${this.tag}>`;
+    }
+    if (!this.children.length && text === undefined) {
+      return `${indent}<${this.tag}${attributeString} />`;
+    }
+    if (!this.children.length) {
+      return `${indent}<${this.tag}${attributeString}>${text}</${this.tag}>`;
+    }
+    const lines = [`${indent}<${this.tag}${attributeString}>`];
+    if (text !== undefined) {
+      lines.push(text);
+    }
+    for (const child of this.children) {
+      lines.push(child.compile(indent + "  "));
+    }
+    lines.push(`${indent}</${this.tag}>`);
+    return lines.join("\n");
+  }
+}
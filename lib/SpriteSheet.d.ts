@@ -0,0 +1,33 @@
+import SVGNode from "./SVGNode";
+import SVGBuilder from "./SVGBuilder";
+
+export interface SpriteSheetOptions {
+  idPrefix?: string;
+}
+
+export interface SpriteManifestEntry {
+  id: string;
+  viewBox: string;
+  width: number;
+  height: number;
+}
+
+export interface SpriteManifest {
+  icons: Record<string, SpriteManifestEntry>;
+}
+
+export default class SpriteSheet {
+  constructor(options?: SpriteSheetOptions);
+
+  icons: { name: string; builder: SVGBuilder }[];
+  idPrefix: string;
+
+  static create(options?: SpriteSheetOptions): SpriteSheet;
+
+  add(name: string, builder: SVGBuilder): this;
+  getSymbolId(name: string): string;
+  buildDocument(noVars?: boolean): SVGNode;
+  compile(noVars?: boolean): string;
+  getManifest(): SpriteManifest;
+  compileManifest(): string;
+}
@@ -0,0 +1,238 @@
+/**
+ * Combines several icons into one SVG sprite sheet
+ *
+ * Each icon becomes a <symbol> that pages reference with <use href="sheet.svg#name">.
+ * Definitions shared by several icons, such as the same gradient or filter, are written once.
+ */
+
+import SVGNode from "./SVGNode.js";
+import { renameReferences } from "./references.js";
+
+/**
+ * @typedef {import("./SVGBuilder.js").default} SVGBuilder
+ */
+
+/**
+ * @typedef {Object} SpriteSheetOptions
+ * @property {string} [idPrefix=""] - prepended to the icon names to form the symbol ids
+ */
+
+/**
+ * @typedef {Object} SpriteManifestEntry
+ * @property {string} id - id of the <symbol>
+ * @property {string} viewBox
+ * @property {number} width - intrinsic width of the icon
+ * @property {number} height - intrinsic height of the icon
+ */
+
+/**
+ * @typedef {Object} SpriteManifest
+ * @property {Object<string,SpriteManifestEntry>} icons - by icon name
+ */
+
+/**
+ * A set of icons compiled to a single SVG of <symbol> elements
+ *
+ * @class
+ * @constructor
+ *
+ * @property {Array<{name: string, builder: SVGBuilder}>} icons
+ * @property {string} idPrefix
+ */
+export default class SpriteSheet {
+  /**
+   * @param {SpriteSheetOptions} [options={}]
+   */
+  constructor(options = {}) {
+    this.icons = [];
+    this.idPrefix = options.idPrefix ?? "";
+  }
+
+  /**
+   * @param {SpriteSheetOptions} [options={}]
+   * @returns {SpriteSheet}
+   */
+  static create(options = {}) {
+    return new SpriteSheet(options);
+  }
+
+  /**
+   * Adds an icon to the sheet
+   *
+   * @param {string} name - used for the symbol id, so it must be a valid XML id
+   * @param {SVGBuilder} builder
+   * @throws if the name is invalid or already used
+   */
+  add(name, builder) {
+    if (!/^[A-Za-z_][\w.-]*$/.test(name)) {
+      throw new Error(`Invalid icon name: "${name}"`);
+    }
+    if (this.icons.some((icon) => icon.name === name)) {
+      throw new Error(`Duplicate icon name: "${name}"`);
+    }
+    this.icons.push({ name, builder });
+    return this;
+  }
+
+  /**
+   * @param {string} name
+   * @returns {string} - id of the symbol of an icon
+   */
+  getSymbolId(name) {
+    return `${this.idPrefix}${name}`;
+  }
+
+  /**
+   * Builds the complete sprite sheet tree
+   *
+   * Each symbol keeps the theme scope class of its icon, and the sheet the <style> elements
+   * declaring the variables and themes of the icons
+   *
+   * @param {boolean} [noVars=false]
+   * @returns {SVGNode}
+   */
+  buildDocument(noVars = false) {
+    const root = new SVGNode("svg", {
+      xmlns: "http://www.w3.org/2000/svg",
+    })
+      // Hidden when inlined in a page, without display:none which would disable gradients
+      .setStyle("position", "absolute")
+      .setStyle("width", 0)
+      .setStyle("height", 0)
+      .setStyle("overflow", "hidden");
+    const defs = new SVGNode("defs");
+    // Written once when icons share their variables and themes
+    const styles = new Map();
+    const symbols = [];
+    // Compiled definition, without its id, to the id it was written with
+    const sharedDefs = new Map();
+    const usedIds = new Set(
+      this.icons.map(({ name }) => this.getSymbolId(name))
+    );
+
+    for (const { name, builder } of this.icons) {
+      const document = builder.buildDocument(noVars);
+      const symbolId = this.getSymbolId(name);
+      // Prefixed attributes of imported icons, such as xlink:href, need their declarations
+      root.setAttributes(builder.namespaces);
+      const iconStyles = document.children.filter(
+        (child) => child.tag === "style"
+      );
+      const iconDefs = document.children
+        .filter((child) => child.tag === "defs")
+        .flatMap((child) => child.children.slice());
+      const content = document.children.filter(
+        (child) => child.tag !== "defs" && child.tag !== "style"
+      );
+
+      // Ids and @keyframes names are only unique within an icon, so they are prefixed with the symbol id
+      const ids = new Map();
+      const rename = (id) => {
+        let newId = `${symbolId}-${id}`;
+        for (let i = 2; usedIds.has(newId); i++) {
+          newId = `${symbolId}-${id}-${i}`;
+        }
+        usedIds.add(newId);
+        ids.set(id, newId);
+      };
+      for (const node of [...iconDefs, ...content]) {
+        for (const descendant of node.walk()) {
+          if (descendant.id !== undefined && descendant.id !== null) {
+            rename(`${descendant.id}`);
+          }
+        }
+      }
+      for (const style of iconStyles) {
+        for (const match of `${style.text ?? ""}`.matchAll(
+          /@keyframes\s+([\w-]+)/g
+        )) {
+          rename(match[1]);
+        }
+      }
+
+      for (const style of iconStyles) {
+        renameReferences(style, ids);
+        const key = style.compile();
+        if (!styles.has(key)) {
+          styles.set(key, style);
+        }
+      }
+
+      for (const def of iconDefs) {
+        renameReferences(def, ids);
+        const oldId = def.id;
+        const key = def.clone().removeAttribute("id").compile();
+        if (sharedDefs.has(key)) {
+          if (oldId !== undefined) {
+            ids.set(`${oldId}`, sharedDefs.get(key));
+          }
+          continue;
+        }
+        if (oldId !== undefined) {
+          def.id = ids.get(`${oldId}`);
+          sharedDefs.set(key, def.id);
+        }
+        defs.appendChild(def);
+      }
+
+      const symbol = new SVGNode("symbol", {
+        id: symbolId,
+        // The theme scope, so the variables of the icon apply to its content
+        class: document.getAttribute("class"),
+        viewBox: document.getAttribute("viewBox"),
+      });
+      for (const node of content) {
+        renameReferences(node, ids);
+        for (const descendant of node.walk()) {
+          if (ids.has(`${descendant.id}`)) {
+            descendant.id = ids.get(`${descendant.id}`);
+          }
+        }
+        symbol.appendChild(node);
+      }
+      symbols.push(symbol);
+    }
+    [...styles.values(), defs, ...symbols].forEach((node) =>
+      root.appendChild(node)
+    );
+    return root;
+  }
+
+  /**
+   * Compiles the sprite sheet into a complete SVG string
+   *
+   * @param {boolean} [noVars=false]
+   * @returns {string}
+   */
+  compile(noVars = false) {
+    return this.buildDocument(noVars).compile();
+  }
+
+  /**
+   * Describes the icons of the sheet, such as for the `Icon` React component
+   *
+   * @returns {SpriteManifest}
+   */
+  getManifest() {
+    return {
+      icons: Object.fromEntries(
+        this.icons.map(({ name, builder }) => [
+          name,
+          {
+            id: this.getSymbolId(name),
+            viewBox: `${builder.viewBox.x} ${builder.viewBox.y} ${builder.viewBox.width} ${builder.viewBox.height}`,
+            width: builder.width,
+            height: builder.height,
+          },
+        ])
+      ),
+    };
+  }
+
+  /**
+   * @returns {string} - the manifest as JSON
+   */
+  compileManifest() {
+    return JSON.stringify(this.getManifest(), null, 2);
+  }
+}
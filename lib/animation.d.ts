@@ -0,0 +1,84 @@
+import SVGNode from "./SVGNode";
+import { Matrix } from "./transform";
+
+export type AnimatedProperty =
+  | "transform"
+  | "opacity"
+  | "fill"
+  | "stroke"
+  | "stroke-dashoffset"
+  | "draw-on"
+  | "d";
+
+export type Easing =
+  | "linear"
+  | "ease"
+  | "ease-in"
+  | "ease-out"
+  | "ease-in-out"
+  | [number, number, number, number];
+
+export interface TransformKeyframe {
+  translateX?: number;
+  translateY?: number;
+  scaleX?: number;
+  scaleY?: number;
+  rotateDegrees?: number;
+}
+
+export interface Keyframe {
+  offset: number;
+  value: string | number | TransformKeyframe;
+}
+
+export interface AnimationOptions {
+  duration?: number;
+  easing?: Easing;
+  repeat?: number | "indefinite";
+  delay?: number;
+  freeze?: boolean;
+  format?: "smil" | "css";
+  origin?: "center" | [number, number];
+}
+
+export interface Animation {
+  kind: "animation";
+  property: AnimatedProperty;
+  keyframes: Keyframe[];
+  duration: number;
+  easing: Easing;
+  repeat: number | "indefinite";
+  delay: number;
+  freeze: boolean;
+  format: "smil" | "css";
+  origin: "center" | [number, number];
+}
+
+export function resolveKeyframes(
+  keyframes: Array<string | number | TransformKeyframe | Keyframe>
+): Keyframe[];
+
+export function createAnimation(
+  property: AnimatedProperty,
+  keyframes: Array<string | number | TransformKeyframe | Keyframe>,
+  options?: AnimationOptions
+): Animation;
+
+export function createDrawOnAnimation(options?: AnimationOptions): Animation;
+
+export function createAnimationElements(
+  animation: Animation,
+  origin?: [number, number]
+): SVGNode[];
+
+export function compileCSSKeyframes(
+  animation: Animation,
+  name: string,
+  origin?: [number, number],
+  baseMatrix?: Matrix | null
+): string;
+
+export function compileCSSAnimationValue(
+  animation: Animation,
+  name: string
+): string;
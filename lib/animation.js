@@ -0,0 +1,392 @@
+/**
+ * Keyframed animations, written as SMIL animation elements or CSS @keyframes
+ *
+ * Supported properties:
+ *     transform (translate, scale and rotate), opacity, fill and stroke colors,
+ *     stroke-dashoffset, "draw-on" strokes, and morphing of path data with the same commands
+ */
+
+import SVGNode from "./SVGNode.js";
+import { parsePathData, serializePathData } from "./pathData.js";
+
+/**
+ * @typedef {import("./transform.js").Matrix} Matrix
+ */
+
+/**
+ * @typedef {"transform"|"opacity"|"fill"|"stroke"|"stroke-dashoffset"|"draw-on"|"d"} AnimatedProperty
+ */
+
+/**
+ * Timing function between keyframes: a CSS keyword,
+ * or the control points of a cubic Bezier curve as in `cubic-bezier(x1, y1, x2, y2)`
+ *
+ * @typedef {"linear"|"ease"|"ease-in"|"ease-out"|"ease-in-out"|[number,number,number,number]} Easing
+ */
+
+/**
+ * Value of a transform keyframe; each part is animated only when a keyframe sets it
+ *
+ * @typedef {Object} TransformKeyframe
+ * @property {number} [translateX]
+ * @property {number} [translateY]
+ * @property {number} [scaleX]
+ * @property {number} [scaleY]
+ * @property {number} [rotateDegrees]
+ */
+
+/**
+ * @typedef {Object} Keyframe
+ * @property {number} offset - from 0 at the start to 1 at the end of an iteration
+ * @property {string|number|TransformKeyframe} value
+ */
+
+/**
+ * @typedef {Object} AnimationOptions
+ * @property {number} [duration=1000] - of one iteration, in milliseconds
+ * @property {Easing} [easing="linear"]
+ * @property {number|"indefinite"} [repeat=1] - number of iterations
+ * @property {number} [delay=0] - in milliseconds
+ * @property {boolean} [freeze=false] - keep the last keyframe when the animation ends, instead of the static value
+ * @property {"smil"|"css"} [format="smil"]
+ * @property {"center"|[number,number]} [origin="center"] - center of rotation of transform animations
+ */
+
+/**
+ * @typedef {Object} Animation
+ * @property {"animation"} kind
+ * @property {AnimatedProperty} property
+ * @property {Array<Keyframe>} keyframes
+ * @property {number} duration
+ * @property {Easing} easing
+ * @property {number|"indefinite"} repeat
+ * @property {number} delay
+ * @property {boolean} freeze
+ * @property {"smil"|"css"} format
+ * @property {"center"|[number,number]} origin
+ */
+
+/**
+ * Control points of the CSS easing keywords
+ */
+const easingCurves = {
+  ease: [0.25, 0.1, 0.25, 1],
+  "ease-in": [0.42, 0, 1, 1],
+  "ease-out": [0, 0, 0.58, 1],
+  "ease-in-out": [0.42, 0, 0.58, 1],
+};
+
+/**
+ * SMIL transform type of each part of a transform keyframe, with its defaults
+ */
+const transformParts = {
+  translate: { keys: ["translateX", "translateY"], defaults: [0, 0] },
+  scale: { keys: ["scaleX", "scaleY"], defaults: [1, 1] },
+  rotate: { keys: ["rotateDegrees"], defaults: [0] },
+};
+
+/**
+ * Spreads values evenly over an iteration, or checks explicit keyframes
+ *
+ * @param {Array<string|number|TransformKeyframe|Keyframe>} keyframes
+ * @returns {Array<Keyframe>}
+ * @throws if there are less than two keyframes, or the offsets do not go from 0 to 1
+ */
+export function resolveKeyframes(keyframes) {
+  if (!Array.isArray(keyframes) || keyframes.length < 2) {
+    throw new Error("An animation needs at least two keyframes");
+  }
+  const explicit = keyframes.every(
+    (keyframe) =>
+      typeof keyframe === "object" && keyframe !== null && "offset" in keyframe
+  );
+  const resolved = explicit
+    ? keyframes
+    : keyframes.map((value, i) => ({
+        offset: i / (keyframes.length - 1),
+        value,
+      }));
+  const offsets = resolved.map((keyframe) => keyframe.offset);
+  if (
+    offsets[0] !== 0 ||
+    offsets[offsets.length - 1] !== 1 ||
+    offsets.some((offset, i) => i > 0 && !(offset >= offsets[i - 1]))
+  ) {
+    throw new Error(
+      `Keyframe offsets must increase from 0 to 1, got ${offsets.join(", ")}`
+    );
+  }
+  return resolved;
+}
+
+/**
+ * @param {Array<Keyframe>} keyframes - path data values
+ * @returns {Array<Keyframe>} - the values in a uniform form
+ * @throws if the paths do not have the same commands, which is needed to morph between them
+ */
+function resolveMorphKeyframes(keyframes) {
+  const commandLists = keyframes.map((keyframe) =>
+    parsePathData(`${keyframe.value}`)
+  );
+  const signature = (commands) =>
+    commands.map(({ name, args }) => `${name}${args.length}`).join(" ");
+  const expected = signature(commandLists[0]);
+  commandLists.forEach((commands, i) => {
+    if (signature(commands) !== expected) {
+      throw new Error(
+        `Cannot morph between paths with different commands: keyframe ${i} is "${signature(
+          commands
+        )}", keyframe 0 is "${expected}"`
+      );
+    }
+  });
+  return keyframes.map((keyframe, i) => ({
+    offset: keyframe.offset,
+    value: serializePathData(commandLists[i]),
+  }));
+}
+
+/**
+ * Creates a keyframed animation, to attach with `SVGBuilder.animate`
+ *
+ * @param {AnimatedProperty} property
+ * @param {Array<string|number|TransformKeyframe|Keyframe>} keyframes - values spread evenly, or keyframes with offsets
+ * @param {AnimationOptions} [options={}]
+ * @returns {Animation}
+ * @throws if the keyframes are invalid for the property
+ */
+export function createAnimation(property, keyframes, options = {}) {
+  if (
+    ![
+      "transform",
+      "opacity",
+      "fill",
+      "stroke",
+      "stroke-dashoffset",
+      "draw-on",
+      "d",
+    ].includes(property)
+  ) {
+    throw new Error(`Cannot animate "${property}"`);
+  }
+  const {
+    duration = 1000,
+    easing = "linear",
+    repeat = 1,
+    delay = 0,
+    freeze = false,
+    format = "smil",
+    origin = "center",
+  } = options;
+  if (format !== "smil" && format !== "css") {
+    throw new Error(`Unknown animation format "${format}"`);
+  }
+  if (typeof easing === "string" && easing !== "linear" && !(easing in easingCurves)) {
+    throw new Error(`Unknown easing "${easing}"`);
+  }
+  let resolved = resolveKeyframes(keyframes);
+  if (property === "d") {
+    resolved = resolveMorphKeyframes(resolved);
+  }
+  return {
+    kind: "animation",
+    property,
+    keyframes: resolved,
+    duration,
+    easing,
+    repeat: repeat === Infinity ? "indefinite" : repeat,
+    delay,
+    freeze,
+    format,
+    origin,
+  };
+}
+
+/**
+ * Creates an animation that draws the stroke of a path from its start to its end
+ *
+ * The stroke is drawn as a single dash as long as the path, so the path cannot have dashes of its own
+ *
+ * @param {AnimationOptions} [options={}]
+ * @returns {Animation}
+ */
+export function createDrawOnAnimation(options = {}) {
+  return createAnimation("draw-on", [0, 1], { freeze: true, ...options });
+}
+
+/**
+ * @param {Easing} easing
+ * @returns {[number,number,number,number]|null} - null for linear timing
+ */
+function getEasingCurve(easing) {
+  if (Array.isArray(easing)) {
+    return easing;
+  }
+  return easingCurves[easing] ?? null;
+}
+
+/**
+ * Attributes shared by the SMIL elements of an animation
+ *
+ * @param {Animation} animation
+ * @returns {Object<string,string|number|undefined>}
+ */
+function getSMILTimingAttributes(animation) {
+  const curve = getEasingCurve(animation.easing);
+  return {
+    keyTimes: animation.keyframes.map((keyframe) => keyframe.offset).join(";"),
+    dur: `${animation.duration}ms`,
+    begin: animation.delay ? `${animation.delay}ms` : undefined,
+    repeatCount: animation.repeat,
+    fill: animation.freeze ? "freeze" : undefined,
+    calcMode: curve ? "spline" : undefined,
+    keySplines: curve
+      ? animation.keyframes
+          .slice(1)
+          .map(() => curve.join(" "))
+          .join(";")
+      : undefined,
+  };
+}
+
+/**
+ * @param {Array<Keyframe>} keyframes
+ * @param {keyof typeof transformParts} type
+ * @returns {boolean} - whether any keyframe sets a part of a transform type
+ */
+function isTransformPartAnimated(keyframes, type) {
+  return keyframes.some((keyframe) =>
+    transformParts[type].keys.some((key) => keyframe.value[key] !== undefined)
+  );
+}
+
+/**
+ * @param {TransformKeyframe} value
+ * @param {keyof typeof transformParts} type
+ * @returns {Array<number>}
+ */
+function getTransformPart(value, type) {
+  const { keys, defaults } = transformParts[type];
+  return keys.map((key, i) => value[key] ?? defaults[i]);
+}
+
+/**
+ * Creates the SMIL elements of an animation, to append to the animated element
+ *
+ * Transforms are added to the static transform of the element
+ *
+ * @param {Animation} animation - with a resolved property, not "draw-on"
+ * @param {[number,number]} [origin=[0,0]] - center of rotation, in the user space of the element
+ * @returns {Array<SVGNode>}
+ */
+export function createAnimationElements(animation, origin = [0, 0]) {
+  const timing = getSMILTimingAttributes(animation);
+  if (animation.property !== "transform") {
+    return [
+      new SVGNode("animate", {
+        attributeName: animation.property,
+        values: animation.keyframes.map((keyframe) => keyframe.value).join(";"),
+        ...timing,
+      }),
+    ];
+  }
+  return Object.keys(transformParts)
+    .filter((type) => isTransformPartAnimated(animation.keyframes, type))
+    .map(
+      (type) =>
+        new SVGNode("animateTransform", {
+          attributeName: "transform",
+          type,
+          values: animation.keyframes
+            .map((keyframe) => {
+              const part = getTransformPart(keyframe.value, type);
+              return (type === "rotate" ? [...part, ...origin] : part).join(" ");
+            })
+            .join(";"),
+          additive: "sum",
+          ...timing,
+        })
+    );
+}
+
+/**
+ * @param {Animation} animation
+ * @param {Keyframe} keyframe
+ * @param {[number,number]} origin
+ * @param {Matrix|null} baseMatrix
+ * @returns {string} - the declaration of a property at a keyframe
+ */
+function compileCSSKeyframeDeclaration(animation, keyframe, origin, baseMatrix) {
+  switch (animation.property) {
+    case "transform": {
+      // CSS transforms replace the transform attribute, so the static transform is repeated
+      const functions = baseMatrix ? [`matrix(${baseMatrix.join(", ")})`] : [];
+      if (isTransformPartAnimated(animation.keyframes, "translate")) {
+        const [x, y] = getTransformPart(keyframe.value, "translate");
+        functions.push(`translate(${x}px, ${y}px)`);
+      }
+      if (isTransformPartAnimated(animation.keyframes, "scale")) {
+        functions.push(
+          `scale(${getTransformPart(keyframe.value, "scale").join(", ")})`
+        );
+      }
+      if (isTransformPartAnimated(animation.keyframes, "rotate")) {
+        const [degrees] = getTransformPart(keyframe.value, "rotate");
+        functions.push(
+          `translate(${origin[0]}px, ${origin[1]}px) rotate(${degrees}deg) translate(${-origin[0]}px, ${-origin[1]}px)`
+        );
+      }
+      return `transform: ${functions.join(" ")};`;
+    }
+    case "d":
+      return `d: path("${keyframe.value}");`;
+    default:
+      return `${animation.property}: ${keyframe.value};`;
+  }
+}
+
+/**
+ * Compiles the @keyframes rule of an animation
+ *
+ * @param {Animation} animation - with a resolved property, not "draw-on"
+ * @param {string} name
+ * @param {[number,number]} [origin=[0,0]] - center of rotation, in the user space of the element
+ * @param {Matrix|null} [baseMatrix=null] - static transform of the element, kept by transform animations
+ * @returns {string}
+ */
+export function compileCSSKeyframes(
+  animation,
+  name,
+  origin = [0, 0],
+  baseMatrix = null
+) {
+  const frames = animation.keyframes.map(
+    (keyframe) =>
+      `    ${+(keyframe.offset * 100).toFixed(4)}% { ${compileCSSKeyframeDeclaration(
+        animation,
+        keyframe,
+        origin,
+        baseMatrix
+      )} }`
+  );
+  return `  @keyframes ${name} {\n${frames.join("\n")}\n  }`;
+}
+
+/**
+ * Compiles the value of the CSS `animation` property that runs a @keyframes rule
+ *
+ * @param {Animation} animation
+ * @param {string} name - of the @keyframes rule
+ * @returns {string}
+ */
+export function compileCSSAnimationValue(animation, name) {
+  const curve = getEasingCurve(animation.easing);
+  return [
+    name,
+    `${animation.duration}ms`,
+    curve ? `cubic-bezier(${curve.join(", ")})` : "linear",
+    `${animation.delay}ms`,
+    animation.repeat === "indefinite" ? "infinite" : animation.repeat,
+    animation.freeze ? "forwards" : "none",
+  ].join(" ");
+}
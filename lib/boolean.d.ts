@@ -0,0 +1,29 @@
+export type BooleanOperation = "union" | "intersect" | "difference" | "xor";
+
+export type BooleanOperand =
+  | string
+  | { d: string; fillRule?: "nonzero" | "evenodd" };
+
+export interface BooleanOptions {
+  tolerance?: number;
+  precision?: number;
+}
+
+export type ClipperPath = { X: number; Y: number }[];
+
+export function pathDataToClipperPaths(
+  d: string,
+  scale: number,
+  tolerance: number
+): ClipperPath[];
+
+export function clipperPathsToPathData(
+  paths: ClipperPath[],
+  scale: number
+): string;
+
+export function combinePaths(
+  operation: BooleanOperation,
+  operands: BooleanOperand[],
+  options?: BooleanOptions
+): string;
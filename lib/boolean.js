@@ -0,0 +1,162 @@
+/**
+ * Boolean operations on the areas filled by paths
+ *
+ * Curves and arcs are flattened to polylines, so the result is made of straight lines.
+ * Intersections are computed on integer coordinates by the Clipper library,
+ * which keeps them exact even where edges overlap or meet at vertices.
+ */
+
+import ClipperLib from "clipper-lib";
+import { flattenPathData } from "./flatten.js";
+
+/**
+ * @typedef {"union"|"intersect"|"difference"|"xor"} BooleanOperation
+ */
+
+/**
+ * A filled path, as path data or with the fill rule it is filled with
+ *
+ * @typedef {string|{d: string, fillRule?: "nonzero"|"evenodd"}} BooleanOperand
+ */
+
+/**
+ * @typedef {Object} BooleanOptions
+ * @property {number} [tolerance=0.05] - largest distance allowed between curves and the lines replacing them
+ * @property {number} [precision=3] - decimals kept in the coordinates
+ */
+
+/**
+ * @typedef {Array<{X: number, Y: number}>} ClipperPath
+ */
+
+/**
+ * Clipper operation of each boolean operation
+ */
+const clipTypes = {
+  union: ClipperLib.ClipType.ctUnion,
+  intersect: ClipperLib.ClipType.ctIntersection,
+  difference: ClipperLib.ClipType.ctDifference,
+  xor: ClipperLib.ClipType.ctXor,
+};
+
+/**
+ * Flattens path data to the integer polygons used by Clipper
+ *
+ * @param {string} d
+ * @param {number} scale - from user units to integer units
+ * @param {number} tolerance
+ * @returns {Array<ClipperPath>} - every subpath, closed, as filling does
+ */
+export function pathDataToClipperPaths(d, scale, tolerance) {
+  return flattenPathData(d, tolerance)
+    .filter((polyline) => polyline.points.length > 2)
+    .map((polyline) =>
+      polyline.points.map(([x, y]) => ({
+        X: Math.round(x * scale),
+        Y: Math.round(y * scale),
+      }))
+    );
+}
+
+/**
+ * @param {Array<ClipperPath>} paths
+ * @param {number} scale - from user units to integer units
+ * @returns {string} - one closed subpath per polygon, holes included
+ */
+export function clipperPathsToPathData(paths, scale) {
+  return paths
+    .filter((path) => path.length > 2)
+    .map((path) => {
+      const commands = path.map(
+        (point, i) =>
+          `${i === 0 ? "M" : "L"} ${point.X / scale} ${point.Y / scale}`
+      );
+      return `${commands.join(" ")} Z`;
+    })
+    .join(" ");
+}
+
+/**
+ * @param {"nonzero"|"evenodd"|undefined} fillRule
+ * @returns {number} - the Clipper fill type
+ */
+function getFillType(fillRule = "nonzero") {
+  if (fillRule !== "nonzero" && fillRule !== "evenodd") {
+    throw new Error(`Unknown fill rule "${fillRule}"`);
+  }
+  return fillRule === "evenodd"
+    ? ClipperLib.PolyFillType.pftEvenOdd
+    : ClipperLib.PolyFillType.pftNonZero;
+}
+
+/**
+ * Runs one Clipper operation
+ *
+ * @param {number} clipType
+ * @param {Array<ClipperPath>} subject
+ * @param {Array<ClipperPath>} clip
+ * @param {number} fillType - for both the subject and the clip
+ * @returns {Array<ClipperPath>}
+ */
+function execute(clipType, subject, clip, fillType) {
+  const clipper = new ClipperLib.Clipper();
+  clipper.AddPaths(subject, ClipperLib.PolyType.ptSubject, true);
+  clipper.AddPaths(clip, ClipperLib.PolyType.ptClip, true);
+  const solution = new ClipperLib.Paths();
+  clipper.Execute(clipType, solution, fillType, fillType);
+  return solution;
+}
+
+/**
+ * Combines the areas filled by paths
+ *
+ * The first path is combined with the second, the result with the third, and so on:
+ * a difference removes every other path from the first one,
+ * and a xor keeps the areas covered by an odd number of paths
+ *
+ * Each path is filled with its own fill rule, and the result is the same with either fill rule,
+ * since its polygons do not overlap and holes wind the opposite way
+ *
+ * @param {BooleanOperation} operation
+ * @param {Array<BooleanOperand>} operands
+ * @param {BooleanOptions} [options={}]
+ * @returns {string} - path data of the result, empty when nothing is left
+ * @throws if the operation or a fill rule is unknown
+ */
+export function combinePaths(operation, operands, options = {}) {
+  if (!(operation in clipTypes)) {
+    throw new Error(`Unknown boolean operation "${operation}"`);
+  }
+  const { tolerance = 0.05, precision = 3 } = options;
+  const scale = 10 ** precision;
+  // Each path is first turned into the polygons its fill rule actually fills
+  const areas = operands.map((operand) => {
+    const { d, fillRule } =
+      typeof operand === "string" ? { d: operand } : operand;
+    return execute(
+      ClipperLib.ClipType.ctUnion,
+      pathDataToClipperPaths(d, scale, tolerance),
+      [],
+      getFillType(fillRule)
+    );
+  });
+  if (!areas.length) {
+    return "";
+  }
+  const result = areas
+    .slice(1)
+    .reduce(
+      (subject, clip) =>
+        execute(
+          clipTypes[operation],
+          subject,
+          clip,
+          ClipperLib.PolyFillType.pftNonZero
+        ),
+      areas[0]
+    );
+  return clipperPathsToPathData(
+    ClipperLib.Clipper.CleanPolygons(result, 1),
+    scale
+  );
+}
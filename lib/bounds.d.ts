@@ -0,0 +1,32 @@
+import SVGNode from "./SVGNode";
+import { SupportedGeometryData } from "./pathData";
+import { Matrix } from "./transform";
+
+export interface BoundingBox {
+  x: number;
+  y: number;
+  width: number;
+  height: number;
+}
+
+export function getGeometryBoundingBox(
+  geometry: SupportedGeometryData[],
+  matrix?: Matrix
+): BoundingBox | null;
+
+export function getPathDataBoundingBox(
+  d: string,
+  matrix?: Matrix
+): BoundingBox | null;
+
+export function getMatrixScale(matrix: Matrix): number;
+
+export function resolveFilterRegion(
+  filterElement: SVGNode,
+  bounds: BoundingBox
+): BoundingBox | null;
+
+export function resolveMaskRegion(
+  maskElement: SVGNode,
+  bounds: BoundingBox
+): BoundingBox | null;
@@ -0,0 +1,365 @@
+/**
+ * Exact bounding boxes of path geometry
+ *
+ * Works on the geometry records produced by `executeSVGStateMachine`,
+ * optionally through an affine matrix, so rotated curves get tight bounds
+ * instead of the bounds of a rotated box
+ */
+
+import {
+  parsePathData,
+  executeSVGStateMachine,
+  getArcCenterParameters,
+} from "./pathData.js";
+import {
+  IDENTITY_MATRIX,
+  applyMatrixToPoint,
+  multiplyMatrices,
+} from "./transform.js";
+
+/**
+ * @typedef {import("./pathData.js").Point} Point
+ * @typedef {import("./pathData.js").SupportedGeometryData} SupportedGeometryData
+ * @typedef {import("./transform.js").Matrix} Matrix
+ */
+
+/**
+ * @typedef {Object} BoundingBox
+ * @property {number} x
+ * @property {number} y
+ * @property {number} width
+ * @property {number} height
+ */
+
+/**
+ * Accumulates points into a bounding box
+ */
+class BoundsAccumulator {
+  constructor() {
+    this.minX = Infinity;
+    this.minY = Infinity;
+    this.maxX = -Infinity;
+    this.maxY = -Infinity;
+  }
+
+  /**
+   * @param {Point} point
+   */
+  add(point) {
+    this.minX = Math.min(this.minX, point[0]);
+    this.minY = Math.min(this.minY, point[1]);
+    this.maxX = Math.max(this.maxX, point[0]);
+    this.maxY = Math.max(this.maxY, point[1]);
+  }
+
+  /**
+   * @returns {BoundingBox|null}
+   */
+  toBoundingBox() {
+    if (this.minX === Infinity) {
+      return null;
+    }
+    return {
+      x: this.minX,
+      y: this.minY,
+      width: this.maxX - this.minX,
+      height: this.maxY - this.minY,
+    };
+  }
+}
+
+/**
+ * Real roots of a*t^2 + b*t + c that lie strictly inside (0, 1)
+ *
+ * @param {number} a
+ * @param {number} b
+ * @param {number} c
+ * @returns {number[]}
+ */
+function getUnitIntervalRoots(a, b, c) {
+  const epsilon = 1e-12;
+  let roots;
+  if (Math.abs(a) < epsilon) {
+    roots = Math.abs(b) < epsilon ? [] : [-c / b];
+  } else {
+    const discriminant = b * b - 4 * a * c;
+    if (discriminant < 0) {
+      roots = [];
+    } else {
+      const sqrt = Math.sqrt(discriminant);
+      roots = [(-b + sqrt) / (2 * a), (-b - sqrt) / (2 * a)];
+    }
+  }
+  return roots.filter((t) => t > 0 && t < 1);
+}
+
+/**
+ * @param {Point} p0
+ * @param {Point} p1
+ * @param {Point} p2
+ * @param {Point} p3
+ * @param {number} t
+ * @returns {Point}
+ */
+function evaluateCubicBezier(p0, p1, p2, p3, t) {
+  const mt = 1 - t;
+  return [0, 1].map(
+    (k) =>
+      mt * mt * mt * p0[k] +
+      3 * mt * mt * t * p1[k] +
+      3 * mt * t * t * p2[k] +
+      t * t * t * p3[k]
+  );
+}
+
+/**
+ * @param {Point} p0
+ * @param {Point} p1
+ * @param {Point} p2
+ * @param {number} t
+ * @returns {Point}
+ */
+function evaluateQuadraticBezier(p0, p1, p2, t) {
+  const mt = 1 - t;
+  return [0, 1].map(
+    (k) => mt * mt * p0[k] + 2 * mt * t * p1[k] + t * t * p2[k]
+  );
+}
+
+/**
+ * @param {BoundsAccumulator} bounds
+ * @param {Point} p0
+ * @param {Point} p1
+ * @param {Point} p2
+ * @param {Point} p3
+ */
+function addCubicBezier(bounds, p0, p1, p2, p3) {
+  bounds.add(p0);
+  bounds.add(p3);
+  for (const k of [0, 1]) {
+    // Roots of the derivative, divided by 3
+    const a = -p0[k] + 3 * p1[k] - 3 * p2[k] + p3[k];
+    const b = 2 * (p0[k] - 2 * p1[k] + p2[k]);
+    const c = p1[k] - p0[k];
+    for (const t of getUnitIntervalRoots(a, b, c)) {
+      bounds.add(evaluateCubicBezier(p0, p1, p2, p3, t));
+    }
+  }
+}
+
+/**
+ * @param {BoundsAccumulator} bounds
+ * @param {Point} p0
+ * @param {Point} p1
+ * @param {Point} p2
+ */
+function addQuadraticBezier(bounds, p0, p1, p2) {
+  bounds.add(p0);
+  bounds.add(p2);
+  for (const k of [0, 1]) {
+    for (const t of getUnitIntervalRoots(
+      0,
+      2 * (p0[k] - 2 * p1[k] + p2[k]),
+      2 * (p1[k] - p0[k])
+    )) {
+      bounds.add(evaluateQuadraticBezier(p0, p1, p2, t));
+    }
+  }
+}
+
+/**
+ * Adds the exact extent of an elliptical arc
+ *
+ * The (transformed) arc is c + A * (cos(theta), sin(theta)),
+ * so each coordinate is extreme where its derivative in theta is zero
+ *
+ * @param {BoundsAccumulator} bounds
+ * @param {import("./pathData.js").RawSVGAbsoluteEllipseArcData} arc
+ * @param {Matrix} matrix
+ */
+function addEllipseArc(bounds, arc, matrix) {
+  const start = applyMatrixToPoint(matrix, arc.absoluteStart);
+  const end = applyMatrixToPoint(matrix, arc.absoluteEnd);
+  const parameters = getArcCenterParameters(
+    arc.absoluteStart,
+    arc.rX,
+    arc.rY,
+    arc.angle,
+    arc.largeArcFlag,
+    arc.sweepFlag,
+    arc.absoluteEnd
+  );
+  bounds.add(start);
+  bounds.add(end);
+  if (parameters === null) {
+    // Drawn as a straight line, or not drawn at all
+    return;
+  }
+  const { center, rX, rY, phi, startAngle, deltaAngle } = parameters;
+  const cos = Math.cos(phi);
+  const sin = Math.sin(phi);
+  const [a, b, c, d] = multiplyMatrices(matrix, [
+    cos * rX,
+    sin * rX,
+    -sin * rY,
+    cos * rY,
+    0,
+    0,
+  ]);
+  const transformedCenter = applyMatrixToPoint(matrix, center);
+  const low = Math.min(startAngle, startAngle + deltaAngle);
+  const high = Math.max(startAngle, startAngle + deltaAngle);
+  // x = cx + a cos + c sin, y = cy + b cos + d sin
+  for (const base of [Math.atan2(c, a), Math.atan2(d, b)]) {
+    for (let k = -3; k <= 3; k++) {
+      const theta = base + k * Math.PI;
+      if (theta > low && theta < high) {
+        bounds.add([
+          transformedCenter[0] + a * Math.cos(theta) + c * Math.sin(theta),
+          transformedCenter[1] + b * Math.cos(theta) + d * Math.sin(theta),
+        ]);
+      }
+    }
+  }
+}
+
+/**
+ * Computes the exact bounds of geometry records
+ *
+ * @param {Array<SupportedGeometryData>} geometry
+ * @param {Matrix} [matrix=IDENTITY_MATRIX] - transform applied to the geometry before measuring
+ * @returns {BoundingBox|null} - null when there is no geometry
+ */
+export function getGeometryBoundingBox(geometry, matrix = IDENTITY_MATRIX) {
+  const bounds = new BoundsAccumulator();
+  const t = (point) => applyMatrixToPoint(matrix, point);
+  for (const record of geometry) {
+    switch (record.kind) {
+      case "line":
+        bounds.add(t(record.p1));
+        bounds.add(t(record.p2));
+        break;
+      case "quadraticBezier":
+        addQuadraticBezier(bounds, t(record.p1), t(record.cp), t(record.p2));
+        break;
+      case "cubicBezier":
+        addCubicBezier(
+          bounds,
+          t(record.p1),
+          t(record.cp1),
+          t(record.cp2),
+          t(record.p2)
+        );
+        break;
+      case "ellipseArc":
+        addEllipseArc(bounds, record, matrix);
+        break;
+      default:
+        throw new Error(`Unsupported geometry: ${record.kind}`);
+    }
+  }
+  return bounds.toBoundingBox();
+}
+
+/**
+ * Computes the exact bounds of path data
+ *
+ * @param {string} d
+ * @param {Matrix} [matrix=IDENTITY_MATRIX] - transform applied to the path before measuring
+ * @returns {BoundingBox|null} - null when the path draws nothing
+ */
+export function getPathDataBoundingBox(d, matrix = IDENTITY_MATRIX) {
+  return getGeometryBoundingBox(
+    executeSVGStateMachine(parsePathData(d)),
+    matrix
+  );
+}
+
+/**
+ * How much a matrix stretches lengths at most (its largest singular value),
+ * used to scale stroke widths
+ *
+ * @param {Matrix} matrix
+ * @returns {number}
+ */
+export function getMatrixScale(matrix) {
+  const [a, b, c, d] = matrix;
+  const sum = a * a + b * b + c * c + d * d;
+  const determinant = a * d - b * c;
+  return Math.sqrt(
+    (sum + Math.sqrt(Math.max(0, sum * sum - 4 * determinant * determinant))) /
+      2
+  );
+}
+
+/**
+ * @param {string|number|undefined} value
+ * @param {number} fallback
+ * @param {boolean} fractions - whether plain numbers are fractions of the box (objectBoundingBox units)
+ * @returns {number|null} - a fraction of the box when `fractions`, otherwise user units; null when it cannot be resolved
+ */
+function parseRegionLength(value, fallback, fractions) {
+  if (value === undefined || value === null) {
+    return fallback;
+  }
+  const text = `${value}`.trim();
+  if (text.endsWith("%")) {
+    return fractions ? parseFloat(text) / 100 : null;
+  }
+  const number = parseFloat(text);
+  return Number.isFinite(number) ? number : null;
+}
+
+/**
+ * Resolves the x, y, width and height of an element whose units attribute
+ * selects between user space and fractions of the bounds of the content
+ *
+ * @param {import("./SVGNode.js").default} element
+ * @param {string} unitsAttribute - such as "filterUnits"
+ * @param {BoundingBox} bounds
+ * @returns {BoundingBox|null}
+ */
+function resolveRegion(element, unitsAttribute, bounds) {
+  const userSpace = element.getAttribute(unitsAttribute) === "userSpaceOnUse";
+  const fractions = !userSpace;
+  const defaults = userSpace
+    ? [null, null, null, null]
+    : [-0.1, -0.1, 1.2, 1.2];
+  const [x, y, width, height] = ["x", "y", "width", "height"].map((name, i) =>
+    parseRegionLength(element.getAttribute(name), defaults[i], fractions)
+  );
+  if ([x, y, width, height].some((value) => value === null)) {
+    return null;
+  }
+  if (userSpace) {
+    return { x, y, width, height };
+  }
+  return {
+    x: bounds.x + x * bounds.width,
+    y: bounds.y + y * bounds.height,
+    width: width * bounds.width,
+    height: height * bounds.height,
+  };
+}
+
+/**
+ * Resolves the region of a <filter> element for content with the given bounds
+ *
+ * @param {import("./SVGNode.js").default} filterElement
+ * @param {BoundingBox} bounds - bounds of the filtered content, in its user space
+ * @returns {BoundingBox|null} - null when the region uses units that cannot be resolved without a viewport
+ */
+export function resolveFilterRegion(filterElement, bounds) {
+  return resolveRegion(filterElement, "filterUnits", bounds);
+}
+
+/**
+ * Resolves the region of a <mask> element for content with the given bounds
+ *
+ * @param {import("./SVGNode.js").default} maskElement
+ * @param {BoundingBox} bounds - bounds of the masked content, in its user space
+ * @returns {BoundingBox|null} - null when the region uses units that cannot be resolved without a viewport
+ */
+export function resolveMaskRegion(maskElement, bounds) {
+  return resolveRegion(maskElement, "maskUnits", bounds);
+}
@@ -0,0 +1,38 @@
+import SVGBuilder from "./SVGBuilder";
+
+export type OutputFormat = "svg" | "png" | "json";
+
+export interface CLIOptions {
+  designs: string[];
+  out: string;
+  formats: OutputFormat[];
+  vars: Record<string, string>;
+  theme?: string;
+  bakeVars: boolean;
+  noVars: boolean;
+  minify: boolean;
+  precision?: number;
+  scale: number;
+  watch: boolean;
+  help: boolean;
+}
+
+export const usage: string;
+
+export function parseVarArgument(text: string): [string, string];
+
+export function parseArguments(args: string[]): CLIOptions;
+
+export function loadDesign(file: string): Promise<SVGBuilder>;
+
+export function overrideVars(
+  builder: SVGBuilder,
+  vars: Record<string, string>
+): void;
+
+export function renderDesign(
+  file: string,
+  options: CLIOptions
+): Promise<string[]>;
+
+export function main(args?: string[]): Promise<number>;
@@ -0,0 +1,383 @@
+/**
+ * Command line renderer of design modules
+ *
+ * A design module exports a builder as its default export, or a function returning one,
+ * possibly asynchronously. Each design is written to the output directory as SVG, PNG or JSON,
+ * named after the module, so design scripts do not repeat the output boilerplate.
+ */
+
+import { spawn } from "child_process";
+import fs from "fs";
+import path from "path";
+import { fileURLToPath, pathToFileURL } from "url";
+
+/**
+ * @typedef {import("./SVGBuilder.js").default} SVGBuilder
+ */
+
+/**
+ * @typedef {"svg"|"png"|"json"} OutputFormat
+ */
+
+/**
+ * @typedef {Object} CLIOptions
+ * @property {Array<string>} designs - paths of the design modules
+ * @property {string} out - output directory
+ * @property {Array<OutputFormat>} formats
+ * @property {Object<string,string>} vars - CSS variables overriding the values set by the designs
+ * @property {string} [theme=undefined] - theme applied to the SVG and PNG files
+ * @property {boolean} bakeVars - write the values of the variables instead of var() references
+ * @property {boolean} noVars - leave out the declarations of the variables
+ * @property {boolean} minify
+ * @property {number} [precision=undefined] - decimals kept in the SVG file
+ * @property {number} scale - of the PNG file
+ * @property {boolean} watch - render again when a file next to a design changes
+ * @property {boolean} help
+ */
+
+export const usage = `Usage: svg-designer [options] <design.js...>
+
+Renders design modules exporting an SVGBuilder, or a function returning one, as their default export.
+
+Options:
+  -o, --out <dir>          output directory, created if missing (default: out)
+  -f, --format <formats>   comma-separated svg, png and json (default: svg)
+      --var <name=value>   overrides a CSS variable, such as --var --primary=red, repeatable
+      --theme <name>       applies a theme to the SVG and PNG files
+      --bake-vars          writes the values of the variables instead of var() references
+      --no-vars            leaves out the declarations of the variables
+      --minify             writes a minified SVG file
+      --precision <n>      decimals kept in the SVG file
+      --scale <n>          scale of the PNG file (default: 1)
+  -w, --watch              renders again when a file in the directory of a design changes
+  -h, --help               shows this help`;
+
+const formats = ["svg", "png", "json"];
+
+/**
+ * Path of the executable, run again for each render in watch mode
+ */
+const binPath = fileURLToPath(new URL("../bin/svg-designer.js", import.meta.url));
+
+/**
+ * @param {string} text - "name=value", the name with or without its leading "--"
+ * @returns {[string, string]}
+ * @throws if there is no "="
+ */
+export function parseVarArgument(text) {
+  const separator = text.indexOf("=");
+  if (separator <= 0) {
+    throw new Error(`Invalid --var "${text}": expected name=value`);
+  }
+  const name = text.slice(0, separator).trim();
+  return [name.startsWith("--") ? name : `--${name}`, text.slice(separator + 1)];
+}
+
+/**
+ * @param {string} text
+ * @param {string} option - name of the option, for errors
+ * @returns {number}
+ * @throws if the text is not a positive number
+ */
+function parsePositiveNumber(text, option) {
+  const value = Number(text);
+  if (!Number.isFinite(value) || value <= 0) {
+    throw new Error(`Invalid ${option} "${text}": expected a positive number`);
+  }
+  return value;
+}
+
+/**
+ * Parses the arguments of the command, without the node executable and script
+ *
+ * @param {Array<string>} args
+ * @returns {CLIOptions}
+ * @throws if an option is unknown or its value is missing or invalid
+ */
+export function parseArguments(args) {
+  /** @type {CLIOptions} */
+  const options = {
+    designs: [],
+    out: "out",
+    formats: ["svg"],
+    vars: {},
+    theme: undefined,
+    bakeVars: false,
+    noVars: false,
+    minify: false,
+    precision: undefined,
+    scale: 1,
+    watch: false,
+    help: false,
+  };
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    const equals = arg.startsWith("--") ? arg.indexOf("=") : -1;
+    const option = equals === -1 ? arg : arg.slice(0, equals);
+    // The value may start with "-", as variable names do
+    const value = () => {
+      if (equals !== -1) {
+        return arg.slice(equals + 1);
+      }
+      if (i + 1 >= args.length) {
+        throw new Error(`Missing value for ${option}`);
+      }
+      return args[++i];
+    };
+    switch (option) {
+      case "-o":
+      case "--out":
+        options.out = value();
+        break;
+      case "-f":
+      case "--format":
+        options.formats = value()
+          .split(",")
+          .map((format) => format.trim().toLowerCase())
+          .filter(Boolean);
+        for (const format of options.formats) {
+          if (!formats.includes(format)) {
+            throw new Error(
+              `Unknown format "${format}": expected ${formats.join(", ")}`
+            );
+          }
+        }
+        break;
+      case "--var": {
+        const [name, varValue] = parseVarArgument(value());
+        options.vars[name] = varValue;
+        break;
+      }
+      case "--theme":
+        options.theme = value();
+        break;
+      case "--bake-vars":
+        options.bakeVars = true;
+        break;
+      case "--no-vars":
+        options.noVars = true;
+        break;
+      case "--minify":
+        options.minify = true;
+        break;
+      case "--precision": {
+        const text = value();
+        options.precision = Number(text);
+        if (!Number.isInteger(options.precision) || options.precision < 0) {
+          throw new Error(
+            `Invalid --precision "${text}": expected a number of decimals`
+          );
+        }
+        break;
+      }
+      case "--scale":
+        options.scale = parsePositiveNumber(value(), "--scale");
+        break;
+      case "-w":
+      case "--watch":
+        options.watch = true;
+        break;
+      case "-h":
+      case "--help":
+        options.help = true;
+        break;
+      default:
+        if (arg.startsWith("-")) {
+          throw new Error(`Unknown option ${option}`);
+        }
+        options.designs.push(arg);
+    }
+  }
+  return options;
+}
+
+/**
+ * @param {any} value
+ * @returns {boolean} - whether the value can be rendered like an SVGBuilder
+ */
+function isBuilder(value) {
+  return (
+    typeof value === "object" &&
+    value !== null &&
+    ["compile", "toPNG", "toJSON"].every(
+      (method) => typeof value[method] === "function"
+    )
+  );
+}
+
+/**
+ * Imports a design module and creates its builder
+ *
+ * @param {string} file
+ * @returns {Promise<SVGBuilder>}
+ * @throws if the module does not export a builder or a function returning one
+ */
+export async function loadDesign(file) {
+  const module = await import(pathToFileURL(path.resolve(file)).href);
+  const design = module.default;
+  const builder = typeof design === "function" ? await design() : design;
+  // Not instanceof, since a design may import its own copy of the library
+  if (!isBuilder(builder)) {
+    throw new Error(
+      `${file} does not export a design: expected an SVGBuilder, or a function returning one, as the default export`
+    );
+  }
+  return builder;
+}
+
+/**
+ * Sets variables given on the command line, replacing the values of the document and of its themes
+ *
+ * @param {SVGBuilder} builder
+ * @param {Object<string,string>} vars
+ */
+export function overrideVars(builder, vars) {
+  builder.setVars(vars);
+  // Otherwise a theme setting the variable would hide the value given on the command line
+  for (const [name, theme] of Object.entries(builder.themes)) {
+    const themeVars = Object.fromEntries(
+      Object.keys(theme.vars).map((key) => [key, vars[key] ?? theme.vars[key]])
+    );
+    builder.setTheme(name, themeVars, { colorScheme: theme.colorScheme });
+  }
+}
+
+/**
+ * Renders a design module into the output directory
+ *
+ * @param {string} file
+ * @param {CLIOptions} options
+ * @returns {Promise<Array<string>>} - paths of the written files
+ */
+export async function renderDesign(file, options) {
+  const builder = await loadDesign(file);
+  if (Object.keys(options.vars).length) {
+    overrideVars(builder, options.vars);
+  }
+  const name = path.basename(file, path.extname(file));
+  fs.mkdirSync(options.out, { recursive: true });
+  const written = [];
+  for (const format of options.formats) {
+    const outFile = path.join(options.out, `${name}.${format}`);
+    if (format === "svg") {
+      const { theme, bakeVars, noVars, minify, precision } = options;
+      fs.writeFileSync(
+        outFile,
+        builder.compile({ theme, bakeVars, noVars, minify, precision })
+      );
+    } else if (format === "png") {
+      fs.writeFileSync(
+        outFile,
+        builder.toPNG({ scale: options.scale, theme: options.theme })
+      );
+    } else {
+      fs.writeFileSync(outFile, JSON.stringify(builder.toJSON(), null, 2));
+    }
+    written.push(outFile);
+  }
+  return written;
+}
+
+/**
+ * Renders every design, reporting failures without stopping
+ *
+ * @param {CLIOptions} options
+ * @returns {Promise<boolean>} - whether every design was rendered
+ */
+async function renderDesigns(options) {
+  let succeeded = true;
+  for (const file of options.designs) {
+    try {
+      const written = await renderDesign(file, options);
+      console.log(`${file} -> ${written.join(", ")}`);
+    } catch (error) {
+      console.error(`${file}: ${error.message}`);
+      succeeded = false;
+    }
+  }
+  return succeeded;
+}
+
+/**
+ * Renders the designs in a new process each time a file in their directories changes,
+ * so the modules they import are loaded again too
+ *
+ * @param {Array<string>} args - arguments of the command, without the watch option
+ * @param {CLIOptions} options
+ * @returns {Promise<never>}
+ */
+function watchDesigns(args, options) {
+  const out = path.resolve(options.out);
+  const directories = [
+    ...new Set(options.designs.map((file) => path.dirname(path.resolve(file)))),
+  ];
+  let running = false;
+  let pending = false;
+  const render = () => {
+    if (running) {
+      pending = true;
+      return;
+    }
+    running = true;
+    spawn(process.execPath, [binPath, ...args], { stdio: "inherit" }).on(
+      "exit",
+      () => {
+        running = false;
+        if (pending) {
+          pending = false;
+          render();
+        }
+      }
+    );
+  };
+  let timer;
+  for (const directory of directories) {
+    fs.watch(directory, { recursive: true }, (event, filename) => {
+      const changed = filename ? path.join(directory, `${filename}`) : directory;
+      if (
+        changed === out ||
+        changed.startsWith(out + path.sep) ||
+        changed.split(path.sep).includes("node_modules")
+      ) {
+        return;
+      }
+      // Editors write files in several steps
+      clearTimeout(timer);
+      timer = setTimeout(render, 100);
+    });
+  }
+  console.log(`Watching ${directories.join(", ")}`);
+  render();
+  return new Promise(() => {});
+}
+
+/**
+ * Runs the command
+ *
+ * @param {Array<string>} [args=process.argv.slice(2)]
+ * @returns {Promise<number>} - the exit code
+ */
+export async function main(args = process.argv.slice(2)) {
+  let options;
+  try {
+    options = parseArguments(args);
+  } catch (error) {
+    console.error(`${error.message}\n\n${usage}`);
+    return 2;
+  }
+  if (options.help) {
+    console.log(usage);
+    return 0;
+  }
+  if (!options.designs.length) {
+    console.error(`No design given\n\n${usage}`);
+    return 2;
+  }
+  if (options.watch) {
+    return watchDesigns(
+      args.filter((arg) => arg !== "-w" && arg !== "--watch"),
+      options
+    );
+  }
+  return (await renderDesigns(options)) ? 0 : 1;
+}
@@ -0,0 +1,3 @@
+export type RGBA = [number, number, number, number];
+
+export function parseColor(value: string): RGBA | null;
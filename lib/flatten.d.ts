@@ -0,0 +1,16 @@
+import { Point, SVGCommand } from "./pathData";
+
+export interface Polyline {
+  points: Point[];
+  closed: boolean;
+}
+
+export function flattenPathData(
+  pathData: string | SVGCommand[],
+  tolerance?: number
+): Polyline[];
+
+export function getPathLength(
+  pathData: string | SVGCommand[],
+  tolerance?: number
+): number;
@@ -0,0 +1,128 @@
+/**
+ * Approximation of path data with polylines
+ */
+
+import { normalizePath } from "./pathData.js";
+
+/**
+ * @typedef {import("./pathData.js").Point} Point
+ */
+
+/**
+ * @typedef {Object} Polyline
+ * @property {Array<Point>} points
+ * @property {boolean} closed - whether the subpath was closed with Z
+ */
+
+/**
+ * Deepest subdivision of a single curve, which bounds the work done for degenerate input
+ */
+const MAX_SUBDIVISION_DEPTH = 16;
+
+/**
+ * @param {Point} p
+ * @param {Point} a
+ * @param {Point} b
+ * @returns {number} - distance from p to the line through a and b
+ */
+function distanceToLine(p, a, b) {
+  const dx = b[0] - a[0];
+  const dy = b[1] - a[1];
+  const length = Math.hypot(dx, dy);
+  if (length === 0) {
+    return Math.hypot(p[0] - a[0], p[1] - a[1]);
+  }
+  return Math.abs((p[0] - a[0]) * dy - (p[1] - a[1]) * dx) / length;
+}
+
+/**
+ * Appends the end points of line segments approximating a cubic Bezier curve
+ *
+ * @param {Array<Point>} points - receives the points, the start of the curve is expected to be there already
+ * @param {Point} p0
+ * @param {Point} p1
+ * @param {Point} p2
+ * @param {Point} p3
+ * @param {number} tolerance - largest distance allowed between the curve and the segments
+ * @param {number} [depth=0]
+ */
+function flattenCubicBezier(points, p0, p1, p2, p3, tolerance, depth = 0) {
+  if (
+    depth >= MAX_SUBDIVISION_DEPTH ||
+    Math.max(distanceToLine(p1, p0, p3), distanceToLine(p2, p0, p3)) <=
+      tolerance
+  ) {
+    points.push(p3);
+    return;
+  }
+  // de Casteljau split at t = 0.5
+  const mid = (a, b) => [(a[0] + b[0]) / 2, (a[1] + b[1]) / 2];
+  const p01 = mid(p0, p1);
+  const p12 = mid(p1, p2);
+  const p23 = mid(p2, p3);
+  const p012 = mid(p01, p12);
+  const p123 = mid(p12, p23);
+  const center = mid(p012, p123);
+  flattenCubicBezier(points, p0, p01, p012, center, tolerance, depth + 1);
+  flattenCubicBezier(points, center, p123, p23, p3, tolerance, depth + 1);
+}
+
+/**
+ * Approximates path data with one polyline per subpath
+ *
+ * @param {string|Array<import("./pathData.js").SVGCommand>} pathData
+ * @param {number} [tolerance=0.25] - largest distance allowed between the path and the polylines
+ * @returns {Array<Polyline>}
+ */
+export function flattenPathData(pathData, tolerance = 0.25) {
+  /**
+   * @type {Array<Polyline>}
+   */
+  const polylines = [];
+  let current = null;
+  for (const { name, args } of normalizePath(pathData)) {
+    switch (name) {
+      case "M":
+        current = { points: [[args[0], args[1]]], closed: false };
+        polylines.push(current);
+        break;
+      case "C": {
+        const p0 = current.points[current.points.length - 1];
+        flattenCubicBezier(
+          current.points,
+          p0,
+          [args[0], args[1]],
+          [args[2], args[3]],
+          [args[4], args[5]],
+          tolerance
+        );
+        break;
+      }
+      case "Z":
+        current.closed = true;
+        break;
+    }
+  }
+  return polylines;
+}
+
+/**
+ * Measures the length of path data, closing segments included
+ *
+ * @param {string|Array<import("./pathData.js").SVGCommand>} pathData
+ * @param {number} [tolerance=0.01] - largest distance allowed between the path and the measured polylines
+ * @returns {number}
+ */
+export function getPathLength(pathData, tolerance = 0.01) {
+  let length = 0;
+  for (const { points, closed } of flattenPathData(pathData, tolerance)) {
+    const vertices = closed ? [...points, points[0]] : points;
+    for (let i = 1; i < vertices.length; i++) {
+      length += Math.hypot(
+        vertices[i][0] - vertices[i - 1][0],
+        vertices[i][1] - vertices[i - 1][1]
+      );
+    }
+  }
+  return length;
+}
@@ -0,0 +1,103 @@
+import { Matrix } from "./transform";
+import SVGNode from "./SVGNode";
+
+export interface GradientStop {
+  offset: number | string;
+  color: string;
+  opacity?: number;
+}
+
+export type GradientUnits = "objectBoundingBox" | "userSpaceOnUse";
+
+export type GradientSpread = "pad" | "reflect" | "repeat";
+
+export interface GradientOptions {
+  units?: GradientUnits;
+  spread?: GradientSpread;
+  transform?: Matrix | string;
+}
+
+export interface LinearGradient {
+  kind: "linear-gradient";
+  id?: string;
+  x1: number;
+  x2: number;
+  y1: number;
+  y2: number;
+  stops: GradientStop[];
+  units?: GradientUnits;
+  spread?: GradientSpread;
+  transform?: Matrix | string;
+}
+
+export interface RadialGradient {
+  kind: "radial-gradient";
+  id?: string;
+  x1: number;
+  y1: number;
+  r1: number;
+  r2?: number;
+  fx?: number;
+  fy?: number;
+  stops: GradientStop[];
+  units?: GradientUnits;
+  spread?: GradientSpread;
+  transform?: Matrix | string;
+}
+
+export interface ConicGradient {
+  kind: "conic-gradient";
+  x: number;
+  y: number;
+  startAngle: number;
+  segments: number;
+  stops: GradientStop[];
+  units?: GradientUnits;
+}
+
+export interface ConicGradientWedge {
+  d: string;
+  fill: LinearGradient;
+}
+
+export function normalizeGradientStops(
+  stops: GradientStop[]
+): { offset: number; color: string; opacity: number }[];
+
+export function createLinearGradient(
+  x1: number,
+  y1: number,
+  x2: number,
+  y2: number,
+  stops: GradientStop[],
+  options?: GradientOptions
+): LinearGradient;
+
+export function createRadialGradient(
+  x1: number,
+  y1: number,
+  r1: number,
+  r2: number | undefined,
+  stops: GradientStop[],
+  options?: GradientOptions & { fx?: number; fy?: number }
+): RadialGradient;
+
+export function createConicGradient(
+  x: number,
+  y: number,
+  stops: GradientStop[],
+  options?: { units?: GradientUnits; startAngle?: number; segments?: number }
+): ConicGradient;
+
+export function createLinearGradientElement(gradient: LinearGradient): SVGNode;
+
+export function compileLinearGradient(gradient: LinearGradient): string;
+
+export function createRadialGradientElement(gradient: RadialGradient): SVGNode;
+
+export function compileRadialGradient(gradient: RadialGradient): string;
+
+export function createConicGradientWedges(
+  gradient: ConicGradient,
+  bounds: { x: number; y: number; width: number; height: number }
+): ConicGradientWedge[];
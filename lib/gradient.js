@@ -0,0 +1,404 @@
+/**
+ * Gradient paints: linear, radial with a focal circle, and conic
+ *
+ * SVG has no conic gradient, so conic gradients are approximated with wedges
+ * each filled with a small linear gradient, like a mesh
+ */
+
+import SVGNode from "./SVGNode.js";
+
+/**
+ * @typedef {import("./transform.js").Matrix} Matrix
+ */
+
+/**
+ * @typedef {Object} GradientStop
+ *
+ * @property {number|string} offset - from 0 to 1, or a percentage such as "50%"
+ * @property {string} color
+ * @property {number} [opacity=1]
+ */
+
+/**
+ * @typedef {"objectBoundingBox"|"userSpaceOnUse"} GradientUnits
+ */
+
+/**
+ * @typedef {Object} GradientOptions
+ *
+ * @property {GradientUnits} [units="objectBoundingBox"] -
+ *
+ *     coordinates from 0 to 1 across the bounding box of the painted element,
+ *     or in the user space of the element
+ * @property {"pad"|"reflect"|"repeat"} [spread="pad"] - how colors continue past the ends of the gradient
+ * @property {Matrix|string} [transform=undefined] - gradientTransform, as a matrix or a transform attribute value
+ */
+
+/**
+ * @typedef {Object} LinearGradient
+ *
+ * @property {"linear-gradient"} kind
+ * @property {string} [id=undefined]
+ * @property {number} x1
+ * @property {number} x2
+ * @property {number} y1
+ * @property {number} y2
+ * @property {GradientStop[]} stops
+ * @property {GradientUnits} [units=undefined]
+ * @property {"pad"|"reflect"|"repeat"} [spread=undefined]
+ * @property {Matrix|string} [transform=undefined]
+ */
+
+/**
+ * @typedef {Object} RadialGradient
+ *
+ * @property {"radial-gradient"} kind
+ * @property {string} [id=undefined]
+ * @property {number} x1 - center of the end circle
+ * @property {number} y1
+ * @property {number} r1 - radius of the start circle, or of the end circle when `r2` is unset
+ * @property {number} [r2=undefined] - radius of the end circle
+ * @property {number} [fx=undefined] - center of the start circle, the center of the end circle by default
+ * @property {number} [fy=undefined]
+ * @property {GradientStop[]} stops
+ * @property {GradientUnits} [units=undefined]
+ * @property {"pad"|"reflect"|"repeat"} [spread=undefined]
+ * @property {Matrix|string} [transform=undefined]
+ */
+
+/**
+ * @typedef {Object} ConicGradient
+ *
+ * @property {"conic-gradient"} kind
+ * @property {number} x - center
+ * @property {number} y
+ * @property {number} startAngle - in degrees, clockwise from the top as in CSS
+ * @property {number} segments - number of wedges approximating the gradient
+ * @property {GradientStop[]} stops
+ * @property {GradientUnits} [units=undefined]
+ */
+
+/**
+ * @typedef {Object} ConicGradientWedge
+ * @property {string} d - path data of the wedge
+ * @property {LinearGradient} fill
+ */
+
+const spreadMethods = ["pad", "reflect", "repeat"];
+
+/**
+ * @param {GradientStop} stop
+ * @returns {number}
+ */
+function parseStopOffset(stop) {
+  const { offset } = stop;
+  const value =
+    typeof offset === "string" && offset.trim().endsWith("%")
+      ? parseFloat(offset) / 100
+      : typeof offset === "number"
+      ? offset
+      : NaN;
+  if (!(value >= 0 && value <= 1)) {
+    throw new Error(
+      `Invalid gradient stop offset ${JSON.stringify(
+        offset
+      )}: expected a number from 0 to 1 or a percentage from 0% to 100%`
+    );
+  }
+  return value;
+}
+
+/**
+ * Validates the stops of a gradient and converts their offsets to numbers from 0 to 1
+ *
+ * @param {GradientStop[]} stops
+ * @returns {Array<{offset: number, color: string, opacity: number}>}
+ * @throws if there is no stop, or a stop has an invalid offset, color or opacity
+ */
+export function normalizeGradientStops(stops) {
+  if (!Array.isArray(stops) || !stops.length) {
+    throw new Error("A gradient needs at least one stop");
+  }
+  let previousOffset = 0;
+  return stops.map((stop) => {
+    const offset = parseStopOffset(stop);
+    if (offset < previousOffset) {
+      throw new Error(
+        `Gradient stop offsets must not decrease, got ${offset} after ${previousOffset}`
+      );
+    }
+    previousOffset = offset;
+    if (typeof stop.color !== "string" || !stop.color.trim()) {
+      throw new Error(
+        `Invalid gradient stop color ${JSON.stringify(stop.color)}`
+      );
+    }
+    const opacity = stop.opacity ?? 1;
+    if (!(opacity >= 0 && opacity <= 1)) {
+      throw new Error(
+        `Invalid gradient stop opacity ${JSON.stringify(
+          stop.opacity
+        )}: expected a number from 0 to 1`
+      );
+    }
+    return { offset, color: stop.color, opacity };
+  });
+}
+
+/**
+ * @param {GradientOptions} options
+ * @returns {GradientOptions} - the options that are set
+ * @throws if the units or spread method are unknown
+ */
+function resolveGradientOptions(options) {
+  const { units, spread, transform } = options;
+  if (
+    units !== undefined &&
+    units !== "objectBoundingBox" &&
+    units !== "userSpaceOnUse"
+  ) {
+    throw new Error(`Unknown gradient units "${units}"`);
+  }
+  if (spread !== undefined && !spreadMethods.includes(spread)) {
+    throw new Error(`Unknown gradient spread method "${spread}"`);
+  }
+  return Object.fromEntries(
+    Object.entries({ units, spread, transform }).filter(
+      ([, value]) => value !== undefined
+    )
+  );
+}
+
+/**
+ * Creates a linear gradient object
+ * @param {number} x1
+ * @param {number} y1
+ * @param {number} x2
+ * @param {number} y2
+ * @param {GradientStop[]} stops
+ * @param {GradientOptions} [options={}]
+ * @returns {LinearGradient}
+ * @throws if a stop or an option is invalid
+ */
+export function createLinearGradient(x1, y1, x2, y2, stops, options = {}) {
+  return {
+    kind: "linear-gradient",
+    x1,
+    y1,
+    x2,
+    y2,
+    stops: normalizeGradientStops(stops),
+    ...resolveGradientOptions(options),
+  };
+}
+
+/**
+ * Creates a radial gradient object
+ *
+ * Colors go from the start circle, of radius `r1`, to the end circle, of radius `r2`.
+ * When `r2` is unset, `r1` is the radius of the end circle and the start circle is its center.
+ *
+ * @param {number} x1 - center of the end circle
+ * @param {number} y1
+ * @param {number} r1
+ * @param {number} [r2]
+ * @param {GradientStop[]} stops
+ * @param {GradientOptions & {fx?: number, fy?: number}} [options={}] -
+ *
+ *     `fx` and `fy` move the center of the start circle, for focal gradients
+ * @returns {RadialGradient}
+ * @throws if a stop or an option is invalid
+ */
+export function createRadialGradient(x1, y1, r1, r2, stops, options = {}) {
+  const { fx, fy } = options;
+  return {
+    kind: "radial-gradient",
+    x1,
+    y1,
+    r1,
+    r2,
+    ...(fx !== undefined && { fx }),
+    ...(fy !== undefined && { fy }),
+    stops: normalizeGradientStops(stops),
+    ...resolveGradientOptions(options),
+  };
+}
+
+/**
+ * Creates a conic gradient object, whose colors turn around a center
+ *
+ * It can only fill paths, see `createConicGradientWedges`
+ *
+ * @param {number} x - center
+ * @param {number} y
+ * @param {GradientStop[]} stops - offsets are fractions of a full turn
+ * @param {{units?: GradientUnits, startAngle?: number, segments?: number}} [options={}] -
+ *
+ *     `startAngle` in degrees, clockwise from the top as in CSS, 0 by default;
+ *     `segments` wedges approximate the gradient, 128 by default
+ * @returns {ConicGradient}
+ * @throws if a stop or an option is invalid
+ */
+export function createConicGradient(x, y, stops, options = {}) {
+  const { startAngle = 0, segments = 128 } = options;
+  if (!Number.isInteger(segments) || segments < 3) {
+    throw new Error(
+      `Invalid conic gradient segments ${segments}: expected an integer of at least 3`
+    );
+  }
+  return {
+    kind: "conic-gradient",
+    x,
+    y,
+    startAngle,
+    segments,
+    stops: normalizeGradientStops(stops),
+    ...resolveGradientOptions({ units: options.units }),
+  };
+}
+
+/**
+ * @param {LinearGradient|RadialGradient} gradient
+ * @returns {Object<string,string|undefined>}
+ */
+function gradientOptionsToAttributes(gradient) {
+  const { transform } = gradient;
+  return {
+    gradientUnits: gradient.units,
+    spreadMethod: gradient.spread,
+    gradientTransform: Array.isArray(transform)
+      ? `matrix(${transform.join(" ")})`
+      : transform,
+  };
+}
+
+/**
+ * @param {GradientStop[]} stops
+ * @returns {Array<SVGNode>}
+ */
+function createGradientStopElements(stops) {
+  return normalizeGradientStops(stops).map((stop) =>
+    new SVGNode("stop", { offset: stop.offset })
+      .setStyle("stop-color", stop.color)
+      .setStyle("stop-opacity", stop.opacity)
+  );
+}
+
+/**
+ * Creates the element for a linear gradient object
+ * @param {LinearGradient} gradient
+ * @returns {SVGNode}
+ */
+export function createLinearGradientElement(gradient) {
+  return new SVGNode(
+    "linearGradient",
+    {
+      id: gradient.id,
+      x1: gradient.x1,
+      y1: gradient.y1,
+      x2: gradient.x2,
+      y2: gradient.y2,
+      ...gradientOptionsToAttributes(gradient),
+    },
+    createGradientStopElements(gradient.stops)
+  );
+}
+
+/**
+ * Compiles a linear gradient object to an SVG string
+ * @param {LinearGradient} gradient
+ * @returns {string}
+ */
+export function compileLinearGradient(gradient) {
+  return createLinearGradientElement(gradient).compile();
+}
+
+/**
+ * Creates the element for a radial gradient object
+ * @param {RadialGradient} gradient
+ * @returns {SVGNode}
+ */
+export function createRadialGradientElement(gradient) {
+  const hasStartCircle = gradient.r2 !== undefined && gradient.r2 !== null;
+  return new SVGNode(
+    "radialGradient",
+    {
+      id: gradient.id,
+      cx: gradient.x1,
+      cy: gradient.y1,
+      r: hasStartCircle ? gradient.r2 : gradient.r1,
+      fx: gradient.fx,
+      fy: gradient.fy,
+      fr: hasStartCircle && gradient.r1 ? gradient.r1 : undefined,
+      ...gradientOptionsToAttributes(gradient),
+    },
+    createGradientStopElements(gradient.stops)
+  );
+}
+
+/**
+ * Compiles a radial gradient object to an SVG string
+ * @param {RadialGradient} gradient
+ * @returns {string}
+ */
+export function compileRadialGradient(gradient) {
+  return createRadialGradientElement(gradient).compile();
+}
+
+/**
+ * Approximates a conic gradient filling an area with wedges around its center
+ *
+ * Each wedge is filled with a linear gradient across it, using the stops of the conic gradient
+ * stretched so that the wedge shows only its own part of the turn.
+ * Wedges overlap the next one by half a segment to hide seams between them.
+ *
+ * @param {ConicGradient} gradient
+ * @param {{x: number, y: number, width: number, height: number}} bounds - the area to cover, in user space
+ * @returns {Array<ConicGradientWedge>} - to draw in order, then clip to the filled shape
+ */
+export function createConicGradientWedges(gradient, bounds) {
+  const { segments, startAngle } = gradient;
+  const objectUnits = gradient.units !== "userSpaceOnUse";
+  const cx = objectUnits ? bounds.x + gradient.x * bounds.width : gradient.x;
+  const cy = objectUnits ? bounds.y + gradient.y * bounds.height : gradient.y;
+  const step = (2 * Math.PI) / segments;
+  // Far enough for the straight outer edge of each wedge to stay out of the area
+  const radius =
+    Math.max(
+      ...[
+        [bounds.x, bounds.y],
+        [bounds.x + bounds.width, bounds.y],
+        [bounds.x, bounds.y + bounds.height],
+        [bounds.x + bounds.width, bounds.y + bounds.height],
+      ].map(([x, y]) => Math.hypot(x - cx, y - cy)),
+      1
+    ) / Math.cos(Math.min(0.75 * step, Math.PI / 3));
+  const pointAt = (t) => {
+    const angle = (startAngle * Math.PI) / 180 + t * 2 * Math.PI;
+    return [cx + radius * Math.sin(angle), cy - radius * Math.cos(angle)];
+  };
+  return Array.from({ length: segments }, (_, i) => {
+    const start = pointAt(i / segments);
+    const end = pointAt((i + 1) / segments);
+    const overlapEnd = pointAt(
+      (i + (i === segments - 1 ? 1 : 1.5)) / segments
+    );
+    // The whole turn spans `segments` times the gradient vector of one wedge
+    const vector = [(end[0] - start[0]) * segments, (end[1] - start[1]) * segments];
+    const origin = [
+      start[0] - (vector[0] * i) / segments,
+      start[1] - (vector[1] * i) / segments,
+    ];
+    return {
+      d: `M ${cx} ${cy} L ${start[0]} ${start[1]} L ${overlapEnd[0]} ${overlapEnd[1]} Z`,
+      fill: createLinearGradient(
+        origin[0],
+        origin[1],
+        origin[0] + vector[0],
+        origin[1] + vector[1],
+        gradient.stops,
+        { units: "userSpaceOnUse" }
+      ),
+    };
+  });
+}
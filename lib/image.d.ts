@@ -0,0 +1,21 @@
+export type ImageMimeType =
+  | "image/png"
+  | "image/jpeg"
+  | "image/webp"
+  | "image/gif";
+
+export interface ImageInfo {
+  mimeType: ImageMimeType;
+  width: number;
+  height: number;
+}
+
+export interface RasterImage extends ImageInfo {
+  data: Buffer;
+}
+
+export function sniffImage(data: Buffer): ImageInfo | null;
+
+export function readImage(source: string | Buffer): RasterImage;
+
+export function toDataURI(image: RasterImage): string;
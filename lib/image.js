@@ -0,0 +1,167 @@
+/**
+ * Raster images embedded in SVG documents as data URIs
+ *
+ * The type and pixel size of PNG, JPEG, WebP and GIF files are read from their headers,
+ * without decoding the pixels
+ */
+
+import fs from "node:fs";
+
+/**
+ * @typedef {"image/png"|"image/jpeg"|"image/webp"|"image/gif"} ImageMimeType
+ */
+
+/**
+ * @typedef {Object} ImageInfo
+ * @property {ImageMimeType} mimeType
+ * @property {number} width - in pixels
+ * @property {number} height - in pixels
+ */
+
+/**
+ * @typedef {Object} RasterImage
+ * @property {ImageMimeType} mimeType
+ * @property {number} width - in pixels
+ * @property {number} height - in pixels
+ * @property {Buffer} data - content of the file
+ */
+
+/**
+ * @param {Buffer} data
+ * @param {number} offset
+ * @param {string} text
+ * @returns {boolean}
+ */
+function hasASCII(data, offset, text) {
+  return data.toString("latin1", offset, offset + text.length) === text;
+}
+
+/**
+ * @param {Buffer} data
+ * @returns {{width: number, height: number}|null}
+ */
+function getJPEGSize(data) {
+  let offset = 2;
+  while (offset + 9 < data.length) {
+    if (data[offset] !== 0xff) {
+      return null;
+    }
+    const marker = data[offset + 1];
+    if (marker === 0xff) {
+      // Fill byte
+      offset++;
+      continue;
+    }
+    // Start of frame markers, except DHT (C4), JPG (C8) and DAC (CC)
+    if (
+      marker >= 0xc0 &&
+      marker <= 0xcf &&
+      marker !== 0xc4 &&
+      marker !== 0xc8 &&
+      marker !== 0xcc
+    ) {
+      return {
+        height: data.readUInt16BE(offset + 5),
+        width: data.readUInt16BE(offset + 7),
+      };
+    }
+    offset += 2 + data.readUInt16BE(offset + 2);
+  }
+  return null;
+}
+
+/**
+ * @param {Buffer} data
+ * @returns {{width: number, height: number}|null}
+ */
+function getWebPSize(data) {
+  if (data.length < 30) {
+    return null;
+  }
+  if (hasASCII(data, 12, "VP8 ")) {
+    // Lossy: the key frame header follows a 3 byte frame tag and a 3 byte start code
+    return {
+      width: data.readUInt16LE(26) & 0x3fff,
+      height: data.readUInt16LE(28) & 0x3fff,
+    };
+  }
+  if (hasASCII(data, 12, "VP8L")) {
+    // Lossless: 14 bit width and height minus one, after a signature byte
+    const bits = data.readUInt32LE(21);
+    return { width: (bits & 0x3fff) + 1, height: ((bits >> 14) & 0x3fff) + 1 };
+  }
+  if (hasASCII(data, 12, "VP8X")) {
+    // Extended: 24 bit canvas width and height minus one
+    return {
+      width: data.readUIntLE(24, 3) + 1,
+      height: data.readUIntLE(27, 3) + 1,
+    };
+  }
+  return null;
+}
+
+/**
+ * Recognizes an image file from its content
+ *
+ * @param {Buffer} data
+ * @returns {ImageInfo|null} - null when the data is not a PNG, JPEG, WebP or GIF image
+ */
+export function sniffImage(data) {
+  if (
+    data.length >= 24 &&
+    data.readUInt32BE(0) === 0x89504e47 &&
+    hasASCII(data, 12, "IHDR")
+  ) {
+    return {
+      mimeType: "image/png",
+      width: data.readUInt32BE(16),
+      height: data.readUInt32BE(20),
+    };
+  }
+  if (data.length >= 4 && data[0] === 0xff && data[1] === 0xd8) {
+    const size = getJPEGSize(data);
+    return size && { mimeType: "image/jpeg", ...size };
+  }
+  if (data.length >= 12 && hasASCII(data, 0, "RIFF") && hasASCII(data, 8, "WEBP")) {
+    const size = getWebPSize(data);
+    return size && { mimeType: "image/webp", ...size };
+  }
+  if (
+    data.length >= 10 &&
+    (hasASCII(data, 0, "GIF87a") || hasASCII(data, 0, "GIF89a"))
+  ) {
+    return {
+      mimeType: "image/gif",
+      width: data.readUInt16LE(6),
+      height: data.readUInt16LE(8),
+    };
+  }
+  return null;
+}
+
+/**
+ * Reads a PNG, JPEG, WebP or GIF image
+ *
+ * @param {string|Buffer} source - path of an image file, or its content
+ * @returns {RasterImage}
+ * @throws if the file cannot be read or is not a supported image
+ */
+export function readImage(source) {
+  const name = typeof source === "string" ? source : "image data";
+  const data = typeof source === "string" ? fs.readFileSync(source) : source;
+  const info = sniffImage(data);
+  if (!info) {
+    throw new Error(
+      `Unsupported image in ${name}: expected a PNG, JPEG, WebP or GIF file`
+    );
+  }
+  return { ...info, data };
+}
+
+/**
+ * @param {RasterImage} image
+ * @returns {string} - the image as a base64 data URI
+ */
+export function toDataURI(image) {
+  return `data:${image.mimeType};base64,${image.data.toString("base64")}`;
+}
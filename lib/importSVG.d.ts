@@ -0,0 +1,24 @@
+import SVGNode from "./SVGNode";
+
+export interface ImportedSVGDocument {
+  width: number;
+  height: number;
+  viewBox: { x: number; y: number; width: number; height: number };
+  vars: Record<string, string>;
+  themeScope?: string;
+  namespaces: Record<string, string>;
+  defs: SVGNode[];
+  elements: SVGNode[];
+}
+
+export interface Viewport {
+  width: number;
+  height: number;
+}
+
+export function shapeToPathData(
+  node: SVGNode,
+  viewport?: Viewport
+): string | null;
+
+export default function importSVG(text: string): ImportedSVGDocument;
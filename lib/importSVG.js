@@ -0,0 +1,434 @@
+/**
+ * Converts existing SVG documents into the structures used by SVGBuilder
+ *
+ * Basic shapes become <path> elements, gradients, filters and other
+ * definitions are carried over as they are, and groups keep their transforms
+ */
+
+import parseXML from "./parseXML.js";
+import SVGNode from "./SVGNode.js";
+
+/**
+ * @typedef {Object} ImportedSVGDocument
+ * @property {number} width
+ * @property {number} height
+ * @property {{x: number, y: number, width: number, height: number}} viewBox
+ * @property {Object<string,string>} vars - CSS variables declared in `:root` rules, or rules for the class of the root element
+ * @property {string} [themeScope=undefined] - class of the root element the variables are declared on
+ * @property {Object<string,string>} namespaces - `xmlns:*` declarations of the root element, such as `xmlns:xlink`
+ * @property {Array<SVGNode>} defs
+ * @property {Array<SVGNode>} elements
+ */
+
+/**
+ * Elements that only hold definitions, and are moved to <defs> wherever they appear
+ */
+const definitionTags = [
+  "linearGradient",
+  "radialGradient",
+  "pattern",
+  "filter",
+  "clipPath",
+  "mask",
+  "marker",
+  "symbol",
+  "style",
+];
+
+/**
+ * Attributes of the root element that describe the document itself, rather than style its content
+ */
+const documentAttributes = [
+  "xmlns",
+  "width",
+  "height",
+  "viewBox",
+  "preserveAspectRatio",
+  "x",
+  "y",
+  "version",
+  "baseProfile",
+  "id",
+  "class",
+];
+
+/**
+ * User units in each absolute unit, at 96 pixels per inch
+ */
+const absoluteUnits = {
+  px: 1,
+  in: 96,
+  cm: 96 / 2.54,
+  mm: 96 / 25.4,
+  q: 96 / 101.6,
+  pt: 96 / 72,
+  pc: 16,
+};
+
+/**
+ * @typedef {Object} Viewport
+ * @property {number} width
+ * @property {number} height
+ */
+
+/**
+ * Attributes consumed when a basic shape is converted to a path
+ */
+const geometryAttributes = {
+  rect: ["x", "y", "width", "height", "rx", "ry"],
+  circle: ["cx", "cy", "r"],
+  ellipse: ["cx", "cy", "rx", "ry"],
+  line: ["x1", "y1", "x2", "y2"],
+  polyline: ["points"],
+  polygon: ["points"],
+};
+
+/**
+ * Reads a length attribute as a number of user units
+ *
+ * Absolute units are converted, and percentages resolved against a reference length
+ *
+ * @param {string|number|undefined} value
+ * @param {number} [reference=undefined] - length of 100%, such as the width of the viewport
+ * @param {number} [fallback=0] - for a missing or invalid value
+ * @returns {number}
+ * @throws if the length uses font relative units, or is a percentage without a reference
+ */
+function parseLength(value, reference = undefined, fallback = 0) {
+  const match =
+    /^\s*([+-]?(?:\d+\.?\d*|\.\d+)(?:e[+-]?\d+)?)\s*([a-z%]*)\s*$/i.exec(
+      `${value ?? ""}`
+    );
+  if (!match) {
+    return fallback;
+  }
+  const number = Number(match[1]);
+  const unit = match[2].toLowerCase();
+  if (unit === "") {
+    return number;
+  }
+  if (unit in absoluteUnits) {
+    return number * absoluteUnits[unit];
+  }
+  if (unit === "%") {
+    if (reference === undefined) {
+      throw new Error(`Cannot resolve the percentage "${value}": no viewport`);
+    }
+    return (number * reference) / 100;
+  }
+  if (["em", "ex", "rem", "ch"].includes(unit)) {
+    throw new Error(
+      `Cannot convert "${value}" to user units: font relative lengths are not supported`
+    );
+  }
+  return fallback;
+}
+
+/**
+ * @param {Viewport} [viewport=undefined]
+ * @returns {{width?: number, height?: number, diagonal?: number}} - lengths of 100% horizontally, vertically and otherwise
+ */
+function getReferenceLengths(viewport) {
+  if (!viewport) {
+    return {};
+  }
+  const { width, height } = viewport;
+  return {
+    width,
+    height,
+    diagonal: Math.sqrt((width * width + height * height) / 2),
+  };
+}
+
+/**
+ * @param {string} points - value of a points attribute
+ * @returns {Array<[number,number]>}
+ */
+function parsePoints(points) {
+  const numbers = (points ?? "")
+    .trim()
+    .split(/[\s,]+/)
+    .filter(Boolean)
+    .map(Number);
+  const result = [];
+  // An odd trailing coordinate is ignored, as in browsers
+  for (let i = 0; i + 1 < numbers.length; i += 2) {
+    result.push([numbers[i], numbers[i + 1]]);
+  }
+  return result;
+}
+
+/**
+ * @param {SVGNode} node - a <rect>
+ * @param {Viewport} [viewport=undefined]
+ * @returns {string|null}
+ */
+function rectToPathData(node, viewport) {
+  const reference = getReferenceLengths(viewport);
+  const x = parseLength(node.getAttribute("x"), reference.width);
+  const y = parseLength(node.getAttribute("y"), reference.height);
+  const width = parseLength(node.getAttribute("width"), reference.width);
+  const height = parseLength(node.getAttribute("height"), reference.height);
+  if (width <= 0 || height <= 0) {
+    return null;
+  }
+  // A missing radius takes the value of the other one
+  let rx = node.getAttribute("rx");
+  let ry = node.getAttribute("ry");
+  rx = parseLength(rx ?? ry, reference.width);
+  ry = parseLength(ry ?? rx, reference.height);
+  rx = Math.min(Math.max(rx, 0), width / 2);
+  ry = Math.min(Math.max(ry, 0), height / 2);
+  if (rx === 0 || ry === 0) {
+    return `M ${x} ${y} H ${x + width} V ${y + height} H ${x} Z`;
+  }
+  return [
+    `M ${x + rx} ${y}`,
+    `H ${x + width - rx}`,
+    `A ${rx} ${ry} 0 0 1 ${x + width} ${y + ry}`,
+    `V ${y + height - ry}`,
+    `A ${rx} ${ry} 0 0 1 ${x + width - rx} ${y + height}`,
+    `H ${x + rx}`,
+    `A ${rx} ${ry} 0 0 1 ${x} ${y + height - ry}`,
+    `V ${y + ry}`,
+    `A ${rx} ${ry} 0 0 1 ${x + rx} ${y}`,
+    "Z",
+  ].join(" ");
+}
+
+/**
+ * @param {number} cx
+ * @param {number} cy
+ * @param {number} rx
+ * @param {number} ry
+ * @returns {string|null}
+ */
+function ellipseToPathData(cx, cy, rx, ry) {
+  if (rx <= 0 || ry <= 0) {
+    return null;
+  }
+  return `M ${cx - rx} ${cy} A ${rx} ${ry} 0 1 0 ${cx + rx} ${cy} A ${rx} ${ry} 0 1 0 ${cx - rx} ${cy} Z`;
+}
+
+/**
+ * Computes the path data equivalent to a basic shape
+ *
+ * @param {SVGNode} node - a <rect>, <circle>, <ellipse>, <line>, <polyline> or <polygon>
+ * @param {Viewport} [viewport=undefined] - size that percentages are relative to
+ * @returns {string|null} - null when the shape is not rendered (such as a zero radius)
+ * @throws if a length uses font relative units, or is a percentage without a viewport
+ */
+export function shapeToPathData(node, viewport = undefined) {
+  const reference = getReferenceLengths(viewport);
+  const x = (name) => parseLength(node.getAttribute(name), reference.width);
+  const y = (name) => parseLength(node.getAttribute(name), reference.height);
+  switch (node.tag) {
+    case "rect":
+      return rectToPathData(node, viewport);
+    case "circle": {
+      const r = parseLength(node.getAttribute("r"), reference.diagonal);
+      return ellipseToPathData(x("cx"), y("cy"), r, r);
+    }
+    case "ellipse":
+      return ellipseToPathData(x("cx"), y("cy"), x("rx"), y("ry"));
+    case "line":
+      return `M ${x("x1")} ${y("y1")} L ${x("x2")} ${y("y2")}`;
+    case "polyline":
+    case "polygon": {
+      const points = parsePoints(node.getAttribute("points"));
+      if (!points.length) {
+        return null;
+      }
+      return (
+        points
+          .map(([x, y], i) => `${i === 0 ? "M" : "L"} ${x} ${y}`)
+          .join(" ") + (node.tag === "polygon" ? " Z" : "")
+      );
+    }
+    default:
+      throw new Error(`<${node.tag}> is not a basic shape`);
+  }
+}
+
+/**
+ * Moves the declarations of a style attribute into the structured style of the node
+ *
+ * @param {SVGNode} node
+ */
+function adoptStyleAttribute(node) {
+  const style = node.getAttribute("style");
+  if (typeof style !== "string") {
+    return;
+  }
+  node.removeAttribute("style");
+  for (const declaration of style.split(";")) {
+    const separator = declaration.indexOf(":");
+    if (separator !== -1) {
+      const property = declaration.slice(0, separator).trim();
+      const value = declaration.slice(separator + 1).trim();
+      if (property && value) {
+        node.setStyle(property, value);
+      }
+    }
+  }
+}
+
+/**
+ * Takes the CSS variables out of top-level `:root` rules, and rules for a class of the root element
+ *
+ * @param {string} css
+ * @param {ImportedSVGDocument} document - receives the variables, and the class they are declared on
+ * @param {Array<string>} rootClasses - classes of the root element
+ * @returns {string} - the remaining CSS
+ */
+function extractRootVars(css, document, rootClasses) {
+  return css.replace(/([^{}]*)\{([^{}]*)\}/g, (rule, selector, body, offset) => {
+    const prelude = css.slice(0, offset);
+    // Rules nested in at-rules, such as media queries, only apply some of the time
+    const depth =
+      (prelude.match(/\{/g) ?? []).length - (prelude.match(/\}/g) ?? []).length;
+    selector = selector.trim();
+    const rootClass = rootClasses.find((name) => selector === `.${name}`);
+    if (depth !== 0 || (selector !== ":root" && rootClass === undefined)) {
+      return rule;
+    }
+    if (rootClass !== undefined) {
+      document.themeScope = rootClass;
+    }
+    for (const declaration of body.split(";")) {
+      const match = /^\s*(--[\w-]+)\s*:\s*(.*?)\s*$/s.exec(declaration);
+      if (match) {
+        document.vars[match[1]] = match[2];
+      }
+    }
+    return "";
+  });
+}
+
+/**
+ * @param {string|undefined} value
+ * @returns {{x: number, y: number, width: number, height: number}|null}
+ */
+function parseViewBox(value) {
+  if (!value) {
+    return null;
+  }
+  const numbers = value.trim().split(/[\s,]+/).map(Number);
+  if (numbers.length !== 4 || numbers.some((n) => !Number.isFinite(n))) {
+    return null;
+  }
+  const [x, y, width, height] = numbers;
+  return { x, y, width, height };
+}
+
+/**
+ * Parses an SVG document
+ *
+ * @param {string} text - SVG markup
+ * @returns {ImportedSVGDocument}
+ * @throws if the markup is not a well formed SVG document
+ */
+export default function importSVG(text) {
+  const root = parseXML(text);
+  if (root.tag.replace(/^svg:/, "") !== "svg") {
+    throw new Error(`Expected an <svg> root element, found <${root.tag}>`);
+  }
+  const viewBox = parseViewBox(root.getAttribute("viewBox"));
+  // A percentage sizes the document to its container, unknown here, so the viewBox gives the size
+  const parseSize = (name, fallback) =>
+    /%\s*$/.test(`${root.getAttribute(name) ?? ""}`)
+      ? fallback
+      : parseLength(root.getAttribute(name), undefined, fallback);
+  const width = parseSize("width", viewBox?.width ?? 300);
+  const height = parseSize("height", viewBox?.height ?? 150);
+  const rootClasses = `${root.getAttribute("class") ?? ""}`
+    .split(/\s+/)
+    .filter(Boolean);
+
+  /**
+   * @type {ImportedSVGDocument}
+   */
+  const document = {
+    width,
+    height,
+    viewBox: viewBox ?? { x: 0, y: 0, width, height },
+    vars: {},
+    namespaces: {},
+    defs: [],
+    elements: [],
+  };
+  const viewport = {
+    width: document.viewBox.width,
+    height: document.viewBox.height,
+  };
+
+  /**
+   * @param {SVGNode} node
+   * @returns {SVGNode|null} - the converted node, or null when it was moved to the definitions
+   */
+  function convert(node) {
+    node.tag = node.tag.replace(/^svg:/, "");
+    adoptStyleAttribute(node);
+    if (node.tag === "defs") {
+      node.children.slice().forEach((child) => {
+        const converted = convert(child);
+        if (converted) {
+          document.defs.push(converted.remove());
+        }
+      });
+      return null;
+    }
+    if (node.tag === "style") {
+      const css = extractRootVars(node.text ?? "", document, rootClasses);
+      if (css.trim()) {
+        document.defs.push(node.remove().setText(css));
+      }
+      return null;
+    }
+    if (definitionTags.includes(node.tag) && node.parent?.tag !== "defs") {
+      // Definitions keep their content as it is, but shapes inside them are still converted
+      node.children.slice().forEach(convert);
+      document.defs.push(node.remove());
+      return null;
+    }
+    if (node.tag in geometryAttributes) {
+      const d = shapeToPathData(node, viewport);
+      geometryAttributes[node.tag].forEach((name) => node.removeAttribute(name));
+      node.tag = "path";
+      if (d === null) {
+        node.remove();
+        return null;
+      }
+      node.attributes = { d, ...node.attributes };
+    }
+    node.children.slice().forEach(convert);
+    return node;
+  }
+
+  // Presentation attributes of the root are inherited by the content, which a group keeps doing
+  adoptStyleAttribute(root);
+  const group = new SVGNode("g");
+  for (const [name, value] of Object.entries(root.attributes)) {
+    if (name.startsWith("xmlns:")) {
+      document.namespaces[name] = value;
+    } else if (!documentAttributes.includes(name)) {
+      group.setAttribute(name, value);
+    }
+  }
+  group.style = root.style;
+
+  root.children.slice().forEach((child) => {
+    const converted = convert(child);
+    if (converted) {
+      document.elements.push(converted.remove());
+    }
+  });
+  if (
+    Object.keys(group.attributes).length ||
+    Object.keys(group.style).length
+  ) {
+    document.elements.forEach((element) => group.appendChild(element));
+    document.elements = [group];
+  }
+  return document;
+}
@@ -5,13 +5,60 @@
  */
 export type Point = [number, number];
 
+/**
+ * A point as a tuple or as an object with x and y properties, such as a Vec2
+ */
+export type PointLike = Point | { x: number; y: number };
+
+type Matrix = [number, number, number, number, number, number];
+
 export default class PointMath {
+  static toPoint(p: PointLike): Point;
+  static toPoints(points: PointLike[]): Point[];
   static sum(p1: Point, p2: Point): Point;
   static difference(p1: Point, p2: Point): Point;
   static lerp(p1: Point, p2: Point, t: number): Point;
   static scaledBy(p: Point, scalar: number): Point;
   static termByTermMultiplied(p1: Point, p2: Point): Point;
-  static toXYObject(p: Point): { x: number; y: number };
+  static toXYObject(p: PointLike): { x: number; y: number };
+  static magnitude(p: Point): number;
+  static normalize(p: Point): Point;
+  static dot(p1: Point, p2: Point): number;
+  static cross(p1: Point, p2: Point): number;
+  static rotate(p: Point, theta: number, origin?: Point): Point;
+  static distance(p1: Point, p2: Point): number;
+  static angle(p: Point): number;
+  static angleBetween(p1: Point, p2: Point): number;
+  static project(p: Point, onto: Point): Point;
+  static fromPolar(radius: number, theta: number, origin?: Point): Point;
   static directionVector(theta: number): Point;
   static bowAtMidpoint(p1: Point, p2: Point,offset:number): [Point,Point,Point];
+  static transformedBy(p: Point, matrix: Matrix): Point;
+  static allTransformedBy(points: Point[], matrix: Matrix): Point[];
+}
+
+export class Vec2 implements Iterable<number> {
+  readonly x: number;
+  readonly y: number;
+  constructor(x: number, y: number);
+  static from(p: PointLike): Vec2;
+  static fromPolar(radius: number, theta: number, origin?: PointLike): Vec2;
+  toArray(): Point;
+  toJSON(): Point;
+  [Symbol.iterator](): Iterator<number>;
+  add(other: PointLike): Vec2;
+  sub(other: PointLike): Vec2;
+  scale(scalar: number): Vec2;
+  lerp(other: PointLike, t: number): Vec2;
+  magnitude(): number;
+  normalize(): Vec2;
+  dot(other: PointLike): number;
+  cross(other: PointLike): number;
+  rotate(theta: number, origin?: PointLike): Vec2;
+  distanceTo(other: PointLike): number;
+  angle(): number;
+  angleTo(other: PointLike): number;
+  project(onto: PointLike): Vec2;
+  transformedBy(matrix: Matrix): Vec2;
+  equals(other: PointLike, epsilon?: number): boolean;
 }
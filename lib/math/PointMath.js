@@ -1,8 +1,43 @@
 /**
- * @type {[number, number]} Point
+ * @typedef {[number, number]} Point
+ */
+
+/**
+ * A point given as a tuple or as an object with x and y properties, such as a Vec2
+ *
+ * @typedef {Point|{x: number, y: number}} PointLike
  */
 
 export default class PointMath {
+  /**
+   * Converts a tuple or an {x, y} object to a tuple
+   *
+   * @param {PointLike} p
+   * @returns {Point}
+   * @throws if the coordinates are not numbers
+   */
+  static toPoint(p) {
+    const point = Array.isArray(p) ? [p[0], p[1]] : [p?.x, p?.y];
+    if (
+      (Array.isArray(p) && p.length !== 2) ||
+      typeof point[0] !== "number" ||
+      typeof point[1] !== "number"
+    ) {
+      throw new Error(
+        `Invalid point ${JSON.stringify(p)}: expected [x, y] or {x, y} with numbers`
+      );
+    }
+    return point;
+  }
+
+  /**
+   * @param {Array<PointLike>} points
+   * @returns {Array<Point>}
+   */
+  static toPoints(points) {
+    return points.map((p) => PointMath.toPoint(p));
+  }
+
   /**
    * @param {Point} p1
    * @param {Point} p2
@@ -52,13 +87,117 @@ export default class PointMath {
   /**
    * Convert to an object with x and y properties
    *
-   * @param {Point} p1
+   * @param {PointLike} p1
    */
   static toXYObject(p1) {
-    return {
-      x: p1[0],
-      y: p1[1],
-    };
+    const [x, y] = PointMath.toPoint(p1);
+    return { x, y };
+  }
+
+  /**
+   * @param {Point} p
+   * @returns {number} - length of the vector
+   */
+  static magnitude(p) {
+    return Math.hypot(p[0], p[1]);
+  }
+
+  /**
+   * @param {Point} p
+   * @returns {Point} - the vector scaled to length 1, or [0, 0] for a zero vector
+   */
+  static normalize(p) {
+    const length = PointMath.magnitude(p);
+    return length ? [p[0] / length, p[1] / length] : [0, 0];
+  }
+
+  /**
+   * @param {Point} p1
+   * @param {Point} p2
+   * @returns {number}
+   */
+  static dot(p1, p2) {
+    return p1[0] * p2[0] + p1[1] * p2[1];
+  }
+
+  /**
+   * Z component of the 3D cross product
+   *
+   * Positive when p2 is clockwise from p1 on screen, where y points down
+   *
+   * @param {Point} p1
+   * @param {Point} p2
+   * @returns {number}
+   */
+  static cross(p1, p2) {
+    return p1[0] * p2[1] - p1[1] * p2[0];
+  }
+
+  /**
+   * @param {Point} p
+   * @param {number} theta - in radians, clockwise on screen
+   * @param {Point} [origin=[0, 0]] - point to rotate around
+   * @returns {Point}
+   */
+  static rotate(p, theta, origin = [0, 0]) {
+    const cos = Math.cos(theta);
+    const sin = Math.sin(theta);
+    const dx = p[0] - origin[0];
+    const dy = p[1] - origin[1];
+    return [origin[0] + dx * cos - dy * sin, origin[1] + dx * sin + dy * cos];
+  }
+
+  /**
+   * @param {Point} p1
+   * @param {Point} p2
+   * @returns {number}
+   */
+  static distance(p1, p2) {
+    return Math.hypot(p2[0] - p1[0], p2[1] - p1[1]);
+  }
+
+  /**
+   * @param {Point} p
+   * @returns {number} - direction of the vector in radians, from -PI to PI
+   */
+  static angle(p) {
+    return Math.atan2(p[1], p[0]);
+  }
+
+  /**
+   * @param {Point} p1
+   * @param {Point} p2
+   * @returns {number} - signed angle in radians turning p1 onto p2, from -PI to PI
+   */
+  static angleBetween(p1, p2) {
+    return Math.atan2(PointMath.cross(p1, p2), PointMath.dot(p1, p2));
+  }
+
+  /**
+   * Projects a vector onto the line of another
+   *
+   * @param {Point} p
+   * @param {Point} onto
+   * @returns {Point} - [0, 0] when onto is a zero vector
+   */
+  static project(p, onto) {
+    const lengthSquared = PointMath.dot(onto, onto);
+    return lengthSquared
+      ? PointMath.scaledBy(onto, PointMath.dot(p, onto) / lengthSquared)
+      : [0, 0];
+  }
+
+  /**
+   * @param {number} radius
+   * @param {number} theta - in radians
+   * @param {Point} [origin=[0, 0]] - center of the polar coordinates
+   * @returns {Point}
+   */
+  static fromPolar(radius, theta, origin = [0, 0]) {
+    return [
+      origin[0] + radius * Math.cos(theta),
+      origin[1] + radius * Math.sin(theta),
+    ];
   }
 
   /**
@@ -91,4 +230,192 @@ export default class PointMath {
       p2,
     ]
   }
+
+  /**
+   * Applies an affine matrix, such as one from `transformToMatrix`
+   *
+   * @param {Point} p
+   * @param {[number, number, number, number, number, number]} matrix - [a, b, c, d, e, f] as in SVG
+   * @returns {Point}
+   */
+  static transformedBy(p, matrix) {
+    const [a, b, c, d, e, f] = matrix;
+    return [a * p[0] + c * p[1] + e, b * p[0] + d * p[1] + f];
+  }
+
+  /**
+   * Applies an affine matrix to every point, to bake a transform into coordinates
+   *
+   * @param {Array<Point>} points
+   * @param {[number, number, number, number, number, number]} matrix
+   * @returns {Array<Point>}
+   */
+  static allTransformedBy(points, matrix) {
+    return points.map((p) => PointMath.transformedBy(p, matrix));
+  }
+}
+
+/**
+ * An immutable 2D vector with the operations of PointMath
+ *
+ * Accepted wherever a point is, and spreads to a tuple: `[...vec]`
+ */
+export class Vec2 {
+  /**
+   * @param {number} x
+   * @param {number} y
+   */
+  constructor(x, y) {
+    this.x = x;
+    this.y = y;
+    Object.freeze(this);
+  }
+
+  /**
+   * @param {PointLike} p
+   * @returns {Vec2}
+   */
+  static from(p) {
+    const [x, y] = PointMath.toPoint(p);
+    return new Vec2(x, y);
+  }
+
+  /**
+   * @param {number} radius
+   * @param {number} theta - in radians
+   * @param {PointLike} [origin=[0, 0]]
+   * @returns {Vec2}
+   */
+  static fromPolar(radius, theta, origin = [0, 0]) {
+    return Vec2.from(
+      PointMath.fromPolar(radius, theta, PointMath.toPoint(origin))
+    );
+  }
+
+  /**
+   * @returns {Point}
+   */
+  toArray() {
+    return [this.x, this.y];
+  }
+
+  /**
+   * @returns {Point}
+   */
+  toJSON() {
+    return this.toArray();
+  }
+
+  *[Symbol.iterator]() {
+    yield this.x;
+    yield this.y;
+  }
+
+  /**
+   * @param {PointLike} other
+   */
+  add(other) {
+    return Vec2.from(PointMath.sum(this.toArray(), PointMath.toPoint(other)));
+  }
+
+  /**
+   * @param {PointLike} other
+   */
+  sub(other) {
+    return Vec2.from(
+      PointMath.difference(this.toArray(), PointMath.toPoint(other))
+    );
+  }
+
+  /**
+   * @param {number} scalar
+   */
+  scale(scalar) {
+    return new Vec2(this.x * scalar, this.y * scalar);
+  }
+
+  /**
+   * @param {PointLike} other
+   * @param {number} t
+   */
+  lerp(other, t) {
+    return Vec2.from(
+      PointMath.lerp(this.toArray(), PointMath.toPoint(other), t)
+    );
+  }
+
+  magnitude() {
+    return PointMath.magnitude(this.toArray());
+  }
+
+  normalize() {
+    return Vec2.from(PointMath.normalize(this.toArray()));
+  }
+
+  /**
+   * @param {PointLike} other
+   */
+  dot(other) {
+    return PointMath.dot(this.toArray(), PointMath.toPoint(other));
+  }
+
+  /**
+   * @param {PointLike} other
+   */
+  cross(other) {
+    return PointMath.cross(this.toArray(), PointMath.toPoint(other));
+  }
+
+  /**
+   * @param {number} theta - in radians, clockwise on screen
+   * @param {PointLike} [origin=[0, 0]]
+   */
+  rotate(theta, origin = [0, 0]) {
+    return Vec2.from(
+      PointMath.rotate(this.toArray(), theta, PointMath.toPoint(origin))
+    );
+  }
+
+  /**
+   * @param {PointLike} other
+   */
+  distanceTo(other) {
+    return PointMath.distance(this.toArray(), PointMath.toPoint(other));
+  }
+
+  angle() {
+    return PointMath.angle(this.toArray());
+  }
+
+  /**
+   * @param {PointLike} other
+   */
+  angleTo(other) {
+    return PointMath.angleBetween(this.toArray(), PointMath.toPoint(other));
+  }
+
+  /**
+   * @param {PointLike} onto
+   */
+  project(onto) {
+    return Vec2.from(
+      PointMath.project(this.toArray(), PointMath.toPoint(onto))
+    );
+  }
+
+  /**
+   * @param {import("../transform.js").Matrix} matrix
+   */
+  transformedBy(matrix) {
+    return Vec2.from(PointMath.transformedBy(this.toArray(), matrix));
+  }
+
+  /**
+   * @param {PointLike} other
+   * @param {number} [epsilon=0]
+   */
+  equals(other, epsilon = 0) {
+    const [x, y] = PointMath.toPoint(other);
+    return Math.abs(this.x - x) <= epsilon && Math.abs(this.y - y) <= epsilon;
+  }
 }
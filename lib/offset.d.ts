@@ -0,0 +1,31 @@
+import { StrokeLinecap, StrokeLinejoin } from "./stroke";
+
+export interface OffsetOptions {
+  join?: StrokeLinejoin;
+  miterLimit?: number;
+  fillRule?: "nonzero" | "evenodd";
+  tolerance?: number;
+  precision?: number;
+}
+
+export interface OutlineStrokeOptions {
+  miterLimit?: number;
+  dasharray?: number[];
+  dashoffset?: number;
+  tolerance?: number;
+  precision?: number;
+}
+
+export function outlineStroke(
+  d: string,
+  strokeWidth: number,
+  caps?: StrokeLinecap,
+  joins?: StrokeLinejoin,
+  options?: OutlineStrokeOptions
+): string;
+
+export function offsetPath(
+  d: string,
+  distance: number,
+  options?: OffsetOptions
+): string;
@@ -0,0 +1,124 @@
+/**
+ * Outlines of strokes and offsets of filled shapes, as plain filled paths
+ *
+ * Both are built from the stroke polygons of `strokePolylines`, so joins and caps
+ * look exactly like an SVG stroke, merged into non-overlapping polygons with boolean operations
+ */
+
+import { combinePaths } from "./boolean.js";
+import { flattenPathData } from "./flatten.js";
+import { strokePolylines } from "./stroke.js";
+
+/**
+ * @typedef {import("./pathData.js").Point} Point
+ * @typedef {import("./stroke.js").StrokeLinejoin} StrokeLinejoin
+ * @typedef {import("./stroke.js").StrokeLinecap} StrokeLinecap
+ */
+
+/**
+ * @typedef {Object} OffsetOptions
+ * @property {StrokeLinejoin} [join="miter"] - shape of the corners moved outward
+ * @property {number} [miterLimit=4] - longest miter, as a multiple of twice the distance
+ * @property {"nonzero"|"evenodd"} [fillRule="nonzero"] - how the path is filled
+ * @property {number} [tolerance=0.05] - largest distance allowed between curves and the lines replacing them
+ * @property {number} [precision=3] - decimals kept in the coordinates
+ */
+
+/**
+ * @typedef {Object} OutlineStrokeOptions
+ * @property {number} [miterLimit=4]
+ * @property {Array<number>} [dasharray=[]]
+ * @property {number} [dashoffset=0]
+ * @property {number} [tolerance=0.05] - largest distance allowed between curves and the lines replacing them
+ * @property {number} [precision=3] - decimals kept in the coordinates
+ */
+
+/**
+ * @param {Array<Array<Point>>} polygons
+ * @returns {string}
+ */
+function polygonsToPathData(polygons) {
+  return polygons
+    .map(
+      (polygon) =>
+        `${polygon
+          .map((point, i) => `${i === 0 ? "M" : "L"} ${point[0]} ${point[1]}`)
+          .join(" ")} Z`
+    )
+    .join(" ");
+}
+
+/**
+ * Converts the stroke of a path to the outline of the area it paints
+ *
+ * @param {string} d
+ * @param {number} strokeWidth
+ * @param {StrokeLinecap} [caps="butt"]
+ * @param {StrokeLinejoin} [joins="miter"]
+ * @param {OutlineStrokeOptions} [options={}]
+ * @returns {string} - path data to fill, empty when the stroke paints nothing
+ */
+export function outlineStroke(
+  d,
+  strokeWidth,
+  caps = "butt",
+  joins = "miter",
+  options = {}
+) {
+  const { tolerance = 0.05, precision = 3 } = options;
+  const polygons = strokePolylines(flattenPathData(d, tolerance), {
+    width: strokeWidth,
+    linecap: caps,
+    linejoin: joins,
+    miterlimit: options.miterLimit ?? 4,
+    dasharray: options.dasharray ?? [],
+    dashoffset: options.dashoffset ?? 0,
+    tolerance,
+  });
+  // The polygons of segments, joins and caps overlap, their union is the outline
+  return combinePaths("union", [polygonsToPathData(polygons)], {
+    tolerance,
+    precision,
+  });
+}
+
+/**
+ * Grows or shrinks the area filled by a path
+ *
+ * Points of the result are at the given distance from the original outline,
+ * with corners moved outward shaped by the join
+ *
+ * @param {string} d
+ * @param {number} distance - positive to grow the shape, negative to shrink it
+ * @param {OffsetOptions} [options={}]
+ * @returns {string} - path data to fill, empty when the shape shrinks away
+ */
+export function offsetPath(d, distance, options = {}) {
+  const {
+    join = "miter",
+    miterLimit = 4,
+    fillRule = "nonzero",
+    tolerance = 0.05,
+    precision = 3,
+  } = options;
+  const booleanOptions = { tolerance, precision };
+  // The filled area as polygons without overlaps, whatever the fill rule
+  const area = combinePaths("union", [{ d, fillRule }], booleanOptions);
+  if (!distance || !area) {
+    return area;
+  }
+  // A band reaching the distance on both sides of the outline
+  const band = polygonsToPathData(
+    strokePolylines(flattenPathData(area, tolerance), {
+      width: 2 * Math.abs(distance),
+      linejoin: join,
+      miterlimit: miterLimit,
+      tolerance,
+    })
+  );
+  return combinePaths(
+    distance > 0 ? "union" : "difference",
+    [area, band],
+    booleanOptions
+  );
+}
@@ -0,0 +1,11 @@
+import SVGNode from "./SVGNode";
+
+export interface OptimizeOptions {
+  minify?: boolean;
+  precision?: number;
+}
+
+export function optimizeDocument(
+  root: SVGNode,
+  options?: OptimizeOptions
+): SVGNode;
@@ -0,0 +1,432 @@
+/**
+ * Optimizations of a built document, for smaller output that renders the same
+ *
+ * Numbers and path data are rounded and shortened, unused and duplicate definitions are removed,
+ * and attributes that repeat a default or an inherited value are dropped
+ */
+
+import {
+  formatShortNumber,
+  minifyPathData,
+  parsePathData,
+  roundNumber,
+  serializePathData,
+} from "./pathData.js";
+import { renameReferences } from "./references.js";
+import { compileTransform } from "./transform.js";
+
+/**
+ * @typedef {import("./SVGNode.js").default} SVGNode
+ */
+
+/**
+ * @typedef {Object} OptimizeOptions
+ * @property {boolean} [minify=false] -
+ *
+ *     shorten path data, remove unused and duplicate definitions and default attributes,
+ *     and collapse the whitespace of <style> elements
+ * @property {number} [precision=3] - decimals kept in coordinates and other numbers
+ */
+
+/**
+ * Attributes holding lists of numbers, rounded number by number
+ */
+const numberListAttributes = [
+  "transform",
+  "gradientTransform",
+  "patternTransform",
+  "viewBox",
+  "points",
+];
+
+/**
+ * Values of attributes that are not inherited, when they are not written
+ *
+ * @type {Object<string,string>}
+ */
+const defaultAttributeValues = {
+  opacity: "1",
+  "stop-opacity": "1",
+  "flood-opacity": "1",
+  spreadMethod: "pad",
+  gradientUnits: "objectBoundingBox",
+  patternContentUnits: "userSpaceOnUse",
+  clipPathUnits: "userSpaceOnUse",
+  maskContentUnits: "userSpaceOnUse",
+  preserveAspectRatio: "xMidYMid meet",
+};
+
+/**
+ * Properties inherited from the enclosing elements
+ */
+const inheritedProperties = [
+  "fill",
+  "fill-opacity",
+  "fill-rule",
+  "stroke",
+  "stroke-width",
+  "stroke-opacity",
+  "stroke-linecap",
+  "stroke-linejoin",
+  "stroke-miterlimit",
+  "stroke-dasharray",
+  "stroke-dashoffset",
+  "clip-rule",
+  "color",
+  "font-family",
+  "font-size",
+  "text-anchor",
+  "dominant-baseline",
+];
+
+const animationTags = ["animate", "animateTransform", "animateMotion", "set"];
+
+/**
+ * Initial values of the inherited properties, in effect where no enclosing element sets them
+ *
+ * @type {Object<string,string>}
+ */
+const initialInheritedValues = {
+  fill: "black",
+  "fill-opacity": "1",
+  "fill-rule": "nonzero",
+  stroke: "none",
+  "stroke-width": "1",
+  "stroke-opacity": "1",
+  "stroke-linecap": "butt",
+  "stroke-linejoin": "miter",
+  "stroke-miterlimit": "4",
+  "stroke-dasharray": "none",
+  "stroke-dashoffset": "0",
+  "clip-rule": "nonzero",
+  "text-anchor": "start",
+};
+
+/**
+ * @param {string} value
+ * @param {number} precision
+ * @param {boolean} minify - write numbers without a leading zero
+ * @returns {string}
+ */
+function roundNumbersInText(value, precision, minify) {
+  return value.replace(/-?(?:\d+\.?\d*|\.\d+)(?:[eE][+-]?\d+)?/g, (number) => {
+    const rounded = roundNumber(Number(number), precision);
+    return minify ? formatShortNumber(rounded) : `${rounded}`;
+  });
+}
+
+/**
+ * Removes the steps of a transform that do nothing, such as "translate(0, 0)"
+ *
+ * @param {string} transform - with rounded numbers
+ * @returns {string} - empty for the identity
+ */
+function shortenTransform(transform) {
+  return transform
+    .replace(
+      /(?:translate\(0(?:[\s,]+0)?\)|scale\(1(?:[\s,]+1)?\)|rotate\(0(?:[\s,][^)]*)?\)|skew[XY]\(0\))/g,
+      ""
+    )
+    .replace(/\s*,\s*/g, " ")
+    .replace(/\s+/g, " ")
+    .replace(/\s*([()])\s*/g, "$1")
+    .trim();
+}
+
+/**
+ * Writes transforms as attributes, so they can be rounded like the others
+ *
+ * Transform origins have been resolved by `buildDocument`
+ *
+ * @param {SVGNode} root
+ */
+function compileTransforms(root) {
+  for (const node of root.walk()) {
+    if (node.transform) {
+      node.setAttribute("transform", compileTransform(node.transform));
+      node.transform = undefined;
+    }
+  }
+}
+
+/**
+ * @param {SVGNode} root
+ * @param {number} precision
+ * @param {boolean} minify - shorten path data as well
+ */
+function roundNumbers(root, precision, minify) {
+  for (const node of root.walk()) {
+    for (const [name, value] of Object.entries(node.attributes)) {
+      if (typeof value === "number") {
+        const rounded = roundNumber(value, precision);
+        node.attributes[name] = minify ? formatShortNumber(rounded) : rounded;
+      } else if (typeof value !== "string") {
+        continue;
+      } else if (name === "d") {
+        node.attributes[name] = minify
+          ? minifyPathData(value, precision)
+          : serializePathData(
+              parsePathData(value).map(({ name, args }) => ({
+                name,
+                args: args.map((arg) => roundNumber(arg, precision)),
+              }))
+            );
+      } else if (numberListAttributes.includes(name)) {
+        node.attributes[name] = roundNumbersInText(value, precision, minify);
+      }
+      if (minify && name.endsWith("ransform")) {
+        node.attributes[name] = shortenTransform(node.attributes[name]) || undefined;
+      }
+    }
+    for (const [property, value] of Object.entries(node.style)) {
+      if (typeof value === "number") {
+        node.style[property] = roundNumber(value, precision);
+      }
+    }
+  }
+}
+
+/**
+ * @param {SVGNode} root
+ * @returns {Set<string>} - ids referenced with `url(#id)`, `#id` links, or `#id` selectors in <style> elements
+ */
+function getReferencedIds(root) {
+  const ids = new Set();
+  const collect = (text) => {
+    for (const match of text.matchAll(/#([\w:.-]+)/g)) {
+      ids.add(match[1]);
+    }
+  };
+  for (const node of root.walk()) {
+    for (const value of [
+      ...Object.values(node.attributes),
+      ...Object.values(node.style),
+    ]) {
+      if (typeof value === "string") {
+        collect(value);
+      }
+    }
+    if (node.tag === "style" && node.text) {
+      collect(node.text);
+    }
+  }
+  return ids;
+}
+
+/**
+ * @param {SVGNode} root
+ * @returns {Array<SVGNode>} - the <defs> elements that are children of the root
+ */
+function getDefsElements(root) {
+  return root.children.filter((child) => child.tag === "defs");
+}
+
+/**
+ * Removes definitions nothing refers to, including those only used by removed definitions
+ *
+ * @param {SVGNode} root
+ */
+function removeUnusedDefinitions(root) {
+  let removed = true;
+  while (removed) {
+    removed = false;
+    const referenced = getReferencedIds(root);
+    for (const defs of getDefsElements(root)) {
+      for (const def of defs.children.slice()) {
+        if (
+          def.id !== undefined &&
+          def.id !== null &&
+          !referenced.has(`${def.id}`)
+        ) {
+          def.remove();
+          removed = true;
+        }
+      }
+    }
+  }
+}
+
+/**
+ * Keeps one of the definitions that only differ by their id, and points the references to it
+ *
+ * @param {SVGNode} root
+ */
+function removeDuplicateDefinitions(root) {
+  let merged = true;
+  while (merged) {
+    merged = false;
+    const ids = new Map();
+    const firstOfKind = new Map();
+    for (const defs of getDefsElements(root)) {
+      for (const def of defs.children.slice()) {
+        if (def.id === undefined || def.id === null) {
+          continue;
+        }
+        const key = def.clone().removeAttribute("id").compile();
+        if (firstOfKind.has(key)) {
+          ids.set(`${def.id}`, firstOfKind.get(key));
+          def.remove();
+        } else {
+          firstOfKind.set(key, `${def.id}`);
+        }
+      }
+    }
+    if (ids.size) {
+      // Definitions referring to merged ones may have become duplicates in turn
+      renameReferences(root, ids);
+      merged = true;
+    }
+  }
+}
+
+/**
+ * @typedef {Object} StyledSelectors
+ * @property {Set<string>} ids - ids used as selectors by <style> elements
+ * @property {Set<string>} classes - classes used by rules setting properties, not only CSS variables
+ */
+
+/**
+ * @param {SVGNode} root
+ * @returns {StyledSelectors}
+ */
+function getStyledSelectors(root) {
+  const ids = new Set();
+  const classes = new Set();
+  for (const node of root.walk()) {
+    if (node.tag !== "style" || node.text === undefined) {
+      continue;
+    }
+    for (const match of node.text.matchAll(/#([\w:.-]+)/g)) {
+      ids.add(match[1]);
+    }
+    // Innermost blocks, so the rules inside @media are seen too
+    for (const [, selectors, declarations] of node.text.matchAll(
+      /([^{}]*)\{([^{}]*)\}/g
+    )) {
+      const setsProperties = declarations
+        .split(";")
+        .map((declaration) => declaration.trim())
+        .some((declaration) => declaration && !declaration.startsWith("--"));
+      if (setsProperties) {
+        for (const match of selectors.matchAll(/\.([\w-]+)/g)) {
+          classes.add(match[1]);
+        }
+      }
+    }
+  }
+  return { ids, classes };
+}
+
+/**
+ * @param {SVGNode} node
+ * @param {StyledSelectors} styled
+ * @returns {boolean} - whether styles or animations can change the values of the element
+ */
+function hasDynamicStyle(node, styled) {
+  const classes = `${node.getAttribute("class") ?? ""}`
+    .split(/\s+/)
+    .filter(Boolean);
+  return (
+    classes.some((className) => styled.classes.has(className)) ||
+    (node.id !== undefined && styled.ids.has(`${node.id}`)) ||
+    node.children.some((child) => animationTags.includes(child.tag))
+  );
+}
+
+/**
+ * Removes attributes equal to their default value, or to the value inherited from an enclosing element
+ *
+ * Inherited properties start at their initial value, since no enclosing element of the document sets them.
+ * Elements styled by classes, ids or animations keep their attributes, and so does the content of
+ * <defs> and <symbol> elements, which inherits from the elements using it
+ *
+ * @param {SVGNode} node
+ * @param {Map<string,string>} inherited - known inherited values
+ * @param {StyledSelectors} styled
+ */
+function removeRedundantAttributes(node, inherited, styled) {
+  const dynamic = hasDynamicStyle(node, styled);
+  for (const [name, value] of Object.entries(node.attributes)) {
+    if (value === undefined || value === null) {
+      delete node.attributes[name];
+      continue;
+    }
+    const text = `${value}`;
+    if (text.includes("var(") || name in node.style) {
+      continue;
+    }
+    if (
+      defaultAttributeValues[name] === text ||
+      (!dynamic &&
+        inheritedProperties.includes(name) &&
+        inherited.get(name) === text)
+    ) {
+      delete node.attributes[name];
+    }
+  }
+  let childInherited = new Map(inherited);
+  // Content of a symbol inherits from each element using it, unknown here
+  if (node.tag === "symbol" || node.tag === "defs" || dynamic) {
+    childInherited = new Map();
+  } else {
+    for (const name of inheritedProperties) {
+      if (name in node.style) {
+        childInherited.set(name, `${node.style[name]}`);
+      } else if (node.attributes[name] !== undefined) {
+        childInherited.set(name, `${node.attributes[name]}`);
+      }
+    }
+  }
+  for (const child of node.children) {
+    removeRedundantAttributes(child, childInherited, styled);
+  }
+}
+
+/**
+ * @param {string} css
+ * @returns {string}
+ */
+function collapseCSSWhitespace(css) {
+  return css
+    .replace(/\s+/g, " ")
+    .replace(/\s*([{};,])\s*/g, "$1")
+    .replace(/;}/g, "}")
+    .trim();
+}
+
+/**
+ * Optimizes a document built by `SVGBuilder.buildDocument`, in place
+ *
+ * @param {SVGNode} root - the <svg> element
+ * @param {OptimizeOptions} [options={}]
+ * @returns {SVGNode} - the root
+ */
+export function optimizeDocument(root, options = {}) {
+  const { minify = false, precision = 3 } = options;
+  compileTransforms(root);
+  roundNumbers(root, precision, minify);
+  if (!minify) {
+    return root;
+  }
+  removeUnusedDefinitions(root);
+  removeDuplicateDefinitions(root);
+  for (const node of root.walk()) {
+    if (node.tag === "style" && node.text !== undefined) {
+      node.text = collapseCSSWhitespace(node.text);
+    }
+  }
+  removeRedundantAttributes(
+    root,
+    new Map(Object.entries(initialInheritedValues)),
+    getStyledSelectors(root)
+  );
+  for (const child of root.children.slice()) {
+    if (
+      (child.tag === "defs" && !child.children.length) ||
+      (child.tag === "style" && !child.text)
+    ) {
+      child.remove();
+    }
+  }
+  return root;
+}
@@ -0,0 +1,5 @@
+import SVGNode from "./SVGNode";
+
+export function decodeXMLEntities(text: string): string;
+
+export default function parseXML(text: string): SVGNode;
@@ -0,0 +1,196 @@
+/**
+ * A small XML parser producing SVGNode trees
+ *
+ * Enough for SVG documents, without depending on a browser DOM:
+ * elements, attributes, text, CDATA sections and character references.
+ * Comments, processing instructions and doctypes are skipped.
+ */
+
+import SVGNode from "./SVGNode.js";
+
+const namedEntities = {
+  amp: "&",
+  lt: "<",
+  gt: ">",
+  quot: '"',
+  apos: "'",
+};
+
+/**
+ * Replaces entity and character references
+ *
+ * @param {string} text
+ * @returns {string}
+ */
+export function decodeXMLEntities(text) {
+  return text.replace(/&(#x[0-9a-fA-F]+|#[0-9]+|[a-zA-Z]+);/g, (match, ref) => {
+    if (ref[0] === "#") {
+      const codePoint =
+        ref[1] === "x" ? parseInt(ref.slice(2), 16) : parseInt(ref.slice(1), 10);
+      return String.fromCodePoint(codePoint);
+    }
+    return namedEntities[ref] ?? match;
+  });
+}
+
+/**
+ * Parses an XML document
+ *
+ * @param {string} text
+ * @returns {SVGNode} - the root element
+ * @throws if the document is not well formed
+ */
+export default function parseXML(text) {
+  let position = 0;
+
+  function fail(message) {
+    const line = text.slice(0, position).split("\n").length;
+    throw new Error(`Invalid XML at line ${line}: ${message}`);
+  }
+
+  function startsWith(token) {
+    return text.startsWith(token, position);
+  }
+
+  function skipUntil(token) {
+    const end = text.indexOf(token, position);
+    if (end === -1) {
+      fail(`expected "${token}"`);
+    }
+    position = end + token.length;
+  }
+
+  function skipWhitespace() {
+    while (position < text.length && /\s/.test(text[position])) {
+      position++;
+    }
+  }
+
+  /**
+   * Skips comments, processing instructions and doctypes
+   * @returns {boolean} - whether anything was skipped
+   */
+  function skipMarkup() {
+    if (startsWith("<!--")) {
+      skipUntil("-->");
+    } else if (startsWith("<?")) {
+      skipUntil("?>");
+    } else if (startsWith("<!DOCTYPE")) {
+      // The internal subset can contain ">" characters
+      const subsetStart = text.indexOf("[", position);
+      const end = text.indexOf(">", position);
+      if (subsetStart !== -1 && subsetStart < end) {
+        position = subsetStart;
+        skipUntil("]");
+      }
+      skipUntil(">");
+    } else {
+      return false;
+    }
+    return true;
+  }
+
+  function readName() {
+    const match = /[^\s/>=]+/y;
+    match.lastIndex = position;
+    const result = match.exec(text);
+    if (!result) {
+      fail("expected a name");
+    }
+    position = match.lastIndex;
+    return result[0];
+  }
+
+  function readAttributes() {
+    const attributes = {};
+    for (;;) {
+      skipWhitespace();
+      if (startsWith("/>") || startsWith(">")) {
+        return attributes;
+      }
+      const name = readName();
+      skipWhitespace();
+      if (text[position] !== "=") {
+        fail(`expected "=" after attribute "${name}"`);
+      }
+      position++;
+      skipWhitespace();
+      const quote = text[position];
+      if (quote !== '"' && quote !== "'") {
+        fail(`expected a quoted value for attribute "${name}"`);
+      }
+      const end = text.indexOf(quote, position + 1);
+      if (end === -1) {
+        fail(`unterminated value for attribute "${name}"`);
+      }
+      attributes[name] = decodeXMLEntities(text.slice(position + 1, end));
+      position = end + 1;
+    }
+  }
+
+  /**
+   * @returns {SVGNode}
+   */
+  function readElement() {
+    position++; // <
+    const tag = readName();
+    const node = new SVGNode(tag, readAttributes());
+    if (startsWith("/>")) {
+      position += 2;
+      return node;
+    }
+    position++; // >
+    let content = "";
+    for (;;) {
+      if (position >= text.length) {
+        fail(`unclosed element <${tag}>`);
+      }
+      if (startsWith("</")) {
+        position += 2;
+        const closingTag = readName();
+        if (closingTag !== tag) {
+          fail(`expected </${tag}>, found </${closingTag}>`);
+        }
+        skipWhitespace();
+        skipUntil(">");
+        break;
+      }
+      if (startsWith("<![CDATA[")) {
+        const end = text.indexOf("]]>", position);
+        if (end === -1) {
+          fail("unterminated CDATA section");
+        }
+        content += text.slice(position + 9, end);
+        position = end + 3;
+      } else if (skipMarkup()) {
+        continue;
+      } else if (text[position] === "<") {
+        node.appendChild(readElement());
+      } else {
+        const end = text.indexOf("<", position);
+        const raw = text.slice(position, end === -1 ? text.length : end);
+        content += decodeXMLEntities(raw);
+        position += raw.length;
+      }
+    }
+    // Whitespace between elements is formatting, not content
+    if (content.trim()) {
+      node.setText(content);
+    }
+    return node;
+  }
+
+  if (text.charCodeAt(0) === 0xfeff) {
+    position = 1;
+  }
+  for (;;) {
+    skipWhitespace();
+    if (!skipMarkup()) {
+      break;
+    }
+  }
+  if (text[position] !== "<") {
+    fail("expected a root element");
+  }
+  return readElement();
+}
@@ -0,0 +1,99 @@
+export type Point = [number, number];
+
+export interface SVGCommand {
+  name: string;
+  args: number[];
+}
+
+export interface LineData {
+  kind: "line";
+  p1: Point;
+  p2: Point;
+}
+
+export interface RawSVGAbsoluteEllipseArcData {
+  kind: "ellipseArc";
+  absoluteStart: Point;
+  rX: number;
+  rY: number;
+  angle: number;
+  largeArcFlag: boolean;
+  sweepFlag: boolean;
+  absoluteEnd: Point;
+}
+
+export interface QuadraticBezierData {
+  kind: "quadraticBezier";
+  p1: Point;
+  cp: Point;
+  p2: Point;
+}
+
+export interface CubicBezierData {
+  kind: "cubicBezier";
+  p1: Point;
+  cp1: Point;
+  cp2: Point;
+  p2: Point;
+}
+
+export type SupportedGeometryData =
+  | LineData
+  | RawSVGAbsoluteEllipseArcData
+  | QuadraticBezierData
+  | CubicBezierData;
+
+export interface ArcCenterParameters {
+  center: Point;
+  rX: number;
+  rY: number;
+  phi: number;
+  startAngle: number;
+  deltaAngle: number;
+}
+
+export function parsePathData(d: string): SVGCommand[];
+
+export function serializePathData(commands: SVGCommand[]): string;
+
+export function roundNumber(value: number, precision: number): number;
+
+export function formatShortNumber(value: number): string;
+
+export function minifyPathData(
+  pathData: string | SVGCommand[],
+  precision?: number
+): string;
+
+export function absolutizePath(pathData: string | SVGCommand[]): SVGCommand[];
+
+export function normalizePath(pathData: string | SVGCommand[]): SVGCommand[];
+
+export function getArcCenterParameters(
+  start: Point,
+  rX: number,
+  rY: number,
+  angle: number,
+  largeArcFlag: number | boolean,
+  sweepFlag: number | boolean,
+  end: Point
+): ArcCenterParameters | null;
+
+export function getPointOnEllipse(
+  ellipse: { center: Point; rX: number; rY: number; phi: number },
+  theta: number
+): Point;
+
+export function arcToCubicBeziers(
+  start: Point,
+  rX: number,
+  rY: number,
+  angle: number,
+  largeArcFlag: number | boolean,
+  sweepFlag: number | boolean,
+  end: Point
+): [Point, Point, Point, Point][];
+
+export function executeSVGStateMachine(
+  svgCommands: SVGCommand[]
+): SupportedGeometryData[];
@@ -0,0 +1,916 @@
+/**
+ * Parsing, normalizing and interpreting SVG path data ("d" strings)
+ */
+
+import PointMath from "./math/PointMath.js";
+
+/**
+ * @typedef {[number,number]} Point
+ */
+
+/**
+ * @typedef {Object} SVGCommand
+ *
+ * @property {string} name
+ * @property {number[]} args
+ */
+
+/**
+ * @typedef {Object} LineData
+ * @property {"line"} [kind="line"]
+ * @property {Point} p1
+ * @property {Point} p2
+ */
+
+/**
+ * @typedef {Object} PathData
+ * @property {"path"} [kind="path"]
+ * @property {Point[]} path
+ * @property {boolean} [closed=false]
+ */
+
+/**
+ * @typedef {Object} RectData
+ * @property {"rect"} [kind="rect"]
+ * @property {Point} position
+ * @property {number} width
+ * @property {number} height
+ */
+
+/**
+ * The raw endpoint parametrization of an SVG elliptical arc,
+ * see `getArcCenterParameters` for the center parametrization
+ *
+ * @typedef {Object} RawSVGAbsoluteEllipseArcData
+ * @property {"ellipseArc"} [kind="ellipseArc"]
+ * @property {Point} absoluteStart
+ * @property {number} rX
+ * @property {number} rY
+ * @property {number} angle - rotation of the x-axis of the ellipse, in degrees
+ * @property {boolean} [largeArcFlag=false]
+ * @property {boolean} [sweepFlag=false]
+ * @property {Point} absoluteEnd
+ */
+
+/**
+ * @typedef {Object} QuadraticBezierData
+ *
+ * @property {"quadraticBezier"} [kind="quadraticBezier"]
+ * @property {Point} p1
+ * @property {Point} cp
+ * @property {Point} p2
+ */
+
+/**
+ * @typedef {Object} CubicBezierData
+ *
+ * @property {"cubicBezier"} [kind="cubicBezier"]
+ * @property {Point} p1
+ * @property {Point} cp1
+ * @property {Point} cp2
+ * @property {Point} p2
+ */
+
+/**
+ * @typedef { LineData | PathData | RawSVGAbsoluteEllipseArcData | RectData | QuadraticBezierData | CubicBezierData } SupportedGeometryData
+ */
+
+/**
+ * Number of arguments taken by each path command
+ *
+ * @type {Object<string,number>}
+ */
+const commandArgumentCounts = {
+  M: 2,
+  L: 2,
+  H: 1,
+  V: 1,
+  C: 6,
+  S: 4,
+  Q: 4,
+  T: 2,
+  A: 7,
+  Z: 0,
+};
+
+const supportedSVGPathDLetters = Object.keys(commandArgumentCounts).join("");
+
+const pathNumberRegex = /[+-]?(?:\d+\.?\d*|\.\d+)(?:[eE][+-]?\d+)?/y;
+
+/**
+ * Tokenizes path data into commands
+ *
+ * Supports every path command in absolute and relative form,
+ * implicit repetition of the previous command (a repeated moveto becomes a lineto)
+ * and the compact number syntax ("M0.5.5-1e2", "a1 1 0 0110 10")
+ *
+ * @param {string} d
+ * @returns {Array<SVGCommand>}
+ * @throws if the path data is malformed
+ */
+export function parsePathData(d) {
+  /**
+   * @type {Array<SVGCommand>}
+   */
+  const commands = [];
+  let position = 0;
+  let previousName = null;
+
+  function fail(message) {
+    throw new Error(`Invalid path data at position ${position}: ${message}`);
+  }
+
+  function skipSeparators() {
+    while (position < d.length && /[\s,]/.test(d[position])) {
+      position++;
+    }
+  }
+
+  function readNumber() {
+    skipSeparators();
+    pathNumberRegex.lastIndex = position;
+    const match = pathNumberRegex.exec(d);
+    if (!match) {
+      fail(
+        position < d.length
+          ? `expected a number, found "${d[position]}"`
+          : "expected a number, found the end of the data"
+      );
+    }
+    position = pathNumberRegex.lastIndex;
+    return parseFloat(match[0]);
+  }
+
+  function readFlag() {
+    skipSeparators();
+    const character = d[position];
+    if (character !== "0" && character !== "1") {
+      fail(`expected an arc flag (0 or 1), found "${character ?? "end"}"`);
+    }
+    position++;
+    return character === "1" ? 1 : 0;
+  }
+
+  skipSeparators();
+  while (position < d.length) {
+    const character = d[position];
+    const isCommandLetter = supportedSVGPathDLetters.includes(
+      character.toUpperCase()
+    );
+    let name;
+    if (previousName === null && character.toUpperCase() !== "M") {
+      fail("path data must start with a moveto command");
+    }
+    if (isCommandLetter) {
+      name = character;
+      position++;
+    } else if (
+      /[\d.+-]/.test(character) &&
+      previousName.toUpperCase() !== "Z"
+    ) {
+      // Implicit repetition of the previous command
+      name =
+        previousName === "M" ? "L" : previousName === "m" ? "l" : previousName;
+    } else {
+      fail(`unexpected "${character}"`);
+    }
+    const upperName = name.toUpperCase();
+    const args = [];
+    for (let i = 0; i < commandArgumentCounts[upperName]; i++) {
+      const isArcFlag = upperName === "A" && (i === 3 || i === 4);
+      args.push(isArcFlag ? readFlag() : readNumber());
+    }
+    commands.push({ name, args });
+    previousName = name;
+    skipSeparators();
+  }
+  return commands;
+}
+
+/**
+ * Serializes commands back to path data
+ *
+ * @param {Array<SVGCommand>} commands
+ * @returns {string}
+ */
+export function serializePathData(commands) {
+  return commands
+    .map((command) => [command.name, ...command.args].join(" "))
+    .join(" ");
+}
+
+/**
+ * Rounds a number to a number of decimals
+ *
+ * @param {number} value
+ * @param {number} precision
+ * @returns {number}
+ */
+export function roundNumber(value, precision) {
+  // Adding 0 turns -0 into 0
+  return Number(value.toFixed(precision)) + 0;
+}
+
+/**
+ * Writes a number with as few characters as possible, such as ".5" for 0.5
+ *
+ * @param {number} value
+ * @returns {string}
+ */
+export function formatShortNumber(value) {
+  return `${value}`.replace(/^(-?)0\./, "$1.");
+}
+
+/**
+ * Joins numbers with the separators path data needs:
+ * none before a minus sign, or before a decimal point following a number that already has one
+ *
+ * @param {Array<string>} numbers - formatted with `formatShortNumber`
+ * @returns {string}
+ */
+function joinShortNumbers(numbers) {
+  return numbers.reduce((joined, number, i) => {
+    const previous = numbers[i - 1];
+    const needsSeparator =
+      i > 0 &&
+      !number.startsWith("-") &&
+      !(number.startsWith(".") && /[.eE]/.test(previous));
+    return joined + (needsSeparator ? " " : "") + number;
+  }, "");
+}
+
+/**
+ * Shortens path data: rounds coordinates, and writes each command in its shortest form,
+ * relative or absolute, lines along an axis as H or V, without repeating command letters
+ *
+ * Relative coordinates are measured from rounded points, so rounding errors do not add up
+ *
+ * @param {string|Array<SVGCommand>} pathData
+ * @param {number} [precision=3] - decimals kept in the coordinates
+ * @returns {string}
+ */
+export function minifyPathData(pathData, precision = 3) {
+  const round = (value) => roundNumber(value, precision);
+  let current = [0, 0];
+  let subpathStart = [0, 0];
+  let previousName = null;
+  let d = "";
+  for (const { name, args } of absolutizePath(pathData)) {
+    const rounded = args.map(round);
+    /** @type {Array<[string, Array<number>]>} - equivalent commands to choose from */
+    let candidates;
+    let end = current;
+    switch (name) {
+      case "Z":
+        candidates = [["z", []]];
+        end = subpathStart;
+        break;
+      case "H":
+        end = [rounded[0], current[1]];
+        break;
+      case "V":
+        end = [current[0], rounded[0]];
+        break;
+      case "A":
+        end = rounded.slice(5);
+        candidates = [
+          ["A", rounded],
+          [
+            "a",
+            [
+              ...rounded.slice(0, 5),
+              round(end[0] - current[0]),
+              round(end[1] - current[1]),
+            ],
+          ],
+        ];
+        break;
+      default:
+        end = rounded.slice(-2);
+        candidates = [
+          [name, rounded],
+          [
+            name.toLowerCase(),
+            rounded.map((value, i) =>
+              round(value - current[i % 2 === 0 ? 0 : 1])
+            ),
+          ],
+        ];
+    }
+    if (name === "L" || name === "H" || name === "V") {
+      if (end[1] === current[1]) {
+        candidates = [
+          ["H", [end[0]]],
+          ["h", [round(end[0] - current[0])]],
+        ];
+      } else if (end[0] === current[0]) {
+        candidates = [
+          ["V", [end[1]]],
+          ["v", [round(end[1] - current[1])]],
+        ];
+      } else {
+        candidates = [
+          ["L", end],
+          ["l", [round(end[0] - current[0]), round(end[1] - current[1])]],
+        ];
+      }
+    }
+    const written = candidates.map(([candidateName, values]) => [
+      candidateName,
+      joinShortNumbers(values.map(formatShortNumber)),
+    ]);
+    const [chosenName, numbers] = written.reduce((shortest, candidate) =>
+      candidate[1].length < shortest[1].length ? candidate : shortest
+    );
+    // A repeated command, or a lineto after a moveto of the same kind, needs no letter
+    const implicit =
+      previousName !== null &&
+      chosenName !== "z" &&
+      (chosenName === previousName
+        ? chosenName.toUpperCase() !== "M"
+        : (previousName === "M" && chosenName === "L") ||
+          (previousName === "m" && chosenName === "l"));
+    if (implicit) {
+      const needsSeparator =
+        !numbers.startsWith("-") &&
+        !(numbers.startsWith(".") && /\.\d*$/.test(d));
+      d += (needsSeparator ? " " : "") + numbers;
+    } else {
+      d += chosenName + numbers;
+    }
+    // An implicit lineto after a moveto keeps the moveto as the previous letter
+    previousName =
+      implicit && previousName.toUpperCase() === "M" ? previousName : chosenName;
+    current = end;
+    if (name === "M") {
+      subpathStart = end;
+    }
+  }
+  return d;
+}
+
+/**
+ * @param {string|Array<SVGCommand>} pathData
+ * @returns {Array<SVGCommand>}
+ */
+function toCommands(pathData) {
+  return typeof pathData === "string" ? parsePathData(pathData) : pathData;
+}
+
+/**
+ * Converts every command to its absolute (uppercase) form, keeping the kind of command
+ *
+ * @param {string|Array<SVGCommand>} pathData
+ * @returns {Array<SVGCommand>}
+ */
+export function absolutizePath(pathData) {
+  const result = [];
+  let current = [0, 0];
+  let subpathStart = [0, 0];
+  for (const { name, args } of toCommands(pathData)) {
+    const upperName = name.toUpperCase();
+    const relative = name !== upperName;
+    const dx = relative ? current[0] : 0;
+    const dy = relative ? current[1] : 0;
+    let absoluteArgs;
+    switch (upperName) {
+      case "H":
+        absoluteArgs = [args[0] + dx];
+        current = [absoluteArgs[0], current[1]];
+        break;
+      case "V":
+        absoluteArgs = [args[0] + dy];
+        current = [current[0], absoluteArgs[0]];
+        break;
+      case "A":
+        absoluteArgs = [...args.slice(0, 5), args[5] + dx, args[6] + dy];
+        current = [absoluteArgs[5], absoluteArgs[6]];
+        break;
+      case "Z":
+        absoluteArgs = [];
+        current = subpathStart;
+        break;
+      default:
+        // Every other command is a list of points
+        absoluteArgs = args.map((value, i) => value + (i % 2 === 0 ? dx : dy));
+        current = absoluteArgs.slice(-2);
+    }
+    if (upperName === "M") {
+      subpathStart = current;
+    }
+    result.push({ name: upperName, args: absoluteArgs });
+  }
+  return result;
+}
+
+/**
+ * Converts an SVG arc from endpoint to center parametrization
+ * (SVG 1.1 implementation notes, F.6.5 and F.6.6)
+ *
+ * @param {Point} start
+ * @param {number} rX
+ * @param {number} rY
+ * @param {number} angle - rotation of the x-axis of the ellipse, in degrees
+ * @param {number|boolean} largeArcFlag
+ * @param {number|boolean} sweepFlag
+ * @param {Point} end
+ * @returns {{center: Point, rX: number, rY: number, phi: number, startAngle: number, deltaAngle: number}|null} -
+ *
+ *     Angles are in radians, radii are scaled up when they are too small to reach the end point
+ *     null when the arc is drawn as a straight line (a zero radius) or not drawn at all (start = end)
+ */
+export function getArcCenterParameters(
+  start,
+  rX,
+  rY,
+  angle,
+  largeArcFlag,
+  sweepFlag,
+  end
+) {
+  if (start[0] === end[0] && start[1] === end[1]) {
+    return null;
+  }
+  rX = Math.abs(rX);
+  rY = Math.abs(rY);
+  if (rX === 0 || rY === 0) {
+    return null;
+  }
+  const phi = (angle * Math.PI) / 180;
+  const cosPhi = Math.cos(phi);
+  const sinPhi = Math.sin(phi);
+  const hx = (start[0] - end[0]) / 2;
+  const hy = (start[1] - end[1]) / 2;
+  const x1 = cosPhi * hx + sinPhi * hy;
+  const y1 = -sinPhi * hx + cosPhi * hy;
+
+  const lambda = (x1 * x1) / (rX * rX) + (y1 * y1) / (rY * rY);
+  if (lambda > 1) {
+    rX *= Math.sqrt(lambda);
+    rY *= Math.sqrt(lambda);
+  }
+
+  const numerator = rX * rX * rY * rY - rX * rX * y1 * y1 - rY * rY * x1 * x1;
+  const denominator = rX * rX * y1 * y1 + rY * rY * x1 * x1;
+  const sign = Boolean(largeArcFlag) !== Boolean(sweepFlag) ? 1 : -1;
+  const coefficient =
+    sign * Math.sqrt(Math.max(0, numerator / denominator));
+  const cx1 = (coefficient * rX * y1) / rY;
+  const cy1 = (-coefficient * rY * x1) / rX;
+
+  const center = [
+    cosPhi * cx1 - sinPhi * cy1 + (start[0] + end[0]) / 2,
+    sinPhi * cx1 + cosPhi * cy1 + (start[1] + end[1]) / 2,
+  ];
+
+  const startAngle = Math.atan2((y1 - cy1) / rY, (x1 - cx1) / rX);
+  const endAngle = Math.atan2((-y1 - cy1) / rY, (-x1 - cx1) / rX);
+  let deltaAngle = endAngle - startAngle;
+  if (sweepFlag && deltaAngle < 0) {
+    deltaAngle += 2 * Math.PI;
+  } else if (!sweepFlag && deltaAngle > 0) {
+    deltaAngle -= 2 * Math.PI;
+  }
+  return { center, rX, rY, phi, startAngle, deltaAngle };
+}
+
+/**
+ * Gets the point of an ellipse at a parametric angle
+ *
+ * @param {{center: Point, rX: number, rY: number, phi: number}} ellipse
+ * @param {number} theta - radians
+ * @returns {Point}
+ */
+export function getPointOnEllipse(ellipse, theta) {
+  const { center, rX, rY, phi } = ellipse;
+  const u = rX * Math.cos(theta);
+  const v = rY * Math.sin(theta);
+  return [
+    center[0] + Math.cos(phi) * u - Math.sin(phi) * v,
+    center[1] + Math.sin(phi) * u + Math.cos(phi) * v,
+  ];
+}
+
+/**
+ * Approximates an SVG arc with cubic Bezier curves, one per quarter turn or less
+ *
+ * @param {Point} start
+ * @param {number} rX
+ * @param {number} rY
+ * @param {number} angle - degrees
+ * @param {number|boolean} largeArcFlag
+ * @param {number|boolean} sweepFlag
+ * @param {Point} end
+ * @returns {Array<[Point,Point,Point,Point]>} - control points of each curve
+ */
+export function arcToCubicBeziers(
+  start,
+  rX,
+  rY,
+  angle,
+  largeArcFlag,
+  sweepFlag,
+  end
+) {
+  const arc = getArcCenterParameters(
+    start,
+    rX,
+    rY,
+    angle,
+    largeArcFlag,
+    sweepFlag,
+    end
+  );
+  if (arc === null) {
+    if (start[0] === end[0] && start[1] === end[1]) {
+      return [];
+    }
+    return [lineToCubicBezier(start, end)];
+  }
+  const segmentCount = Math.max(
+    1,
+    Math.ceil(Math.abs(arc.deltaAngle) / (Math.PI / 2) - 1e-9)
+  );
+  const delta = arc.deltaAngle / segmentCount;
+  const handle = (4 / 3) * Math.tan(delta / 4);
+  const { phi } = arc;
+  // Derivative of the ellipse with respect to theta
+  const tangent = (theta) => [
+    -Math.cos(phi) * arc.rX * Math.sin(theta) -
+      Math.sin(phi) * arc.rY * Math.cos(theta),
+    -Math.sin(phi) * arc.rX * Math.sin(theta) +
+      Math.cos(phi) * arc.rY * Math.cos(theta),
+  ];
+  const curves = [];
+  let p1 = start;
+  for (let i = 0; i < segmentCount; i++) {
+    const theta1 = arc.startAngle + i * delta;
+    const theta2 = theta1 + delta;
+    const p2 =
+      i === segmentCount - 1 ? end : getPointOnEllipse(arc, theta2);
+    curves.push([
+      p1,
+      PointMath.sum(p1, PointMath.scaledBy(tangent(theta1), handle)),
+      PointMath.difference(p2, PointMath.scaledBy(tangent(theta2), handle)),
+      p2,
+    ]);
+    p1 = p2;
+  }
+  return curves;
+}
+
+/**
+ * @param {Point} p1
+ * @param {Point} p2
+ * @returns {[Point,Point,Point,Point]}
+ */
+function lineToCubicBezier(p1, p2) {
+  return [p1, PointMath.lerp(p1, p2, 1 / 3), PointMath.lerp(p1, p2, 2 / 3), p2];
+}
+
+/**
+ * @param {Point} p1
+ * @param {Point} cp
+ * @param {Point} p2
+ * @returns {[Point,Point,Point,Point]}
+ */
+function quadraticToCubicBezier(p1, cp, p2) {
+  return [p1, PointMath.lerp(p1, cp, 2 / 3), PointMath.lerp(p2, cp, 2 / 3), p2];
+}
+
+/**
+ * Reflects a control point about the current point, for the smooth curve commands
+ *
+ * @param {Point|null} controlPoint - null when the previous command was not a matching curve
+ * @param {Point} current
+ * @returns {Point}
+ */
+function reflectControlPoint(controlPoint, current) {
+  if (controlPoint === null) {
+    return current;
+  }
+  return [2 * current[0] - controlPoint[0], 2 * current[1] - controlPoint[1]];
+}
+
+/**
+ * Converts path data to absolute coordinates using only M, C and Z commands
+ *
+ * Lines, quadratic and smooth curves are converted exactly,
+ * arcs are approximated with one cubic curve per quarter turn
+ *
+ * @param {string|Array<SVGCommand>} pathData
+ * @returns {Array<SVGCommand>}
+ */
+export function normalizePath(pathData) {
+  const result = [];
+  let current = [0, 0];
+  let subpathStart = [0, 0];
+  let lastCubicControlPoint = null;
+  let lastQuadraticControlPoint = null;
+
+  function pushCubic([, cp1, cp2, p2]) {
+    result.push({ name: "C", args: [...cp1, ...cp2, ...p2] });
+  }
+
+  let previousName = null;
+  for (const { name, args } of absolutizePath(pathData)) {
+    let cubicControlPoint = null;
+    let quadraticControlPoint = null;
+    if (previousName === "Z" && name !== "M") {
+      // Drawing after a closepath starts a new subpath at the start of the closed one
+      result.push({ name: "M", args: [...subpathStart] });
+    }
+    previousName = name;
+    switch (name) {
+      case "M":
+        result.push({ name: "M", args: [...args] });
+        current = [args[0], args[1]];
+        subpathStart = current;
+        break;
+      case "L":
+      case "H":
+      case "V": {
+        const end =
+          name === "H"
+            ? [args[0], current[1]]
+            : name === "V"
+            ? [current[0], args[0]]
+            : [args[0], args[1]];
+        pushCubic(lineToCubicBezier(current, end));
+        current = end;
+        break;
+      }
+      case "C":
+      case "S": {
+        const cp1 =
+          name === "C"
+            ? [args[0], args[1]]
+            : reflectControlPoint(lastCubicControlPoint, current);
+        const rest = name === "C" ? args.slice(2) : args;
+        const cp2 = [rest[0], rest[1]];
+        const end = [rest[2], rest[3]];
+        pushCubic([current, cp1, cp2, end]);
+        cubicControlPoint = cp2;
+        current = end;
+        break;
+      }
+      case "Q":
+      case "T": {
+        const cp =
+          name === "Q"
+            ? [args[0], args[1]]
+            : reflectControlPoint(lastQuadraticControlPoint, current);
+        const end = name === "Q" ? [args[2], args[3]] : [args[0], args[1]];
+        pushCubic(quadraticToCubicBezier(current, cp, end));
+        quadraticControlPoint = cp;
+        current = end;
+        break;
+      }
+      case "A": {
+        const end = [args[5], args[6]];
+        arcToCubicBeziers(current, ...args.slice(0, 5), end).forEach(
+          pushCubic
+        );
+        current = end;
+        break;
+      }
+      case "Z":
+        result.push({ name: "Z", args: [] });
+        current = subpathStart;
+        break;
+    }
+    lastCubicControlPoint = cubicControlPoint;
+    lastQuadraticControlPoint = quadraticControlPoint;
+  }
+  return result;
+}
+
+/**
+ * Interprets path commands as a list of geometry records
+ *
+ * @param {Array<SVGCommand>} svgCommands
+ * @returns {Array<SupportedGeometryData>}
+ */
+export function executeSVGStateMachine(svgCommands) {
+  /**
+   * @type {Array<SupportedGeometryData>}
+   *
+   */
+  const geometry = [];
+  let brushTip = null;
+  let subpathStart = null;
+  // Last control points, for reflection by the smooth curve commands S and T
+  let lastCubicControlPoint = null;
+  let lastQuadraticControlPoint = null;
+  function setBrushTip(point) {
+    brushTip = point;
+  }
+  function fromBrushTip(delta) {
+    if (brushTip === null) {
+      throw new Error("Brush tip not set");
+    }
+    return PointMath.sum(brushTip, delta);
+  }
+
+  function shiftPointIfNeeded(commandName, value) {
+    if (commandName.toUpperCase() === commandName) {
+      return value;
+    }
+    return fromBrushTip(value);
+  }
+  /**
+   *
+   * @param {SVGCommand} command
+   */
+  function processCommand(command) {
+    let cubicControlPoint = null;
+    let quadraticControlPoint = null;
+    switch (command.name) {
+      case "M": // Move to (absolute)
+      case "m": {
+        // Move to (relative)
+        const [x, y] = command.args;
+        // A leading relative moveto is treated as absolute
+        const point =
+          brushTip === null ? [x, y] : shiftPointIfNeeded(command.name, [x, y]);
+        setBrushTip(point);
+        subpathStart = point;
+        break;
+      }
+
+      case "L": // Line to (absolute)
+      case "l": {
+        // Line to (relative)
+        const [x, y] = command.args;
+        const point = shiftPointIfNeeded(command.name, [x, y]);
+        geometry.push({
+          kind: "line",
+          p1: brushTip, // Both p1 and p2 should be tuples
+          p2: point,
+        });
+        setBrushTip(point);
+        break;
+      }
+
+      case "H": // Horizontal line to (absolute)
+      case "h": {
+        // Horizontal line to (relative)
+        const [x] = command.args;
+        const point =
+          command.name === "H" ? [x, brushTip[1]] : fromBrushTip([x, 0]);
+        geometry.push({
+          kind: "line",
+          p1: brushTip,
+          p2: point,
+        });
+        setBrushTip(point);
+        break;
+      }
+
+      case "V": // Vertical line to (absolute)
+      case "v": {
+        // Vertical line to (relative)
+        const [y] = command.args;
+        const point =
+          command.name === "V" ? [brushTip[0], y] : fromBrushTip([0, y]);
+        geometry.push({
+          kind: "line",
+          p1: brushTip,
+          p2: point,
+        });
+        setBrushTip(point);
+        break;
+      }
+
+      case "C": // Cubic Bezier curve (absolute)
+      case "c": {
+        // Cubic Bezier curve (relative)
+        const [cx1, cy1, cx2, cy2, x, y] = command.args;
+        const controlPoint1 = shiftPointIfNeeded(command.name, [cx1, cy1]);
+        const controlPoint2 = shiftPointIfNeeded(command.name, [cx2, cy2]);
+        const endPoint = shiftPointIfNeeded(command.name, [x, y]);
+
+        geometry.push({
+          kind: "cubicBezier",
+          p1: brushTip,
+          cp1: controlPoint1,
+          cp2: controlPoint2,
+          p2: endPoint,
+        });
+
+        cubicControlPoint = controlPoint2;
+        setBrushTip(endPoint);
+        break;
+      }
+
+      case "S": // Smooth cubic Bezier curve (absolute)
+      case "s": {
+        // Smooth cubic Bezier curve (relative)
+        const [cx2, cy2, x, y] = command.args;
+        const controlPoint1 = reflectControlPoint(
+          lastCubicControlPoint,
+          brushTip
+        );
+        const controlPoint2 = shiftPointIfNeeded(command.name, [cx2, cy2]);
+        const endPoint = shiftPointIfNeeded(command.name, [x, y]);
+
+        geometry.push({
+          kind: "cubicBezier",
+          p1: brushTip,
+          cp1: controlPoint1,
+          cp2: controlPoint2,
+          p2: endPoint,
+        });
+
+        cubicControlPoint = controlPoint2;
+        setBrushTip(endPoint);
+        break;
+      }
+
+      case "Q": // Quadratic Bezier curve (absolute)
+      case "q": {
+        // Quadratic Bezier curve (relative)
+        const [cx, cy, x, y] = command.args;
+        const controlPoint = shiftPointIfNeeded(command.name, [cx, cy]);
+        const endPoint = shiftPointIfNeeded(command.name, [x, y]);
+
+        geometry.push({
+          kind: "quadraticBezier",
+          p1: brushTip,
+          cp: controlPoint,
+          p2: endPoint,
+        });
+
+        quadraticControlPoint = controlPoint;
+        setBrushTip(endPoint);
+        break;
+      }
+
+      case "T": // Smooth quadratic Bezier curve (absolute)
+      case "t": {
+        // Smooth quadratic Bezier curve (relative)
+        const [x, y] = command.args;
+        const controlPoint = reflectControlPoint(
+          lastQuadraticControlPoint,
+          brushTip
+        );
+        const endPoint = shiftPointIfNeeded(command.name, [x, y]);
+
+        geometry.push({
+          kind: "quadraticBezier",
+          p1: brushTip,
+          cp: controlPoint,
+          p2: endPoint,
+        });
+
+        quadraticControlPoint = controlPoint;
+        setBrushTip(endPoint);
+        break;
+      }
+
+      case "A": // Arc (absolute)
+      case "a": {
+        const [rX, rY, angle, largeArcFlag, sweepFlag, x, y] = command.args;
+        const absoluteEnd = shiftPointIfNeeded(command.name, [x, y]);
+        const arcData = {
+          kind: "ellipseArc",
+          absoluteStart: brushTip,
+          rX,
+          rY,
+          angle,
+          largeArcFlag: Boolean(largeArcFlag),
+          sweepFlag: Boolean(sweepFlag),
+          absoluteEnd,
+        };
+        geometry.push(arcData);
+        setBrushTip(absoluteEnd);
+        break;
+      }
+
+      case "Z": // Close path
+      case "z": {
+        if (
+          subpathStart &&
+          (brushTip[0] !== subpathStart[0] || brushTip[1] !== subpathStart[1])
+        ) {
+          geometry.push({
+            kind: "line",
+            p1: brushTip,
+            p2: subpathStart, // Close the path to the start of the subpath
+          });
+        }
+        setBrushTip(subpathStart);
+        break;
+      }
+
+      default:
+        throw new Error(`Unsupported SVG command: ${command.name}`);
+    }
+    lastCubicControlPoint = cubicControlPoint;
+    lastQuadraticControlPoint = quadraticControlPoint;
+  }
+  for (const command of svgCommands) {
+    processCommand(command);
+  }
+  return geometry;
+}
@@ -0,0 +1,72 @@
+import SVGNode from "./SVGNode";
+import { Matrix } from "./transform";
+
+export type PatternUnits = "objectBoundingBox" | "userSpaceOnUse";
+
+export interface PatternOptions {
+  x?: number;
+  y?: number;
+  units?: PatternUnits;
+  contentUnits?: PatternUnits;
+  viewBox?: { x: number; y: number; width: number; height: number };
+  transform?: Matrix | string;
+  vars?: Record<string, string>;
+}
+
+export interface Pattern {
+  kind: "pattern";
+  id?: string;
+  x: number;
+  y: number;
+  width: number;
+  height: number;
+  units?: PatternUnits;
+  contentUnits?: PatternUnits;
+  viewBox?: { x: number; y: number; width: number; height: number };
+  transform?: Matrix | string;
+  vars?: Record<string, string>;
+  content: SVGNode[];
+}
+
+export interface HatchOptions {
+  spacing?: number;
+  angle?: number;
+  strokeWidth?: number;
+  color?: string;
+  background?: string;
+}
+
+export interface DotsOptions {
+  spacing?: number;
+  radius?: number;
+  color?: string;
+  background?: string;
+  staggered?: boolean;
+}
+
+export interface CheckerboardOptions {
+  size?: number;
+  color?: string;
+  background?: string;
+}
+
+export function createPatternFromElements(
+  elements: SVGNode[],
+  width: number,
+  height: number,
+  options?: PatternOptions
+): Pattern;
+
+export function createPatternElement(pattern: Pattern): SVGNode;
+
+export function compilePattern(pattern: Pattern): string;
+
+export function createHatchPattern(options?: HatchOptions): Pattern;
+
+export function createCrossHatchPattern(options?: HatchOptions): Pattern;
+
+export function createDotsPattern(options?: DotsOptions): Pattern;
+
+export function createCheckerboardPattern(
+  options?: CheckerboardOptions
+): Pattern;
@@ -0,0 +1,313 @@
+/**
+ * Pattern paints: tiles of content repeated over the painted area
+ *
+ * Presets draw hatching, cross-hatching, dots and checkerboards
+ */
+
+import SVGNode from "./SVGNode.js";
+import { prefixIds } from "./references.js";
+
+/**
+ * @typedef {import("./transform.js").Matrix} Matrix
+ */
+
+/**
+ * @typedef {"objectBoundingBox"|"userSpaceOnUse"} PatternUnits
+ */
+
+/**
+ * @typedef {Object} PatternOptions
+ * @property {number} [x=0] - where a tile starts, the others repeat from there
+ * @property {number} [y=0]
+ * @property {PatternUnits} [units="userSpaceOnUse"] -
+ *
+ *     tile position and size in the user space of the painted element,
+ *     or from 0 to 1 across its bounding box
+ * @property {PatternUnits} [contentUnits="userSpaceOnUse"] - coordinates of the content of a tile
+ * @property {{x: number, y: number, width: number, height: number}} [viewBox=undefined] -
+ *
+ *     area of the content scaled to fill a tile
+ * @property {Matrix|string} [transform=undefined] - patternTransform, as a matrix or a transform attribute value
+ * @property {Object<string,string>} [vars={}] - CSS variables used by the content, added to the document using the pattern
+ */
+
+/**
+ * @typedef {Object} Pattern
+ * @property {"pattern"} kind
+ * @property {string} [id=undefined]
+ * @property {number} x
+ * @property {number} y
+ * @property {number} width - of a tile
+ * @property {number} height - of a tile
+ * @property {PatternUnits} [units=undefined]
+ * @property {PatternUnits} [contentUnits=undefined]
+ * @property {{x: number, y: number, width: number, height: number}} [viewBox=undefined]
+ * @property {Matrix|string} [transform=undefined]
+ * @property {Object<string,string>} [vars=undefined]
+ * @property {Array<SVGNode>} content - elements drawn in each tile, definitions included
+ */
+
+/**
+ * @typedef {Object} HatchOptions
+ * @property {number} [spacing=8] - distance between lines
+ * @property {number} [angle=45] - of the lines, in degrees clockwise from horizontal
+ * @property {number} [strokeWidth=1]
+ * @property {string} [color="black"]
+ * @property {string} [background=undefined] - color behind the lines, transparent by default
+ */
+
+/**
+ * @typedef {Object} DotsOptions
+ * @property {number} [spacing=10] - distance between dots
+ * @property {number} [radius=2]
+ * @property {string} [color="black"]
+ * @property {string} [background=undefined] - color behind the dots, transparent by default
+ * @property {boolean} [staggered=false] - offset every other row by half the spacing
+ */
+
+/**
+ * @typedef {Object} CheckerboardOptions
+ * @property {number} [size=10] - side of a square
+ * @property {string} [color="black"]
+ * @property {string} [background="white"] - color of the other squares
+ */
+
+/**
+ * @param {PatternUnits|undefined} units
+ * @param {string} name
+ * @throws if the units are unknown
+ */
+function checkUnits(units, name) {
+  if (
+    units !== undefined &&
+    units !== "objectBoundingBox" &&
+    units !== "userSpaceOnUse"
+  ) {
+    throw new Error(`Unknown pattern ${name} "${units}"`);
+  }
+}
+
+/**
+ * Creates a pattern object from the elements drawn in a tile
+ *
+ * @param {Array<SVGNode>} elements - copied, so later changes do not affect the pattern
+ * @param {number} width - of a tile
+ * @param {number} height - of a tile
+ * @param {PatternOptions} [options={}]
+ * @returns {Pattern}
+ * @throws if the tile size or units are invalid
+ */
+export function createPatternFromElements(elements, width, height, options = {}) {
+  if (!(width > 0 && height > 0)) {
+    throw new Error(
+      `Invalid pattern tile size ${width} x ${height}: both must be positive`
+    );
+  }
+  const { x = 0, y = 0, units, contentUnits, viewBox, transform, vars } =
+    options;
+  checkUnits(units, "units");
+  checkUnits(contentUnits, "content units");
+  return Object.fromEntries(
+    Object.entries({
+      kind: "pattern",
+      x,
+      y,
+      width,
+      height,
+      units,
+      contentUnits,
+      viewBox,
+      transform,
+      vars: vars && Object.keys(vars).length ? { ...vars } : undefined,
+      content: elements.map((element) => element.clone()),
+    }).filter(([, value]) => value !== undefined)
+  );
+}
+
+/**
+ * Creates the element for a pattern object
+ *
+ * Ids inside the tile are prefixed with the id of the pattern, so they cannot collide
+ * with the ids of the document
+ *
+ * @param {Pattern} pattern
+ * @returns {SVGNode}
+ */
+export function createPatternElement(pattern) {
+  const { viewBox, transform } = pattern;
+  const content = pattern.content.map((element) => element.clone());
+  if (pattern.id !== undefined) {
+    prefixIds(content, pattern.id);
+  }
+  return new SVGNode(
+    "pattern",
+    {
+      id: pattern.id,
+      x: pattern.x,
+      y: pattern.y,
+      width: pattern.width,
+      height: pattern.height,
+      patternUnits: pattern.units ?? "userSpaceOnUse",
+      patternContentUnits: pattern.contentUnits,
+      viewBox: viewBox
+        ? `${viewBox.x} ${viewBox.y} ${viewBox.width} ${viewBox.height}`
+        : undefined,
+      patternTransform: Array.isArray(transform)
+        ? `matrix(${transform.join(" ")})`
+        : transform,
+    },
+    content
+  );
+}
+
+/**
+ * Compiles a pattern object to an SVG string
+ * @param {Pattern} pattern
+ * @returns {string}
+ */
+export function compilePattern(pattern) {
+  return createPatternElement(pattern).compile();
+}
+
+/**
+ * @param {number} width
+ * @param {number} height
+ * @param {string|undefined} color
+ * @returns {Array<SVGNode>} - a rectangle filling the tile, none without a color
+ */
+function createBackground(width, height, color) {
+  return color
+    ? [
+        new SVGNode("path", {
+          d: `M 0 0 H ${width} V ${height} H 0 Z`,
+          fill: color,
+        }),
+      ]
+    : [];
+}
+
+/**
+ * Parallel lines
+ *
+ * @param {HatchOptions} [options={}]
+ * @returns {Pattern}
+ */
+export function createHatchPattern(options = {}) {
+  const {
+    spacing = 8,
+    angle = 45,
+    strokeWidth = 1,
+    color = "black",
+    background,
+  } = options;
+  // Lines run along the edges of the tile, half of each in the tile above, so they join seamlessly
+  return createPatternFromElements(
+    [
+      ...createBackground(spacing, spacing, background),
+      new SVGNode("path", {
+        d: `M 0 0 H ${spacing} M 0 ${spacing} H ${spacing}`,
+        fill: "none",
+        stroke: color,
+        "stroke-width": strokeWidth,
+      }),
+    ],
+    spacing,
+    spacing,
+    { transform: angle ? `rotate(${angle})` : undefined }
+  );
+}
+
+/**
+ * Two sets of parallel lines at right angles
+ *
+ * @param {HatchOptions} [options={}]
+ * @returns {Pattern}
+ */
+export function createCrossHatchPattern(options = {}) {
+  const {
+    spacing = 8,
+    angle = 45,
+    strokeWidth = 1,
+    color = "black",
+    background,
+  } = options;
+  return createPatternFromElements(
+    [
+      ...createBackground(spacing, spacing, background),
+      new SVGNode("path", {
+        d: `M 0 0 H ${spacing} M 0 ${spacing} H ${spacing} M 0 0 V ${spacing} M ${spacing} 0 V ${spacing}`,
+        fill: "none",
+        stroke: color,
+        "stroke-width": strokeWidth,
+      }),
+    ],
+    spacing,
+    spacing,
+    { transform: angle ? `rotate(${angle})` : undefined }
+  );
+}
+
+/**
+ * A grid of dots
+ *
+ * @param {DotsOptions} [options={}]
+ * @returns {Pattern}
+ */
+export function createDotsPattern(options = {}) {
+  const {
+    spacing = 10,
+    radius = 2,
+    color = "black",
+    background,
+    staggered = false,
+  } = options;
+  const height = staggered ? 2 * spacing : spacing;
+  const centers = staggered
+    ? [
+        [spacing / 2, spacing / 2],
+        [0, (3 * spacing) / 2],
+        [spacing, (3 * spacing) / 2],
+      ]
+    : [[spacing / 2, spacing / 2]];
+  return createPatternFromElements(
+    [
+      ...createBackground(spacing, height, background),
+      new SVGNode("path", {
+        d: centers
+          .map(
+            ([cx, cy]) =>
+              `M ${cx - radius} ${cy} a ${radius} ${radius} 0 1 0 ${
+                2 * radius
+              } 0 a ${radius} ${radius} 0 1 0 ${-2 * radius} 0`
+          )
+          .join(" "),
+        fill: color,
+      }),
+    ],
+    spacing,
+    height
+  );
+}
+
+/**
+ * Alternating squares of two colors
+ *
+ * @param {CheckerboardOptions} [options={}]
+ * @returns {Pattern}
+ */
+export function createCheckerboardPattern(options = {}) {
+  const { size = 10, color = "black", background = "white" } = options;
+  return createPatternFromElements(
+    [
+      ...createBackground(2 * size, 2 * size, background),
+      new SVGNode("path", {
+        d: `M 0 0 H ${size} V ${size} H 0 Z M ${size} ${size} H ${
+          2 * size
+        } V ${2 * size} H ${size} Z`,
+        fill: color,
+      }),
+    ],
+    2 * size,
+    2 * size
+  );
+}
@@ -0,0 +1,7 @@
+export interface RGBAImage {
+  width: number;
+  height: number;
+  data: Uint8ClampedArray | Uint8Array;
+}
+
+export function encodePNG(image: RGBAImage): Buffer;
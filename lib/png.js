@@ -0,0 +1,84 @@
+/**
+ * PNG encoding of RGBA images, with the zlib bundled in Node
+ */
+
+import { deflateSync } from "node:zlib";
+
+/**
+ * @typedef {Object} RGBAImage
+ * @property {number} width
+ * @property {number} height
+ * @property {Uint8ClampedArray|Uint8Array} data - 4 bytes per pixel, row by row, not premultiplied
+ */
+
+const PNG_SIGNATURE = Buffer.from([137, 80, 78, 71, 13, 10, 26, 10]);
+
+const crcTable = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+/**
+ * @param {Buffer} bytes
+ * @returns {number}
+ */
+function crc32(bytes) {
+  let crc = 0xffffffff;
+  for (const byte of bytes) {
+    crc = crcTable[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * @param {string} type
+ * @param {Buffer} data
+ * @returns {Buffer}
+ */
+function createChunk(type, data) {
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length);
+  const body = Buffer.concat([Buffer.from(type, "ascii"), data]);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(body));
+  return Buffer.concat([length, body, crc]);
+}
+
+/**
+ * Encodes an image as a PNG file
+ *
+ * @param {RGBAImage} image
+ * @returns {Buffer}
+ */
+export function encodePNG(image) {
+  const { width, height, data } = image;
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(width, 0);
+  header.writeUInt32BE(height, 4);
+  header[8] = 8; // bits per channel
+  header[9] = 6; // truecolor with alpha
+  header[10] = 0; // deflate
+  header[11] = 0; // adaptive filtering
+  header[12] = 0; // no interlace
+
+  // Each row starts with its filter type; "none" leaves the compression to deflate
+  const rowLength = width * 4;
+  const scanlines = Buffer.alloc((rowLength + 1) * height);
+  for (let y = 0; y < height; y++) {
+    scanlines[y * (rowLength + 1)] = 0;
+    scanlines.set(
+      data.subarray(y * rowLength, (y + 1) * rowLength),
+      y * (rowLength + 1) + 1
+    );
+  }
+
+  return Buffer.concat([
+    PNG_SIGNATURE,
+    createChunk("IHDR", header),
+    createChunk("IDAT", deflateSync(scanlines)),
+    createChunk("IEND", Buffer.alloc(0)),
+  ]);
+}
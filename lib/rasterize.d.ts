@@ -0,0 +1,15 @@
+import SVGNode from "./SVGNode";
+import { Matrix } from "./transform";
+import { RGBAImage } from "./png";
+
+export interface RasterizeOptions {
+  width: number;
+  height: number;
+  vars?: Record<string, string>;
+  getElementMatrix?: (element: SVGNode) => Matrix;
+  getBoundingBox?: (
+    element: SVGNode
+  ) => { x: number; y: number; width: number; height: number } | null;
+}
+
+export function rasterize(root: SVGNode, options: RasterizeOptions): RGBAImage;
@@ -0,0 +1,1113 @@
+/**
+ * A software rasterizer for the documents built with SVGBuilder
+ *
+ * Renders paths with even-odd and nonzero fills, dashed strokes with joins and caps,
+ * solid colors, linear and radial gradients, patterns, element and group opacity, clip paths and masks.
+ * Other elements (text, images) and filters are not drawn.
+ *
+ * Pure JavaScript, so it runs anywhere Node runs
+ */
+
+import { parseColor } from "./color.js";
+import { flattenPathData } from "./flatten.js";
+import { parseDasharray, strokePolylines } from "./stroke.js";
+import { resolveVars } from "./theme.js";
+import {
+  getPathDataBoundingBox,
+  getMatrixScale,
+  resolveMaskRegion,
+} from "./bounds.js";
+import {
+  IDENTITY_MATRIX,
+  applyMatrixToPoint,
+  invertMatrix,
+  multiplyMatrices,
+  parseTransformAttribute,
+} from "./transform.js";
+
+/**
+ * @typedef {import("./SVGNode.js").default} SVGNode
+ * @typedef {import("./transform.js").Matrix} Matrix
+ * @typedef {import("./pathData.js").Point} Point
+ * @typedef {import("./png.js").RGBAImage} RGBAImage
+ */
+
+/**
+ * @typedef {Object} RasterizeOptions
+ * @property {number} width - of the image, in pixels
+ * @property {number} height - of the image, in pixels
+ * @property {Object<string,string>} [vars={}] - values of the CSS variables used by the document
+ * @property {(element: SVGNode) => Matrix} [getElementMatrix] -
+ *
+ *     the transform of an element, by default read from its transform attribute
+ * @property {(element: SVGNode) => ({x: number, y: number, width: number, height: number}|null)} [getBoundingBox] -
+ *
+ *     the bounds of the content of an element in its user space, for clip paths and masks
+ *     in bounding box units; by default only paths are measured
+ */
+
+/**
+ * A paint ready to be applied: premultiplied red, green, blue and alpha from 0 to 1,
+ * either the same everywhere or computed for each pixel
+ *
+ * @typedef {{color: [number, number, number, number]} | {shader: (x: number, y: number) => [number, number, number, number]}} Paint
+ */
+
+/**
+ * Vertical samples per pixel; coverage is exact horizontally
+ */
+const SUBSAMPLES = 5;
+
+/**
+ * Largest distance, in pixels, between curves and the polygons approximating them
+ */
+const TOLERANCE = 0.2;
+
+/**
+ * Largest width or height, in pixels, of the tile drawn for a pattern
+ */
+const MAX_TILE_SIZE = 2048;
+
+/**
+ * Properties inherited from the parent element, with their initial values
+ */
+const inheritedProperties = {
+  fill: "black",
+  stroke: "none",
+  "stroke-width": "1",
+  "stroke-linejoin": "miter",
+  "stroke-linecap": "butt",
+  "stroke-miterlimit": "4",
+  "stroke-dasharray": "none",
+  "stroke-dashoffset": "0",
+  "fill-rule": "nonzero",
+  "fill-opacity": "1",
+  "stroke-opacity": "1",
+  color: "black",
+};
+
+/**
+ * Premultiplied RGBA pixels
+ */
+class Raster {
+  /**
+   * @param {number} width
+   * @param {number} height
+   */
+  constructor(width, height) {
+    this.width = width;
+    this.height = height;
+    this.pixels = new Float32Array(width * height * 4);
+  }
+
+  /**
+   * Paints the area covered by polygons
+   *
+   * @param {Array<Array<Point>>} polygons - in pixel coordinates
+   * @param {"nonzero"|"evenodd"} fillRule
+   * @param {Paint} paint
+   */
+  fillPolygons(polygons, fillRule, paint) {
+    const edges = [];
+    let minX = Infinity;
+    let maxX = -Infinity;
+    for (const polygon of polygons) {
+      for (let i = 0; i < polygon.length; i++) {
+        const [x0, y0] = polygon[i];
+        const [x1, y1] = polygon[(i + 1) % polygon.length];
+        if (![x0, y0, x1, y1].every(Number.isFinite)) {
+          continue;
+        }
+        minX = Math.min(minX, x0);
+        maxX = Math.max(maxX, x0);
+        if (y0 === y1) {
+          continue;
+        }
+        edges.push(
+          y0 < y1
+            ? { x0, y0, x1, y1, winding: 1 }
+            : { x0: x1, y0: y1, x1: x0, y1: y0, winding: -1 }
+        );
+      }
+    }
+    if (!edges.length) {
+      return;
+    }
+    edges.sort((a, b) => a.y0 - b.y0);
+    const top = Math.max(0, Math.floor(edges[0].y0));
+    // Not Math.max(...), which fails with more edges than a call takes arguments
+    const lowestEdge = edges.reduce(
+      (lowest, edge) => Math.max(lowest, edge.y1),
+      -Infinity
+    );
+    const bottom = Math.min(this.height, Math.ceil(lowestEdge));
+    const left = Math.max(0, Math.floor(minX));
+    const right = Math.min(this.width, Math.ceil(maxX));
+    if (left >= right) {
+      return;
+    }
+    const coverage = new Float32Array(this.width + 1);
+    const inside =
+      fillRule === "evenodd"
+        ? (winding) => winding % 2 !== 0
+        : (winding) => winding !== 0;
+    let active = [];
+    let next = 0;
+    for (let y = top; y < bottom; y++) {
+      coverage.fill(0, left, right + 1);
+      for (let s = 0; s < SUBSAMPLES; s++) {
+        const sampleY = y + (s + 0.5) / SUBSAMPLES;
+        while (next < edges.length && edges[next].y0 <= sampleY) {
+          active.push(edges[next++]);
+        }
+        active = active.filter((edge) => edge.y1 > sampleY);
+        const crossings = active
+          .filter((edge) => edge.y0 <= sampleY)
+          .map((edge) => ({
+            x:
+              edge.x0 +
+              ((sampleY - edge.y0) * (edge.x1 - edge.x0)) / (edge.y1 - edge.y0),
+            winding: edge.winding,
+          }))
+          .sort((a, b) => a.x - b.x);
+        let winding = 0;
+        for (let i = 0; i < crossings.length - 1; i++) {
+          winding += crossings[i].winding;
+          if (inside(winding)) {
+            this.addSpan(
+              coverage,
+              crossings[i].x,
+              crossings[i + 1].x,
+              1 / SUBSAMPLES
+            );
+          }
+        }
+      }
+      this.blendRow(y, coverage, left, right, paint);
+    }
+  }
+
+  /**
+   * @param {Float32Array} coverage
+   * @param {number} from
+   * @param {number} to
+   * @param {number} weight
+   */
+  addSpan(coverage, from, to, weight) {
+    const start = Math.max(0, from);
+    const end = Math.min(this.width, to);
+    if (end <= start) {
+      return;
+    }
+    const first = Math.floor(start);
+    const last = Math.floor(end);
+    if (first === last) {
+      coverage[first] += (end - start) * weight;
+      return;
+    }
+    coverage[first] += (first + 1 - start) * weight;
+    for (let x = first + 1; x < last; x++) {
+      coverage[x] += weight;
+    }
+    coverage[last] += (end - last) * weight;
+  }
+
+  /**
+   * @param {number} y
+   * @param {Float32Array} coverage
+   * @param {number} left
+   * @param {number} right
+   * @param {Paint} paint
+   */
+  blendRow(y, coverage, left, right, paint) {
+    for (let x = left; x < right; x++) {
+      const amount = Math.min(1, coverage[x]);
+      if (amount <= 0) {
+        continue;
+      }
+      const color = paint.color ?? paint.shader(x + 0.5, y + 0.5);
+      this.blendPixel((y * this.width + x) * 4, color, amount);
+    }
+  }
+
+  /**
+   * Source-over compositing of a premultiplied color
+   *
+   * @param {number} index
+   * @param {[number, number, number, number]} color
+   * @param {number} amount - coverage and opacity
+   */
+  blendPixel(index, color, amount) {
+    const remaining = 1 - color[3] * amount;
+    const pixels = this.pixels;
+    pixels[index] = color[0] * amount + pixels[index] * remaining;
+    pixels[index + 1] = color[1] * amount + pixels[index + 1] * remaining;
+    pixels[index + 2] = color[2] * amount + pixels[index + 2] * remaining;
+    pixels[index + 3] = color[3] * amount + pixels[index + 3] * remaining;
+  }
+
+  /**
+   * Composites another raster of the same size onto this one
+   *
+   * @param {Raster} layer
+   * @param {number} opacity
+   * @param {Float32Array} [coverage] - how much of each pixel of the layer shows, from 0 to 1
+   */
+  composite(layer, opacity, coverage) {
+    for (let index = 0; index < this.pixels.length; index += 4) {
+      const amount = coverage ? opacity * coverage[index / 4] : opacity;
+      if (layer.pixels[index + 3] > 0 && amount > 0) {
+        this.blendPixel(
+          index,
+          layer.pixels.subarray(index, index + 4),
+          amount
+        );
+      }
+    }
+  }
+
+  /**
+   * @returns {RGBAImage} - with straight (not premultiplied) alpha
+   */
+  toImage() {
+    const data = new Uint8ClampedArray(this.pixels.length);
+    for (let index = 0; index < this.pixels.length; index += 4) {
+      const alpha = this.pixels[index + 3];
+      if (alpha > 0) {
+        data[index] = Math.round((this.pixels[index] / alpha) * 255);
+        data[index + 1] = Math.round((this.pixels[index + 1] / alpha) * 255);
+        data[index + 2] = Math.round((this.pixels[index + 2] / alpha) * 255);
+        data[index + 3] = Math.round(alpha * 255);
+      }
+    }
+    return { width: this.width, height: this.height, data };
+  }
+}
+
+/**
+ * Fills in the default viewport mapping of an <svg> element
+ *
+ * @param {SVGNode} root
+ * @param {number} width
+ * @param {number} height
+ * @returns {Matrix} - from the viewBox to the pixels of the image
+ */
+function getViewportMatrix(root, width, height) {
+  const viewBox = `${root.getAttribute("viewBox") ?? ""}`
+    .trim()
+    .split(/[\s,]+/)
+    .map(Number);
+  if (viewBox.length !== 4 || !viewBox.every(Number.isFinite)) {
+    const scaleX = width / (parseFloat(root.getAttribute("width")) || width);
+    const scaleY = height / (parseFloat(root.getAttribute("height")) || height);
+    return [scaleX, 0, 0, scaleY, 0, 0];
+  }
+  const [x, y, viewBoxWidth, viewBoxHeight] = viewBox;
+  let scaleX = width / viewBoxWidth;
+  let scaleY = height / viewBoxHeight;
+  const [align, meetOrSlice = "meet"] = `${
+    root.getAttribute("preserveAspectRatio") ?? "xMidYMid meet"
+  }`
+    .trim()
+    .split(/\s+/);
+  if (align !== "none") {
+    scaleX = scaleY =
+      meetOrSlice === "slice"
+        ? Math.max(scaleX, scaleY)
+        : Math.min(scaleX, scaleY);
+  }
+  // Alignments such as "xMidYMax"
+  const alignment = (axis, free) =>
+    align.includes(`${axis}Mid`)
+      ? free / 2
+      : align.includes(`${axis}Max`)
+      ? free
+      : 0;
+  return [
+    scaleX,
+    0,
+    0,
+    scaleY,
+    alignment("x", width - viewBoxWidth * scaleX) - x * scaleX,
+    alignment("Y", height - viewBoxHeight * scaleY) - y * scaleY,
+  ];
+}
+
+/**
+ * @param {string|number|undefined} value - a number or a percentage
+ * @param {number} fallback
+ * @param {number} percentBase - value of 100%
+ * @returns {number}
+ */
+function parseGradientLength(value, fallback, percentBase) {
+  if (value === undefined || value === null) {
+    return fallback;
+  }
+  const text = `${value}`.trim();
+  const number = parseFloat(text);
+  if (!Number.isFinite(number)) {
+    return fallback;
+  }
+  return text.endsWith("%") ? (number / 100) * percentBase : number;
+}
+
+/**
+ * @param {number} t
+ * @param {string} spreadMethod
+ * @returns {number} - t mapped to [0, 1]
+ */
+function spread(t, spreadMethod) {
+  if (spreadMethod === "repeat") {
+    return t - Math.floor(t);
+  }
+  if (spreadMethod === "reflect") {
+    const m = t - 2 * Math.floor(t / 2);
+    return m > 1 ? 2 - m : m;
+  }
+  return Math.min(1, Math.max(0, t));
+}
+
+/**
+ * Renders SVGBuilder documents
+ */
+class Renderer {
+  /**
+   * @param {SVGNode} root - the <svg> element
+   * @param {RasterizeOptions} options
+   */
+  constructor(root, options) {
+    this.root = root;
+    this.options = options;
+    this.vars = options.vars ?? {};
+    this.getElementMatrix =
+      options.getElementMatrix ??
+      ((element) =>
+        element.getAttribute("transform")
+          ? parseTransformAttribute(`${element.getAttribute("transform")}`)
+          : IDENTITY_MATRIX);
+    this.getBoundingBox =
+      options.getBoundingBox ??
+      ((element) =>
+        element.tag === "path" && element.getAttribute("d")
+          ? getPathDataBoundingBox(`${element.getAttribute("d")}`)
+          : null);
+    this.ids = new Map();
+    this.activePatterns = new Set();
+    for (const node of root.walk()) {
+      if (node.id !== undefined && !this.ids.has(`${node.id}`)) {
+        this.ids.set(`${node.id}`, node);
+      }
+    }
+    const viewBox = `${root.getAttribute("viewBox") ?? ""}`
+      .trim()
+      .split(/[\s,]+/)
+      .map(Number);
+    // Percentages in user space resolve against the viewport
+    this.viewport =
+      viewBox.length === 4 && viewBox.every(Number.isFinite)
+        ? { width: viewBox[2], height: viewBox[3] }
+        : { width: options.width, height: options.height };
+  }
+
+  /**
+   * @returns {RGBAImage}
+   */
+  render() {
+    const raster = new Raster(this.options.width, this.options.height);
+    const matrix = getViewportMatrix(
+      this.root,
+      this.options.width,
+      this.options.height
+    );
+    const style = { ...inheritedProperties };
+    for (const child of this.root.children) {
+      this.renderElement(child, matrix, style, raster);
+    }
+    return raster.toImage();
+  }
+
+  /**
+   * @param {SVGNode} element
+   * @param {string} name
+   * @returns {string|undefined} - the specified value of a property, the style overriding the attribute
+   */
+  getProperty(element, name) {
+    const value = element.style[name] ?? element.getAttribute(name);
+    if (value === undefined || value === null) {
+      return undefined;
+    }
+    const resolved = resolveVars(`${value}`, this.vars).trim();
+    return resolved === "" || resolved === "inherit" ? undefined : resolved;
+  }
+
+  /**
+   * @param {SVGNode} element
+   * @param {Matrix} matrix - from the user space of the parent to pixels
+   * @param {Object<string,string>} inheritedStyle
+   * @param {Raster} raster
+   */
+  renderElement(element, matrix, inheritedStyle, raster) {
+    if (!["g", "a", "path"].includes(element.tag)) {
+      return;
+    }
+    if (this.getProperty(element, "display") === "none") {
+      return;
+    }
+    const style = { ...inheritedStyle };
+    for (const name of Object.keys(inheritedProperties)) {
+      style[name] = this.getProperty(element, name) ?? style[name];
+    }
+    const elementMatrix = multiplyMatrices(
+      matrix,
+      this.getElementMatrix(element)
+    );
+    const opacity = Math.min(
+      1,
+      Math.max(0, parseFloat(this.getProperty(element, "opacity") ?? "1"))
+    );
+    if (!(opacity > 0)) {
+      return;
+    }
+    const clipPath = this.getReferencedElement(element, "clip-path", "clipPath");
+    const mask = this.getReferencedElement(element, "mask", "mask");
+    if (clipPath || mask) {
+      // The element is drawn on its own, then shows only where the clip path and mask let it
+      const layer = new Raster(raster.width, raster.height);
+      this.renderContent(element, elementMatrix, style, 1, layer);
+      const coverage = new Float32Array(raster.width * raster.height).fill(1);
+      if (clipPath) {
+        this.applyClipPath(coverage, clipPath, element, elementMatrix, raster);
+      }
+      if (mask) {
+        this.applyMask(coverage, mask, element, elementMatrix, raster);
+      }
+      raster.composite(layer, opacity, coverage);
+      return;
+    }
+    this.renderContent(element, elementMatrix, style, opacity, raster);
+  }
+
+  /**
+   * @param {SVGNode} element
+   * @param {string} name
+   * @param {string} tag
+   * @returns {SVGNode|null} - the element referenced with `url(#id)` by an attribute, if it has the expected tag
+   */
+  getReferencedElement(element, name, tag) {
+    const match = /^url\(\s*#([^)\s]+)\s*\)$/.exec(
+      this.getProperty(element, name) ?? ""
+    );
+    const referenced = match ? this.ids.get(match[1]) : undefined;
+    return referenced?.tag === tag ? referenced : null;
+  }
+
+  /**
+   * Draws a path, or the content of a group
+   *
+   * @param {SVGNode} element
+   * @param {Matrix} matrix - from the user space of the element to pixels
+   * @param {Object<string,string>} style
+   * @param {number} opacity
+   * @param {Raster} raster
+   */
+  renderContent(element, matrix, style, opacity, raster) {
+    if (element.tag === "path") {
+      this.renderPath(element, matrix, style, opacity, raster);
+      return;
+    }
+    let target = raster;
+    if (opacity < 1) {
+      // Group opacity applies to the content as a whole
+      target = new Raster(raster.width, raster.height);
+    }
+    for (const child of element.children) {
+      this.renderElement(child, matrix, style, target);
+    }
+    if (target !== raster) {
+      raster.composite(target, opacity);
+    }
+  }
+
+  /**
+   * @param {SVGNode} element
+   * @returns {Matrix|null} - from the bounding box units of the element to its user space, null when it has no bounds
+   */
+  getBoundingBoxMatrix(element) {
+    const box = this.getBoundingBox(element);
+    return box ? [box.width, 0, 0, box.height, box.x, box.y] : null;
+  }
+
+  /**
+   * Hides what is outside of a clip path
+   *
+   * @param {Float32Array} coverage - of each pixel, multiplied by the coverage of the clip path
+   * @param {SVGNode} clipPath - the <clipPath> element
+   * @param {SVGNode} element - the clipped element
+   * @param {Matrix} matrix - from the user space of the clipped element to pixels
+   * @param {Raster} raster - where the element is drawn, for its size
+   */
+  applyClipPath(coverage, clipPath, element, matrix, raster) {
+    let clipMatrix = matrix;
+    if (clipPath.getAttribute("clipPathUnits") === "objectBoundingBox") {
+      const boxMatrix = this.getBoundingBoxMatrix(element);
+      if (!boxMatrix) {
+        coverage.fill(0);
+        return;
+      }
+      clipMatrix = multiplyMatrices(clipMatrix, boxMatrix);
+    }
+    clipMatrix = multiplyMatrices(clipMatrix, this.getElementMatrix(clipPath));
+    const layer = new Raster(raster.width, raster.height);
+    for (const child of clipPath.children) {
+      const d = child.getAttribute("d");
+      if (
+        child.tag !== "path" ||
+        !d ||
+        this.getProperty(child, "display") === "none"
+      ) {
+        continue;
+      }
+      const childMatrix = multiplyMatrices(
+        clipMatrix,
+        this.getElementMatrix(child)
+      );
+      const scale = getMatrixScale(childMatrix);
+      if (!(scale > 0)) {
+        continue;
+      }
+      const clipRule =
+        this.getProperty(child, "clip-rule") ??
+        this.getProperty(clipPath, "clip-rule");
+      // Only the geometry counts, so every shape is filled with opaque white
+      layer.fillPolygons(
+        flattenPathData(`${d}`, TOLERANCE / scale).map((polyline) =>
+          polyline.points.map((point) => applyMatrixToPoint(childMatrix, point))
+        ),
+        clipRule === "evenodd" ? "evenodd" : "nonzero",
+        { color: [1, 1, 1, 1] }
+      );
+    }
+    for (let i = 0; i < coverage.length; i++) {
+      coverage[i] *= Math.min(1, layer.pixels[i * 4 + 3]);
+    }
+  }
+
+  /**
+   * Hides content where the luminance of a mask is low, and outside of the mask region
+   *
+   * @param {Float32Array} coverage - of each pixel, multiplied by the value of the mask
+   * @param {SVGNode} mask - the <mask> element
+   * @param {SVGNode} element - the masked element
+   * @param {Matrix} matrix - from the user space of the masked element to pixels
+   * @param {Raster} raster - where the element is drawn, for its size
+   */
+  applyMask(coverage, mask, element, matrix, raster) {
+    const layer = new Raster(raster.width, raster.height);
+    let contentMatrix = matrix;
+    if (mask.getAttribute("maskContentUnits") === "objectBoundingBox") {
+      const boxMatrix = this.getBoundingBoxMatrix(element);
+      contentMatrix = boxMatrix && multiplyMatrices(matrix, boxMatrix);
+    }
+    if (contentMatrix) {
+      const style = { ...inheritedProperties };
+      for (const name of Object.keys(inheritedProperties)) {
+        style[name] = this.getProperty(mask, name) ?? style[name];
+      }
+      for (const child of mask.children) {
+        this.renderElement(child, contentMatrix, style, layer);
+      }
+    }
+    const region = resolveMaskRegion(
+      mask,
+      this.getBoundingBox(element) ?? { x: 0, y: 0, width: 0, height: 0 }
+    );
+    let regionLayer = null;
+    if (region) {
+      regionLayer = new Raster(raster.width, raster.height);
+      regionLayer.fillPolygons(
+        [
+          [
+            [region.x, region.y],
+            [region.x + region.width, region.y],
+            [region.x + region.width, region.y + region.height],
+            [region.x, region.y + region.height],
+          ].map((point) => applyMatrixToPoint(matrix, point)),
+        ],
+        "nonzero",
+        { color: [1, 1, 1, 1] }
+      );
+    }
+    const pixels = layer.pixels;
+    for (let i = 0; i < coverage.length; i++) {
+      // Luminance of the premultiplied color, so transparent areas hide the content too
+      const luminance =
+        0.2125 * pixels[i * 4] +
+        0.7154 * pixels[i * 4 + 1] +
+        0.0721 * pixels[i * 4 + 2];
+      coverage[i] *=
+        Math.min(1, luminance) *
+        (regionLayer ? Math.min(1, regionLayer.pixels[i * 4 + 3]) : 1);
+    }
+  }
+
+  /**
+   * @param {SVGNode} element
+   * @param {Matrix} matrix
+   * @param {Object<string,string>} style
+   * @param {number} opacity
+   * @param {Raster} raster
+   */
+  renderPath(element, matrix, style, opacity, raster) {
+    const d = element.getAttribute("d");
+    const scale = getMatrixScale(matrix);
+    if (!d || !invertMatrix(matrix) || !(scale > 0)) {
+      return;
+    }
+    const tolerance = TOLERANCE / scale;
+    const polylines = flattenPathData(`${d}`, tolerance);
+    let bounds;
+    const getBounds = () => (bounds ??= getPathDataBoundingBox(`${d}`));
+    const fill = this.resolvePaint(
+      style.fill,
+      parseFloat(style["fill-opacity"]),
+      style,
+      matrix,
+      getBounds
+    );
+    const strokeWidth = parseFloat(style["stroke-width"]);
+    const stroke =
+      strokeWidth > 0
+        ? this.resolvePaint(
+            style.stroke,
+            parseFloat(style["stroke-opacity"]),
+            style,
+            matrix,
+            getBounds
+          )
+        : null;
+    let target = raster;
+    if (fill && stroke && opacity < 1) {
+      // Where the stroke overlaps the fill, the fill must not show through
+      target = new Raster(raster.width, raster.height);
+    }
+    const layerOpacity = target === raster ? opacity : 1;
+    const toPixels = (polygon) =>
+      polygon.map((point) => applyMatrixToPoint(matrix, point));
+    if (fill) {
+      target.fillPolygons(
+        polylines.map((polyline) => toPixels(polyline.points)),
+        style["fill-rule"] === "evenodd" ? "evenodd" : "nonzero",
+        this.withOpacity(fill, layerOpacity)
+      );
+    }
+    if (stroke) {
+      const polygons = strokePolylines(polylines, {
+        width: strokeWidth,
+        linejoin: style["stroke-linejoin"],
+        linecap: style["stroke-linecap"],
+        miterlimit: parseFloat(style["stroke-miterlimit"]) || 4,
+        dasharray: parseDasharray(style["stroke-dasharray"]),
+        dashoffset: parseFloat(style["stroke-dashoffset"]) || 0,
+        tolerance,
+      });
+      target.fillPolygons(
+        polygons.map(toPixels),
+        "nonzero",
+        this.withOpacity(stroke, layerOpacity)
+      );
+    }
+    if (target !== raster) {
+      raster.composite(target, opacity);
+    }
+  }
+
+  /**
+   * @param {Paint} paint
+   * @param {number} opacity
+   * @returns {Paint}
+   */
+  withOpacity(paint, opacity) {
+    if (opacity === 1) {
+      return paint;
+    }
+    const scale = (color) => color.map((channel) => channel * opacity);
+    return paint.color
+      ? { color: scale(paint.color) }
+      : { shader: (x, y) => scale(paint.shader(x, y)) };
+  }
+
+  /**
+   * @param {string} value - of a fill or stroke property
+   * @param {number} opacity - fill-opacity or stroke-opacity
+   * @param {Object<string,string>} style
+   * @param {Matrix} matrix - from user space to pixels
+   * @param {() => ({x: number, y: number, width: number, height: number}|null)} getBounds - geometry of the painted element
+   * @returns {Paint|null} - null when nothing is painted
+   */
+  resolvePaint(value, opacity, style, matrix, getBounds) {
+    opacity = Number.isFinite(opacity) ? Math.min(1, Math.max(0, opacity)) : 1;
+    if (!value || value === "none" || opacity === 0) {
+      return null;
+    }
+    const reference = /^url\(\s*["']?#([^"')]+)["']?\s*\)\s*(.*)$/.exec(value);
+    if (reference) {
+      const element = this.ids.get(reference[1]);
+      if (
+        element?.tag === "linearGradient" ||
+        element?.tag === "radialGradient"
+      ) {
+        return this.createGradientPaint(
+          element,
+          opacity,
+          style,
+          matrix,
+          getBounds
+        );
+      }
+      if (element?.tag === "pattern") {
+        return this.createPatternPaint(element, opacity, matrix, getBounds);
+      }
+      // Missing or unsupported paint servers use the fallback
+      return reference[2]
+        ? this.resolvePaint(reference[2], opacity, style, matrix, getBounds)
+        : null;
+    }
+    const color = parseColor(value === "currentColor" ? style.color : value);
+    if (!color) {
+      return null;
+    }
+    return { color: this.premultiply(color, opacity) };
+  }
+
+  /**
+   * @param {import("./color.js").RGBA} color
+   * @param {number} opacity
+   * @returns {[number, number, number, number]}
+   */
+  premultiply(color, opacity) {
+    const alpha = color[3] * opacity;
+    return [
+      (color[0] / 255) * alpha,
+      (color[1] / 255) * alpha,
+      (color[2] / 255) * alpha,
+      alpha,
+    ];
+  }
+
+  /**
+   * Follows the href of a gradient to find its stops
+   *
+   * @param {SVGNode} gradient
+   * @returns {Array<SVGNode>}
+   */
+  getGradientStops(gradient) {
+    const visited = new Set();
+    for (let node = gradient; node && !visited.has(node); ) {
+      visited.add(node);
+      const stops = node.children.filter((child) => child.tag === "stop");
+      if (stops.length) {
+        return stops;
+      }
+      const href = `${
+        node.getAttribute("href") ?? node.getAttribute("xlink:href") ?? ""
+      }`;
+      node = href.startsWith("#") ? this.ids.get(href.slice(1)) : undefined;
+    }
+    return [];
+  }
+
+  /**
+   * Precomputes the colors along a gradient
+   *
+   * @param {Array<SVGNode>} stops
+   * @param {number} opacity
+   * @param {Object<string,string>} style
+   * @returns {Array<[number, number, number, number]>} - 256 premultiplied colors
+   */
+  createGradientTable(stops, opacity, style) {
+    let previousOffset = 0;
+    const resolved = stops.map((stop) => {
+      const offset = Math.max(
+        previousOffset,
+        Math.min(
+          1,
+          Math.max(0, parseGradientLength(stop.getAttribute("offset"), 0, 1))
+        )
+      );
+      previousOffset = offset;
+      const colorValue = this.getProperty(stop, "stop-color") ?? "black";
+      const color =
+        parseColor(colorValue === "currentColor" ? style.color : colorValue) ??
+        [0, 0, 0, 1];
+      const stopOpacity = parseFloat(
+        this.getProperty(stop, "stop-opacity") ?? "1"
+      );
+      return {
+        offset,
+        color: this.premultiply(
+          color,
+          opacity * (Number.isFinite(stopOpacity) ? stopOpacity : 1)
+        ),
+      };
+    });
+    return Array.from({ length: 256 }, (_, i) => {
+      const t = i / 255;
+      const after = resolved.findIndex((stop) => stop.offset >= t);
+      if (after === -1) {
+        return resolved[resolved.length - 1].color;
+      }
+      if (after === 0) {
+        return resolved[0].color;
+      }
+      const a = resolved[after - 1];
+      const b = resolved[after];
+      const amount =
+        b.offset === a.offset ? 1 : (t - a.offset) / (b.offset - a.offset);
+      return a.color.map(
+        (channel, k) => channel + (b.color[k] - channel) * amount
+      );
+    });
+  }
+
+  /**
+   * @param {SVGNode} gradient - a <linearGradient> or <radialGradient>
+   * @param {number} opacity
+   * @param {Object<string,string>} style
+   * @param {Matrix} matrix - from user space to pixels
+   * @param {() => ({x: number, y: number, width: number, height: number}|null)} getBounds
+   * @returns {Paint|null}
+   */
+  createGradientPaint(gradient, opacity, style, matrix, getBounds) {
+    const stops = this.getGradientStops(gradient);
+    if (!stops.length) {
+      return null;
+    }
+    const table = this.createGradientTable(stops, opacity, style);
+    if (stops.length === 1) {
+      return { color: table[0] };
+    }
+    let gradientMatrix = matrix;
+    let percentBase = this.viewport;
+    if (gradient.getAttribute("gradientUnits") !== "userSpaceOnUse") {
+      const bounds = getBounds();
+      if (!bounds || !bounds.width || !bounds.height) {
+        // The bounding box cannot be used as a coordinate system
+        return null;
+      }
+      gradientMatrix = multiplyMatrices(matrix, [
+        bounds.width,
+        0,
+        0,
+        bounds.height,
+        bounds.x,
+        bounds.y,
+      ]);
+      percentBase = { width: 1, height: 1 };
+    }
+    const gradientTransform = gradient.getAttribute("gradientTransform");
+    if (gradientTransform) {
+      gradientMatrix = multiplyMatrices(
+        gradientMatrix,
+        parseTransformAttribute(`${gradientTransform}`)
+      );
+    }
+    const inverse = invertMatrix(gradientMatrix);
+    if (!inverse) {
+      return null;
+    }
+    const spreadMethod = gradient.getAttribute("spreadMethod") ?? "pad";
+    const diagonal =
+      Math.hypot(percentBase.width, percentBase.height) / Math.SQRT2;
+    const length = (name, fallback, base) =>
+      parseGradientLength(gradient.getAttribute(name), fallback, base);
+    const lookup = (t) => table[Math.round(spread(t, spreadMethod) * 255)];
+
+    if (gradient.tag === "linearGradient") {
+      const x1 = length("x1", 0, percentBase.width);
+      const y1 = length("y1", 0, percentBase.height);
+      const x2 = length("x2", percentBase.width, percentBase.width);
+      const y2 = length("y2", 0, percentBase.height);
+      const dx = x2 - x1;
+      const dy = y2 - y1;
+      const lengthSquared = dx * dx + dy * dy;
+      if (!lengthSquared) {
+        return { color: table[255] };
+      }
+      return {
+        shader: (x, y) => {
+          const [gx, gy] = applyMatrixToPoint(inverse, [x, y]);
+          return lookup(((gx - x1) * dx + (gy - y1) * dy) / lengthSquared);
+        },
+      };
+    }
+
+    const cx = length("cx", 0.5 * percentBase.width, percentBase.width);
+    const cy = length("cy", 0.5 * percentBase.height, percentBase.height);
+    const r = length("r", 0.5 * diagonal, diagonal);
+    const fx = length("fx", cx, percentBase.width);
+    const fy = length("fy", cy, percentBase.height);
+    const fr = length("fr", 0, diagonal);
+    if (!(r > 0)) {
+      return { color: table[255] };
+    }
+    // Circles interpolated from the focal circle (t = 0) to the end circle (t = 1)
+    const cdx = cx - fx;
+    const cdy = cy - fy;
+    const dr = r - fr;
+    const a = cdx * cdx + cdy * cdy - dr * dr;
+    const transparent = [0, 0, 0, 0];
+    return {
+      shader: (x, y) => {
+        const [gx, gy] = applyMatrixToPoint(inverse, [x, y]);
+        const pdx = gx - fx;
+        const pdy = gy - fy;
+        const b = pdx * cdx + pdy * cdy + fr * dr;
+        const c = pdx * pdx + pdy * pdy - fr * fr;
+        let t;
+        if (Math.abs(a) < 1e-9) {
+          t = c / (2 * b);
+        } else {
+          const discriminant = b * b - a * c;
+          if (discriminant < 0) {
+            return transparent;
+          }
+          const root = Math.sqrt(discriminant);
+          t = Math.max((b + root) / a, (b - root) / a);
+          if (fr + t * dr < 0) {
+            t = Math.min((b + root) / a, (b - root) / a);
+          }
+        }
+        if (!Number.isFinite(t) || fr + t * dr < 0) {
+          return transparent;
+        }
+        return lookup(t);
+      },
+    };
+  }
+
+  /**
+   * Draws one tile of a pattern, then repeats it
+   *
+   * @param {SVGNode} pattern - a <pattern>
+   * @param {number} opacity
+   * @param {Matrix} matrix - from user space to pixels
+   * @param {() => ({x: number, y: number, width: number, height: number}|null)} getBounds
+   * @returns {Paint|null}
+   */
+  createPatternPaint(pattern, opacity, matrix, getBounds) {
+    if (this.activePatterns.has(pattern)) {
+      // A pattern drawing itself would never end
+      return null;
+    }
+    const bounds = getBounds();
+    const objectUnits =
+      (pattern.getAttribute("patternUnits") ?? "objectBoundingBox") ===
+      "objectBoundingBox";
+    if (objectUnits && (!bounds || !bounds.width || !bounds.height)) {
+      return null;
+    }
+    const percentBase = objectUnits ? { width: 1, height: 1 } : this.viewport;
+    const length = (name, base) =>
+      parseGradientLength(pattern.getAttribute(name), 0, base);
+    let x = length("x", percentBase.width);
+    let y = length("y", percentBase.height);
+    let width = length("width", percentBase.width);
+    let height = length("height", percentBase.height);
+    if (objectUnits) {
+      x = bounds.x + x * bounds.width;
+      y = bounds.y + y * bounds.height;
+      width *= bounds.width;
+      height *= bounds.height;
+    }
+    if (!(width > 0 && height > 0)) {
+      return null;
+    }
+    const patternTransform = pattern.getAttribute("patternTransform");
+    const patternMatrix = patternTransform
+      ? multiplyMatrices(
+          matrix,
+          parseTransformAttribute(`${patternTransform}`)
+        )
+      : matrix;
+    const inverse = invertMatrix(patternMatrix);
+    if (!inverse) {
+      return null;
+    }
+    // One tile at the resolution it is shown at
+    const scale = getMatrixScale(patternMatrix);
+    const tileWidth = Math.min(
+      MAX_TILE_SIZE,
+      Math.max(1, Math.ceil(width * scale))
+    );
+    const tileHeight = Math.min(
+      MAX_TILE_SIZE,
+      Math.max(1, Math.ceil(height * scale))
+    );
+    const tile = new Raster(tileWidth, tileHeight);
+    let contentMatrix = pattern.getAttribute("viewBox")
+      ? getViewportMatrix(pattern, tileWidth, tileHeight)
+      : [tileWidth / width, 0, 0, tileHeight / height, 0, 0];
+    if (
+      !pattern.getAttribute("viewBox") &&
+      pattern.getAttribute("patternContentUnits") === "objectBoundingBox"
+    ) {
+      if (!bounds) {
+        return null;
+      }
+      contentMatrix = multiplyMatrices(contentMatrix, [
+        bounds.width,
+        0,
+        0,
+        bounds.height,
+        0,
+        0,
+      ]);
+    }
+    const style = { ...inheritedProperties };
+    for (const name of Object.keys(inheritedProperties)) {
+      style[name] = this.getProperty(pattern, name) ?? style[name];
+    }
+    this.activePatterns.add(pattern);
+    try {
+      for (const child of pattern.children) {
+        this.renderElement(child, contentMatrix, style, tile);
+      }
+    } finally {
+      this.activePatterns.delete(pattern);
+    }
+    const pixels = tile.pixels;
+    return {
+      shader: (px, py) => {
+        const [u, v] = applyMatrixToPoint(inverse, [px, py]);
+        const tx = (u - x) / width;
+        const ty = (v - y) / height;
+        const column = Math.min(
+          tileWidth - 1,
+          Math.floor((tx - Math.floor(tx)) * tileWidth)
+        );
+        const row = Math.min(
+          tileHeight - 1,
+          Math.floor((ty - Math.floor(ty)) * tileHeight)
+        );
+        const index = (row * tileWidth + column) * 4;
+        return [
+          pixels[index] * opacity,
+          pixels[index + 1] * opacity,
+          pixels[index + 2] * opacity,
+          pixels[index + 3] * opacity,
+        ];
+      },
+    };
+  }
+}
+
+/**
+ * Renders a document to pixels
+ *
+ * @param {SVGNode} root - the <svg> element of the document
+ * @param {RasterizeOptions} options
+ * @returns {RGBAImage}
+ */
+export function rasterize(root, options) {
+  return new Renderer(root, options).render();
+}
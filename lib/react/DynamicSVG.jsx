@@ -1,5 +1,6 @@
 import { v4 as uuidv4 } from "uuid";
 import InlineSVG from "react-inlinesvg";
+import { checkVarNames, checkVarValues } from "../theme.js";
 
 /**
  * @typedef {import('@emotion/react').SerializedStyles} SerializedStyles
@@ -54,7 +55,7 @@ const createSVGProcessor =
  * @param {DynamicSVGProps} props
  *
  * @returns {JSX.Element}
- * @throws
+ * @throws if neither or both of src and text are defined, or if a CSS variable is invalid
  *
  */
 export default function DynamicSVG({
@@ -73,6 +74,10 @@ export default function DynamicSVG({
   if (typeof src === "string" && typeof text === "string") {
     throw new Error("Either src or text must be defined, not both");
   }
+  if (cssVars) {
+    checkVarNames(cssVars, "cssVars");
+    checkVarValues(cssVars, "cssVars");
+  }
   const u = uuidv4();
 
   const componentCss = `
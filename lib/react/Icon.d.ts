@@ -0,0 +1,22 @@
+import { SVGAttributes } from "react";
+import { SpriteManifest } from "../SpriteSheet";
+import { CssVars } from "./DynamicSVG";
+
+export interface IconProps extends SVGAttributes<SVGSVGElement> {
+  name: string;
+  src?: string;
+  manifest?: SpriteManifest;
+  title?: string;
+  cssVars?: CssVars;
+}
+
+declare const Icon: ({
+  name,
+  src,
+  manifest,
+  title,
+  cssVars,
+  ...rest
+}: IconProps) => JSX.Element;
+
+export default Icon;
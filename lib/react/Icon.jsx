@@ -0,0 +1,63 @@
+/**
+ * @typedef {import("../SpriteSheet.js").SpriteManifest} SpriteManifest
+ */
+
+/**
+ * @typedef {Object<string,string>} CssVars
+ */
+
+/**
+ * @typedef {Object} IconProps
+ * @extends React.SVGAttributes<SVGSVGElement>
+ *
+ * @property {string} name - name of the icon in the sprite sheet
+ * @property {string} [src=""] - url of the sprite sheet, empty when the sheet is inlined in the page
+ * @property {SpriteManifest} [manifest=undefined] - used to check the name and give the icon its intrinsic size
+ * @property {string} [title=undefined] - accessible label; icons without one are hidden from assistive technologies
+ * @property {CssVars} [cssVars=undefined]
+ */
+
+/**
+ * Renders an icon of a sprite sheet built with `SpriteSheet`, with <use href>
+ *
+ * @param {IconProps} props
+ *
+ * @returns {JSX.Element}
+ * @throws if the manifest does not have the icon
+ */
+export default function Icon({
+  name,
+  src = "",
+  manifest,
+  title,
+  cssVars,
+  style,
+  ...rest
+}) {
+  let id = name;
+  let size = {};
+  if (manifest) {
+    const entry = manifest.icons[name];
+    if (!entry) {
+      throw new Error(`Unknown icon: "${name}"`);
+    }
+    id = entry.id;
+    size = { width: entry.width, height: entry.height, viewBox: entry.viewBox };
+  }
+
+  const accessibility = title
+    ? { role: "img", "aria-label": title }
+    : { "aria-hidden": true, focusable: false };
+
+  return (
+    <svg
+      {...size}
+      {...accessibility}
+      style={cssVars ? { ...cssVars, ...style } : style}
+      {...rest}
+    >
+      {title ? <title>{title}</title> : null}
+      <use href={`${src}#${id}`} />
+    </svg>
+  );
+}
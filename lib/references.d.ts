@@ -0,0 +1,5 @@
+import SVGNode from "./SVGNode";
+
+export function renameReferences(root: SVGNode, ids: Map<string, string>): void;
+
+export function prefixIds(nodes: SVGNode[], prefix: string): void;
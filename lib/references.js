@@ -0,0 +1,111 @@
+/**
+ * References between elements, through `url(#id)` values and `#id` links
+ */
+
+/**
+ * @typedef {import("./SVGNode.js").default} SVGNode
+ */
+
+/**
+ * Attributes that reference other elements with a plain "#id"
+ */
+const hrefAttributes = ["href", "xlink:href"];
+
+/**
+ * Renames the `#id` selectors, @keyframes and animation names of a style sheet
+ *
+ * @param {string} css
+ * @param {Map<string,string>} ids - old name to new name
+ * @returns {string}
+ */
+function renameStyleReferences(css, ids) {
+  const renameName = (match, before, name) =>
+    ids.has(name) ? `${before}${ids.get(name)}` : match;
+  return (
+    css
+      // Selectors and at-rule preludes, the text before each block
+      .replace(/(^|[{};])([^{};]*)(?=\{)/g, (match, before, prelude) => {
+        if (/^\s*@keyframes\b/.test(prelude)) {
+          return `${before}${prelude.replace(
+            /(@keyframes\s+)([\w-]+)/,
+            renameName
+          )}`;
+        }
+        if (/^\s*@/.test(prelude)) {
+          return match;
+        }
+        return `${before}${prelude.replace(/(#)([\w-]+)/g, renameName)}`;
+      })
+      .replace(
+        /(\banimation(?:-name)?\s*:)([^;{}]*)/g,
+        (match, property, value) =>
+          `${property}${value.replace(
+            /(^|[\s,])([A-Za-z_][\w-]*)(?=$|[\s,])/g,
+            renameName
+          )}`
+      )
+  );
+}
+
+/**
+ * Rewrites the `url(#id)` and `#id` references of a node and its descendants,
+ * and the selectors and animation names of its <style> elements
+ *
+ * @param {SVGNode} root
+ * @param {Map<string,string>} ids - old id to new id, and old to new @keyframes names
+ */
+export function renameReferences(root, ids) {
+  const rename = (value) =>
+    typeof value === "string"
+      ? value.replace(
+          /url\(\s*#([^)\s]+)\s*\)/g,
+          (match, id) => (ids.has(id) ? `url(#${ids.get(id)})` : match)
+        )
+      : value;
+  for (const node of root.walk()) {
+    for (const [name, value] of Object.entries(node.attributes)) {
+      if (
+        hrefAttributes.includes(name) &&
+        typeof value === "string" &&
+        value.startsWith("#") &&
+        ids.has(value.slice(1))
+      ) {
+        node.attributes[name] = `#${ids.get(value.slice(1))}`;
+      } else {
+        node.attributes[name] = rename(value);
+      }
+    }
+    for (const [property, value] of Object.entries(node.style)) {
+      node.style[property] = rename(value);
+    }
+    if (node.tag === "style" && typeof node.text === "string") {
+      node.text = renameStyleReferences(node.text, ids);
+    }
+  }
+}
+
+/**
+ * Prefixes the ids of nodes and their descendants, and the references to them,
+ * so that content copied from another document cannot collide with the ids of this one
+ *
+ * @param {Array<SVGNode>} nodes
+ * @param {string} prefix - ids become `${prefix}-${id}`
+ */
+export function prefixIds(nodes, prefix) {
+  const ids = new Map();
+  for (const node of nodes) {
+    for (const descendant of node.walk()) {
+      if (descendant.id !== undefined && descendant.id !== null) {
+        ids.set(`${descendant.id}`, `${prefix}-${descendant.id}`);
+      }
+    }
+  }
+  for (const node of nodes) {
+    renameReferences(node, ids);
+    for (const descendant of node.walk()) {
+      if (ids.has(`${descendant.id}`)) {
+        descendant.id = ids.get(`${descendant.id}`);
+      }
+    }
+  }
+}
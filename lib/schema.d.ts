@@ -0,0 +1,45 @@
+import { ViewBox } from "./SVGBuilder";
+import { AnyTransform } from "./transform";
+import { Theme } from "./theme";
+
+export const DOCUMENT_FORMAT: "svg-designer";
+export const DOCUMENT_VERSION: number;
+
+export interface NodeData {
+  tag: string;
+  attributes?: Record<string, string | number | boolean | null>;
+  style?: Record<string, string | number>;
+  transform?: AnyTransform;
+  text?: string;
+  children?: NodeData[];
+}
+
+export interface GroupData {
+  path: number[];
+  nested: boolean;
+  filter?: object;
+}
+
+export interface DocumentData {
+  format: "svg-designer";
+  version: number;
+  width: number;
+  height: number;
+  viewBox: ViewBox;
+  vars: Record<string, string>;
+  themes: Record<string, Theme>;
+  themeScope?: string;
+  namespaces?: Record<string, string>;
+  defs: NodeData[];
+  elements: NodeData[];
+  groups: GroupData[];
+  cssAnimations: { selector: string; keyframes: string; value: string }[];
+  idMap: [string, string][];
+  uniqueIdCounter: number;
+}
+
+export const migrations: Record<number, (data: any) => any>;
+
+export function migrateDocument(data: any): DocumentData;
+
+export function validateNodeData(data: any, where: string): void;
@@ -0,0 +1,117 @@
+/**
+ * Versioned JSON schema of saved design documents
+ *
+ * A document saved by `SVGBuilder.toJSON` records the version of its schema.
+ * Older documents are upgraded one version at a time by the migrations below when loaded,
+ * so designs stored in files keep loading as the schema evolves.
+ */
+
+/**
+ * Marks the JSON as a design document
+ */
+export const DOCUMENT_FORMAT = "svg-designer";
+
+/**
+ * Version of the schema written by `SVGBuilder.toJSON`
+ */
+export const DOCUMENT_VERSION = 2;
+
+/**
+ * @typedef {Object} NodeData
+ * @property {string} tag
+ * @property {Object<string,string|number|boolean|null>} [attributes={}]
+ * @property {Object<string,string|number>} [style={}]
+ * @property {Object} [transform=undefined]
+ * @property {string} [text=undefined]
+ * @property {Array<NodeData>} [children=[]]
+ */
+
+/**
+ * @typedef {Object} GroupData
+ * @property {Array<number>} path - indices leading from the top-level elements to the <g> element
+ * @property {boolean} nested - whether the group is inside another group
+ * @property {Object} [filter=undefined] - settings of the filter applied to the group
+ */
+
+/**
+ * @typedef {Object} DocumentData
+ * @property {"svg-designer"} format
+ * @property {number} version - of the schema
+ * @property {number} width
+ * @property {number} height
+ * @property {{x: number, y: number, width: number, height: number}} viewBox
+ * @property {Object<string,string>} vars - default values of the CSS variables
+ * @property {Object<string,import("./theme.js").Theme>} themes - since version 2
+ * @property {string} [themeScope=undefined] - class of the root element declaring the variables, since version 2
+ * @property {Object<string,string>} [namespaces={}] - `xmlns:*` declarations of the root element
+ * @property {Array<NodeData>} defs - gradients, filters, clip paths, masks and patterns
+ * @property {Array<NodeData>} elements - paths, texts, images and groups, with their styles
+ * @property {Array<GroupData>} groups
+ * @property {Array<{selector: string, keyframes: string, value: string}>} cssAnimations
+ * @property {Array<[string,string]>} idMap - ids given to definitions, so they are reused after loading
+ * @property {number} uniqueIdCounter
+ */
+
+/**
+ * Upgrades of a document from each version to the next one
+ *
+ * @type {Object<number,(data: Object) => Object>}
+ */
+export const migrations = {
+  // Version 2 adds themes
+  1: (data) => ({ ...data, themes: {} }),
+};
+
+/**
+ * Upgrades saved document data to the current schema version
+ *
+ * @param {Object} data - parsed JSON of a document, left unchanged
+ * @returns {DocumentData}
+ * @throws if the data is not a design document, or was saved by a newer version
+ */
+export function migrateDocument(data) {
+  if (
+    typeof data !== "object" ||
+    data === null ||
+    data.format !== DOCUMENT_FORMAT
+  ) {
+    throw new Error(
+      `Not a design document: expected "format": "${DOCUMENT_FORMAT}"`
+    );
+  }
+  if (!Number.isInteger(data.version) || data.version < 1) {
+    throw new Error(`Invalid document version ${JSON.stringify(data.version)}`);
+  }
+  if (data.version > DOCUMENT_VERSION) {
+    throw new Error(
+      `Document version ${data.version} is newer than the supported version ${DOCUMENT_VERSION}`
+    );
+  }
+  let migrated = structuredClone(data);
+  while (migrated.version < DOCUMENT_VERSION) {
+    const migrate = migrations[migrated.version];
+    if (!migrate) {
+      throw new Error(
+        `No migration from document version ${migrated.version} to ${
+          migrated.version + 1
+        }`
+      );
+    }
+    migrated = { ...migrate(migrated), version: migrated.version + 1 };
+  }
+  return migrated;
+}
+
+/**
+ * @param {Object} data
+ * @param {string} where - name of the value, for error messages
+ * @throws if the value is not valid node data
+ */
+export function validateNodeData(data, where) {
+  if (typeof data !== "object" || data === null || typeof data.tag !== "string") {
+    throw new Error(`Invalid element at ${where}: expected an object with a tag`);
+  }
+  (data.children ?? []).forEach((child, i) =>
+    validateNodeData(child, `${where}.children[${i}]`)
+  );
+}
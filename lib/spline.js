@@ -2,10 +2,16 @@
  * A collection of utilities for handling splines and SVG path definitions
  */
 
+import PointMath from "./math/PointMath.js";
+
 /**
  * @typedef {[number,number]} Point
  */
 
+/**
+ * @typedef {import("./math/PointMath.js").PointLike} PointLike
+ */
+
 /**
  * @typedef {Array<Point>} Path
  */
@@ -31,7 +37,151 @@
  */
 
 /**
- * Decompose a path into a list of quadratic Bezier curves using the Catmull-Rom algorithm
+ * @typedef {"catmull-rom" | "cardinal" | "canonical" | "centripetal" | "chordal"} SplineMode
+ *
+ *     "catmull-rom" - uniform Catmull-Rom
+ *     "cardinal"    - cardinal spline (alias "canonical"), the uniform Catmull-Rom
+ *                     generalized to any tension
+ *     "centripetal" - Catmull-Rom with knots spaced by the square root of the chord lengths,
+ *                     which avoids cusps and self intersections on unevenly spaced points
+ *     "chordal"     - Catmull-Rom with knots spaced by the chord lengths
+ */
+
+/**
+ * @typedef {Object} SplineOptions
+ * @property {SplineMode} [mode="catmull-rom"]
+ * @property {boolean} [closed=false] -
+ *
+ *     Whether the spline loops from the last point back to the first
+ *     The tangents at the seam are computed from the wrapped neighbours, so the loop has no kink
+ */
+
+/**
+ * Knot parametrization exponent for each spline mode
+ *
+ * @type {Object<SplineMode,number>}
+ */
+const splineModeAlphas = {
+  "catmull-rom": 0,
+  cardinal: 0,
+  canonical: 0,
+  centripetal: 0.5,
+  chordal: 1,
+};
+
+/**
+ * Prepares the points of a spline and a function to look up neighbours
+ *
+ * Open splines repeat their end points, closed splines wrap around
+ *
+ * @param {Path} points
+ * @param {boolean} closed
+ * @returns {{points: Path, at: (i: number) => Point, segmentCount: number}}
+ */
+function getSplineNeighbourhood(points, closed) {
+  if (points.length === 0) {
+    throw new Error("At least 1 point required");
+  }
+  let pts = points;
+  if (closed && pts.length > 1) {
+    const first = pts[0];
+    const last = pts[pts.length - 1];
+    // A loop given with a repeated seam point would get a zero length segment
+    if (first[0] === last[0] && first[1] === last[1]) {
+      pts = pts.slice(0, -1);
+    }
+  }
+  const n = pts.length;
+  const at = closed
+    ? (i) => pts[((i % n) + n) % n]
+    : (i) => pts[Math.min(Math.max(i, 0), n - 1)];
+  return {
+    points: pts,
+    at,
+    segmentCount: n < 2 ? 0 : closed ? n : n - 1,
+  };
+}
+
+/**
+ * Decompose a path into a list of cubic Bezier curves using a cardinal (canonical) spline
+ *
+ * @param {Path} points -
+ *
+ *     The control points of the path
+ *     The spline will pass through all points
+ *
+ * @param {number} [tension=0.0]
+ *
+ *     Scales the tangents by (1 - tension)
+ *     0 = loose fit (Catmull-Rom)
+ *     1 = tight fit (straight line segments)
+ *
+ * @param {boolean} [closed=false] - whether the spline loops back to the first point
+ *
+ * @returns {SimplePathList}
+ */
+export function performCardinalSpline(points, tension = 0.0, closed = false) {
+  const { at, segmentCount } = getSplineNeighbourhood(points, closed);
+  const scale = (1.0 - tension) / 2;
+  let result = [];
+  for (let i = 0; i < segmentCount; i++) {
+    const p0 = at(i - 1);
+    const p1 = at(i);
+    const p2 = at(i + 1);
+    const p3 = at(i + 2);
+
+    const t1 = [(p2[0] - p0[0]) * scale, (p2[1] - p0[1]) * scale];
+    const t2 = [(p3[0] - p1[0]) * scale, (p3[1] - p1[1]) * scale];
+
+    result.push([
+      p1,
+      [p1[0] + t1[0] / 3, p1[1] + t1[1] / 3],
+      [p2[0] - t2[0] / 3, p2[1] - t2[1] / 3],
+      p2,
+    ]);
+  }
+  return result;
+}
+
+/**
+ * @param {Point} a
+ * @param {Point} b
+ * @param {number} alpha
+ * @returns {number} - the knot interval between two points
+ */
+function knotInterval(a, b, alpha) {
+  return Math.pow(Math.hypot(b[0] - a[0], b[1] - a[1]), alpha);
+}
+
+/**
+ * Tangent at p1 (scaled to the p1 -> p2 knot interval) of a non-uniform Catmull-Rom spline
+ *
+ * @param {Point} p0
+ * @param {Point} p1
+ * @param {Point} p2
+ * @param {number} d0 - knot interval p0 -> p1
+ * @param {number} d1 - knot interval p1 -> p2
+ * @param {number} segmentInterval - knot interval of the segment the tangent is used for
+ * @returns {Point}
+ */
+function nonUniformTangent(p0, p1, p2, d0, d1, segmentInterval) {
+  const epsilon = 1e-12;
+  if (d0 < epsilon || d1 < epsilon) {
+    // A repeated point (such as the end of an open spline) has no defined knot spacing,
+    // so fall back on the uniform tangent
+    return [(p2[0] - p0[0]) / 2, (p2[1] - p0[1]) / 2];
+  }
+  return [0, 1].map(
+    (k) =>
+      ((p1[k] - p0[k]) / d0 -
+        (p2[k] - p0[k]) / (d0 + d1) +
+        (p2[k] - p1[k]) / d1) *
+      segmentInterval
+  );
+}
+
+/**
+ * Decompose a path into a list of cubic Bezier curves using the Catmull-Rom algorithm
  *
  * @param {Path} points -
  *
@@ -44,34 +194,80 @@
  *     0 = loose fit
  *     1 = tight fit
  *
+ * @param {number} [alpha=0]
+ *
+ *     Knot parametrization
+ *     0 = uniform
+ *     0.5 = centripetal
+ *     1 = chordal
+ *
+ * @param {boolean} [closed=false] - whether the spline loops back to the first point
+ *
  * @returns {SimplePathList}
  */
-export function performCatmullRom(points, tension = 1.0) {
-  if (points.length === 0) {
-    throw new Error("At least 1 point required");
-  }
-  if (points.length < 4) {
-    return [points];
+export function performCatmullRom(
+  points,
+  tension = 1.0,
+  alpha = 0,
+  closed = false
+) {
+  if (alpha === 0) {
+    return performCardinalSpline(points, tension, closed);
   }
+  const { at, segmentCount } = getSplineNeighbourhood(points, closed);
   let result = [];
-  for (let i = 0; i < points.length - 1; i++) {
-    let p0 = points[Math.max(i - 1, 0)];
-    let p1 = points[i];
-    let p2 = points[i + 1];
-    let p3 = points[Math.min(i + 2, points.length - 1)];
-
-    let t1x = ((p2[0] - p0[0]) / 2) * (1.0 - tension);
-    let t1y = ((p2[1] - p0[1]) / 2) * (1.0 - tension);
-    let t2x = ((p3[0] - p1[0]) / 2) * (1.0 - tension);
-    let t2y = ((p3[1] - p1[1]) / 2) * (1.0 - tension);
-
-    let cp1 = [p1[0] + t1x / 3, p1[1] + t1y / 3];
-    let cp2 = [p2[0] - t2x / 3, p2[1] - t2y / 3];
-    result.push([p1, cp1, cp2, p2]);
+  for (let i = 0; i < segmentCount; i++) {
+    const p0 = at(i - 1);
+    const p1 = at(i);
+    const p2 = at(i + 1);
+    const p3 = at(i + 2);
+
+    const d0 = knotInterval(p0, p1, alpha);
+    const d1 = knotInterval(p1, p2, alpha);
+    const d2 = knotInterval(p2, p3, alpha);
+
+    const t1 = nonUniformTangent(p0, p1, p2, d0, d1, d1);
+    const t2 = nonUniformTangent(p1, p2, p3, d1, d2, d1);
+
+    result.push([
+      p1,
+      [
+        p1[0] + (t1[0] * (1.0 - tension)) / 3,
+        p1[1] + (t1[1] * (1.0 - tension)) / 3,
+      ],
+      [
+        p2[0] - (t2[0] * (1.0 - tension)) / 3,
+        p2[1] - (t2[1] * (1.0 - tension)) / 3,
+      ],
+      p2,
+    ]);
   }
   return result;
 }
 
+/**
+ * Decompose a path into a list of cubic Bezier curves using the requested spline mode
+ *
+ * @param {Path} points
+ * @param {number} [tension=1.0]
+ * @param {SplineOptions} [options={}]
+ * @returns {SimplePathList}
+ */
+export function performSpline(points, tension = 1.0, options = {}) {
+  const { mode = "catmull-rom", closed = false } = options;
+  if (!(mode in splineModeAlphas)) {
+    throw new Error(
+      `Unknown spline mode "${mode}". Expected one of: ${Object.keys(
+        splineModeAlphas
+      ).join(", ")}`
+    );
+  }
+  const alpha = splineModeAlphas[mode];
+  return alpha === 0
+    ? performCardinalSpline(points, tension, closed)
+    : performCatmullRom(points, tension, alpha, closed);
+}
+
 /**
  * Builds an SVG "d" string (using directives with absolute coordinates)
  * for a line segment, quadratic bezier, or cubic bezier
@@ -91,7 +287,7 @@ export function buildSimplePathDString(points, individual = true) {
     );
   }
 
-  let s = individual ? "M ${points[0][0]} ${points[0][1]} " : "";
+  let s = individual ? `M ${points[0][0]} ${points[0][1]} ` : "";
 
   switch (points.length) {
     case 2:
@@ -117,7 +313,7 @@ export function buildSimplePathDString(points, individual = true) {
 
 /**
  *
- * @param {Path} points
+ * @param {Array<PointLike>} path - tuples or {x, y} objects
  *
  * @param {number?} [tension=1.0] -
  *
@@ -125,16 +321,18 @@ export function buildSimplePathDString(points, individual = true) {
  *     0 = loose fit
  *     1 = tight fit
  *
+ * @param {SplineOptions} [options={}] - the spline mode, and whether the spline is a closed loop
+ *
  * @returns {string} - An SVG "d" string representing the spline
  */
-export function buildSplineDString(points, tension = 1.0) {
-  const decomposed = performCatmullRom(points, tension);
-  return (
-    `M ${points[0][0]} ${points[0][1]}` +
-    decomposed
-      .map((c) => {
-        return buildSimplePathDString(c, false);
-      })
-      .join(" ")
-  );
+export function buildSplineDString(path, tension = 1.0, options = {}) {
+  const points = PointMath.toPoints(path);
+  const decomposed = performSpline(points, tension, options);
+  return [
+    `M ${points[0][0]} ${points[0][1]}`,
+    ...decomposed.map((c) => {
+      return buildSimplePathDString(c, false);
+    }),
+    ...(options.closed ? ["Z"] : []),
+  ].join(" ");
 }
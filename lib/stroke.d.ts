@@ -0,0 +1,32 @@
+import { Point } from "./pathData";
+import { Polyline } from "./flatten";
+
+export type StrokeLinejoin = "miter" | "round" | "bevel";
+export type StrokeLinecap = "butt" | "round" | "square";
+
+export interface StrokeOptions {
+  width: number;
+  linejoin?: StrokeLinejoin;
+  linecap?: StrokeLinecap;
+  miterlimit?: number;
+  dasharray?: number[];
+  dashoffset?: number;
+  tolerance?: number;
+}
+
+export function getSignedArea(polygon: Point[]): number;
+
+export function parseDasharray(
+  value: string | number | number[] | undefined
+): number[];
+
+export function dashPolylines(
+  polylines: Polyline[],
+  dasharray: number[],
+  dashoffset?: number
+): Polyline[];
+
+export function strokePolylines(
+  polylines: Polyline[],
+  options: StrokeOptions
+): Point[][];
@@ -0,0 +1,347 @@
+/**
+ * Outlines of stroked polylines
+ *
+ * A stroke is described as a set of polygons (one per segment, join and cap)
+ * whose union is the painted area. Every polygon winds the same way,
+ * so filling them together with the nonzero rule paints the union.
+ */
+
+/**
+ * @typedef {import("./pathData.js").Point} Point
+ * @typedef {import("./flatten.js").Polyline} Polyline
+ */
+
+/**
+ * @typedef {"miter" | "round" | "bevel"} StrokeLinejoin
+ * @typedef {"butt" | "round" | "square"} StrokeLinecap
+ */
+
+/**
+ * @typedef {Object} StrokeOptions
+ * @property {number} width
+ * @property {StrokeLinejoin} [linejoin="miter"]
+ * @property {StrokeLinecap} [linecap="butt"]
+ * @property {number} [miterlimit=4]
+ * @property {Array<number>} [dasharray=[]] - lengths of alternating dashes and gaps, empty for a solid stroke
+ * @property {number} [dashoffset=0] - distance into the dash pattern at the start of each subpath
+ * @property {number} [tolerance=0.25] - largest distance allowed between round joins and caps and their polygons
+ */
+
+/**
+ * @param {Array<Point>} polygon
+ * @returns {number} - positive when the polygon winds counterclockwise in a y-up frame
+ */
+export function getSignedArea(polygon) {
+  let area = 0;
+  for (let i = 0; i < polygon.length; i++) {
+    const [x0, y0] = polygon[i];
+    const [x1, y1] = polygon[(i + 1) % polygon.length];
+    area += x0 * y1 - x1 * y0;
+  }
+  return area / 2;
+}
+
+/**
+ * @param {Array<Point>} polygon
+ * @returns {Array<Point>} - the polygon, winding the positive way
+ */
+function orient(polygon) {
+  return getSignedArea(polygon) < 0 ? polygon.reverse() : polygon;
+}
+
+/**
+ * @param {Point} center
+ * @param {number} radius
+ * @param {number} tolerance
+ * @returns {Array<Point>}
+ */
+function circlePolygon(center, radius, tolerance) {
+  const step = 2 * Math.acos(Math.max(0, 1 - tolerance / radius));
+  const count = Math.max(8, Math.ceil((2 * Math.PI) / (step || Math.PI)));
+  return Array.from({ length: count }, (_, i) => {
+    const theta = (2 * Math.PI * i) / count;
+    return [
+      center[0] + radius * Math.cos(theta),
+      center[1] + radius * Math.sin(theta),
+    ];
+  });
+}
+
+/**
+ * @param {Point} from
+ * @param {Point} to
+ * @returns {Point} - unit direction from one point to another
+ */
+function direction(from, to) {
+  const length = Math.hypot(to[0] - from[0], to[1] - from[1]);
+  return [(to[0] - from[0]) / length, (to[1] - from[1]) / length];
+}
+
+/**
+ * @param {Array<Point>} points
+ * @returns {Array<Point>} - the points without consecutive duplicates
+ */
+function removeDuplicatePoints(points) {
+  return points.filter(
+    (point, i) =>
+      i === 0 ||
+      point[0] !== points[i - 1][0] ||
+      point[1] !== points[i - 1][1]
+  );
+}
+
+/**
+ * @param {Array<Array<Point>>} polygons - receives the join
+ * @param {Point} point - the shared vertex
+ * @param {Point} d0 - direction of the incoming segment
+ * @param {Point} d1 - direction of the outgoing segment
+ * @param {number} halfWidth
+ * @param {Required<StrokeOptions>} options
+ */
+function addJoin(polygons, point, d0, d1, halfWidth, options) {
+  const cross = d0[0] * d1[1] - d0[1] * d1[0];
+  const dot = d0[0] * d1[0] + d0[1] * d1[1];
+  if (Math.abs(cross) < 1e-12 && dot > 0) {
+    // Straight continuation
+    return;
+  }
+  if (options.linejoin === "round") {
+    polygons.push(orient(circlePolygon(point, halfWidth, options.tolerance)));
+    return;
+  }
+  // The outer side of the turn
+  const side = cross > 0 ? -1 : 1;
+  const n0 = [-d0[1] * side, d0[0] * side];
+  const n1 = [-d1[1] * side, d1[0] * side];
+  const a = [point[0] + n0[0] * halfWidth, point[1] + n0[1] * halfWidth];
+  const b = [point[0] + n1[0] * halfWidth, point[1] + n1[1] * halfWidth];
+  const normalsDot = n0[0] * n1[0] + n0[1] * n1[1];
+  // Ratio of the miter length to the stroke width, 1 / sin(half the angle between the segments)
+  const miterRatio = 1 / Math.sqrt(Math.max(0, (1 + normalsDot) / 2));
+  if (options.linejoin === "miter" && miterRatio <= options.miterlimit) {
+    const scale = halfWidth / (1 + normalsDot);
+    const tip = [
+      point[0] + (n0[0] + n1[0]) * scale,
+      point[1] + (n0[1] + n1[1]) * scale,
+    ];
+    polygons.push(orient([point, a, tip, b]));
+  } else {
+    polygons.push(orient([point, a, b]));
+  }
+}
+
+/**
+ * @param {Array<Array<Point>>} polygons - receives the cap
+ * @param {Point} point - end of the polyline
+ * @param {Point} d - direction pointing out of the polyline
+ * @param {number} halfWidth
+ * @param {Required<StrokeOptions>} options
+ */
+function addCap(polygons, point, d, halfWidth, options) {
+  if (options.linecap === "round") {
+    polygons.push(orient(circlePolygon(point, halfWidth, options.tolerance)));
+  } else if (options.linecap === "square") {
+    const n = [-d[1] * halfWidth, d[0] * halfWidth];
+    const end = [point[0] + d[0] * halfWidth, point[1] + d[1] * halfWidth];
+    polygons.push(
+      orient([
+        [point[0] + n[0], point[1] + n[1]],
+        [end[0] + n[0], end[1] + n[1]],
+        [end[0] - n[0], end[1] - n[1]],
+        [point[0] - n[0], point[1] - n[1]],
+      ])
+    );
+  }
+}
+
+/**
+ * Reads the value of a stroke-dasharray attribute
+ *
+ * @param {string|number|Array<number>|undefined} value - such as "4 2", "4,2" or "none"
+ * @returns {Array<number>} - empty for a solid stroke, including when the value is invalid
+ */
+export function parseDasharray(value) {
+  if (Array.isArray(value)) {
+    return value;
+  }
+  if (value === undefined || value === null || `${value}`.trim() === "none") {
+    return [];
+  }
+  const lengths = `${value}`
+    .trim()
+    .split(/[\s,]+/)
+    .map((length) => parseFloat(length));
+  return lengths.every((length) => length >= 0) ? lengths : [];
+}
+
+/**
+ * Splits polylines into the dashes of a dash pattern
+ *
+ * As in SVG, an odd number of lengths is repeated to make an even one,
+ * and the pattern restarts at each subpath
+ *
+ * @param {Array<Polyline>} polylines
+ * @param {Array<number>} dasharray
+ * @param {number} [dashoffset=0]
+ * @returns {Array<Polyline>} - open polylines, one per dash; the input when the pattern is solid
+ */
+export function dashPolylines(polylines, dasharray, dashoffset = 0) {
+  const pattern =
+    dasharray.length % 2 === 1 ? [...dasharray, ...dasharray] : dasharray;
+  const patternLength = pattern.reduce((sum, length) => sum + length, 0);
+  if (
+    !pattern.length ||
+    pattern.some((length) => !(length >= 0)) ||
+    !(patternLength > 0)
+  ) {
+    return polylines;
+  }
+  const dashes = [];
+  for (const polyline of polylines) {
+    const points = polyline.closed
+      ? [...polyline.points, polyline.points[0]]
+      : polyline.points;
+    // Position in the pattern, as an index and the distance left in that entry
+    let offset = dashoffset % patternLength;
+    if (offset < 0) {
+      offset += patternLength;
+    }
+    let index = 0;
+    while (
+      offset > pattern[index] ||
+      (offset === pattern[index] && pattern[index] > 0)
+    ) {
+      offset -= pattern[index];
+      index = (index + 1) % pattern.length;
+    }
+    let remaining = pattern[index] - offset;
+    let dash = index % 2 === 0 ? { points: [points[0]], closed: false } : null;
+    for (let i = 1; i < points.length; i++) {
+      const start = points[i - 1];
+      const end = points[i];
+      const length = Math.hypot(end[0] - start[0], end[1] - start[1]);
+      let travelled = 0;
+      while (length - travelled > remaining) {
+        travelled += remaining;
+        const t = travelled / length;
+        const point = [
+          start[0] + (end[0] - start[0]) * t,
+          start[1] + (end[1] - start[1]) * t,
+        ];
+        if (dash) {
+          dash.points.push(point);
+          dashes.push(dash);
+          dash = null;
+        } else {
+          dash = { points: [point], closed: false };
+        }
+        index = (index + 1) % pattern.length;
+        remaining = pattern[index];
+      }
+      remaining -= length - travelled;
+      if (dash) {
+        dash.points.push(end);
+      }
+    }
+    if (dash) {
+      dashes.push(dash);
+    }
+  }
+  return dashes;
+}
+
+/**
+ * Computes the polygons covering the stroke of polylines
+ *
+ * @param {Array<Polyline>} polylines
+ * @param {StrokeOptions} options
+ * @returns {Array<Array<Point>>} - polygons to fill with the nonzero rule
+ */
+export function strokePolylines(polylines, options) {
+  /**
+   * @type {Required<StrokeOptions>}
+   */
+  const resolved = {
+    linejoin: "miter",
+    linecap: "butt",
+    miterlimit: 4,
+    dasharray: [],
+    dashoffset: 0,
+    tolerance: 0.25,
+    ...options,
+  };
+  const halfWidth = resolved.width / 2;
+  const polygons = [];
+  if (!(halfWidth > 0)) {
+    return polygons;
+  }
+  for (const polyline of dashPolylines(
+    polylines,
+    resolved.dasharray,
+    resolved.dashoffset
+  )) {
+    const points = removeDuplicatePoints(polyline.points);
+    if (polyline.closed && points.length > 1) {
+      const [first, last] = [points[0], points[points.length - 1]];
+      if (first[0] === last[0] && first[1] === last[1]) {
+        points.pop();
+      }
+    }
+    if (points.length === 1) {
+      // A zero length subpath only shows its caps, which face along the x axis
+      addCap(polygons, points[0], [1, 0], halfWidth, resolved);
+      if (resolved.linecap === "square") {
+        addCap(polygons, points[0], [-1, 0], halfWidth, resolved);
+      }
+      continue;
+    }
+    const segmentCount = polyline.closed ? points.length : points.length - 1;
+    const directions = [];
+    for (let i = 0; i < segmentCount; i++) {
+      const a = points[i];
+      const b = points[(i + 1) % points.length];
+      const d = direction(a, b);
+      const n = [-d[1] * halfWidth, d[0] * halfWidth];
+      directions.push(d);
+      polygons.push(
+        orient([
+          [a[0] + n[0], a[1] + n[1]],
+          [b[0] + n[0], b[1] + n[1]],
+          [b[0] - n[0], b[1] - n[1]],
+          [a[0] - n[0], a[1] - n[1]],
+        ])
+      );
+    }
+    for (let i = 1; i < segmentCount; i++) {
+      addJoin(
+        polygons,
+        points[i],
+        directions[i - 1],
+        directions[i],
+        halfWidth,
+        resolved
+      );
+    }
+    if (polyline.closed) {
+      addJoin(
+        polygons,
+        points[0],
+        directions[segmentCount - 1],
+        directions[0],
+        halfWidth,
+        resolved
+      );
+    } else {
+      const lastDirection = directions[segmentCount - 1];
+      addCap(
+        polygons,
+        points[0],
+        [-directions[0][0], -directions[0][1]],
+        halfWidth,
+        resolved
+      );
+      addCap(polygons, points[points.length - 1], lastDirection, halfWidth, resolved);
+    }
+  }
+  return polygons;
+}
@@ -0,0 +1,50 @@
+import { Font } from "opentype.js";
+
+export type TextAnchor = "start" | "middle" | "end";
+
+export type TextBaseline =
+  | "alphabetic"
+  | "middle"
+  | "central"
+  | "hanging"
+  | "text-top"
+  | "text-bottom";
+
+export interface TextOptions {
+  fontFamily?: string;
+  fontSize?: number;
+  anchor?: TextAnchor;
+  baseline?: TextBaseline;
+  font?: Font;
+  startOffset?: number | string;
+}
+
+export function loadFont(source: string | Buffer | ArrayBuffer): Font;
+
+export function getFontFamily(font: Font): string | undefined;
+
+export function measureText(
+  font: Font,
+  content: string,
+  fontSize?: number
+): number;
+
+export function getBaselineShift(
+  font: Font,
+  baseline?: TextBaseline,
+  fontSize?: number
+): number;
+
+export function textToPathData(
+  font: Font,
+  content: string,
+  position: { x: number; y: number },
+  options?: TextOptions
+): string;
+
+export function textOnPathToPathData(
+  font: Font,
+  content: string,
+  d: string,
+  options?: TextOptions
+): string;
@@ -0,0 +1,313 @@
+/**
+ * Text layout with font files
+ *
+ * Glyphs converted to outlines render the same everywhere, whatever fonts are installed,
+ * and can be measured like any other path
+ */
+
+import fs from "node:fs";
+import opentype from "opentype.js";
+import { flattenPathData } from "./flatten.js";
+import { serializePathData } from "./pathData.js";
+import { transformPathData } from "./transform.js";
+
+/**
+ * @typedef {import("opentype.js").Font} Font
+ * @typedef {import("./pathData.js").Point} Point
+ */
+
+/**
+ * @typedef {"start"|"middle"|"end"} TextAnchor
+ */
+
+/**
+ * @typedef {"alphabetic"|"middle"|"central"|"hanging"|"text-top"|"text-bottom"} TextBaseline
+ */
+
+/**
+ * @typedef {Object} TextOptions
+ * @property {string} [fontFamily=undefined] - CSS font family of <text> elements, defaults to the family of `font`
+ * @property {number} [fontSize=16]
+ * @property {TextAnchor} [anchor="start"] - which part of the text is at the position
+ * @property {TextBaseline} [baseline="alphabetic"] - which line of the text is at the position
+ * @property {Font} [font=undefined] - converts the text to outlines of the glyphs of this font
+ * @property {number|string} [startOffset=0] - for text on a path, distance along the path or a percentage of its length
+ */
+
+/**
+ * Distance between points of curves turned to polylines to lay glyphs on them
+ */
+const PATH_TOLERANCE = 0.05;
+
+/**
+ * Decimals kept in the coordinates of outlines
+ */
+const OUTLINE_PRECISION = 3;
+
+/**
+ * Reads a TrueType, OpenType or WOFF font
+ *
+ * @param {string|Buffer|ArrayBuffer} source - path of a font file, or its content
+ * @returns {Font}
+ * @throws if the file cannot be read or is not a supported font
+ */
+export function loadFont(source) {
+  const name = typeof source === "string" ? source : "font data";
+  try {
+    const data = typeof source === "string" ? fs.readFileSync(source) : source;
+    const buffer =
+      data instanceof ArrayBuffer
+        ? data
+        : data.buffer.slice(data.byteOffset, data.byteOffset + data.byteLength);
+    return opentype.parse(buffer);
+  } catch (error) {
+    throw new Error(`Cannot load font from ${name}: ${error.message}`);
+  }
+}
+
+/**
+ * @param {Font} font
+ * @returns {string|undefined} - family name of the font, in English when available
+ */
+export function getFontFamily(font) {
+  const names = font.names.fontFamily;
+  return names ? names.en ?? Object.values(names)[0] : undefined;
+}
+
+/**
+ * @param {Font} font
+ * @param {string} content
+ * @param {number} [fontSize=16]
+ * @returns {number} - advance width of the text, kerning included
+ */
+export function measureText(font, content, fontSize = 16) {
+  return font.getAdvanceWidth(content, fontSize);
+}
+
+/**
+ * Distance from a baseline to the alphabetic baseline of the glyphs
+ *
+ * @param {Font} font
+ * @param {TextBaseline} [baseline="alphabetic"]
+ * @param {number} [fontSize=16]
+ * @returns {number} - positive when the glyphs move down
+ */
+export function getBaselineShift(font, baseline = "alphabetic", fontSize = 16) {
+  const scale = fontSize / font.unitsPerEm;
+  const os2 = font.tables.os2 ?? {};
+  const xHeight = os2.sxHeight || font.unitsPerEm * 0.5;
+  const capHeight = os2.sCapHeight || font.unitsPerEm * 0.7;
+  switch (baseline) {
+    case "alphabetic":
+      return 0;
+    case "middle":
+      return (xHeight / 2) * scale;
+    case "central":
+      return ((font.ascender + font.descender) / 2) * scale;
+    case "hanging":
+      return capHeight * scale;
+    case "text-top":
+      return font.ascender * scale;
+    case "text-bottom":
+      return font.descender * scale;
+    default:
+      throw new Error(`Unknown text baseline "${baseline}"`);
+  }
+}
+
+/**
+ * @param {TextAnchor} anchor
+ * @param {number} width
+ * @returns {number} - distance from the anchor to the start of the text
+ */
+function getAnchorShift(anchor = "start", width) {
+  switch (anchor) {
+    case "start":
+      return 0;
+    case "middle":
+      return -width / 2;
+    case "end":
+      return -width;
+    default:
+      throw new Error(`Unknown text anchor "${anchor}"`);
+  }
+}
+
+/**
+ * @param {Array<import("./pathData.js").SVGCommand>} commands
+ * @returns {string}
+ */
+function serializeRounded(commands) {
+  const factor = 10 ** OUTLINE_PRECISION;
+  return serializePathData(
+    commands.map(({ name, args }) => ({
+      name,
+      args: args.map((value) => Math.round(value * factor) / factor),
+    }))
+  );
+}
+
+/**
+ * Converts a line of text to the outlines of its glyphs
+ *
+ * @param {Font} font
+ * @param {string} content
+ * @param {{x: number, y: number}} position
+ * @param {TextOptions} [options={}]
+ * @returns {string} - path data, empty when there is nothing to draw
+ */
+export function textToPathData(font, content, position, options = {}) {
+  const { fontSize = 16, anchor, baseline } = options;
+  const x =
+    position.x + getAnchorShift(anchor, measureText(font, content, fontSize));
+  const y = position.y + getBaselineShift(font, baseline, fontSize);
+  return serializeRounded(
+    font.getPath(content, x, y, fontSize).commands.map(toSVGCommand)
+  );
+}
+
+/**
+ * @param {import("opentype.js").PathCommand} command
+ * @returns {import("./pathData.js").SVGCommand}
+ */
+function toSVGCommand(command) {
+  switch (command.type) {
+    case "M":
+    case "L":
+      return { name: command.type, args: [command.x, command.y] };
+    case "Q":
+      return {
+        name: "Q",
+        args: [command.x1, command.y1, command.x, command.y],
+      };
+    case "C":
+      return {
+        name: "C",
+        args: [
+          command.x1,
+          command.y1,
+          command.x2,
+          command.y2,
+          command.x,
+          command.y,
+        ],
+      };
+    default:
+      return { name: "Z", args: [] };
+  }
+}
+
+/**
+ * A path measured along its length
+ *
+ * @typedef {Object} MeasuredPath
+ * @property {Array<Point>} points
+ * @property {Array<number>} lengths - distance from the start of the path to each point
+ */
+
+/**
+ * @param {string} d
+ * @returns {MeasuredPath} - the first subpath of the path data, as text follows only one
+ */
+function measurePath(d) {
+  const [polyline] = flattenPathData(d, PATH_TOLERANCE);
+  if (!polyline) {
+    return { points: [], lengths: [] };
+  }
+  const points = polyline.closed
+    ? [...polyline.points, polyline.points[0]]
+    : polyline.points;
+  const lengths = [0];
+  for (let i = 1; i < points.length; i++) {
+    lengths.push(
+      lengths[i - 1] +
+        Math.hypot(points[i][0] - points[i - 1][0], points[i][1] - points[i - 1][1])
+    );
+  }
+  return { points, lengths };
+}
+
+/**
+ * @param {MeasuredPath} path
+ * @param {number} distance
+ * @returns {{point: Point, angle: number}|null} - null when the distance is off the path
+ */
+function getPointAtLength(path, distance) {
+  const { points, lengths } = path;
+  if (points.length < 2 || distance < 0 || distance > lengths[lengths.length - 1]) {
+    return null;
+  }
+  let i = 1;
+  while (i < lengths.length - 1 && lengths[i] < distance) {
+    i++;
+  }
+  const [a, b] = [points[i - 1], points[i]];
+  const segmentLength = lengths[i] - lengths[i - 1];
+  const t = segmentLength ? (distance - lengths[i - 1]) / segmentLength : 0;
+  return {
+    point: [a[0] + (b[0] - a[0]) * t, a[1] + (b[1] - a[1]) * t],
+    angle: Math.atan2(b[1] - a[1], b[0] - a[0]),
+  };
+}
+
+/**
+ * @param {number|string} [startOffset=0]
+ * @param {number} totalLength
+ * @returns {number}
+ */
+function resolveStartOffset(startOffset = 0, totalLength) {
+  if (typeof startOffset === "string" && startOffset.trim().endsWith("%")) {
+    return (parseFloat(startOffset) / 100) * totalLength;
+  }
+  return parseFloat(startOffset) || 0;
+}
+
+/**
+ * Converts text following a path to the outlines of its glyphs
+ *
+ * As with <textPath>, each glyph is rotated to the direction of the path at its middle,
+ * and glyphs whose middle falls off the path are not drawn
+ *
+ * @param {Font} font
+ * @param {string} content
+ * @param {string} d - path data to follow; only the first subpath is used
+ * @param {TextOptions} [options={}]
+ * @returns {string} - path data, empty when there is nothing to draw
+ */
+export function textOnPathToPathData(font, content, d, options = {}) {
+  const { fontSize = 16, anchor, baseline, startOffset } = options;
+  const path = measurePath(d);
+  const totalLength = path.lengths[path.lengths.length - 1] ?? 0;
+  const scale = fontSize / font.unitsPerEm;
+  const baselineShift = getBaselineShift(font, baseline, fontSize);
+  const glyphs = font.stringToGlyphs(content);
+
+  let distance =
+    resolveStartOffset(startOffset, totalLength) +
+    getAnchorShift(anchor, measureText(font, content, fontSize));
+  const commands = [];
+  glyphs.forEach((glyph, i) => {
+    const advance = (glyph.advanceWidth ?? 0) * scale;
+    const placement = getPointAtLength(path, distance + advance / 2);
+    if (placement) {
+      const { point, angle } = placement;
+      const [cos, sin] = [Math.cos(angle), Math.sin(angle)];
+      const glyphPath = glyph.getPath(-advance / 2, baselineShift, fontSize);
+      commands.push(
+        ...transformPathData(glyphPath.commands.map(toSVGCommand), [
+          cos,
+          sin,
+          -sin,
+          cos,
+          point[0],
+          point[1],
+        ])
+      );
+    }
+    distance += advance;
+    if (i < glyphs.length - 1) {
+      distance += font.getKerningValue(glyph, glyphs[i + 1]) * scale;
+    }
+  });
+  return serializeRounded(commands);
+}
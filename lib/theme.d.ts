@@ -0,0 +1,44 @@
+import SVGNode from "./SVGNode";
+
+export interface ThemeOptions {
+  colorScheme?: "light" | "dark";
+}
+
+export interface Theme {
+  vars: Record<string, string>;
+  colorScheme?: "light" | "dark";
+}
+
+export interface UndefinedVar {
+  name: string;
+  node: SVGNode | undefined;
+  property: string;
+}
+
+export function resolveVars(value: string, vars: Record<string, string>): string;
+
+export function getThemeClass(name: string): string;
+
+export function checkThemeName(name: string): void;
+
+export function checkVarNames(vars: Record<string, string>, where: string): void;
+
+export function checkVarValues(vars: Record<string, string>, where: string): void;
+
+export function getDefaultThemeScope(
+  vars: Record<string, string>,
+  themes: Record<string, Theme>
+): string;
+
+export function createThemeStyleElement(
+  scope: string,
+  vars: Record<string, string>,
+  themes?: Record<string, Theme>
+): SVGNode;
+
+export function findUndefinedVars(
+  roots: SVGNode[],
+  vars: Record<string, string>
+): UndefinedVar[];
+
+export function replaceVars(root: SVGNode, vars: Record<string, string>): SVGNode;
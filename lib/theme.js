@@ -0,0 +1,299 @@
+/**
+ * Themes: named sets of values for the CSS variables of a document
+ *
+ * Variables are declared on a class of the root <svg> element rather than on `:root`,
+ * so a document inlined in a page does not change the variables of the page.
+ * A theme applies when the root element or one of its ancestors has the class `theme-<name>`,
+ * and a theme with a color scheme also applies when the viewer prefers that scheme
+ */
+
+import SVGNode from "./SVGNode.js";
+
+/**
+ * @typedef {Object} ThemeOptions
+ * @property {"light"|"dark"} [colorScheme=undefined] -
+ *
+ *     applies the theme when the viewer prefers this color scheme,
+ *     unless another theme is selected with its class
+ */
+
+/**
+ * @typedef {Object} Theme
+ * @property {Object<string,string>} vars - values replacing the default ones
+ * @property {"light"|"dark"} [colorScheme=undefined]
+ */
+
+/**
+ * @typedef {Object} UndefinedVar
+ * @property {string} name - of the variable, such as "--primary"
+ * @property {SVGNode|undefined} node - element using the variable, undefined for the value of another variable
+ * @property {string} property - attribute, style property or variable using the variable
+ */
+
+/**
+ * @typedef {Object} VarReference
+ * @property {number} start - index of "var(" in the value
+ * @property {number} end - index after the closing parenthesis
+ * @property {string} name - of the variable
+ * @property {string|undefined} fallback - undefined without a fallback
+ */
+
+/**
+ * Finds the `var(--name, fallback)` references of a value, not those nested in a fallback
+ *
+ * Fallbacks can hold functions, such as `var(--shadow, rgb(0 0 0))`, so parentheses are counted
+ *
+ * @param {string} value
+ * @returns {Array<VarReference>} - in order; a reference left unclosed is ignored
+ */
+function findVarReferences(value) {
+  const references = [];
+  const start = /var\(\s*(--[\w-]+)\s*(,)?/g;
+  let match;
+  while ((match = start.exec(value))) {
+    let depth = 1;
+    let end = start.lastIndex;
+    for (; end < value.length && depth > 0; end++) {
+      if (value[end] === "(") {
+        depth++;
+      } else if (value[end] === ")") {
+        depth--;
+      }
+    }
+    if (depth > 0) {
+      break;
+    }
+    references.push({
+      start: match.index,
+      end,
+      name: match[1],
+      fallback: match[2]
+        ? value.slice(start.lastIndex, end - 1).trim()
+        : undefined,
+    });
+    start.lastIndex = end;
+  }
+  return references;
+}
+
+/**
+ * Replaces `var(--name, fallback)` references with the values of the variables
+ *
+ * @param {string} value
+ * @param {Object<string,string>} vars
+ * @returns {string}
+ */
+export function resolveVars(value, vars) {
+  // Variables can refer to other variables
+  for (let depth = 0; depth < 16; depth++) {
+    const references = findVarReferences(value);
+    if (!references.length) {
+      break;
+    }
+    let resolved = "";
+    let position = 0;
+    for (const { start, end, name, fallback } of references) {
+      resolved +=
+        value.slice(position, start) + (vars[name] ?? fallback ?? "");
+      position = end;
+    }
+    value = resolved + value.slice(position);
+  }
+  return value;
+}
+
+/**
+ * @param {string} name
+ * @returns {string} - class selecting the theme
+ */
+export function getThemeClass(name) {
+  return `theme-${name}`;
+}
+
+/**
+ * @param {string} name
+ * @throws if the name cannot be part of a class name
+ */
+export function checkThemeName(name) {
+  if (typeof name !== "string" || !/^[A-Za-z0-9_-]+$/.test(name)) {
+    throw new Error(
+      `Invalid theme name ${JSON.stringify(name)}: use letters, digits, "-" and "_"`
+    );
+  }
+}
+
+/**
+ * @param {Object<string,string>} vars
+ * @param {string} where - what sets the variables, for errors
+ * @throws if a name does not start with "--"
+ */
+export function checkVarNames(vars, where) {
+  for (const name of Object.keys(vars)) {
+    if (!/^--[\w-]+$/.test(name)) {
+      throw new Error(
+        `Invalid CSS variable name "${name}" in ${where}: names start with "--"`
+      );
+    }
+  }
+}
+
+/**
+ * @param {Object<string,string>} vars
+ * @param {string} where - what sets the variables, for errors
+ * @throws if a value would end the declaration of the variable, or the <style> element once inlined in HTML
+ */
+export function checkVarValues(vars, where) {
+  for (const [name, value] of Object.entries(vars)) {
+    if (
+      (typeof value !== "string" && typeof value !== "number") ||
+      /[;{}<]/.test(`${value}`) ||
+      !`${value}`.trim()
+    ) {
+      throw new Error(
+        `Invalid value ${JSON.stringify(value)} of CSS variable "${name}" in ${where}: expected a non-empty value without ";", "{", "}" or "<"`
+      );
+    }
+  }
+}
+
+/**
+ * Class of the root element declaring the variables, derived from their values
+ *
+ * Documents with the same variables and themes share the class, which is harmless,
+ * while different documents inlined in the same page do not override each other
+ *
+ * @param {Object<string,string>} vars
+ * @param {Object<string,Theme>} themes
+ * @returns {string}
+ */
+export function getDefaultThemeScope(vars, themes) {
+  // FNV-1a
+  let hash = 0x811c9dc5;
+  for (const char of JSON.stringify([vars, themes])) {
+    hash = Math.imul(hash ^ char.charCodeAt(0), 0x01000193);
+  }
+  return `sd-${(hash >>> 0).toString(36)}`;
+}
+
+/**
+ * @param {string} selector
+ * @param {Object<string,string>} vars
+ * @param {string} [indent="    "]
+ * @returns {string}
+ */
+function createVarsRule(selector, vars, indent = "    ") {
+  return `${indent}${selector} {
+${Object.entries(vars)
+  .map(([key, value]) => `${indent}    ${key}: ${value};`)
+  .join("\n")}
+${indent}}`;
+}
+
+/**
+ * Creates the <style> element declaring the default variables and the themes
+ *
+ * @param {string} scope - class of the root element
+ * @param {Object<string,string>} vars - default values
+ * @param {Object<string,Theme>} [themes={}]
+ * @returns {SVGNode}
+ */
+export function createThemeStyleElement(scope, vars, themes = {}) {
+  const rules = [createVarsRule(`.${scope}`, vars)];
+  // Preferred color schemes come before the classes, so a selected theme wins
+  for (const theme of Object.values(themes)) {
+    if (theme.colorScheme) {
+      rules.push(`    @media (prefers-color-scheme: ${theme.colorScheme}) {
+${createVarsRule(`.${scope}`, theme.vars, "      ")}
+    }`);
+    }
+  }
+  for (const [name, theme] of Object.entries(themes)) {
+    const themeClass = getThemeClass(name);
+    rules.push(
+      createVarsRule(
+        `.${scope}.${themeClass}, .${themeClass} .${scope}`,
+        theme.vars
+      )
+    );
+  }
+  return new SVGNode("style").setText(`
+${rules.join("\n")}
+`);
+}
+
+/**
+ * @param {string} value
+ * @returns {Array<string>} - names of the variables used without a fallback
+ */
+function getRequiredVars(value) {
+  // Variables in a fallback are required by the fallback itself
+  return findVarReferences(`${value}`).flatMap(({ name, fallback }) =>
+    fallback === undefined ? [name] : getRequiredVars(fallback)
+  );
+}
+
+/**
+ * Lists the variables used by a document but not defined
+ *
+ * References with a fallback, `var(--name, fallback)`, are always defined
+ *
+ * @param {Array<SVGNode>} roots
+ * @param {Object<string,string>} vars - the values in effect
+ * @returns {Array<UndefinedVar>}
+ */
+export function findUndefinedVars(roots, vars) {
+  const undefinedVars = [];
+  for (const [property, value] of Object.entries(vars)) {
+    for (const name of getRequiredVars(value)) {
+      if (!(name in vars)) {
+        undefinedVars.push({ name, node: undefined, property });
+      }
+    }
+  }
+  for (const root of roots) {
+    for (const node of root.walk()) {
+      const values = [
+        ...Object.entries(node.attributes),
+        ...Object.entries(node.style),
+      ];
+      for (const [property, value] of values) {
+        if (typeof value !== "string") {
+          continue;
+        }
+        for (const name of getRequiredVars(value)) {
+          if (!(name in vars)) {
+            undefinedVars.push({ name, node, property });
+          }
+        }
+      }
+    }
+  }
+  return undefinedVars;
+}
+
+/**
+ * Replaces the variables of a node and its descendants with their values,
+ * in attributes, style declarations and <style> elements
+ *
+ * @param {SVGNode} root
+ * @param {Object<string,string>} vars
+ * @returns {SVGNode} - the root
+ */
+export function replaceVars(root, vars) {
+  const replace = (value) =>
+    typeof value === "string" && value.includes("var(")
+      ? resolveVars(value, vars).trim()
+      : value;
+  for (const node of root.walk()) {
+    for (const [name, value] of Object.entries(node.attributes)) {
+      node.attributes[name] = replace(value);
+    }
+    for (const [property, value] of Object.entries(node.style)) {
+      node.style[property] = replace(value);
+    }
+    if (node.tag === "style" && node.text !== undefined) {
+      node.text = resolveVars(node.text, vars);
+    }
+  }
+  return root;
+}
@@ -0,0 +1,107 @@
+import { SVGCommand } from "./pathData";
+
+export type TransformOrigin = "center" | [number, number];
+
+export type TransformStep = "translate" | "scale" | "rotate" | "skewX" | "skewY";
+
+export interface Transform {
+  translateX: number;
+  translateY: number;
+  scaleX: number;
+  scaleY: number;
+  rotateDegrees: number;
+  transformOrigin: TransformOrigin;
+  skewXDegrees?: number;
+  skewYDegrees?: number;
+  order?: TransformStep[];
+}
+
+export interface MatrixTransform {
+  matrix: Matrix;
+  transformOrigin?: TransformOrigin;
+}
+
+export type AnyTransform = Transform | MatrixTransform;
+
+type Bounds = { x: number; y: number; width: number; height: number };
+
+export function transformOriginToString(origin: TransformOrigin): string;
+
+export function createTransform(
+  translateX?: number,
+  translateY?: number,
+  scaleX?: number,
+  scaleY?: number,
+  rotateDegrees?: number,
+  transformOrigin?: TransformOrigin,
+  options?: {
+    skewXDegrees?: number;
+    skewYDegrees?: number;
+    order?: TransformStep[];
+  }
+): Transform;
+
+export function createMatrixTransform(
+  matrix: Matrix,
+  transformOrigin?: TransformOrigin
+): MatrixTransform;
+
+export function resolveTransformOrigin<T extends AnyTransform>(
+  transform: T,
+  bounds?: Bounds
+): T;
+
+export function matrixToString(matrix: Matrix): string;
+
+export function compileTransform(transform: AnyTransform, bounds?: Bounds): string;
+
+export type Matrix = [number, number, number, number, number, number];
+
+export const IDENTITY_MATRIX: Matrix;
+
+export function multiplyMatrices(m1: Matrix, m2: Matrix): Matrix;
+
+export function applyMatrixToPoint(
+  matrix: Matrix,
+  point: [number, number]
+): [number, number];
+
+export function invertMatrix(matrix: Matrix): Matrix | null;
+
+export function transformPathData(
+  pathData: string | SVGCommand[],
+  matrix: Matrix
+): SVGCommand[];
+
+export function getPointsBoundingBox(
+  points: [number, number][]
+): { x: number; y: number; width: number; height: number } | null;
+
+export function applyMatrixToBoundingBox(
+  matrix: Matrix,
+  box: { x: number; y: number; width: number; height: number }
+): { x: number; y: number; width: number; height: number };
+
+export function transformToMatrix(
+  transform: AnyTransform | undefined,
+  bounds?: Bounds
+): Matrix;
+
+export function invertTransform(
+  transform: AnyTransform,
+  bounds?: Bounds
+): MatrixTransform | null;
+
+export function translateMatrix(tx: number, ty?: number): Matrix;
+
+export function scaleMatrix(sx: number, sy?: number): Matrix;
+
+export function rotateMatrix(degrees: number, cx?: number, cy?: number): Matrix;
+
+export function skewXMatrix(degrees: number): Matrix;
+
+export function skewYMatrix(degrees: number): Matrix;
+
+export function composeMatrices(...matrices: Matrix[]): Matrix;
+
+export function parseTransformAttribute(value: string): Matrix;
@@ -0,0 +1,535 @@
+/**
+ * Utilities for describing and compiling element transforms
+ *
+ * Transforms are either a translate, scale, rotate and skew description,
+ * or any affine matrix, such as one composed from the matrix helpers below
+ */
+
+import { absolutizePath, arcToCubicBeziers } from "./pathData.js";
+
+/**
+ * A point of the element, or the center of its bounding box
+ *
+ * @typedef {"center" | [number, number]} TransformOrigin
+ */
+
+/**
+ * @typedef {"translate"|"scale"|"rotate"|"skewX"|"skewY"} TransformStep
+ */
+
+/**
+ * @typedef {Object} Transform
+ * @property {number} translateX
+ * @property {number} translateY
+ * @property {number} scaleX
+ * @property {number} scaleY
+ * @property {number} rotateDegrees
+ * @property {TransformOrigin} transformOrigin - center of the rotation and skews
+ * @property {number} [skewXDegrees=0]
+ * @property {number} [skewYDegrees=0]
+ * @property {Array<TransformStep>} [order=["translate","scale","rotate","skewX","skewY"]] -
+ *
+ *     steps applied, in the order of a transform attribute where the last step is applied first
+ */
+
+/**
+ * An affine matrix applied around an origin
+ *
+ * @typedef {Object} MatrixTransform
+ * @property {Matrix} matrix
+ * @property {TransformOrigin} [transformOrigin=[0, 0]]
+ */
+
+const defaultOrder = ["translate", "scale", "rotate", "skewX", "skewY"];
+
+/**
+ * @param {TransformOrigin} origin
+ * @returns {string}
+ */
+export function transformOriginToString(origin) {
+  return typeof origin === "string" ? origin : `${origin[0]} ${origin[1]}`;
+}
+
+/**
+ * Creates a transform object
+ * @param {number} translateX
+ * @param {number} translateY
+ * @param {number} scaleX
+ * @param {number} scaleY
+ * @param {number} rotateDegrees
+ * @param {TransformOrigin} transformOrigin
+ * @param {{skewXDegrees?: number, skewYDegrees?: number, order?: Array<TransformStep>}} [options={}]
+ * @returns {Transform}
+ * @throws if the order lists an unknown step
+ */
+export function createTransform(
+  translateX = 0,
+  translateY = 0,
+  scaleX = 1,
+  scaleY = 1,
+  rotateDegrees = 0,
+  transformOrigin = "center",
+  options = {}
+) {
+  const { skewXDegrees, skewYDegrees, order } = options;
+  const unknown = order?.find((step) => !defaultOrder.includes(step));
+  if (unknown !== undefined) {
+    throw new Error(`Unknown transform step "${unknown}"`);
+  }
+  return {
+    translateX,
+    translateY,
+    scaleX,
+    scaleY,
+    rotateDegrees,
+    transformOrigin,
+    ...(skewXDegrees && { skewXDegrees }),
+    ...(skewYDegrees && { skewYDegrees }),
+    ...(order && { order: [...order] }),
+  };
+}
+
+/**
+ * Creates a transform object from a matrix
+ *
+ * @param {Matrix} matrix
+ * @param {TransformOrigin} [transformOrigin=[0, 0]] - the matrix is applied as if this point were the origin
+ * @returns {MatrixTransform}
+ */
+export function createMatrixTransform(matrix, transformOrigin = [0, 0]) {
+  return { matrix: [...matrix], transformOrigin };
+}
+
+/**
+ * @param {TransformOrigin|undefined} origin
+ * @param {{x: number, y: number, width: number, height: number}} [bounds]
+ * @returns {[number, number]} - a "center" origin is the origin of the user space without bounds
+ */
+function resolveOrigin(origin = [0, 0], bounds) {
+  if (origin !== "center") {
+    return origin;
+  }
+  return bounds
+    ? [bounds.x + bounds.width / 2, bounds.y + bounds.height / 2]
+    : [0, 0];
+}
+
+/**
+ * Replaces a "center" origin with the center of the bounds of the element
+ *
+ * @template {Transform|MatrixTransform} T
+ * @param {T} transform
+ * @param {{x: number, y: number, width: number, height: number}} [bounds] - of the untransformed element
+ * @returns {T}
+ */
+export function resolveTransformOrigin(transform, bounds) {
+  return transform.transformOrigin === "center"
+    ? {
+        ...transform,
+        transformOrigin: resolveOrigin(transform.transformOrigin, bounds),
+      }
+    : transform;
+}
+
+/**
+ * @param {Matrix} matrix
+ * @returns {string} - the matrix() transform function
+ */
+export function matrixToString(matrix) {
+  return `matrix(${matrix.join(" ")})`;
+}
+
+/**
+ * The parts of a transform object, in the order of a transform attribute
+ *
+ * @param {Transform|MatrixTransform} transform
+ * @param {{x: number, y: number, width: number, height: number}} [bounds]
+ * @returns {Array<{matrix: Matrix, text: string}>} - identity skews are left out
+ */
+function getTransformSteps(transform, bounds) {
+  const [ox, oy] = resolveOrigin(transform.transformOrigin, bounds);
+  if ("matrix" in transform) {
+    const matrix = composeMatrices(
+      translateMatrix(ox, oy),
+      transform.matrix,
+      translateMatrix(-ox, -oy)
+    );
+    return [{ matrix, text: matrixToString(matrix) }];
+  }
+  // Skews turn around the origin, like the rotation
+  const aroundOrigin = (name, degrees, matrix) => ({
+    matrix: composeMatrices(
+      translateMatrix(ox, oy),
+      matrix,
+      translateMatrix(-ox, -oy)
+    ),
+    text:
+      ox || oy
+        ? `translate(${ox}, ${oy}) ${name}(${degrees}) translate(${-ox}, ${-oy})`
+        : `${name}(${degrees})`,
+  });
+  return (transform.order ?? defaultOrder).flatMap((step) => {
+    switch (step) {
+      case "translate":
+        return [
+          {
+            matrix: translateMatrix(transform.translateX, transform.translateY),
+            text: `translate(${transform.translateX}, ${transform.translateY})`,
+          },
+        ];
+      case "scale":
+        return [
+          {
+            matrix: scaleMatrix(transform.scaleX, transform.scaleY),
+            text: `scale(${transform.scaleX}, ${transform.scaleY})`,
+          },
+        ];
+      case "rotate":
+        return [
+          {
+            matrix: rotateMatrix(transform.rotateDegrees, ox, oy),
+            text: `rotate(${transform.rotateDegrees}, ${ox} ${oy})`,
+          },
+        ];
+      case "skewX":
+        return transform.skewXDegrees
+          ? [
+              aroundOrigin(
+                "skewX",
+                transform.skewXDegrees,
+                skewXMatrix(transform.skewXDegrees)
+              ),
+            ]
+          : [];
+      case "skewY":
+        return transform.skewYDegrees
+          ? [
+              aroundOrigin(
+                "skewY",
+                transform.skewYDegrees,
+                skewYMatrix(transform.skewYDegrees)
+              ),
+            ]
+          : [];
+      default:
+        throw new Error(`Unknown transform step "${step}"`);
+    }
+  });
+}
+
+/**
+ * Compiles a transform object to the value of an SVG transform attribute
+ * @param {Transform|MatrixTransform} transform
+ * @param {{x: number, y: number, width: number, height: number}} [bounds] -
+ *
+ *     of the untransformed element, to resolve a "center" origin; without them it is the origin of the user space
+ * @returns {string}
+ */
+export function compileTransform(transform, bounds) {
+  return getTransformSteps(transform, bounds)
+    .map((step) => step.text)
+    .join(" ");
+}
+
+/**
+ * A 2D affine matrix in SVG order,
+ * mapping (x, y) to (a*x + c*y + e, b*x + d*y + f)
+ *
+ * @typedef {[number, number, number, number, number, number]} Matrix
+ */
+
+/**
+ * @type {Matrix}
+ */
+export const IDENTITY_MATRIX = [1, 0, 0, 1, 0, 0];
+
+/**
+ * Composes two matrices, `m2` is applied first
+ * @param {Matrix} m1
+ * @param {Matrix} m2
+ * @returns {Matrix}
+ */
+export function multiplyMatrices(m1, m2) {
+  const [a1, b1, c1, d1, e1, f1] = m1;
+  const [a2, b2, c2, d2, e2, f2] = m2;
+  return [
+    a1 * a2 + c1 * b2,
+    b1 * a2 + d1 * b2,
+    a1 * c2 + c1 * d2,
+    b1 * c2 + d1 * d2,
+    a1 * e2 + c1 * f2 + e1,
+    b1 * e2 + d1 * f2 + f1,
+  ];
+}
+
+/**
+ * @param {Matrix} matrix
+ * @param {[number, number]} point
+ * @returns {[number, number]}
+ */
+export function applyMatrixToPoint(matrix, point) {
+  const [a, b, c, d, e, f] = matrix;
+  return [a * point[0] + c * point[1] + e, b * point[0] + d * point[1] + f];
+}
+
+/**
+ * @param {Matrix} matrix
+ * @returns {Matrix|null} - null when the matrix collapses the plane and cannot be inverted
+ */
+export function invertMatrix(matrix) {
+  const [a, b, c, d, e, f] = matrix;
+  const determinant = a * d - b * c;
+  if (!determinant || !Number.isFinite(determinant)) {
+    return null;
+  }
+  return [
+    d / determinant,
+    -b / determinant,
+    -c / determinant,
+    a / determinant,
+    (c * f - d * e) / determinant,
+    (b * e - a * f) / determinant,
+  ];
+}
+
+/**
+ * Applies a matrix to the coordinates of path data
+ *
+ * Horizontal and vertical lines become plain lines, and arcs become cubic curves
+ * since a skewed or unevenly scaled arc is not an arc of the same radii
+ *
+ * @param {string|Array<import("./pathData.js").SVGCommand>} pathData
+ * @param {Matrix} matrix
+ * @returns {Array<import("./pathData.js").SVGCommand>} - absolute commands
+ */
+export function transformPathData(pathData, matrix) {
+  const result = [];
+  let current = [0, 0];
+  let subpathStart = [0, 0];
+  const mapPoints = (args) =>
+    args.flatMap((_, i) =>
+      i % 2 === 0 ? applyMatrixToPoint(matrix, [args[i], args[i + 1]]) : []
+    );
+  for (const { name, args } of absolutizePath(pathData)) {
+    switch (name) {
+      case "H":
+        current = [args[0], current[1]];
+        result.push({ name: "L", args: applyMatrixToPoint(matrix, current) });
+        break;
+      case "V":
+        current = [current[0], args[0]];
+        result.push({ name: "L", args: applyMatrixToPoint(matrix, current) });
+        break;
+      case "A": {
+        const end = [args[5], args[6]];
+        for (const [, cp1, cp2, p2] of arcToCubicBeziers(
+          current,
+          ...args.slice(0, 5),
+          end
+        )) {
+          result.push({ name: "C", args: mapPoints([...cp1, ...cp2, ...p2]) });
+        }
+        current = end;
+        break;
+      }
+      case "Z":
+        result.push({ name: "Z", args: [] });
+        current = subpathStart;
+        break;
+      default:
+        result.push({ name, args: mapPoints(args) });
+        current = args.slice(-2);
+        if (name === "M") {
+          subpathStart = args.slice(0, 2);
+        }
+    }
+  }
+  return result;
+}
+
+/**
+ * Computes the axis aligned bounds of points
+ *
+ * A loop rather than Math.min(...), which fails with more points than a call takes arguments
+ *
+ * @param {Array<[number,number]>} points
+ * @returns {{x: number, y: number, width: number, height: number}|null} - null without points
+ */
+export function getPointsBoundingBox(points) {
+  if (!points.length) {
+    return null;
+  }
+  let [minX, minY] = points[0];
+  let [maxX, maxY] = points[0];
+  for (const [x, y] of points) {
+    minX = Math.min(minX, x);
+    minY = Math.min(minY, y);
+    maxX = Math.max(maxX, x);
+    maxY = Math.max(maxY, y);
+  }
+  return { x: minX, y: minY, width: maxX - minX, height: maxY - minY };
+}
+
+/**
+ * Computes the axis aligned bounds of a transformed box
+ *
+ * @param {Matrix} matrix
+ * @param {{x: number, y: number, width: number, height: number}} box
+ * @returns {{x: number, y: number, width: number, height: number}}
+ */
+export function applyMatrixToBoundingBox(matrix, box) {
+  const corners = [
+    [box.x, box.y],
+    [box.x + box.width, box.y],
+    [box.x, box.y + box.height],
+    [box.x + box.width, box.y + box.height],
+  ].map((corner) => applyMatrixToPoint(matrix, corner));
+  return getPointsBoundingBox(corners);
+}
+
+/**
+ * Converts a transform object to a matrix
+ *
+ * @param {Transform|MatrixTransform} transform
+ * @param {{x: number, y: number, width: number, height: number}} [bounds] - used to resolve a "center" origin
+ * @returns {Matrix}
+ */
+export function transformToMatrix(transform, bounds) {
+  if (!transform) {
+    return IDENTITY_MATRIX;
+  }
+  return composeMatrices(
+    ...getTransformSteps(transform, bounds).map((step) => step.matrix)
+  );
+}
+
+/**
+ * @param {Transform|MatrixTransform} transform
+ * @param {{x: number, y: number, width: number, height: number}} [bounds] - used to resolve a "center" origin
+ * @returns {MatrixTransform|null} - the transform undoing the given one, null when it collapses the plane
+ */
+export function invertTransform(transform, bounds) {
+  const inverse = invertMatrix(transformToMatrix(transform, bounds));
+  return inverse && createMatrixTransform(inverse);
+}
+
+/**
+ * @param {number} tx
+ * @param {number} [ty=0]
+ * @returns {Matrix}
+ */
+export function translateMatrix(tx, ty = 0) {
+  return [1, 0, 0, 1, tx, ty];
+}
+
+/**
+ * @param {number} sx
+ * @param {number} [sy=sx]
+ * @returns {Matrix}
+ */
+export function scaleMatrix(sx, sy = sx) {
+  return [sx, 0, 0, sy, 0, 0];
+}
+
+/**
+ * @param {number} degrees - clockwise, as the y axis points down
+ * @param {number} [cx=0] - center of the rotation
+ * @param {number} [cy=0]
+ * @returns {Matrix}
+ */
+export function rotateMatrix(degrees, cx = 0, cy = 0) {
+  const theta = (degrees * Math.PI) / 180;
+  const cos = Math.cos(theta);
+  const sin = Math.sin(theta);
+  return [
+    cos,
+    sin,
+    -sin,
+    cos,
+    cx - cos * cx + sin * cy,
+    cy - sin * cx - cos * cy,
+  ];
+}
+
+/**
+ * @param {number} degrees
+ * @returns {Matrix}
+ */
+export function skewXMatrix(degrees) {
+  return [1, 0, Math.tan((degrees * Math.PI) / 180), 1, 0, 0];
+}
+
+/**
+ * @param {number} degrees
+ * @returns {Matrix}
+ */
+export function skewYMatrix(degrees) {
+  return [1, Math.tan((degrees * Math.PI) / 180), 0, 1, 0, 0];
+}
+
+/**
+ * Composes matrices in the order of a transform attribute: the last one is applied first
+ *
+ * @param {...Matrix} matrices
+ * @returns {Matrix}
+ */
+export function composeMatrices(...matrices) {
+  return matrices.reduce(multiplyMatrices, IDENTITY_MATRIX);
+}
+
+/**
+ * @param {string} name
+ * @param {number[]} args
+ * @returns {Matrix}
+ */
+function transformFunctionToMatrix(name, args) {
+  switch (name) {
+    case "matrix":
+      if (args.length !== 6) {
+        throw new Error("matrix() takes 6 arguments");
+      }
+      return args;
+    case "translate":
+      return translateMatrix(args[0], args[1]);
+    case "scale":
+      return scaleMatrix(args[0], args[1]);
+    case "rotate":
+      return rotateMatrix(args[0], args[1], args[2]);
+    case "skewX":
+      return skewXMatrix(args[0]);
+    case "skewY":
+      return skewYMatrix(args[0]);
+  }
+  throw new Error(`Unsupported transform function: ${name}`);
+}
+
+/**
+ * Parses the value of an SVG transform attribute,
+ * such as "translate(10 20) rotate(45, 5, 5)"
+ *
+ * @param {string} value
+ * @returns {Matrix}
+ * @throws if the transform list is malformed
+ */
+export function parseTransformAttribute(value) {
+  const functionRegex = /\s*,?\s*([a-zA-Z]+)\s*\(([^)]*)\)/y;
+  let matrix = IDENTITY_MATRIX;
+  let consumed = 0;
+  let match;
+  while ((match = functionRegex.exec(value))) {
+    consumed = functionRegex.lastIndex;
+    const args = match[2]
+      .trim()
+      .split(/[\s,]+/)
+      .filter(Boolean)
+      .map(Number);
+    if (!args.length || args.some((arg) => !Number.isFinite(arg))) {
+      throw new Error(`Invalid arguments in transform: ${match[0].trim()}`);
+    }
+    matrix = multiplyMatrices(matrix, transformFunctionToMatrix(match[1], args));
+  }
+  if (value.slice(consumed).trim()) {
+    throw new Error(`Invalid transform: ${value}`);
+  }
+  return matrix;
+}
@@ -0,0 +1,19 @@
+import SVGNode from "./SVGNode";
+
+export function describeNode(node: SVGNode): string;
+
+export function isValidColor(value: string): boolean;
+
+export function isValidId(id: string): boolean;
+
+export function isValidPaint(value: string): boolean;
+
+export function checkColor(value: string, where: string): void;
+
+export function checkFiniteNumber(value: number, where: string): void;
+
+export function checkId(id: string, where: string): void;
+
+export function validateNode(node: SVGNode): void;
+
+export function checkUniqueIds(root: SVGNode): void;
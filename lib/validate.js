@@ -0,0 +1,544 @@
+/**
+ * Validation of the values written to documents
+ *
+ * The serializer escapes every value, so no value can break the markup.
+ * These checks catch the values that would still render wrongly or be ignored by viewers:
+ * colors that are not colors, NaN and Infinity coordinates, and ids that cannot be referenced
+ */
+
+import { parseColor } from "./color.js";
+import { parsePathData } from "./pathData.js";
+import { compileTransform } from "./transform.js";
+
+/**
+ * @typedef {import("./SVGNode.js").default} SVGNode
+ */
+
+/**
+ * Attributes and properties holding a paint: a color, a `url(#id)` reference, or a keyword
+ */
+const paintProperties = ["fill", "stroke"];
+
+/**
+ * Elements of SMIL animations, where `fill` is a timing attribute rather than a paint
+ */
+const animationTags = ["animate", "animateTransform", "animateMotion", "set"];
+
+/**
+ * Attributes and properties holding a plain color
+ */
+const colorProperties = ["stop-color", "flood-color", "lighting-color", "color"];
+
+/**
+ * Attributes holding a number, a length or a list of them
+ */
+const numericAttributes = [
+  "x",
+  "y",
+  "x1",
+  "y1",
+  "x2",
+  "y2",
+  "cx",
+  "cy",
+  "r",
+  "rx",
+  "ry",
+  "fx",
+  "fy",
+  "fr",
+  "dx",
+  "dy",
+  "width",
+  "height",
+  "offset",
+  "opacity",
+  "fill-opacity",
+  "stroke-opacity",
+  "stop-opacity",
+  "flood-opacity",
+  "stroke-width",
+  "stroke-miterlimit",
+  "stroke-dashoffset",
+  "stdDeviation",
+  "viewBox",
+  "points",
+];
+
+/**
+ * Attributes holding a transform list
+ */
+const transformAttributes = ["transform", "gradientTransform", "patternTransform"];
+
+/**
+ * Attributes referencing another element with `url(#id)`
+ */
+const referenceAttributes = [
+  "clip-path",
+  "mask",
+  "filter",
+  "marker-start",
+  "marker-mid",
+  "marker-end",
+];
+
+/**
+ * Attributes referencing another element with a plain "#id"
+ */
+const hrefAttributes = ["href", "xlink:href"];
+
+const paintKeywords = [
+  "none",
+  "currentcolor",
+  "inherit",
+  "initial",
+  "unset",
+  "context-fill",
+  "context-stroke",
+];
+
+/**
+ * CSS color functions parseColor does not support, accepted by their syntax only
+ */
+const otherColorFunctions = ["hwb", "lab", "lch", "oklab", "oklch", "color"];
+
+const number = String.raw`[+-]?(?:\d+\.?\d*|\.\d+)(?:[eE][+-]?\d+)?`;
+
+const idPattern = /^[\p{L}_][\p{L}\p{N}_.:-]*$/u;
+
+/**
+ * Keywords every CSS property accepts
+ */
+const cssWideKeywords = ["inherit", "initial", "unset", "revert"];
+
+/**
+ * CSS functions computing a number or a length
+ */
+const mathFunctions = ["calc", "min", "max", "clamp"];
+
+/**
+ * CSS filter functions, which `filter` accepts besides `url(#id)` references
+ */
+const filterFunctions = [
+  "blur",
+  "brightness",
+  "contrast",
+  "drop-shadow",
+  "grayscale",
+  "hue-rotate",
+  "invert",
+  "opacity",
+  "saturate",
+  "sepia",
+];
+
+/**
+ * CSS basic shapes and reference boxes, which `clip-path` accepts besides `url(#id)` references
+ */
+const basicShapeFunctions = ["inset", "circle", "ellipse", "polygon", "path", "rect", "xywh"];
+const referenceBoxes = [
+  "fill-box",
+  "stroke-box",
+  "view-box",
+  "margin-box",
+  "border-box",
+  "padding-box",
+  "content-box",
+];
+
+/**
+ * Values that are never numbers, written when a computation went wrong
+ */
+const invalidNumbers = /(?:^|[^\w.])(?:NaN|Infinity|undefined)/;
+
+/**
+ * Describes an element for error messages, with its position in the tree
+ *
+ * @param {SVGNode} node
+ * @returns {string} - such as `<path id="leaf"> at svg/g[2]/path`
+ */
+export function describeNode(node) {
+  const steps = [];
+  for (let current = node; current; current = current.parent) {
+    const sameTag = current.parent
+      ? current.parent.children.filter((child) => child.tag === current.tag)
+      : [current];
+    steps.unshift(
+      sameTag.length > 1
+        ? `${current.tag}[${sameTag.indexOf(current) + 1}]`
+        : current.tag
+    );
+  }
+  const id = node.id !== undefined && node.id !== null ? ` id="${node.id}"` : "";
+  return `<${node.tag}${id}> at ${steps.join("/")}`;
+}
+
+/**
+ * @param {string} value
+ * @returns {boolean} - whether the value is a CSS color
+ */
+export function isValidColor(value) {
+  const text = `${value}`.trim().toLowerCase();
+  if (text === "currentcolor" || parseColor(text)) {
+    return true;
+  }
+  const functional = /^([a-z-]+)\(([^()]*)\)$/.exec(text);
+  return (
+    functional !== null &&
+    otherColorFunctions.includes(functional[1]) &&
+    /^[\w\s.,%/+-]+$/.test(functional[2])
+  );
+}
+
+/**
+ * @param {string} id
+ * @returns {boolean} - whether the value can be used as an id and referenced with `url(#id)` and `#id`
+ */
+export function isValidId(id) {
+  return typeof id === "string" && idPattern.test(id);
+}
+
+/**
+ * @param {string} value
+ * @returns {boolean} - whether the value is a paint: a keyword, a color, or a `url(#id)` reference with an optional fallback
+ */
+export function isValidPaint(value) {
+  const text = `${value}`.trim();
+  if (paintKeywords.includes(text.toLowerCase()) || isValidColor(text)) {
+    return true;
+  }
+  const reference = /^url\(\s*(["']?)#([^"')\s]+)\1\s*\)(?:\s+(.+))?$/.exec(text);
+  return (
+    reference !== null &&
+    isValidId(reference[2]) &&
+    (reference[3] === undefined ||
+      paintKeywords.includes(reference[3].toLowerCase()) ||
+      isValidColor(reference[3]))
+  );
+}
+
+/**
+ * @param {string} value
+ * @param {string} where - what the color is for, for errors
+ * @throws if the value is not a CSS color
+ */
+export function checkColor(value, where) {
+  if (!isValidColor(value)) {
+    throw new Error(`Invalid color ${JSON.stringify(value)} for ${where}`);
+  }
+}
+
+/**
+ * @param {number} value
+ * @param {string} where - what the number is for, for errors
+ * @throws if the value is NaN, Infinity or not a number
+ */
+export function checkFiniteNumber(value, where) {
+  if (typeof value !== "number" || !Number.isFinite(value)) {
+    throw new Error(
+      `Invalid number ${formatValue(value)} for ${where}: expected a finite number`
+    );
+  }
+}
+
+/**
+ * @param {string} id
+ * @param {string} where - what the id is for, for errors
+ * @throws if the id cannot be referenced
+ */
+export function checkId(id, where) {
+  if (!isValidId(id)) {
+    throw new Error(
+      `Invalid id ${JSON.stringify(id)} for ${where}: ids start with a letter or "_", followed by letters, digits, "_", ".", ":" and "-"`
+    );
+  }
+}
+
+/**
+ * @param {string} name
+ * @returns {boolean} - whether the name can be written as a tag or attribute name
+ */
+function isValidName(name) {
+  return typeof name === "string" && /^[A-Za-z_][\w.:-]*$/.test(name);
+}
+
+/**
+ * @param {string|number|boolean} value
+ * @returns {string} - the value quoted for error messages, numbers such as NaN as they are
+ */
+function formatValue(value) {
+  return typeof value === "number" ? `${value}` : JSON.stringify(value);
+}
+
+/**
+ * Splits a value into the items of a list, separated by spaces or commas outside of parentheses
+ *
+ * @param {string} value
+ * @returns {Array<string>|null} - null when the parentheses are not balanced
+ */
+function splitList(value) {
+  const items = [];
+  let depth = 0;
+  let item = "";
+  for (const char of value) {
+    if (char === "(") {
+      depth++;
+    } else if (char === ")" && --depth < 0) {
+      return null;
+    }
+    if (depth === 0 && /[\s,]/.test(char)) {
+      if (item) {
+        items.push(item);
+      }
+      item = "";
+    } else {
+      item += char;
+    }
+  }
+  if (depth !== 0) {
+    return null;
+  }
+  return item ? [...items, item] : items;
+}
+
+/**
+ * @param {string} item
+ * @returns {{name: string, args: string}|null} - the name and arguments of a function such as `blur(2px)`
+ */
+function parseFunction(item) {
+  const match = /^([a-zA-Z-]+)\((.*)\)$/s.exec(item);
+  return match ? { name: match[1].toLowerCase(), args: match[2] } : null;
+}
+
+/**
+ * @param {string} item
+ * @returns {boolean} - whether the item is a `url(#id)` reference to a valid id
+ */
+function isReference(item) {
+  const match = /^url\(\s*(["']?)#([^"')\s]+)\1\s*\)$/.exec(item);
+  return match !== null && isValidId(match[2]);
+}
+
+/**
+ * @param {string} item
+ * @returns {boolean} - whether the item is a number, a length, a percentage or a calc(), min(), max() or clamp() of them
+ */
+function isLength(item) {
+  if (new RegExp(String.raw`^${number}(?:%|[a-zA-Z]{1,4})?$`).test(item)) {
+    return true;
+  }
+  const math = parseFunction(item);
+  return (
+    math !== null &&
+    mathFunctions.includes(math.name) &&
+    /^[\w\s.%+*/,()-]*$/.test(math.args) &&
+    !invalidNumbers.test(math.args)
+  );
+}
+
+/**
+ * @param {string} value
+ * @param {(item: string) => boolean} isValidItem
+ * @returns {boolean} - whether the value is a non-empty list of valid items
+ */
+function isListOf(value, isValidItem) {
+  const items = splitList(value);
+  return items !== null && items.length > 0 && items.every(isValidItem);
+}
+
+/**
+ * @param {string} name - `filter`, `clip-path` or another attribute referencing an element
+ * @param {string} value
+ * @returns {boolean} - whether the value is a reference, or a list of CSS filter functions or a basic shape where they apply
+ */
+function isValidReferenceValue(name, value) {
+  if (value === "none" || isReference(value.trim())) {
+    return true;
+  }
+  if (invalidNumbers.test(value)) {
+    return false;
+  }
+  if (name === "filter") {
+    return isListOf(value, (item) => {
+      const filter = parseFunction(item);
+      return (
+        isReference(item) ||
+        (filter !== null &&
+          filterFunctions.includes(filter.name) &&
+          splitList(filter.args) !== null)
+      );
+    });
+  }
+  if (name === "clip-path") {
+    return isListOf(value, (item) => {
+      const shape = parseFunction(item);
+      return (
+        referenceBoxes.includes(item) ||
+        (shape !== null &&
+          basicShapeFunctions.includes(shape.name) &&
+          splitList(shape.args) !== null)
+      );
+    });
+  }
+  return false;
+}
+
+/**
+ * @param {string|number|boolean} value
+ * @returns {boolean} - whether the value depends on CSS variables, only known when the document is shown
+ */
+function usesVars(value) {
+  return typeof value === "string" && value.includes("var(");
+}
+
+/**
+ * Checks a value by the name of the attribute or style property it is written to
+ *
+ * @param {string} name
+ * @param {string|number|boolean} value
+ * @param {string} [tag] - of the element, for attributes
+ * @returns {string|undefined} - what is wrong with the value, undefined when it is valid
+ */
+function getValueProblem(name, value, tag) {
+  if (typeof value === "number") {
+    return Number.isFinite(value) ? undefined : "expected a finite number";
+  }
+  if (animationTags.includes(tag) && name === "fill") {
+    // Whether the animation keeps its last value once it ends
+    return value === "freeze" || value === "remove"
+      ? undefined
+      : 'expected "freeze" or "remove"';
+  }
+  if (
+    typeof value !== "string" ||
+    usesVars(value) ||
+    cssWideKeywords.includes(value.trim().toLowerCase())
+  ) {
+    return undefined;
+  }
+  if (paintProperties.includes(name) && !isValidPaint(value)) {
+    return "expected a color, a url(#id) reference or none";
+  }
+  if (colorProperties.includes(name) && !isValidColor(value)) {
+    return "expected a color";
+  }
+  if (
+    numericAttributes.includes(name) &&
+    value !== "auto" &&
+    !isListOf(value, isLength)
+  ) {
+    return "expected a number or a length";
+  }
+  if (transformAttributes.includes(name) && invalidNumbers.test(value)) {
+    return "expected finite numbers";
+  }
+  if (referenceAttributes.includes(name) && !isValidReferenceValue(name, value)) {
+    return name === "filter"
+      ? "expected a url(#id) reference, filter functions or none"
+      : name === "clip-path"
+      ? "expected a url(#id) reference, a basic shape or none"
+      : "expected a url(#id) reference or none";
+  }
+  if (name === "d") {
+    try {
+      parsePathData(value);
+    } catch (error) {
+      return error.message;
+    }
+  }
+  return undefined;
+}
+
+/**
+ * Checks the names and values of an element, without its descendants
+ *
+ * @param {SVGNode} node
+ * @throws naming the element and the value that is not valid
+ */
+export function validateNode(node) {
+  const fail = (message) => {
+    throw new Error(`${message} on ${describeNode(node)}`);
+  };
+  if (!isValidName(node.tag)) {
+    throw new Error(
+      `Invalid tag name ${JSON.stringify(node.tag)} at ${describeNode(node)}`
+    );
+  }
+  for (const [name, value] of Object.entries(node.attributes)) {
+    if (value === undefined || value === null) {
+      continue;
+    }
+    if (!isValidName(name)) {
+      fail(`Invalid attribute name ${JSON.stringify(name)}`);
+    }
+    const problem = getValueProblem(name, value, node.tag);
+    if (problem) {
+      fail(`Invalid ${name} ${formatValue(value)}: ${problem}`);
+    }
+    if (name === "id" && !isValidId(`${value}`)) {
+      fail(
+        `Invalid id ${formatValue(value)}: ids start with a letter or "_", followed by letters, digits, "_", ".", ":" and "-"`
+      );
+    }
+    if (typeof value !== "string") {
+      continue;
+    }
+    for (const match of value.matchAll(/url\(\s*["']?#([^"')\s]*)/g)) {
+      if (!isValidId(match[1])) {
+        fail(`Invalid reference ${JSON.stringify(value)} in ${name}`);
+      }
+    }
+    if (
+      hrefAttributes.includes(name) &&
+      value.startsWith("#") &&
+      !isValidId(value.slice(1))
+    ) {
+      fail(`Invalid reference ${JSON.stringify(value)} in ${name}`);
+    }
+  }
+  for (const [property, value] of Object.entries(node.style)) {
+    if (!/^-{0,2}[A-Za-z][\w-]*$/.test(property)) {
+      fail(`Invalid style property name ${JSON.stringify(property)}`);
+    }
+    // Would end the declaration and start another one
+    if (typeof value === "string" && /[;{}]/.test(value)) {
+      fail(
+        `Invalid style ${property} ${JSON.stringify(value)}: ";", "{" and "}" are not allowed`
+      );
+    }
+    const problem = getValueProblem(property, value);
+    if (problem) {
+      fail(`Invalid style ${property} ${formatValue(value)}: ${problem}`);
+    }
+  }
+  if (node.transform) {
+    const transform = compileTransform(node.transform);
+    if (invalidNumbers.test(transform)) {
+      fail(`Invalid transform "${transform}": expected finite numbers`);
+    }
+  }
+}
+
+/**
+ * Checks that no two elements of a document have the same id
+ *
+ * @param {SVGNode} root
+ * @throws naming both elements
+ */
+export function checkUniqueIds(root) {
+  const elements = new Map();
+  for (const node of root.walk()) {
+    if (node.id === undefined || node.id === null) {
+      continue;
+    }
+    const id = `${node.id}`;
+    if (elements.has(id)) {
+      throw new Error(
+        `Duplicate id "${id}" on ${describeNode(node)}, already used by ${describeNode(
+          elements.get(id)
+        )}`
+      );
+    }
+    elements.set(id, node);
+  }
+}
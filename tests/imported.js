@@ -0,0 +1,18 @@
+import SVGBuilder from "../lib/SVGBuilder.js";
+
+// Presentation attributes of the root go onto a group, and xmlns:xlink stays on the root
+// for the xlink:href of the <use>; lengths are given in absolute units and percentages
+const svgBuilder = SVGBuilder.fromSVG(`
+<svg xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink"
+  width="2in" height="100%" viewBox="0 0 192 192"
+  fill="teal" stroke="black" stroke-width="2" style="opacity: 0.8">
+  <defs>
+    <circle id="dot" cx="0" cy="0" r="5%"/>
+  </defs>
+  <rect x="10%" y="10%" width="1in" height="72pt" rx="2mm"/>
+  <use xlink:href="#dot" x="48" y="48"/>
+  <line x1="1cm" y1="180" x2="180" y2="10mm"/>
+</svg>
+`);
+
+export default svgBuilder;